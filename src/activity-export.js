@@ -0,0 +1,489 @@
+/**
+ * Activity file export for ZwiftPower Race Replay
+ * Converts a synced rider's streams to TCX and FIT activity files
+ */
+
+const FIT_EPOCH_OFFSET_SECONDS = 631065600; // 1989-12-31T00:00:00Z in Unix seconds
+const FIT_HEADER_SIZE = 14;
+const FIT_PROTOCOL_VERSION = 0x20;
+const FIT_PROFILE_VERSION = 2132;
+const FIT_MANUFACTURER_DEVELOPMENT = 255;
+const FIT_FILE_TYPE_ACTIVITY = 4;
+const FIT_SPORT_CYCLING = 2;
+const FIT_SUB_SPORT_VIRTUAL_ACTIVITY = 58;
+const FIT_EVENT_TIMER = 0;
+const FIT_EVENT_LAP = 9;
+const FIT_EVENT_ACTIVITY = 26;
+const FIT_EVENT_TYPE_START = 0;
+const FIT_EVENT_TYPE_STOP = 1;
+const FIT_EVENT_TYPE_STOP_ALL = 4;
+const FIT_CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+];
+
+const FIT_BASE_TYPES = {
+  enum: { id: 0x00, size: 1, invalid: 0xFF },
+  uint8: { id: 0x02, size: 1, invalid: 0xFF },
+  uint16: { id: 0x84, size: 2, invalid: 0xFFFF },
+  uint32: { id: 0x86, size: 4, invalid: 0xFFFFFFFF },
+  uint32z: { id: 0x8C, size: 4, invalid: 0 },
+};
+
+// Field definitions: [field number, name, base type, scale, offset]
+const FIT_MESSAGES = {
+  fileId: {
+    num: 0,
+    fields: [
+      [0, 'type', 'enum'],
+      [1, 'manufacturer', 'uint16'],
+      [2, 'product', 'uint16'],
+      [3, 'serialNumber', 'uint32z'],
+      [4, 'timeCreated', 'uint32'],
+    ],
+  },
+  event: {
+    num: 21,
+    fields: [
+      [253, 'timestamp', 'uint32'],
+      [0, 'event', 'enum'],
+      [1, 'eventType', 'enum'],
+    ],
+  },
+  record: {
+    num: 20,
+    fields: [
+      [253, 'timestamp', 'uint32'],
+      [5, 'distance', 'uint32', 100],
+      [2, 'altitude', 'uint16', 5, 500],
+      [6, 'speed', 'uint16', 1000],
+      [7, 'power', 'uint16'],
+      [3, 'heartRate', 'uint8'],
+    ],
+  },
+  lap: {
+    num: 19,
+    fields: [
+      [253, 'timestamp', 'uint32'],
+      [0, 'event', 'enum'],
+      [1, 'eventType', 'enum'],
+      [2, 'startTime', 'uint32'],
+      [7, 'totalElapsedTime', 'uint32', 1000],
+      [8, 'totalTimerTime', 'uint32', 1000],
+      [9, 'totalDistance', 'uint32', 100],
+      [15, 'avgHeartRate', 'uint8'],
+      [16, 'maxHeartRate', 'uint8'],
+      [19, 'avgPower', 'uint16'],
+      [20, 'maxPower', 'uint16'],
+      [25, 'sport', 'enum'],
+    ],
+  },
+  session: {
+    num: 18,
+    fields: [
+      [253, 'timestamp', 'uint32'],
+      [0, 'event', 'enum'],
+      [1, 'eventType', 'enum'],
+      [2, 'startTime', 'uint32'],
+      [5, 'sport', 'enum'],
+      [6, 'subSport', 'enum'],
+      [7, 'totalElapsedTime', 'uint32', 1000],
+      [8, 'totalTimerTime', 'uint32', 1000],
+      [9, 'totalDistance', 'uint32', 100],
+      [16, 'avgHeartRate', 'uint8'],
+      [17, 'maxHeartRate', 'uint8'],
+      [20, 'avgPower', 'uint16'],
+      [21, 'maxPower', 'uint16'],
+      [22, 'totalAscent', 'uint16'],
+      [25, 'firstLapIndex', 'uint16'],
+      [26, 'numLaps', 'uint16'],
+    ],
+  },
+  activity: {
+    num: 34,
+    fields: [
+      [253, 'timestamp', 'uint32'],
+      [0, 'totalTimerTime', 'uint32', 1000],
+      [1, 'numSessions', 'uint16'],
+      [2, 'type', 'enum'],
+      [3, 'event', 'enum'],
+      [4, 'eventType', 'enum'],
+    ],
+  },
+};
+
+/**
+ * Check that a sample value is a usable number
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether value is a finite number
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Rebuild per-sample elapsed times for a rider
+ * Uses the x2Data time stream when present, otherwise index * sampleInterval
+ * @param {Object} rider - Rider with time/distance/power arrays
+ * @param {number} sampleInterval - Sample interval in seconds
+ * @returns {Array} Elapsed seconds for each sample
+ */
+function buildElapsedTimes(rider, sampleInterval = 1) {
+  const length = Math.max(
+    rider.distance?.length || 0,
+    rider.power?.length || 0,
+    rider.heartRate?.length || 0,
+    rider.time?.length || 0
+  );
+  const times = [];
+  for (let i = 0; i < length; i++) {
+    const t = rider.time?.[i];
+    times.push(isFiniteNumber(t) ? t : i * sampleInterval);
+  }
+  return times;
+}
+
+/**
+ * Convert rider streams to activity samples with metric units
+ * @param {Object} rider - Rider in the replay.js schema (distance in km)
+ * @param {number} sampleInterval - Sample interval in seconds
+ * @returns {Array} Samples with elapsed, distance (m), altitude, speed (m/s), power, heartRate
+ */
+function buildActivitySamples(rider, sampleInterval = 1) {
+  const times = buildElapsedTimes(rider, sampleInterval);
+
+  return times.map((elapsed, i) => {
+    const distKm = rider.distance?.[i];
+    const distance = isFiniteNumber(distKm) ? distKm * 1000 : null;
+    let speed = null;
+    if (i > 0 && distance !== null && isFiniteNumber(rider.distance[i - 1])) {
+      const dt = elapsed - times[i - 1];
+      speed = dt > 0 ? Math.max(0, (distance - rider.distance[i - 1] * 1000) / dt) : null;
+    }
+    const power = rider.power?.[i];
+    const heartRate = rider.heartRate?.[i];
+    const altitude = rider.elevation?.[i];
+
+    return {
+      elapsed,
+      distance,
+      speed,
+      altitude: isFiniteNumber(altitude) ? altitude : null,
+      power: isFiniteNumber(power) ? power : null,
+      heartRate: isFiniteNumber(heartRate) && heartRate > 0 ? heartRate : null,
+    };
+  });
+}
+
+/**
+ * Summarize samples for lap/session totals
+ * @param {Array} samples - Samples from buildActivitySamples
+ * @returns {Object} Totals and averages
+ */
+function summarizeSamples(samples) {
+  const powers = samples.map(s => s.power).filter(v => v !== null);
+  const hrs = samples.map(s => s.heartRate).filter(v => v !== null);
+  const distances = samples.map(s => s.distance).filter(v => v !== null);
+  const avg = values => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+
+  let totalAscent = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const prev = samples[i - 1].altitude;
+    const curr = samples[i].altitude;
+    if (prev !== null && curr !== null && curr > prev) totalAscent += curr - prev;
+  }
+
+  return {
+    totalTime: samples.length ? samples[samples.length - 1].elapsed : 0,
+    totalDistance: distances.length ? distances[distances.length - 1] : 0,
+    maxSpeed: Math.max(0, ...samples.map(s => s.speed || 0)),
+    avgPower: avg(powers),
+    maxPower: powers.length ? Math.max(...powers) : null,
+    avgHeartRate: avg(hrs),
+    maxHeartRate: hrs.length ? Math.max(...hrs) : null,
+    totalAscent: Math.round(totalAscent),
+  };
+}
+
+/**
+ * Escape text for XML content
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a TCX activity document for a rider
+ * @param {Object} rider - Rider in the replay.js schema
+ * @param {Object} options - { startTime: Date, sampleInterval: number }
+ * @returns {string} TCX XML
+ */
+function createTcx(rider, { startTime, sampleInterval = 1 }) {
+  const samples = buildActivitySamples(rider, sampleInterval);
+  const summary = summarizeSamples(samples);
+  const startMs = startTime.getTime();
+  const startIso = startTime.toISOString();
+
+  const trackpoints = samples.map((s) => {
+    const parts = [`<Time>${new Date(startMs + s.elapsed * 1000).toISOString()}</Time>`];
+    if (s.altitude !== null) parts.push(`<AltitudeMeters>${s.altitude}</AltitudeMeters>`);
+    if (s.distance !== null) parts.push(`<DistanceMeters>${+s.distance.toFixed(2)}</DistanceMeters>`);
+    if (s.heartRate !== null) parts.push(`<HeartRateBpm><Value>${Math.round(s.heartRate)}</Value></HeartRateBpm>`);
+    if (s.power !== null) {
+      parts.push(`<Extensions><ns3:TPX><ns3:Watts>${Math.round(s.power)}</ns3:Watts></ns3:TPX></Extensions>`);
+    }
+    return `          <Trackpoint>${parts.join('')}</Trackpoint>`;
+  });
+
+  const lapHr = summary.avgHeartRate !== null
+    ? `        <AverageHeartRateBpm><Value>${summary.avgHeartRate}</Value></AverageHeartRateBpm>
+        <MaximumHeartRateBpm><Value>${summary.maxHeartRate}</Value></MaximumHeartRateBpm>\n`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="Biking">
+      <Id>${startIso}</Id>
+      <Lap StartTime="${startIso}">
+        <TotalTimeSeconds>${summary.totalTime}</TotalTimeSeconds>
+        <DistanceMeters>${+summary.totalDistance.toFixed(2)}</DistanceMeters>
+        <MaximumSpeed>${+summary.maxSpeed.toFixed(3)}</MaximumSpeed>
+        <Calories>0</Calories>
+${lapHr}        <Intensity>Active</Intensity>
+        <TriggerMethod>Manual</TriggerMethod>
+        <Track>
+${trackpoints.join('\n')}
+        </Track>
+      </Lap>
+      <Notes>${escapeXml(rider.name || '')}</Notes>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>
+`;
+}
+
+/**
+ * Calculate FIT CRC-16 over a byte range
+ * @param {Uint8Array} bytes - Data
+ * @param {number} start - Start offset (inclusive)
+ * @param {number} end - End offset (exclusive)
+ * @returns {number} CRC value
+ */
+function fitCrc(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    const byte = bytes[i];
+    let tmp = FIT_CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ FIT_CRC_TABLE[byte & 0xF];
+    tmp = FIT_CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ FIT_CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+}
+
+/**
+ * Encode a field value with scale/offset, falling back to the invalid marker
+ * @param {*} value - Raw value
+ * @param {Object} baseType - Entry from FIT_BASE_TYPES
+ * @param {number} scale - Field scale
+ * @param {number} offset - Field offset
+ * @returns {number} Encoded integer
+ */
+function encodeFitValue(value, baseType, scale = 1, offset = 0) {
+  if (!isFiniteNumber(value)) return baseType.invalid;
+  const encoded = Math.round((value + offset) * scale);
+  const max = 2 ** (baseType.size * 8) - 1;
+  if (encoded < 0 || encoded >= max) return baseType.invalid;
+  return encoded;
+}
+
+/**
+ * Minimal FIT file writer (little-endian, no developer fields)
+ */
+function createFitWriter() {
+  const chunks = [];
+  const localTypes = new Map();
+
+  function writeDefinition(message, localType) {
+    const bytes = new Uint8Array(6 + message.fields.length * 3);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = 0x40 | localType;
+    bytes[1] = 0; // reserved
+    bytes[2] = 0; // little-endian
+    view.setUint16(3, message.num, true);
+    bytes[5] = message.fields.length;
+    message.fields.forEach(([num, , type], i) => {
+      bytes[6 + i * 3] = num;
+      bytes[7 + i * 3] = FIT_BASE_TYPES[type].size;
+      bytes[8 + i * 3] = FIT_BASE_TYPES[type].id;
+    });
+    chunks.push(bytes);
+  }
+
+  return {
+    write(messageName, values) {
+      const message = FIT_MESSAGES[messageName];
+      if (!localTypes.has(messageName)) {
+        localTypes.set(messageName, localTypes.size);
+        writeDefinition(message, localTypes.get(messageName));
+      }
+
+      const size = message.fields.reduce((sum, [, , type]) => sum + FIT_BASE_TYPES[type].size, 1);
+      const bytes = new Uint8Array(size);
+      const view = new DataView(bytes.buffer);
+      bytes[0] = localTypes.get(messageName);
+
+      let pos = 1;
+      for (const [, name, type, scale, offset] of message.fields) {
+        const baseType = FIT_BASE_TYPES[type];
+        const value = encodeFitValue(values[name], baseType, scale, offset);
+        if (baseType.size === 1) view.setUint8(pos, value);
+        else if (baseType.size === 2) view.setUint16(pos, value, true);
+        else view.setUint32(pos, value, true);
+        pos += baseType.size;
+      }
+      chunks.push(bytes);
+    },
+
+    finish() {
+      const dataSize = chunks.reduce((sum, c) => sum + c.length, 0);
+      const file = new Uint8Array(FIT_HEADER_SIZE + dataSize + 2);
+      const view = new DataView(file.buffer);
+
+      file[0] = FIT_HEADER_SIZE;
+      file[1] = FIT_PROTOCOL_VERSION;
+      view.setUint16(2, FIT_PROFILE_VERSION, true);
+      view.setUint32(4, dataSize, true);
+      file.set([0x2E, 0x46, 0x49, 0x54], 8); // ".FIT"
+      view.setUint16(12, fitCrc(file, 0, 12), true);
+
+      let pos = FIT_HEADER_SIZE;
+      for (const chunk of chunks) {
+        file.set(chunk, pos);
+        pos += chunk.length;
+      }
+      view.setUint16(pos, fitCrc(file, 0, pos), true);
+      return file;
+    },
+  };
+}
+
+/**
+ * Convert a Date to FIT timestamp seconds
+ * @param {number} ms - Unix time in milliseconds
+ * @returns {number} FIT timestamp
+ */
+function toFitTimestamp(ms) {
+  return Math.round(ms / 1000) - FIT_EPOCH_OFFSET_SECONDS;
+}
+
+/**
+ * Build a FIT activity file for a rider
+ * @param {Object} rider - Rider in the replay.js schema
+ * @param {Object} options - { startTime: Date, sampleInterval: number }
+ * @returns {Uint8Array} FIT file bytes
+ */
+function createFit(rider, { startTime, sampleInterval = 1 }) {
+  const samples = buildActivitySamples(rider, sampleInterval);
+  const summary = summarizeSamples(samples);
+  const start = toFitTimestamp(startTime.getTime());
+  const end = start + Math.round(summary.totalTime);
+  const writer = createFitWriter();
+
+  writer.write('fileId', {
+    type: FIT_FILE_TYPE_ACTIVITY,
+    manufacturer: FIT_MANUFACTURER_DEVELOPMENT,
+    product: 0,
+    serialNumber: Number(rider.zwiftId) || null,
+    timeCreated: start,
+  });
+  writer.write('event', { timestamp: start, event: FIT_EVENT_TIMER, eventType: FIT_EVENT_TYPE_START });
+
+  for (const s of samples) {
+    writer.write('record', {
+      timestamp: start + s.elapsed,
+      distance: s.distance,
+      altitude: s.altitude,
+      speed: s.speed,
+      power: s.power,
+      heartRate: s.heartRate,
+    });
+  }
+
+  writer.write('event', { timestamp: end, event: FIT_EVENT_TIMER, eventType: FIT_EVENT_TYPE_STOP_ALL });
+
+  const totals = {
+    timestamp: end,
+    startTime: start,
+    totalElapsedTime: summary.totalTime,
+    totalTimerTime: summary.totalTime,
+    totalDistance: summary.totalDistance,
+    avgHeartRate: summary.avgHeartRate,
+    maxHeartRate: summary.maxHeartRate,
+    avgPower: summary.avgPower,
+    maxPower: summary.maxPower,
+    sport: FIT_SPORT_CYCLING,
+  };
+
+  writer.write('lap', { ...totals, event: FIT_EVENT_LAP, eventType: FIT_EVENT_TYPE_STOP });
+  writer.write('session', {
+    ...totals,
+    event: FIT_EVENT_LAP,
+    eventType: FIT_EVENT_TYPE_STOP,
+    subSport: FIT_SUB_SPORT_VIRTUAL_ACTIVITY,
+    totalAscent: summary.totalAscent,
+    firstLapIndex: 0,
+    numLaps: 1,
+  });
+  writer.write('activity', {
+    timestamp: end,
+    totalTimerTime: summary.totalTime,
+    numSessions: 1,
+    type: 0,
+    event: FIT_EVENT_ACTIVITY,
+    eventType: FIT_EVENT_TYPE_STOP,
+  });
+
+  return writer.finish();
+}
+
+/**
+ * Build a download file name for a rider activity
+ * @param {string} eventId - Race event ID
+ * @param {Object} rider - Rider with zwiftId and name
+ * @param {string} extension - File extension without dot
+ * @returns {string} Safe file name
+ */
+function getActivityFileName(eventId, rider, extension) {
+  const slug = (rider.name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+  return `${eventId}-${rider.zwiftId}${slug ? `-${slug}` : ''}.${extension}`;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildElapsedTimes,
+    buildActivitySamples,
+    createTcx,
+    createFit,
+    fitCrc,
+    getActivityFileName,
+    // Constants
+    FIT_EPOCH_OFFSET_SECONDS,
+    FIT_BASE_TYPES,
+    FIT_MESSAGES,
+  };
+}
@@ -1,28 +1,638 @@
 /**
  * Background service worker
- * Handles message relay between popup and content script
+ * Runs the persistent sync queue and relays page requests to the content script
  */
 
-// Relay messages to content script
+// Chrome loads shared scripts here; Firefox lists them in manifest background.scripts
+if (typeof importScripts === 'function') {
+  importScripts('utils.js', 'sync-queue.js', 'request-scheduler.js', 'storage-manager.js', 'stream-codec.js', 'race-store.js', 'result-metadata.js');
+}
+
+const ZWIFTPOWER_API_BASE = 'https://zwiftpower.com/api3.php';
+const ZWIFTPOWER_EVENT_URL = 'https://zwiftpower.com/events.php?zid=';
+const EVENT_TAB_LOAD_TIMEOUT_MS = 30000;
+const CONTENT_SCRIPT_RETRY_MS = 1000;
+const CONTENT_SCRIPT_MAX_ATTEMPTS = 5;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_CONSECUTIVE_FAILURES = 5;
+const STORAGE_KEY_SYNC_STATUS = 'syncStatus';
+const STORAGE_KEY_SYNC_QUEUE = 'syncQueue';
+// Scheduler state reaches storage at most this often; the last change always lands
+const SCHEDULER_REPORT_INTERVAL_MS = 1000;
+
+// Sync state
+let currentSyncAbortController = null;
+let runningJobId = null;
+let queueProcessing = null;
+let currentSyncStatus = null;
+let syncQueueWrites = Promise.resolve(); // Queue changes run one after another
+let pendingRateLimit = null;
+let schedulerReportTimer = null;
+let lastSchedulerReportAt = 0;
+
+const apiScheduler = createRequestScheduler({
+  fetch: (url, options) => fetchWithTimeout(url, options),
+  delay: abortableDelay,
+  onStateChange: reportSchedulerState,
+});
+
+/**
+ * Fetch with timeout
+ * An options.signal (the sync's cancel signal) aborts the request too; it is
+ * forwarded by hand since Firefox 109 has no AbortSignal.any
+ */
+async function fetchWithTimeout(url, options = {}, timeoutMs = FETCH_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const cancel = () => controller.abort();
+  if (options.signal?.aborted) cancel();
+  options.signal?.addEventListener('abort', cancel);
+
+  try {
+    return await fetch(url, {
+      ...options,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError' && !options.signal?.aborted) {
+      throw new Error(`Request timeout after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    options.signal?.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Fetch analysis data for a single rider
+ * Pacing, backoff and retries are handled by the request scheduler
+ */
+async function fetchRiderAnalysis(zwiftId, eventId) {
+  const url = `${ZWIFTPOWER_API_BASE}?do=analysis&zwift_id=${zwiftId}&zwift_event_id=${eventId}`;
+
+  try {
+    const response = await apiScheduler.request(url, {
+      headers: {
+        'accept': 'application/json',
+        'x-requested-with': 'XMLHttpRequest',
+      },
+      credentials: 'include',
+    }, currentSyncAbortController?.signal);
+
+    if (!response) {
+      return null;
+    }
+
+    if (!response.ok) {
+      console.log(`[ZP Replay] HTTP ${response.status} for rider ${zwiftId}`);
+      return null;
+    }
+
+    const text = await response.text();
+    if (!text || text.trim() === '') {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      console.log(`[ZP Replay] Invalid JSON for rider ${zwiftId}`);
+      return null;
+    }
+
+    if (!data.xData || data.xData.length === 0) {
+      return null;
+    }
+
+    return {
+      distance: data.xData || [],
+      time: data.x2Data || [],
+      power: data.datasets?.['1']?.data || [],
+      heartRate: data.datasets?.['2']?.data || [],
+      elevation: data.datasets?.['0']?.data || [],
+      duration: data.x2Data?.length || 0,
+      totalDistance: data.xData?.[data.xData.length - 1] || 0,
+    };
+  } catch (error) {
+    console.log(`[ZP Replay] Fetch failed for rider ${zwiftId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch result metadata (team, category, W/kg, ...) for all riders of an event
+ * Missing metadata never fails a sync, so errors resolve to an empty map
+ */
+async function fetchEventResults(eventId) {
+  try {
+    const response = await apiScheduler.request(getResultsUrl(eventId), {
+      headers: { 'accept': 'application/json' },
+      credentials: 'include',
+    }, currentSyncAbortController?.signal);
+
+    if (!response?.ok) {
+      console.log(`[ZP Replay] No result metadata for event ${eventId}`);
+      return {};
+    }
+    return parseResultsResponse(await response.json());
+  } catch (error) {
+    console.log(`[ZP Replay] Result metadata failed for event ${eventId}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Delay helper
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay that ends early when the signal aborts
+ */
+function abortableDelay(ms, signal) {
+  return new Promise(resolve => {
+    const timeoutId = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Update sync status in storage
+ */
+async function updateSyncStatus(status) {
+  currentSyncStatus = status;
+  await chrome.storage.local.set({ [STORAGE_KEY_SYNC_STATUS]: status });
+}
+
+function isSyncRunning() {
+  return currentSyncStatus && ['checking', 'syncing'].includes(currentSyncStatus.status);
+}
+
+/**
+ * Attach request scheduler state to the running sync status
+ * The scheduler changes state several times per request, so writes are
+ * throttled to one per SCHEDULER_REPORT_INTERVAL_MS with the latest state
+ */
+function reportSchedulerState(rateLimit) {
+  if (!isSyncRunning()) return;
+
+  pendingRateLimit = rateLimit;
+  if (schedulerReportTimer) return;
+  const waitMs = Math.max(0, lastSchedulerReportAt + SCHEDULER_REPORT_INTERVAL_MS - Date.now());
+  schedulerReportTimer = setTimeout(flushSchedulerState, waitMs);
+}
+
+function flushSchedulerState() {
+  schedulerReportTimer = null;
+  lastSchedulerReportAt = Date.now();
+  if (!isSyncRunning()) return;
+
+  currentSyncStatus = { ...currentSyncStatus, rateLimit: pendingRateLimit };
+  chrome.storage.local.set({ [STORAGE_KEY_SYNC_STATUS]: currentSyncStatus });
+}
+
+/**
+ * Sync queue storage helpers
+ */
+async function getSyncQueue() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_SYNC_QUEUE);
+  return result[STORAGE_KEY_SYNC_QUEUE] || [];
+}
+
+async function saveSyncQueue(queue) {
+  await chrome.storage.local.set({ [STORAGE_KEY_SYNC_QUEUE]: queue });
+}
+
+/**
+ * Read, change and save the queue, one change at a time, so an enqueue
+ * landing while the runner saves its job can't be overwritten
+ * @param {Function} change - (queue) => new queue
+ * @returns {Promise<Array>} Saved queue
+ */
+function changeSyncQueue(change) {
+  const saved = syncQueueWrites.then(async () => {
+    const queue = change(await getSyncQueue());
+    await saveSyncQueue(queue);
+    return queue;
+  });
+  syncQueueWrites = saved.catch(() => {});
+  return saved;
+}
+
+/**
+ * Save the running job, keeping riders enqueued since it was last read
+ * @returns {Promise<Object>} Job with the added riders, for the runner to continue with
+ */
+async function saveRunningJob(job) {
+  let merged = job;
+  await changeSyncQueue((queue) => {
+    merged = mergeRunningJob(queue.find(j => j.id === job.id), job);
+    return updateSyncJob(queue, merged);
+  });
+  return merged;
+}
+
+function createRiderWithAnalysis(rider, analysis, resultMeta) {
+  return mergeRiderMetadata({
+    position: rider.position,
+    name: rider.name,
+    zwiftId: rider.zwiftId,
+    team: rider.team,
+    isCurrentUser: rider.isCurrentUser,
+    ...analysis,
+  }, resultMeta);
+}
+
+function createRaceMeta(job, successfulSyncs, errors, syncInProgress) {
+  return {
+    eventId: job.fullEventId,
+    eventName: job.fullEventName,
+    errors,
+    totalRiders: job.totalRiders,
+    syncedRiders: job.riders.length,
+    successfulSyncs,
+    currentUserZwiftId: job.currentUserZwiftId,
+    categoryId: job.categoryId,
+    categoryName: job.categoryName,
+    syncedAt: new Date().toISOString(),
+    syncInProgress,
+    syncProgress: syncInProgress ? getJobProgress(job) : null,
+  };
+}
+
+function cancelSync() {
+  if (currentSyncAbortController) {
+    currentSyncAbortController.abort();
+  }
+}
+
+async function checkDataAvailability(job, testRider) {
+  await updateSyncStatus({
+    status: 'checking',
+    eventId: job.fullEventId,
+    eventName: job.fullEventName,
+    message: 'Checking if race data is available...',
+  });
+
+  const testAnalysis = await fetchRiderAnalysis(testRider.zwiftId, job.eventId);
+
+  if (!testAnalysis) {
+    throw new Error('Race analysis not ready yet. ZwiftPower may still be processing - try again later.');
+  }
+
+  return testAnalysis;
+}
+
+/**
+ * Fetch every pending rider of a job, saving the race after each one
+ */
+async function runSyncJob(job) {
+  const existingRace = (await getRaceIndex())[job.fullEventId];
+  const errors = [...(existingRace?.errors || [])];
+  let riderCount = existingRace?.riderCount || 0;
+
+  // Riders already stored in the race count as fetched
+  for (const zwiftId of existingRace?.riderZwiftIds || []) {
+    if (job.riders.some(r => r.zwiftId === zwiftId)) {
+      job = markRiderFetched(job, zwiftId);
+    }
+  }
+  job = await saveRunningJob({ ...job, status: SYNC_JOB_STATUS.RUNNING, error: null });
+
+  let consecutiveFailures = 0;
+  let resultsByZwiftId = null;
+  let rider;
+
+  // Pending riders are re-read after every save, so riders added mid-sync are fetched too
+  while ((rider = getPendingRiders(job)[0])) {
+    if (currentSyncAbortController.signal.aborted) {
+      job = { ...job, status: SYNC_JOB_STATUS.PAUSED };
+      break;
+    }
+
+    resultsByZwiftId ??= await fetchEventResults(job.eventId);
+    const progress = getJobProgress(job);
+
+    await updateSyncStatus({
+      status: 'syncing',
+      eventId: job.fullEventId,
+      eventName: job.fullEventName,
+      current: progress.current + 1,
+      total: progress.total,
+      riderName: rider.name,
+      riderPosition: rider.position,
+      consecutiveFailures,
+    });
+
+    let analysis;
+    if (riderCount === 0) {
+      analysis = await checkDataAvailability(job, rider);
+    } else {
+      analysis = await fetchRiderAnalysis(rider.zwiftId, job.eventId);
+    }
+
+    if (currentSyncAbortController.signal.aborted && !analysis) {
+      job = { ...job, status: SYNC_JOB_STATUS.PAUSED };
+      break;
+    }
+
+    if (analysis) {
+      consecutiveFailures = 0;
+      riderCount++;
+      job = markRiderFetched(job, rider.zwiftId);
+      await saveRaceRider(createRaceMeta(job, riderCount, errors, true), createRiderWithAnalysis(rider, analysis, resultsByZwiftId[rider.zwiftId]));
+    } else {
+      consecutiveFailures++;
+      if (!errors.includes(rider.position)) errors.push(rider.position);
+      job = markRiderFailed(job, rider.zwiftId);
+
+      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        const error = `Sync stopped: ${consecutiveFailures} consecutive failures. Try again later.`;
+        job = { ...job, status: SYNC_JOB_STATUS.ERROR, error };
+        await updateSyncStatus({
+          status: 'error',
+          error,
+          eventId: job.fullEventId,
+          eventName: job.fullEventName,
+        });
+        break;
+      }
+    }
+
+    job = await saveRunningJob(job);
+  }
+
+  if (riderCount > 0) {
+    await saveRaceMeta(createRaceMeta(job, riderCount, errors, false));
+  }
+
+  if (job.status === SYNC_JOB_STATUS.RUNNING) {
+    let requeued = false;
+    await changeSyncQueue((queue) => {
+      const latest = mergeRunningJob(queue.find(j => j.id === job.id), job);
+      requeued = getPendingRiders(latest).length > 0;
+      // Riders added after the last save get another run; otherwise the job is done
+      return requeued
+        ? updateSyncJob(queue, { ...latest, status: SYNC_JOB_STATUS.QUEUED })
+        : removeSyncJob(queue, job.id);
+    });
+    if (requeued) return;
+
+    // Finished: report completion
+    await updateSyncStatus({
+      status: 'complete',
+      eventId: job.fullEventId,
+      eventName: job.fullEventName,
+      successfulSyncs: riderCount,
+      totalRiders: job.totalRiders,
+      errors: job.failedZwiftIds.length,
+    });
+  } else {
+    await saveRunningJob(job);
+  }
+}
+
+/**
+ * Run queued jobs one at a time until none are left
+ */
+function processSyncQueue() {
+  if (queueProcessing) return queueProcessing;
+
+  queueProcessing = (async () => {
+    let job;
+    while ((job = getNextQueuedJob(await getSyncQueue()))) {
+      runningJobId = job.id;
+      currentSyncAbortController = new AbortController();
+      try {
+        await runSyncJob(job);
+      } catch (error) {
+        await changeSyncQueue((queue) => {
+          const latest = queue.find(j => j.id === job.id) || job;
+          return updateSyncJob(queue, { ...latest, status: SYNC_JOB_STATUS.ERROR, error: error.message });
+        });
+        await updateSyncStatus({
+          status: 'error',
+          error: error.message,
+          eventId: job.fullEventId,
+          eventName: job.fullEventName,
+        });
+      }
+    }
+  })().finally(() => {
+    queueProcessing = null;
+    runningJobId = null;
+    currentSyncAbortController = null;
+  });
+
+  return queueProcessing;
+}
+
+/**
+ * Add sync jobs for prepared contexts and kick off the queue
+ */
+async function enqueueSyncContexts(contexts) {
+  const jobs = contexts.map(ctx => createSyncJob(ctx));
+  await changeSyncQueue(queue => jobs.reduce(enqueueSyncJob, queue));
+  processSyncQueue();
+  return jobs;
+}
+
+/**
+ * Ask a tab's content script to read riders (one context per category)
+ */
+async function prepareSyncInTab(tabId, selection, allCategories) {
+  const response = await chrome.tabs.sendMessage(tabId, { action: 'prepareSync', selection, allCategories });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Could not read riders from the page');
+  }
+  return response.contexts;
+}
+
+/**
+ * Read the rider list from the page and add sync jobs for it
+ */
+async function enqueueSyncFromTab(tabId, selection, allCategories = false) {
+  await updateSyncStatus({
+    status: 'starting',
+    message: allCategories ? 'Reading all categories...' : 'Starting sync...',
+  });
+
+  const contexts = await prepareSyncInTab(tabId, selection, allCategories);
+  return enqueueSyncContexts(contexts);
+}
+
+/**
+ * Wait until a tab has finished loading
+ */
+async function waitForTabComplete(tabId, timeoutMs = EVENT_TAB_LOAD_TIMEOUT_MS) {
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.status === 'complete') return;
+
+  await new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Timed out loading event page'));
+    }, timeoutMs);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+      clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Open an event in a background tab and read its rider lists
+ */
+async function prepareSyncForEvent(eventId, selection, allCategories) {
+  const tab = await chrome.tabs.create({ url: `${ZWIFTPOWER_EVENT_URL}${eventId}`, active: false });
+
+  try {
+    await waitForTabComplete(tab.id);
+
+    // The content script may not be listening yet right after load
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await prepareSyncInTab(tab.id, selection, allCategories);
+      } catch (error) {
+        const notReady = error.message?.includes('Receiving end does not exist');
+        if (!notReady || attempt >= CONTENT_SCRIPT_MAX_ATTEMPTS) throw error;
+        await delay(CONTENT_SCRIPT_RETRY_MS);
+      }
+    }
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Queue sync jobs for a list of ZwiftPower event IDs
+ * Events that fail to load are reported and skipped
+ */
+async function enqueueSyncForEvents(eventIds, selection, allCategories) {
+  const jobs = [];
+  const failed = [];
+
+  for (let i = 0; i < eventIds.length; i++) {
+    // Once the queue is running, its progress takes over the status line
+    if (!runningJobId) {
+      await updateSyncStatus({
+        status: 'starting',
+        message: `Reading event ${i + 1}/${eventIds.length} (${eventIds[i]})...`,
+      });
+    }
+
+    try {
+      const contexts = await prepareSyncForEvent(eventIds[i], selection, allCategories);
+      jobs.push(...await enqueueSyncContexts(contexts));
+    } catch (error) {
+      console.log(`[ZP Replay] Could not queue event ${eventIds[i]}: ${error.message}`);
+      failed.push(eventIds[i]);
+    }
+  }
+
+  if (jobs.length === 0) {
+    throw new Error(`Could not read any of the events: ${failed.join(', ')}`);
+  }
+
+  return { jobs, failed };
+}
+
+/**
+ * Recover state after the worker (re)starts: legacy races move to IndexedDB,
+ * running jobs become interrupted, stale syncInProgress flags are cleared
+ */
+async function recoverSyncState() {
+  try {
+    await migrateLegacyRaces();
+  } catch (error) {
+    console.log(`[ZP Replay] Race migration failed: ${error.message}`);
+  }
+
+  await changeSyncQueue(recoverInterruptedJobs);
+
+  await changeRaceIndex((index) => {
+    const { races, changed } = clearStaleSyncFlags(index);
+    return changed ? races : null;
+  });
+
+  const status = (await chrome.storage.local.get(STORAGE_KEY_SYNC_STATUS))[STORAGE_KEY_SYNC_STATUS];
+  if (status && ['starting', 'checking', 'syncing'].includes(status.status)) {
+    await chrome.storage.local.remove(STORAGE_KEY_SYNC_STATUS);
+  }
+
+  processSyncQueue();
+}
+
+const syncStateReady = recoverSyncState();
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === STORAGE_READY_ACTION) {
+    syncStateReady.catch(() => {}).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
   if (message.action === 'startSync' && message.tabId) {
-    chrome.tabs.sendMessage(message.tabId, { action: 'startSync' })
-      .then(sendResponse)
-      .catch((error) => {
+    syncStateReady
+      .then(() => enqueueSyncFromTab(message.tabId, message.selection, message.allCategories))
+      .then(jobs => sendResponse({ success: true, jobIds: jobs.map(j => j.id) }))
+      .catch(async (error) => {
+        await updateSyncStatus({ status: 'error', error: error.message });
         sendResponse({ success: false, error: error.message });
       });
     return true;
   }
 
-  if (message.action === 'cancelSync' && message.tabId) {
-    chrome.tabs.sendMessage(message.tabId, { action: 'cancelSync' })
-      .then(sendResponse)
-      .catch((error) => {
+  if (message.action === 'startBatchSync' && message.eventIds?.length) {
+    syncStateReady
+      .then(() => enqueueSyncForEvents(message.eventIds, message.selection, message.allCategories))
+      .then(({ jobs, failed }) => sendResponse({ success: true, jobIds: jobs.map(j => j.id), failed }))
+      .catch(async (error) => {
+        await updateSyncStatus({ status: 'error', error: error.message });
         sendResponse({ success: false, error: error.message });
       });
     return true;
   }
 
+  if (message.action === 'cancelSync') {
+    cancelSync();
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.action === 'resumeSync' && message.jobId) {
+    (async () => {
+      await syncStateReady;
+      await changeSyncQueue(queue => resumeSyncJob(queue, message.jobId));
+      processSyncQueue();
+      sendResponse({ success: true });
+    })().catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'removeSyncJob' && message.jobId) {
+    (async () => {
+      await syncStateReady;
+      if (message.jobId === runningJobId) cancelSync();
+      await changeSyncQueue(queue => removeSyncJob(queue, message.jobId));
+      sendResponse({ success: true });
+    })().catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   return false;
 });
 
@@ -1,26 +1,20 @@
 /**
  * Content script for ZwiftPower pages
- * Extracts rider list and fetches analysis data
+ * Extracts rider list for the background sync queue
  */
 
 const ZWIFTPOWER_EVENT_PATTERN = /zwiftpower\.com\/events\.php\?zid=(\d+)/;
-const ZWIFTPOWER_API_BASE = 'https://zwiftpower.com/api3.php';
-const MAX_RIDERS_TO_SYNC = 50;
-const DELAY_BETWEEN_REQUESTS_MS = 1500;
+const ESTIMATED_REQUEST_MS = 1000;
 const HIGHLIGHTED_ROW_CLASS = 'pointed';
-const FETCH_TIMEOUT_MS = 15000;
-const MAX_RETRIES = 2;
-const MAX_CONSECUTIVE_FAILURES = 5;
 const PROFILE_LINK_SELECTOR = 'a[href*="profile.php?z="]';
 const ZWIFT_ID_PATTERN = /z=(\d+)/;
+const TEAM_LINK_SELECTOR = 'a[href*="team.php"]';
 const TABLE_LOAD_TIMEOUT_MS = 5000;
 const PAGE_INFO_TIMEOUT_MS = 3000;
 const TABLE_POLL_INTERVAL_MS = 200;
+const CATEGORY_BUTTON_SELECTOR = 'button[data-value]';
+const CATEGORY_SWITCH_TIMEOUT_MS = 5000;
 const MAX_VALID_POSITION = 200;
-const MAX_SYNCED_RACES = 15;
-
-// Sync state
-let currentSyncAbortController = null;
 
 /**
  * Extract event ID from current URL
@@ -70,6 +64,40 @@ function detectActiveCategoryId() {
   return null;
 }
 
+/**
+ * List race categories (A-E) offered by the category buttons on the page
+ */
+function getAvailableCategoryIds() {
+  const values = [...document.querySelectorAll(CATEGORY_BUTTON_SELECTOR)].map(btn => btn.dataset.value);
+  return sortCategoryIds(values.filter(isValidCategory));
+}
+
+/**
+ * Show another category's results and wait for its table
+ */
+async function switchCategory(categoryId) {
+  const button = [...document.querySelectorAll(CATEGORY_BUTTON_SELECTOR)]
+    .find(btn => btn.dataset.value?.toUpperCase() === categoryId);
+
+  if (button) {
+    button.click();
+  } else {
+    window.location.hash = `#_${categoryId}`;
+  }
+
+  const startTime = Date.now();
+  while (Date.now() - startTime < CATEGORY_SWITCH_TIMEOUT_MS) {
+    if (detectActiveCategoryId() === categoryId && getActiveCategory().table) {
+      // Let the results table finish redrawing
+      await new Promise(r => setTimeout(r, TABLE_POLL_INTERVAL_MS));
+      return true;
+    }
+    await new Promise(r => setTimeout(r, TABLE_POLL_INTERVAL_MS));
+  }
+
+  return false;
+}
+
 function detectCurrentUserZwiftId() {
   const profileLinks = document.querySelectorAll(PROFILE_LINK_SELECTOR);
 
@@ -143,6 +171,12 @@ function findPositionFromRow(row) {
   return null;
 }
 
+function findTeamFromRow(row) {
+  const teamLink = row.querySelector(TEAM_LINK_SELECTOR);
+  const team = teamLink?.textContent?.trim();
+  return team || null;
+}
+
 function parseRiderFromRow(row, link, currentUserZwiftId) {
   const position = findPositionFromRow(row);
   if (!position) return null;
@@ -157,6 +191,7 @@ function parseRiderFromRow(row, link, currentUserZwiftId) {
     position,
     name,
     zwiftId,
+    team: findTeamFromRow(row),
     isCurrentUser: zwiftId === currentUserZwiftId,
   };
 }
@@ -198,154 +233,19 @@ function getRidersFromPage() {
 
 
 /**
- * Fetch with timeout
- */
-async function fetchWithTimeout(url, options, timeoutMs = FETCH_TIMEOUT_MS) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-    });
-    clearTimeout(timeoutId);
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    if (error.name === 'AbortError') {
-      throw new Error(`Request timeout after ${timeoutMs}ms`);
-    }
-    throw error;
-  }
-}
-
-/**
- * Fetch analysis data for a single rider with retry logic
- */
-async function fetchRiderAnalysis(zwiftId, eventId, retries = MAX_RETRIES) {
-  const url = `${ZWIFTPOWER_API_BASE}?do=analysis&zwift_id=${zwiftId}&zwift_event_id=${eventId}`;
-
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      if (currentSyncAbortController?.signal.aborted) {
-        return null;
-      }
-
-      const response = await fetchWithTimeout(url, {
-        headers: {
-          'accept': 'application/json',
-          'x-requested-with': 'XMLHttpRequest',
-        },
-        credentials: 'include',
-      });
-
-      if (!response.ok) {
-        console.log(`[ZP Replay] HTTP ${response.status} for rider ${zwiftId}`);
-        if (attempt < retries && response.status >= 500) {
-          await delay(DELAY_BETWEEN_REQUESTS_MS);
-          continue;
-        }
-        return null;
-      }
-
-      const text = await response.text();
-      if (!text || text.trim() === '') {
-        return null;
-      }
-
-      let data;
-      try {
-        data = JSON.parse(text);
-      } catch {
-        console.log(`[ZP Replay] Invalid JSON for rider ${zwiftId}`);
-        return null;
-      }
-
-      if (!data.xData || data.xData.length === 0) {
-        return null;
-      }
-
-      return {
-        distance: data.xData || [],
-        time: data.x2Data || [],
-        power: data.datasets?.['1']?.data || [],
-        heartRate: data.datasets?.['2']?.data || [],
-        elevation: data.datasets?.['0']?.data || [],
-        duration: data.x2Data?.length || 0,
-        totalDistance: data.xData?.[data.xData.length - 1] || 0,
-      };
-    } catch (error) {
-      console.log(`[ZP Replay] Fetch failed for rider ${zwiftId}: ${error.message}`);
-      if (attempt < retries) {
-        await delay(DELAY_BETWEEN_REQUESTS_MS);
-        continue;
-      }
-      return null;
-    }
-  }
-  return null;
-}
-
-/**
- * Delay helper
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Update sync status in storage
- */
-async function updateSyncStatus(status) {
-  await chrome.storage.local.set({ syncStatus: status });
-}
-
-/**
- * Get existing race data from storage
+ * Get the race index entry of an already synced race
  */
 async function getExistingRaceData(eventId) {
-  const existing = await chrome.storage.local.get('syncedRaces');
-  const races = existing.syncedRaces || {};
+  const existing = await chrome.storage.local.get('raceIndex');
+  const races = existing.raceIndex || {};
   return races[eventId] || null;
 }
 
 /**
- * Save race data to storage, enforcing max limit
+ * Read riders from the page and pick the ones to sync
+ * Fetching happens in the background worker so it survives tab navigation
  */
-async function saveRaceData(raceData) {
-  const existing = await chrome.storage.local.get('syncedRaces');
-  const races = existing.syncedRaces || {};
-
-  // If adding a new race and at limit, remove oldest
-  if (!races[raceData.eventId]) {
-    const raceIds = Object.keys(races);
-    if (raceIds.length >= MAX_SYNCED_RACES) {
-      const oldest = raceIds.reduce((oldestId, id) => {
-        if (!oldestId) return id;
-        return new Date(races[id].syncedAt) < new Date(races[oldestId].syncedAt) ? id : oldestId;
-      }, null);
-      if (oldest) {
-        delete races[oldest];
-      }
-    }
-  }
-
-  races[raceData.eventId] = raceData;
-  await chrome.storage.local.set({ syncedRaces: races });
-}
-
-/**
- * Cancel any ongoing sync
- */
-function cancelSync() {
-  if (currentSyncAbortController) {
-    currentSyncAbortController.abort();
-    currentSyncAbortController = null;
-  }
-}
-
-async function prepareSyncContext() {
+async function prepareSyncContext(selection) {
   const eventId = getEventIdFromUrl();
   if (!eventId) {
     throw new Error('Not on a ZwiftPower event page');
@@ -360,188 +260,67 @@ async function prepareSyncContext() {
     throw new Error('No riders found in category.');
   }
 
-  const ridersToSync = selectRidersToSync(allRiders, MAX_RIDERS_TO_SYNC);
+  const ridersToSync = selectRidersBySettings(allRiders, selection);
+  if (ridersToSync.length === 0) {
+    throw new Error('No riders match the selected sync settings.');
+  }
+
   const fullEventName = categoryName ? `${eventName} - ${categoryName}` : eventName;
   const fullEventId = categoryId ? `${eventId}_${categoryId}` : eventId;
 
-  const existingRace = await getExistingRaceData(fullEventId);
-  const existingRiderIds = new Set(existingRace?.riders?.map(r => r.zwiftId) || []);
-  const newRidersToSync = ridersToSync.filter(r => !existingRiderIds.has(r.zwiftId));
-
   return {
     eventId,
     fullEventId,
     fullEventName,
     allRiders,
     ridersToSync,
-    newRidersToSync,
-    existingRace,
     currentUserZwiftId,
     categoryId,
     categoryName,
   };
 }
 
-function createRiderWithAnalysis(rider, analysis) {
-  return {
-    position: rider.position,
-    name: rider.name,
-    zwiftId: rider.zwiftId,
-    isCurrentUser: rider.isCurrentUser,
-    ...analysis,
-  };
-}
-
-function createRaceResult(ctx, riderData, errors, syncProgress, syncInProgress) {
-  return {
-    eventId: ctx.fullEventId,
-    eventName: ctx.fullEventName,
-    riders: riderData,
-    errors,
-    totalRiders: ctx.allRiders.length,
-    syncedRiders: ctx.ridersToSync.length,
-    successfulSyncs: riderData.length,
-    currentUserZwiftId: ctx.currentUserZwiftId,
-    categoryId: ctx.categoryId,
-    categoryName: ctx.categoryName,
-    syncedAt: new Date().toISOString(),
-    syncInProgress,
-    syncProgress,
-  };
-}
-
-async function checkDataAvailability(ctx) {
-  await updateSyncStatus({
-    status: 'checking',
-    eventId: ctx.fullEventId,
-    eventName: ctx.fullEventName,
-    message: 'Checking if race data is available...',
-  });
-
-  const testRider = ctx.newRidersToSync[0];
-  const testAnalysis = await fetchRiderAnalysis(testRider.zwiftId, ctx.eventId);
+/**
+ * Prepare sync contexts for every category of the event
+ * Falls back to the visible table when the event has no category buttons
+ */
+async function prepareAllCategoryContexts(selection) {
+  await waitForTableData(TABLE_LOAD_TIMEOUT_MS);
 
-  if (!testAnalysis) {
-    throw new Error('Race analysis not ready yet. ZwiftPower may still be processing - try again later.');
+  const categoryIds = getAvailableCategoryIds();
+  if (categoryIds.length === 0) {
+    return [await prepareSyncContext(selection)];
   }
 
-  return { testRider, testAnalysis };
-}
-
-async function syncRemainingRiders(ctx, riderData, errors, startIndex) {
-  let consecutiveFailures = 0;
+  const originalCategoryId = detectActiveCategoryId();
+  const contexts = [];
 
-  for (let i = startIndex; i < ctx.newRidersToSync.length; i++) {
-    if (currentSyncAbortController?.signal.aborted) {
-      break;
+  for (const categoryId of categoryIds) {
+    if (!(await switchCategory(categoryId))) {
+      console.log(`[ZP Replay] Could not switch to category ${categoryId}`);
+      continue;
     }
 
-    const rider = ctx.newRidersToSync[i];
-
-    await updateSyncStatus({
-      status: 'syncing',
-      eventId: ctx.fullEventId,
-      eventName: ctx.fullEventName,
-      current: i + 1,
-      total: ctx.newRidersToSync.length,
-      riderName: rider.name,
-      riderPosition: rider.position,
-      consecutiveFailures,
-    });
-
-    await delay(DELAY_BETWEEN_REQUESTS_MS);
-
-    const analysis = await fetchRiderAnalysis(rider.zwiftId, ctx.eventId);
-
-    if (analysis) {
-      consecutiveFailures = 0;
-      riderData.push(createRiderWithAnalysis(rider, analysis));
-
-      const progress = { current: i + 1, total: ctx.newRidersToSync.length };
-      const raceResult = createRaceResult(ctx, riderData, errors, progress, true);
-      await saveRaceData(raceResult);
-    } else {
-      consecutiveFailures++;
-      errors.push(rider.position);
-
-      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-        await updateSyncStatus({
-          status: 'error',
-          error: `Sync stopped: ${consecutiveFailures} consecutive failures. Try again later.`,
-          eventId: ctx.fullEventId,
-          eventName: ctx.fullEventName,
-        });
-        break;
-      }
+    try {
+      contexts.push(await prepareSyncContext(selection));
+    } catch (error) {
+      console.log(`[ZP Replay] Skipping category ${categoryId}: ${error.message}`);
     }
   }
-}
 
-async function syncRaceData() {
-  cancelSync();
-  currentSyncAbortController = new AbortController();
-
-  const ctx = await prepareSyncContext();
-
-  if (ctx.newRidersToSync.length === 0) {
-    await updateSyncStatus({
-      status: 'complete',
-      eventId: ctx.fullEventId,
-      eventName: ctx.fullEventName,
-      successfulSyncs: ctx.existingRace.riders.length,
-      totalRiders: ctx.allRiders.length,
-      errors: 0,
-      message: 'All riders already synced',
-    });
-    return ctx.existingRace;
+  if (originalCategoryId && originalCategoryId !== detectActiveCategoryId()) {
+    await switchCategory(originalCategoryId);
   }
 
-  const { testRider, testAnalysis } = await checkDataAvailability(ctx);
-
-  const riderData = [...(ctx.existingRace?.riders || [])];
-  const errors = [];
-
-  riderData.push(createRiderWithAnalysis(testRider, testAnalysis));
-
-  const initialProgress = { current: 1, total: ctx.newRidersToSync.length };
-  let raceResult = createRaceResult(ctx, riderData, errors, initialProgress, true);
-  await saveRaceData(raceResult);
-
-  await updateSyncStatus({
-    status: 'syncing',
-    eventId: ctx.fullEventId,
-    eventName: ctx.fullEventName,
-    current: 1,
-    total: ctx.newRidersToSync.length,
-    riderName: testRider.name,
-    riderPosition: testRider.position,
-  });
-
-  await syncRemainingRiders(ctx, riderData, errors, 1);
-
-  raceResult = createRaceResult(ctx, riderData, errors, null, false);
-  await saveRaceData(raceResult);
-
-  await updateSyncStatus({
-    status: 'complete',
-    eventId: ctx.fullEventId,
-    eventName: ctx.fullEventName,
-    successfulSyncs: riderData.length,
-    totalRiders: ctx.allRiders.length,
-    errors: errors.length,
-  });
+  if (contexts.length === 0) {
+    throw new Error('No riders found in any category.');
+  }
 
-  return raceResult;
+  return contexts;
 }
 
 // Listen for messages
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'cancelSync') {
-    cancelSync();
-    sendResponse({ success: true });
-    return true;
-  }
-
   if (message.action === 'getPageInfo') {
     (async () => {
       const eventId = getEventIdFromUrl();
@@ -553,33 +332,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       await waitForTableData(PAGE_INFO_TIMEOUT_MS);
 
       const { riders, categoryId, categoryName } = getRidersFromPage();
-      const ridersToSync = selectRidersToSync(riders, MAX_RIDERS_TO_SYNC);
+      const ridersToSync = selectRidersBySettings(riders, message.selection);
+
+      const fullEventId = categoryId ? `${eventId}_${categoryId}` : eventId;
+      const existingRace = await getExistingRaceData(fullEventId);
+      const existingRiderIds = new Set(existingRace?.riderZwiftIds || []);
+      const newSyncCount = ridersToSync.filter(r => !existingRiderIds.has(r.zwiftId)).length;
 
       sendResponse({
         eventId,
         eventName: getEventName(),
         riderCount: riders.length,
         syncCount: ridersToSync.length,
+        newSyncCount,
+        // The background scheduler starts at this spacing and adapts from there
+        estimatedSyncSeconds: estimateSyncSeconds(newSyncCount, SCHEDULER_START_DELAY_MS, ESTIMATED_REQUEST_MS),
         isEventPage: true,
         userParticipates: riders.some(r => r.isCurrentUser),
+        riders: riders.map(r => ({
+          position: r.position,
+          name: r.name,
+          zwiftId: r.zwiftId,
+          team: r.team,
+          isCurrentUser: r.isCurrentUser,
+        })),
         categoryId,
         categoryName,
+        availableCategories: getAvailableCategoryIds(),
       });
     })();
     return true;
   }
 
-  if (message.action === 'startSync') {
-    (async () => {
-      try {
-        await updateSyncStatus({ status: 'starting' });
-        const result = await syncRaceData();
-        sendResponse({ success: true, data: result });
-      } catch (error) {
-        await updateSyncStatus({ status: 'error', error: error.message });
-        sendResponse({ success: false, error: error.message });
-      }
-    })();
+  if (message.action === 'prepareSync') {
+    const prepare = message.allCategories
+      ? prepareAllCategoryContexts(message.selection)
+      : prepareSyncContext(message.selection).then(context => [context]);
+
+    prepare
+      .then(contexts => sendResponse({ success: true, contexts }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 
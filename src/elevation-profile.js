@@ -0,0 +1,165 @@
+/**
+ * Elevation profile drawing helpers for ZwiftPower Race Replay
+ * Slices the course profile to the zoomed range, colors it by gradient and
+ * picks readable axis ticks
+ */
+
+// Gradient bands (percent), steepest last; descents and flats share the first colors
+const GRADIENT_COLORS = [
+  { minGradient: -Infinity, color: '#58a6ff' },
+  { minGradient: -1, color: '#3fb950' },
+  { minGradient: 2, color: '#d29922' },
+  { minGradient: 5, color: '#f0883e' },
+  { minGradient: 8, color: '#f85149' },
+  { minGradient: 12, color: '#a371f7' },
+];
+const NICE_TICK_FACTORS = [1, 2, 5, 10];
+const DEFAULT_MAX_TICKS = 6;
+
+/**
+ * Color for a gradient
+ * @param {number} gradient - Gradient in percent
+ * @returns {string} CSS color
+ */
+function getGradientColor(gradient) {
+  let color = GRADIENT_COLORS[0].color;
+  for (const band of GRADIENT_COLORS) {
+    if (gradient >= band.minGradient) color = band.color;
+  }
+  return color;
+}
+
+/**
+ * Round a tick step up to 1, 2 or 5 times a power of ten
+ * @param {number} range - Axis range
+ * @param {number} maxTicks - Most ticks wanted
+ * @returns {number} Tick step
+ */
+function calcNiceTickStep(range, maxTicks = DEFAULT_MAX_TICKS) {
+  if (!(range > 0)) return 1;
+  const rough = range / Math.max(1, maxTicks);
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const factor = NICE_TICK_FACTORS.find(f => f * magnitude >= rough);
+  return factor * magnitude;
+}
+
+/**
+ * Tick values inside a range at a nice step
+ * @param {number} min - Axis minimum
+ * @param {number} max - Axis maximum
+ * @param {number} maxTicks - Most ticks wanted
+ * @returns {Array} Tick values
+ */
+function buildAxisTicks(min, max, maxTicks = DEFAULT_MAX_TICKS) {
+  const step = calcNiceTickStep(max - min, maxTicks);
+  const ticks = [];
+  for (let i = Math.ceil(min / step); i * step <= max + step * 1e-9; i++) {
+    // Round away floating point noise (e.g., 0.30000000000000004)
+    ticks.push(parseFloat((i * step).toPrecision(12)));
+  }
+  return ticks;
+}
+
+/**
+ * Profile points covering a distance range
+ * Keeps the points just outside the range so the path reaches both edges
+ * @param {Array} profile - [{ distance, elevation }] sorted by distance
+ * @param {number} startKm - Range start
+ * @param {number} endKm - Range end
+ * @returns {Array} Points in the range
+ */
+function sliceProfile(profile, startKm, endKm) {
+  const first = profile.findIndex(p => p.distance >= startKm);
+  if (first === -1) return profile.slice(-1);
+  let last = first;
+  while (last < profile.length - 1 && profile[last].distance < endKm) last++;
+  return profile.slice(Math.max(0, first - 1), last + 1);
+}
+
+/**
+ * Elevation at a distance, blending the profile points either side
+ * Lets markers glide along the profile instead of stepping between points
+ * @param {Array} profile - [{ distance, elevation }] sorted by distance
+ * @param {number} km - Distance
+ * @returns {number|null} Elevation in metres
+ */
+function interpolateProfileElevation(profile, km) {
+  if (profile.length === 0) return null;
+  const idx = findProfileIndex(profile, km);
+  const after = profile[idx];
+  const before = profile[idx - 1];
+  if (!before || km >= after.distance) return after.elevation;
+  return lerp(before.elevation, after.elevation, (km - before.distance) / (after.distance - before.distance));
+}
+
+/**
+ * Thin a profile to at most maxPoints, keeping the last point
+ * @param {Array} points - Profile points
+ * @param {number} maxPoints - Most points to keep
+ * @returns {Array} Points
+ */
+function downsampleProfile(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+  const step = Math.ceil(points.length / maxPoints);
+  const sampled = points.filter((_, i) => i % step === 0);
+  if (sampled[sampled.length - 1] !== points[points.length - 1]) sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+/**
+ * Split a profile into runs of the same gradient color
+ * Neighbouring runs share their boundary point so the path stays continuous
+ * @param {Array} points - Profile points
+ * @returns {Array} [{ color, points }]
+ */
+function buildGradientRuns(points) {
+  const runs = [];
+  for (let i = 1; i < points.length; i++) {
+    const lengthM = (points[i].distance - points[i - 1].distance) * 1000;
+    const gradient = lengthM > 0 ? (points[i].elevation - points[i - 1].elevation) / lengthM * 100 : 0;
+    const color = getGradientColor(gradient);
+    const run = runs[runs.length - 1];
+    if (run && run.color === color) {
+      run.points.push(points[i]);
+    } else {
+      runs.push({ color, points: [points[i - 1], points[i]] });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Lowest and highest elevation and total ascent
+ * @param {Array} points - Profile points
+ * @returns {Object|null} { min, max, ascent } in metres
+ */
+function calcProfileStats(points) {
+  if (points.length === 0) return null;
+  let min = points[0].elevation;
+  let max = points[0].elevation;
+  let ascent = 0;
+  for (let i = 1; i < points.length; i++) {
+    const elevation = points[i].elevation;
+    min = Math.min(min, elevation);
+    max = Math.max(max, elevation);
+    ascent += Math.max(0, elevation - points[i - 1].elevation);
+  }
+  return { min, max, ascent };
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getGradientColor,
+    calcNiceTickStep,
+    buildAxisTicks,
+    sliceProfile,
+    interpolateProfileElevation,
+    downsampleProfile,
+    buildGradientRuns,
+    calcProfileStats,
+    // Constants
+    GRADIENT_COLORS,
+    DEFAULT_MAX_TICKS,
+  };
+}
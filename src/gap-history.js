@@ -0,0 +1,113 @@
+/**
+ * Gap history for ZwiftPower Race Replay
+ * The watched rider's time gap to the leader, the group ahead and compared
+ * riders across the whole race, using the same gap logic as the live header
+ */
+
+const GAP_HISTORY_STEP_SECONDS = 10;
+const GAP_AXES = {
+  TIME: 'time',
+  DISTANCE: 'distance',
+};
+
+/**
+ * Calculate the watched rider's gaps at a time
+ * Positive gaps mean the watched rider is behind
+ * @param {Array} standings - Standings from getStandingsAt
+ * @param {Object} watched - Watched rider
+ * @param {Array} compared - Compared riders
+ * @param {number} time - Time in seconds
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {Object} grouping - Grouping settings (see DEFAULT_GROUPING)
+ * @returns {Object|null} { leader, groupAhead, compared: { [zwiftId]: gap } }
+ */
+function calcGapsAt(standings, watched, compared, time, sampleInterval, grouping = DEFAULT_GROUPING) {
+  const you = standings.find(r => r.zwiftId === watched.zwiftId);
+  if (!you) return null;
+
+  const leader = standings[0];
+  const groups = detectGroups(standings, time, you.position, sampleInterval, grouping);
+  const yourGroupIdx = groups.findIndex(g => g.hasYou);
+  const groupAhead = yourGroupIdx > 0 ? groups[yourGroupIdx - 1] : null;
+
+  const gaps = {
+    leader: leader === you ? 0 : calcTimeGap(leader, you, time, sampleInterval),
+    groupAhead: groupAhead
+      ? calcTimeGap(groupAhead.riders[groupAhead.riders.length - 1], you, time, sampleInterval)
+      : null,
+    compared: {},
+  };
+
+  for (const rider of compared) {
+    const other = standings.find(r => r.zwiftId === rider.zwiftId);
+    if (other) gaps.compared[rider.zwiftId] = calcTimeGap(other, you, time, sampleInterval);
+  }
+  return gaps;
+}
+
+/**
+ * Build the watched rider's gaps across the race
+ * Stops when the watched rider finishes
+ * @param {Array} riders - All riders
+ * @param {Object} watched - Watched rider
+ * @param {Array} compared - Compared riders
+ * @param {Object} options - { sampleInterval, totalDistanceKm, step, grouping }
+ * @returns {Array} [{ time, distance, leader, groupAhead, compared }]
+ */
+function buildGapHistory(riders, watched, compared, {
+  sampleInterval = 1, totalDistanceKm, step = GAP_HISTORY_STEP_SECONDS, grouping = DEFAULT_GROUPING,
+}) {
+  const points = [];
+  const endTime = watched.duration * sampleInterval;
+
+  for (let time = 0; time <= endTime; time += step) {
+    const standings = getStandingsAt(riders, time, sampleInterval, totalDistanceKm);
+    const gaps = calcGapsAt(standings, watched, compared, time, sampleInterval, grouping);
+    if (!gaps) continue;
+
+    points.push({
+      time,
+      distance: calcCurrentDistance(watched, time, sampleInterval, totalDistanceKm),
+      ...gaps,
+    });
+  }
+  return points;
+}
+
+/**
+ * Find the time at which the watched rider reached a distance
+ * @param {Array} points - Gap history
+ * @param {number} distance - Distance in km
+ * @returns {number} Time in seconds
+ */
+function findTimeAtDistance(points, distance) {
+  const point = points.find(p => p.distance >= distance);
+  return point ? point.time : points[points.length - 1]?.time ?? 0;
+}
+
+/**
+ * Format a gap with its sign (e.g., +12s, -1:05)
+ * @param {number} seconds - Gap in seconds, positive when behind
+ * @returns {string} Signed gap
+ */
+function formatSignedGap(seconds) {
+  const rounded = Math.round(seconds);
+  if (rounded === 0) return '0s';
+  const sign = rounded > 0 ? '+' : '-';
+  const abs = Math.abs(rounded);
+  if (abs < SECONDS_PER_MINUTE) return `${sign}${abs}s`;
+  return `${sign}${Math.floor(abs / SECONDS_PER_MINUTE)}:${String(abs % SECONDS_PER_MINUTE).padStart(2, '0')}`;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calcGapsAt,
+    buildGapHistory,
+    findTimeAtDistance,
+    formatSignedGap,
+    // Constants
+    GAP_AXES,
+    GAP_HISTORY_STEP_SECONDS,
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Group history for ZwiftPower Race Replay
+ * Evaluates detectGroups across the whole race and lays out a "river" of
+ * groups forming, splitting and merging over time
+ */
+
+const GROUP_HISTORY_STEP_SECONDS = 10;
+const RIVER_GROUP_GAP_PX = 2;
+
+/**
+ * Evaluate groups at regular times through the race
+ * Groups are tracked from snapshot to snapshot, so IDs stay with a group
+ * @param {Array} riders - Riders with power and distance arrays
+ * @param {number} maxTime - Race length in seconds
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {number} step - Seconds between snapshots
+ * @param {Object} grouping - Grouping settings (see DEFAULT_GROUPING)
+ * @param {number} totalDistanceKm - Race distance (for riders without distance data)
+ * @returns {Array} [{ time, groups: [{ id, name, riderIds, size, avgPower, timeGapToLeader }] }]
+ */
+function buildGroupHistory(
+  riders, maxTime, sampleInterval = 1, step = GROUP_HISTORY_STEP_SECONDS, grouping = DEFAULT_GROUPING,
+  totalDistanceKm = calcRaceDistanceKm(riders)
+) {
+  const tracker = createGroupTracker(grouping);
+  const history = [];
+  for (let time = 0; time <= maxTime; time += step) {
+    const standings = getStandingsAt(riders, time, sampleInterval, totalDistanceKm);
+    const groups = tracker.detect(standings, time, null, sampleInterval);
+    history.push({
+      time,
+      groups: groups.map(g => ({
+        id: g.id,
+        name: g.name,
+        riderIds: g.riders.map(r => r.zwiftId),
+        size: g.riders.length,
+        avgPower: g.avgPower,
+        timeGapToLeader: g.timeGapToLeader,
+      })),
+    });
+  }
+  return history;
+}
+
+/**
+ * Count riders moving between groups of two snapshots
+ * @param {Object} from - Earlier snapshot
+ * @param {Object} to - Later snapshot
+ * @returns {Array} [{ from, to, count }] group index pairs
+ */
+function getGroupTransitions(from, to) {
+  const nextGroup = new Map();
+  to.groups.forEach((group, gIdx) => {
+    group.riderIds.forEach(id => nextGroup.set(id, gIdx));
+  });
+
+  const counts = new Map();
+  from.groups.forEach((group, gIdx) => {
+    for (const id of group.riderIds) {
+      const target = nextGroup.get(id);
+      if (target === undefined) continue;
+      const key = `${gIdx}:${target}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  });
+
+  return [...counts.entries()]
+    .map(([key, count]) => {
+      const [fromIdx, toIdx] = key.split(':').map(Number);
+      return { from: fromIdx, to: toIdx, count };
+    })
+    .sort((a, b) => a.from - b.from || a.to - b.to);
+}
+
+/**
+ * Lay out group history as stacked bands joined by flows
+ * Band height is proportional to group size; groups are stacked leader first
+ * @param {Array} history - Snapshots from buildGroupHistory
+ * @param {number} width - Drawing width in pixels
+ * @param {number} height - Drawing height in pixels
+ * @returns {Object} { columns: [{ x, time, bands: [{ y0, y1, gIdx, id, size }] }], flows: [...] }
+ */
+function layoutGroupRiver(history, width, height) {
+  if (history.length === 0) return { columns: [], flows: [] };
+
+  const maxRiders = Math.max(1, ...history.map(s => s.groups.reduce((sum, g) => sum + g.size, 0)));
+  const maxGroups = Math.max(1, ...history.map(s => s.groups.length));
+  const riderHeight = Math.max(0, height - (maxGroups - 1) * RIVER_GROUP_GAP_PX) / maxRiders;
+  const xStep = history.length > 1 ? width / (history.length - 1) : 0;
+
+  const columns = history.map((snapshot, i) => {
+    let y = 0;
+    const bands = snapshot.groups.map((group, gIdx) => {
+      const band = { y0: y, y1: y + group.size * riderHeight, gIdx, id: group.id, size: group.size };
+      y = band.y1 + RIVER_GROUP_GAP_PX;
+      return band;
+    });
+    return { x: i * xStep, time: snapshot.time, bands };
+  });
+
+  const flows = [];
+  for (let i = 0; i < history.length - 1; i++) {
+    const outOffset = columns[i].bands.map(b => b.y0);
+    const inOffset = columns[i + 1].bands.map(b => b.y0);
+    // Incoming flows are ordered by source group so they don't cross inside a band
+    const incoming = getGroupTransitions(history[i], history[i + 1]);
+    const inOrder = [...incoming].sort((a, b) => a.to - b.to || a.from - b.from);
+    const inY = new Map();
+    for (const t of inOrder) {
+      inY.set(`${t.from}:${t.to}`, inOffset[t.to]);
+      inOffset[t.to] += t.count * riderHeight;
+    }
+
+    for (const t of incoming) {
+      const thickness = t.count * riderHeight;
+      const y1 = inY.get(`${t.from}:${t.to}`);
+      flows.push({
+        x0: columns[i].x,
+        x1: columns[i + 1].x,
+        y0: outOffset[t.from],
+        y1,
+        thickness,
+        fromGroup: t.from,
+        toGroup: t.to,
+        fromGroupId: history[i].groups[t.from].id,
+        count: t.count,
+      });
+      outOffset[t.from] += thickness;
+    }
+  }
+
+  return { columns, flows };
+}
+
+/**
+ * Find the snapshot closest to a time
+ * @param {Array} history - Snapshots
+ * @param {number} time - Time in seconds
+ * @returns {Object|null} Snapshot
+ */
+function findGroupSnapshot(history, time) {
+  if (history.length === 0) return null;
+  let best = history[0];
+  for (const snapshot of history) {
+    if (Math.abs(snapshot.time - time) < Math.abs(best.time - time)) best = snapshot;
+  }
+  return best;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildGroupHistory,
+    getGroupTransitions,
+    layoutGroupRiver,
+    findGroupSnapshot,
+    // Constants
+    GROUP_HISTORY_STEP_SECONDS,
+    RIVER_GROUP_GAP_PX,
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Rider marker layout for ZwiftPower Race Replay
+ * Places riders on the course profile for the canvas marker layer and finds
+ * the marker under the pointer, since canvas drawings can't take clicks
+ */
+
+const MARKER_RADIUS = 5;
+const WATCHING_MARKER_RADIUS = 8;
+const HOVERED_MARKER_RADIUS = 7;
+// Extra pixels around a marker that still count as a hit
+const MARKER_HIT_SLOP_PX = 3;
+
+/**
+ * Position riders on the course profile
+ * The watched rider comes last so it is drawn on top
+ * @param {Array} groups - Groups from detectGroups, riders with progress and currentDistance
+ * @param {Object} view - { zoomStart, zoomEnd, width, height, topPadding, bottomPadding,
+ *   minElevation, maxElevation, watchingPosition, elevationAt(km) }
+ * @returns {Array} [{ x, y, radius, rider, group, isWatching }]
+ */
+function layoutRiderMarkers(groups, view) {
+  const zoomRange = view.zoomEnd - view.zoomStart || 1;
+  const elevationRange = view.maxElevation - view.minElevation || 1;
+  const markerRange = view.height - view.topPadding - view.bottomPadding;
+
+  const markers = [];
+  let watching = null;
+  for (const group of groups) {
+    for (const rider of group.riders) {
+      if (rider.progress < view.zoomStart || rider.progress > view.zoomEnd) continue;
+
+      const elevation = view.elevationAt(rider.currentDistance) ?? view.minElevation;
+      const isWatching = rider.position === view.watchingPosition;
+      const marker = {
+        x: ((rider.progress - view.zoomStart) / zoomRange) * view.width,
+        y: view.height - view.bottomPadding - ((elevation - view.minElevation) / elevationRange) * markerRange,
+        radius: isWatching ? WATCHING_MARKER_RADIUS : MARKER_RADIUS,
+        rider,
+        group,
+        isWatching,
+      };
+      if (isWatching) {
+        watching = marker;
+      } else {
+        markers.push(marker);
+      }
+    }
+  }
+  if (watching) markers.push(watching);
+  return markers;
+}
+
+/**
+ * Find the marker under a point
+ * Prefers the marker drawn on top, then the nearest
+ * @param {Array} markers - Markers from layoutRiderMarkers, in drawing order
+ * @param {number} x - Pointer x in pixels
+ * @param {number} y - Pointer y in pixels
+ * @returns {Object|null} Marker
+ */
+function findMarkerAt(markers, x, y) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (let i = markers.length - 1; i >= 0; i--) {
+    const marker = markers[i];
+    const distance = Math.hypot(marker.x - x, marker.y - y);
+    if (distance > marker.radius + MARKER_HIT_SLOP_PX) continue;
+    if (marker.isWatching) return marker;
+    if (distance < bestDistance) {
+      best = marker;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    layoutRiderMarkers,
+    findMarkerAt,
+    // Constants
+    MARKER_RADIUS,
+    WATCHING_MARKER_RADIUS,
+    HOVERED_MARKER_RADIUS,
+    MARKER_HIT_SLOP_PX,
+  };
+}
@@ -3,8 +3,12 @@
  * Shows sync controls and progress
  */
 
-const STORAGE_KEY_RACES = 'syncedRaces';
 const STORAGE_KEY_SYNC_STATUS = 'syncStatus';
+const STORAGE_KEY_SYNC_SELECTION = 'syncSelection';
+const STORAGE_KEY_SYNC_QUEUE = 'syncQueue';
+const STORAGE_KEY_SETTINGS = 'storageSettings';
+const STORAGE_KEY_EVICTIONS = 'storageEvictions';
+const SELECTION_REFRESH_DEBOUNCE_MS = 300;
 
 // DOM Elements
 const elements = {
@@ -20,23 +24,80 @@ const elements = {
   progressText: document.getElementById('progressText'),
   cancelBtn: document.getElementById('cancelBtn'),
   raceList: document.getElementById('raceList'),
+  queueSection: document.getElementById('queueSection'),
+  queueList: document.getElementById('queueList'),
+  importBtn: document.getElementById('importBtn'),
+  importInput: document.getElementById('importInput'),
+  syncOptions: document.getElementById('syncOptions'),
+  selectionMode: document.getElementById('selectionMode'),
+  topCount: document.getElementById('topCount'),
+  rangeStart: document.getElementById('rangeStart'),
+  rangeEnd: document.getElementById('rangeEnd'),
+  aroundPlaces: document.getElementById('aroundPlaces'),
+  teamSelect: document.getElementById('teamSelect'),
+  riderPicker: document.getElementById('riderPicker'),
+  syncEstimate: document.getElementById('syncEstimate'),
+  allCategoriesOption: document.getElementById('allCategoriesOption'),
+  allCategories: document.getElementById('allCategories'),
+  allCategoriesLabel: document.getElementById('allCategoriesLabel'),
+  batchEventIds: document.getElementById('batchEventIds'),
+  batchAllCategories: document.getElementById('batchAllCategories'),
+  batchSyncBtn: document.getElementById('batchSyncBtn'),
+  evictionNotice: document.getElementById('evictionNotice'),
+  evictionText: document.getElementById('evictionText'),
+  dismissEvictionsBtn: document.getElementById('dismissEvictionsBtn'),
+  storageSettings: document.getElementById('storageSettings'),
+  storageUsage: document.getElementById('storageUsage'),
+  storageBar: document.getElementById('storageBar'),
+  storageFill: document.getElementById('storageFill'),
+  storagePolicy: document.getElementById('storagePolicy'),
+  storageMaxMegabytes: document.getElementById('storageMaxMegabytes'),
+  storageMaxRaces: document.getElementById('storageMaxRaces'),
+  storageMaxAgeDays: document.getElementById('storageMaxAgeDays'),
 };
 
 let currentTabId = null;
+let syncSelection = normalizeSyncSelection(null);
+let pageRiders = [];
+let selectionRefreshTimer = null;
+let storageSettings = normalizeStorageSettings(null);
 
 /**
  * Storage helper functions
  */
 const storage = {
   async getRaces() {
-    const result = await chrome.storage.local.get(STORAGE_KEY_RACES);
-    return result[STORAGE_KEY_RACES] || {};
+    return getRaceIndex();
+  },
+
+  async save(race) {
+    await saveStoredRace(race);
+  },
+
+  async setPinned(eventId, pinned) {
+    await updateRaceEntry(eventId, { pinned });
+  },
+
+  async getStorageSettings() {
+    const result = await chrome.storage.local.get(STORAGE_KEY_SETTINGS);
+    return normalizeStorageSettings(result[STORAGE_KEY_SETTINGS]);
+  },
+
+  async saveStorageSettings(settings) {
+    await chrome.storage.local.set({ [STORAGE_KEY_SETTINGS]: settings });
+  },
+
+  async getEvictions() {
+    const result = await chrome.storage.local.get(STORAGE_KEY_EVICTIONS);
+    return result[STORAGE_KEY_EVICTIONS] || [];
+  },
+
+  async clearEvictions() {
+    await chrome.storage.local.remove(STORAGE_KEY_EVICTIONS);
   },
 
   async delete(eventId) {
-    const races = await this.getRaces();
-    delete races[eventId];
-    await chrome.storage.local.set({ [STORAGE_KEY_RACES]: races });
+    await deleteStoredRace(eventId);
   },
 
   async getSyncStatus() {
@@ -47,23 +108,39 @@ const storage = {
   async clearSyncStatus() {
     await chrome.storage.local.remove(STORAGE_KEY_SYNC_STATUS);
   },
+
+  async getSyncQueue() {
+    const result = await chrome.storage.local.get(STORAGE_KEY_SYNC_QUEUE);
+    return result[STORAGE_KEY_SYNC_QUEUE] || [];
+  },
+
+  async getSyncSelection() {
+    const result = await chrome.storage.local.get(STORAGE_KEY_SYNC_SELECTION);
+    return normalizeSyncSelection(result[STORAGE_KEY_SYNC_SELECTION]);
+  },
+
+  async saveSyncSelection(selection) {
+    await chrome.storage.local.set({ [STORAGE_KEY_SYNC_SELECTION]: selection });
+  },
 };
 
 /**
- * Format relative time
+ * Describe request scheduler state for the progress line
  */
-function formatRelativeTime(isoString) {
-  const date = new Date(isoString);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-  const diffHours = Math.floor(diffMins / 60);
-  const diffDays = Math.floor(diffHours / 24);
-
-  if (diffMins < 1) return 'just now';
-  if (diffMins < 60) return `${diffMins}m ago`;
-  if (diffHours < 24) return `${diffHours}h ago`;
-  return `${diffDays}d ago`;
+function formatRateLimitState(rateLimit) {
+  if (!rateLimit || rateLimit.state === 'idle') return '';
+
+  const seconds = Math.ceil(rateLimit.waitMs / 1000);
+  switch (rateLimit.state) {
+    case 'throttled':
+      return ` (rate limited, waiting ${seconds}s)`;
+    case 'retrying':
+      return ` (retry ${rateLimit.attempt} in ${seconds}s)`;
+    case 'waiting':
+      return seconds > 2 ? ` (next request in ${seconds}s)` : '';
+    default:
+      return '';
+  }
 }
 
 /**
@@ -86,7 +163,7 @@ function updateSyncProgress(status) {
       btnSpinner.classList.remove('hidden');
       elements.syncProgress.classList.remove('hidden');
       elements.progressFill.style.width = '0%';
-      elements.progressText.textContent = 'Starting sync...';
+      elements.progressText.textContent = status.message || 'Starting sync...';
       break;
 
     case 'checking':
@@ -95,7 +172,8 @@ function updateSyncProgress(status) {
       btnSpinner.classList.remove('hidden');
       elements.syncProgress.classList.remove('hidden');
       elements.progressFill.style.width = '5%';
-      elements.progressText.textContent = status.message || 'Checking data availability...';
+      elements.progressText.textContent = (status.message || 'Checking data availability...') +
+        formatRateLimitState(status.rateLimit);
       break;
 
     case 'syncing':
@@ -107,7 +185,8 @@ function updateSyncProgress(status) {
 
       const percent = status.total > 0 ? (status.current / status.total) * 100 : 0;
       elements.progressFill.style.width = `${percent}%`;
-      elements.progressText.textContent = `Syncing ${status.current}/${status.total}: #${status.riderPosition} ${status.riderName}`;
+      elements.progressText.textContent = `Syncing ${status.current}/${status.total}: #${status.riderPosition} ${status.riderName}` +
+        formatRateLimitState(status.rateLimit);
 
       // Update race name if available
       if (status.eventName) {
@@ -158,6 +237,7 @@ function updateSyncProgress(status) {
  */
 function showNotOnRacePage(message) {
   elements.raceCard.classList.add('hidden');
+  elements.syncOptions.classList.add('hidden');
   elements.syncBtn.disabled = true;
   elements.syncBtn.querySelector('.btn-text').textContent = message;
 }
@@ -186,6 +266,142 @@ function showRaceInfo(response) {
 
   const userStatus = response.userParticipates ? ' (you participate)' : '';
   elements.raceMeta.textContent = `${response.riderCount} riders${userStatus}`;
+
+  pageRiders = response.riders || [];
+  renderSyncOptions();
+  showSyncEstimate(response);
+
+  const categories = response.availableCategories || [];
+  elements.allCategoriesOption.classList.toggle('hidden', categories.length < 2);
+  elements.allCategoriesLabel.textContent = `All categories (${categories.join(', ')})`;
+}
+
+/**
+ * Format an estimated duration for display
+ */
+function formatEstimate(seconds) {
+  if (seconds < 60) return `~${seconds}s`;
+  return `~${Math.ceil(seconds / 60)} min`;
+}
+
+/**
+ * Show how many riders the current selection syncs and how long it takes
+ */
+function showSyncEstimate(response) {
+  if (!response.syncCount) {
+    elements.syncEstimate.textContent = 'No riders match this selection';
+    elements.syncBtn.disabled = true;
+    return;
+  }
+
+  elements.syncBtn.disabled = false;
+  const alreadySynced = response.syncCount - response.newSyncCount;
+  const syncedNote = alreadySynced > 0 ? ` (${alreadySynced} already synced)` : '';
+  elements.syncEstimate.textContent = response.newSyncCount > 0
+    ? `${response.newSyncCount} riders to fetch${syncedNote}, ${formatEstimate(response.estimatedSyncSeconds)}`
+    : `All ${response.syncCount} selected riders already synced`;
+}
+
+/**
+ * Render rider selection controls from the current settings
+ */
+function renderSyncOptions() {
+  elements.syncOptions.classList.remove('hidden');
+  elements.selectionMode.value = syncSelection.mode;
+  elements.topCount.value = syncSelection.topCount;
+  elements.rangeStart.value = syncSelection.rangeStart;
+  elements.rangeEnd.value = syncSelection.rangeEnd;
+  elements.aroundPlaces.value = syncSelection.aroundPlaces;
+
+  elements.syncOptions.querySelectorAll('.option-fields').forEach((el) => {
+    el.classList.toggle('hidden', el.dataset.mode !== syncSelection.mode);
+  });
+
+  const teams = [...new Set(pageRiders.map(r => r.team).filter(Boolean))].sort();
+  const userTeam = pageRiders.find(r => r.isCurrentUser)?.team;
+  const selectedTeam = syncSelection.team || userTeam || teams[0] || '';
+  const teamOptions = teams.length ? teams : [''];
+  elements.teamSelect.replaceChildren(...teamOptions.map((t) => {
+    const option = document.createElement('option');
+    option.value = t;
+    option.textContent = t || 'No teams found';
+    option.selected = t === selectedTeam;
+    return option;
+  }));
+
+  const isPicking = syncSelection.mode === SYNC_SELECTION_MODES.PICKED;
+  elements.riderPicker.classList.toggle('hidden', !isPicking);
+  if (isPicking) {
+    const picked = new Set(syncSelection.pickedZwiftIds);
+    elements.riderPicker.replaceChildren(...pageRiders.map((r) => {
+      const row = document.createElement('label');
+      row.className = 'picker-row';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = r.zwiftId;
+      checkbox.checked = picked.has(r.zwiftId) || r.isCurrentUser;
+      checkbox.disabled = !!r.isCurrentUser;
+      const name = document.createElement('span');
+      name.textContent = `#${r.position} ${r.name}${r.isCurrentUser ? ' (You)' : ''}`;
+      row.append(checkbox, name);
+      if (r.team) {
+        const team = document.createElement('span');
+        team.className = 'picker-team';
+        team.textContent = r.team;
+        row.append(team);
+      }
+      return row;
+    }));
+  }
+}
+
+/**
+ * Read rider selection controls into settings
+ */
+function readSyncOptions() {
+  const toNumber = (input, fallback) => {
+    const value = parseInt(input.value, 10);
+    return value > 0 ? value : fallback;
+  };
+
+  const pickedZwiftIds = [...elements.riderPicker.querySelectorAll('input:checked:not(:disabled)')]
+    .map(input => input.value);
+
+  return normalizeSyncSelection({
+    mode: elements.selectionMode.value,
+    topCount: toNumber(elements.topCount, syncSelection.topCount),
+    rangeStart: toNumber(elements.rangeStart, syncSelection.rangeStart),
+    rangeEnd: toNumber(elements.rangeEnd, syncSelection.rangeEnd),
+    aroundPlaces: toNumber(elements.aroundPlaces, syncSelection.aroundPlaces),
+    team: elements.teamSelect.value || null,
+    pickedZwiftIds: elements.riderPicker.classList.contains('hidden')
+      ? syncSelection.pickedZwiftIds
+      : pickedZwiftIds,
+  });
+}
+
+/**
+ * Persist selection changes and refresh the sync estimate from the page
+ */
+async function onSyncOptionsChange() {
+  const modeChanged = elements.selectionMode.value !== syncSelection.mode;
+  syncSelection = readSyncOptions();
+  await storage.saveSyncSelection(syncSelection);
+  if (modeChanged) renderSyncOptions();
+
+  clearTimeout(selectionRefreshTimer);
+  selectionRefreshTimer = setTimeout(async () => {
+    if (!currentTabId) return;
+    try {
+      const response = await chrome.tabs.sendMessage(currentTabId, {
+        action: 'getPageInfo',
+        selection: syncSelection,
+      });
+      if (response?.isEventPage) showSyncEstimate(response);
+    } catch (error) {
+      console.log('[Popup] Error refreshing estimate:', error.message);
+    }
+  }, SELECTION_REFRESH_DEBOUNCE_MS);
 }
 
 /**
@@ -218,7 +434,11 @@ async function checkCurrentPage() {
       return;
     }
 
-    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getPageInfo' });
+    syncSelection = await storage.getSyncSelection();
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'getPageInfo',
+      selection: syncSelection,
+    });
 
     if (!response?.isEventPage) {
       showNotOnRacePage('Navigate to a race page');
@@ -264,27 +484,47 @@ async function startSync() {
   chrome.runtime.sendMessage({
     action: 'startSync',
     tabId: currentTabId,
+    selection: syncSelection,
+    allCategories: elements.allCategories.checked,
   });
 }
 
-async function cancelSync() {
-  if (!currentTabId) {
+/**
+ * Queue sync jobs for a list of event IDs entered in the popup
+ */
+async function startBatchSync() {
+  const eventIds = parseEventIdList(elements.batchEventIds.value);
+  if (eventIds.length === 0) {
+    alert('Enter at least one ZwiftPower event ID or event URL.');
     return;
   }
 
-  chrome.runtime.sendMessage({
-    action: 'cancelSync',
-    tabId: currentTabId,
+  updateSyncProgress({ status: 'starting', message: `Queueing ${eventIds.length} events...` });
+  elements.batchEventIds.value = '';
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'startBatchSync',
+    eventIds,
+    selection: syncSelection,
+    allCategories: elements.batchAllCategories.checked,
   });
 
+  if (response?.failed?.length) {
+    alert(`Could not read events: ${response.failed.join(', ')}`);
+  }
+}
+
+async function cancelSync() {
+  chrome.runtime.sendMessage({ action: 'cancelSync' });
+
   const btnText = elements.syncBtn.querySelector('.btn-text');
   const btnSpinner = elements.syncBtn.querySelector('.btn-spinner');
 
   elements.syncBtn.disabled = false;
-  btnText.textContent = 'Sync Cancelled';
+  btnText.textContent = 'Sync Paused';
   btnSpinner.classList.add('hidden');
   elements.cancelBtn.classList.add('hidden');
-  elements.progressText.textContent = 'Sync cancelled by user';
+  elements.progressText.textContent = 'Sync paused - resume it from the queue';
 
   await storage.clearSyncStatus();
 
@@ -312,12 +552,203 @@ async function deleteRace(eventId) {
   await loadRaceList();
 }
 
+/**
+ * Download a synced race as a portable race file
+ */
+async function exportRace(eventId) {
+  const race = await loadStoredRace(eventId);
+  if (!race) return;
+
+  const bundle = createRaceExport(race);
+  const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getRaceFileName(race);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Import a race file, resolving clashes with already synced races
+ */
+async function importRaceFile(file) {
+  let race;
+  try {
+    race = parseRaceImport(await file.text());
+  } catch (error) {
+    alert(`Import failed: ${error.message}`);
+    return;
+  }
+
+  const races = await storage.getRaces();
+  if (races[race.eventId]) {
+    const replace = confirm(
+      `"${races[race.eventId].eventName || race.eventId}" is already synced.\n\n` +
+      'OK replaces it, Cancel keeps both.'
+    );
+    if (!replace) {
+      race.eventId = resolveImportedEventId(race.eventId, Object.keys(races));
+      race.eventName = `${race.eventName || 'Race'} (imported)`;
+    }
+  }
+
+  await storage.save(race);
+  await loadRaceList();
+}
+
+/**
+ * Pin or unpin a race so it is never evicted
+ */
+async function togglePin(eventId) {
+  const races = await storage.getRaces();
+  if (!races[eventId]) return;
+  await storage.setPinned(eventId, !races[eventId].pinned);
+}
+
+/**
+ * Render storage usage against the active policy
+ * Race sizes are estimates; what the browser measures follows once known
+ */
+function renderStorageUsage(races) {
+  const usage = getStorageUsage(races);
+  const pinned = usage.pinnedCount > 0 ? `, ${usage.pinnedCount} pinned` : '';
+  const summary = `~${formatBytes(usage.totalBytes)} · ${usage.raceCount} races${pinned}`;
+  elements.storageUsage.textContent = summary;
+  measureStorageBytes().then((bytes) => {
+    // A newer render may have replaced the summary in the meantime
+    if (bytes !== null && elements.storageUsage.textContent === summary) elements.storageUsage.textContent = `${summary} · ${formatBytes(bytes)} on disk`;
+  });
+
+  let fraction = null;
+  if (storageSettings.policy === STORAGE_POLICIES.SIZE) {
+    fraction = usage.totalBytes / (storageSettings.maxMegabytes * BYTES_PER_MB);
+  } else if (storageSettings.policy === STORAGE_POLICIES.COUNT) {
+    fraction = usage.raceCount / storageSettings.maxRaces;
+  }
+
+  elements.storageBar.classList.toggle('hidden', fraction === null);
+  if (fraction !== null) {
+    elements.storageFill.style.width = `${Math.min(100, fraction * 100)}%`;
+    elements.storageFill.classList.toggle('full', fraction >= 1);
+  }
+}
+
+/**
+ * Render storage policy controls from the current settings
+ */
+function renderStorageSettings() {
+  elements.storagePolicy.value = storageSettings.policy;
+  elements.storageMaxMegabytes.value = storageSettings.maxMegabytes;
+  elements.storageMaxRaces.value = storageSettings.maxRaces;
+  elements.storageMaxAgeDays.value = storageSettings.maxAgeDays;
+
+  elements.storageSettings.querySelectorAll('.option-fields').forEach((el) => {
+    el.classList.toggle('hidden', el.dataset.policy !== storageSettings.policy);
+  });
+}
+
+/**
+ * Save storage policy changes, confirming before races are removed
+ */
+async function onStorageSettingsChange() {
+  const next = normalizeStorageSettings({
+    policy: elements.storagePolicy.value,
+    maxMegabytes: elements.storageMaxMegabytes.value,
+    maxRaces: elements.storageMaxRaces.value,
+    maxAgeDays: elements.storageMaxAgeDays.value,
+  });
+
+  const races = await storage.getRaces();
+  const evictIds = selectRacesToEvict(races, next);
+  if (evictIds.length > 0) {
+    const names = evictIds.map(id => races[id].eventName || id).join('\n');
+    if (!confirm(`This will remove ${evictIds.length} races:\n\n${names}`)) {
+      renderStorageSettings();
+      return;
+    }
+  }
+
+  storageSettings = next;
+  await storage.saveStorageSettings(next);
+  renderStorageSettings();
+  if (evictIds.length > 0) {
+    await commitRaceIndex(index => index);
+  } else {
+    renderStorageUsage(races);
+  }
+}
+
+/**
+ * Show races that were removed automatically to free space
+ */
+async function loadEvictionNotice() {
+  const evictions = await storage.getEvictions();
+  elements.evictionNotice.classList.toggle('hidden', evictions.length === 0);
+  if (evictions.length === 0) return;
+
+  const names = evictions.slice(0, 3).map(e => e.eventName).join(', ');
+  const more = evictions.length > 3 ? ` and ${evictions.length - 3} more` : '';
+  elements.evictionText.textContent = `Removed to free space: ${names}${more}`;
+  elements.evictionText.title = evictions.map(e => `${e.eventName} (${formatRelativeTime(e.evictedAt)})`).join('\n');
+}
+
+/**
+ * Load and render the background sync queue
+ */
+async function loadSyncQueue() {
+  const queue = await storage.getSyncQueue();
+  elements.queueSection.classList.toggle('hidden', queue.length === 0);
+
+  elements.queueList.innerHTML = queue
+    .map((job) => {
+      const { current, total } = getJobProgress(job);
+      const jobId = escapeHtml(job.id);
+      const eventName = escapeHtml(job.fullEventName);
+      const status = escapeHtml(job.status);
+      const resumeBtn = isResumableJob(job)
+        ? `<button class="btn btn-secondary btn-resume" data-job-id="${jobId}">Resume</button>`
+        : '';
+      const error = job.error ? ` | ${escapeHtml(job.error)}` : '';
+      return `
+      <div class="race-item" data-job-id="${jobId}">
+        <div class="race-item-info">
+          <div class="race-item-name" title="${eventName}">${eventName}</div>
+          <div class="race-item-meta"><span class="queue-status ${status}">${status}</span> | ${current}/${total} riders${error}</div>
+        </div>
+        <div class="race-item-actions">
+          ${resumeBtn}
+          <button class="btn btn-danger btn-remove-job" data-job-id="${jobId}" title="Remove from queue">×</button>
+        </div>
+      </div>
+    `;
+    })
+    .join('');
+
+  elements.queueList.querySelectorAll('.btn-resume').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'resumeSync', jobId: btn.dataset.jobId });
+    });
+  });
+
+  elements.queueList.querySelectorAll('.btn-remove-job').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'removeSyncJob', jobId: btn.dataset.jobId });
+    });
+  });
+}
+
 /**
  * Load and render race list
  */
 async function loadRaceList() {
   const races = await storage.getRaces();
   const raceEntries = Object.entries(races);
+  renderStorageUsage(races);
 
   if (raceEntries.length === 0) {
     elements.raceList.innerHTML = `
@@ -341,16 +772,18 @@ async function loadRaceList() {
     .map(([eventId, race]) => {
       const syncIndicator = race.syncInProgress ? ' <span class="sync-indicator">syncing...</span>' : '';
       const numericEventId = eventId.split('_')[0];
-      const zwiftPowerUrl = `https://zwiftpower.com/events.php?zid=${numericEventId}`;
+      const zwiftPowerUrl = `https://zwiftpower.com/events.php?zid=${encodeURIComponent(numericEventId)}`;
       return `
-      <div class="race-item" data-event-id="${eventId}">
+      <div class="race-item" data-event-id="${escapeHtml(eventId)}">
         <div class="race-item-info">
-          <a href="${zwiftPowerUrl}" target="_blank" class="race-item-name" title="Open on ZwiftPower">${race.eventName || `Race ${eventId}`}</a>
-          <div class="race-item-meta">${race.riders?.length || 0} riders | ${formatRelativeTime(race.syncedAt)}${syncIndicator}</div>
+          <a href="${zwiftPowerUrl}" target="_blank" class="race-item-name" title="Open on ZwiftPower">${escapeHtml(race.eventName || `Race ${eventId}`)}</a>
+          <div class="race-item-meta">${race.riderCount || 0} riders | ${formatBytes(getRaceBytes(race))} | ${formatRelativeTime(race.syncedAt)}${syncIndicator}</div>
         </div>
         <div class="race-item-actions">
-          <button class="btn btn-secondary btn-replay" data-event-id="${eventId}">Replay</button>
-          <button class="btn btn-danger btn-delete" data-event-id="${eventId}">×</button>
+          <button class="btn btn-secondary btn-pin ${race.pinned ? 'pinned' : ''}" data-event-id="${escapeHtml(eventId)}" title="${race.pinned ? 'Unpin' : 'Pin: never remove automatically'}">📌</button>
+          <button class="btn btn-secondary btn-replay" data-event-id="${escapeHtml(eventId)}">Replay</button>
+          <button class="btn btn-secondary btn-export" data-event-id="${escapeHtml(eventId)}" title="Export race file">↓</button>
+          <button class="btn btn-danger btn-delete" data-event-id="${escapeHtml(eventId)}">×</button>
         </div>
       </div>
     `;
@@ -362,6 +795,14 @@ async function loadRaceList() {
     btn.addEventListener('click', () => openReplay(btn.dataset.eventId));
   });
 
+  elements.raceList.querySelectorAll('.btn-pin').forEach((btn) => {
+    btn.addEventListener('click', () => togglePin(btn.dataset.eventId));
+  });
+
+  elements.raceList.querySelectorAll('.btn-export').forEach((btn) => {
+    btn.addEventListener('click', () => exportRace(btn.dataset.eventId));
+  });
+
   elements.raceList.querySelectorAll('.btn-delete').forEach((btn) => {
     btn.addEventListener('click', () => deleteRace(btn.dataset.eventId));
   });
@@ -376,15 +817,38 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     updateSyncProgress(newStatus);
   }
   // Refresh race list when races change
-  if (areaName === 'local' && changes.syncedRaces) {
+  if (areaName === 'local' && changes[STORAGE_KEY_RACE_INDEX]) {
     loadRaceList();
   }
+  if (areaName === 'local' && changes[STORAGE_KEY_SYNC_QUEUE]) {
+    loadSyncQueue();
+  }
+  if (areaName === 'local' && changes[STORAGE_KEY_EVICTIONS]) {
+    loadEvictionNotice();
+  }
 });
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
   elements.syncBtn.addEventListener('click', startSync);
   elements.cancelBtn.addEventListener('click', cancelSync);
+  elements.syncOptions.addEventListener('change', (e) => {
+    if (e.target !== elements.allCategories) onSyncOptionsChange();
+  });
+  elements.batchSyncBtn.addEventListener('click', startBatchSync);
+  elements.importBtn.addEventListener('click', () => elements.importInput.click());
+  elements.importInput.addEventListener('change', async () => {
+    const file = elements.importInput.files[0];
+    elements.importInput.value = '';
+    if (file) await importRaceFile(file);
+  });
+  elements.storageSettings.addEventListener('change', onStorageSettingsChange);
+  elements.dismissEvictionsBtn.addEventListener('click', () => storage.clearEvictions());
+  await waitForRaceStorage();
+  storageSettings = await storage.getStorageSettings();
+  renderStorageSettings();
   await checkCurrentPage();
+  await loadSyncQueue();
   await loadRaceList();
+  await loadEvictionNotice();
 });
@@ -0,0 +1,69 @@
+/**
+ * Position history for ZwiftPower Race Replay
+ * Ranks riders at regular times through the race, the same way the replay
+ * orders its standings, for the position-over-time (bump) chart
+ */
+
+const POSITION_HISTORY_STEP_SECONDS = 10;
+
+/**
+ * Build each rider's race position over time
+ * @param {Array} riders - Riders with distance arrays
+ * @param {number} maxTime - Race length in seconds
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {number} totalDistanceKm - Race distance
+ * @param {number} step - Seconds between samples
+ * @returns {Object} { times: [...], positions: { [zwiftId]: [position, ...] } }
+ */
+function buildPositionHistory(riders, maxTime, sampleInterval, totalDistanceKm, step = POSITION_HISTORY_STEP_SECONDS) {
+  const times = [];
+  const positions = {};
+  riders.forEach(r => { positions[r.zwiftId] = []; });
+
+  for (let time = 0; time <= maxTime; time += step) {
+    times.push(time);
+    getStandingsAt(riders, time, sampleInterval, totalDistanceKm).forEach((r, idx) => {
+      positions[r.zwiftId].push(idx + 1);
+    });
+  }
+
+  return { times, positions };
+}
+
+/**
+ * Find a rider's biggest drop from a position held earlier in the race
+ * @param {Object} history - Position history
+ * @param {string} zwiftId - Rider
+ * @returns {Object|null} { from, to, places, startTime, endTime } for the biggest drop
+ */
+function findBiggestPositionLoss(history, zwiftId) {
+  const series = history.positions[zwiftId];
+  if (!series || series.length < 2) return null;
+
+  let bestIdx = 0;
+  let loss = null;
+  for (let i = 1; i < series.length; i++) {
+    if (series[i] < series[bestIdx]) bestIdx = i;
+    const places = series[i] - series[bestIdx];
+    if (places > 0 && (!loss || places > loss.places)) {
+      loss = {
+        from: series[bestIdx],
+        to: series[i],
+        places,
+        startTime: history.times[bestIdx],
+        endTime: history.times[i],
+      };
+    }
+  }
+  return loss;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildPositionHistory,
+    findBiggestPositionLoss,
+    // Constants
+    POSITION_HISTORY_STEP_SECONDS,
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * Power analysis for ZwiftPower Race Replay
+ * Best efforts (power-duration curve), critical power estimates and
+ * W' balance from a rider's sampled power stream
+ */
+
+// Durations on the power-duration curve (seconds)
+const POWER_CURVE_DURATIONS = [5, 15, 30, 60, 120, 300, 600, 1200];
+// Efforts shown in the best efforts table
+const KEY_EFFORT_DURATIONS = [5, 15, 60, 300, 1200];
+// The 2-parameter CP model holds for efforts of roughly 2 to 20 minutes
+const CP_FIT_MIN_SECONDS = 120;
+const CP_FIT_MAX_SECONDS = 1200;
+const CP_FIT_MIN_POINTS = 2;
+// W' used with an FTP-based CP when the race is too short to fit one
+const DEFAULT_W_PRIME_J = 20000;
+// A rider is "in the red" below this share of W'
+const W_PRIME_RED_FRACTION = 0.25;
+const W_PRIME_STATUS = {
+  OK: 'ok',
+  RED: 'red',
+  EMPTY: 'empty',
+};
+const POWER_MODEL_SOURCES = {
+  MANUAL: 'manual',
+  ESTIMATED: 'estimated',
+  FTP: 'ftp',
+};
+const STORAGE_KEY_POWER_MODELS = 'riderPowerModels';
+
+/**
+ * Best average power over a duration
+ * Missing samples count as zero watts
+ * @param {Array} power - Power samples (watts)
+ * @param {number} durationSeconds - Effort duration
+ * @param {number} sampleInterval - Seconds per sample
+ * @returns {number|null} Best average watts, or null when the stream is too short
+ */
+function calcBestAverage(power, durationSeconds, sampleInterval = 1) {
+  const windowSize = Math.max(1, Math.round(durationSeconds / sampleInterval));
+  if (!power || power.length < windowSize) return null;
+
+  let sum = 0;
+  for (let i = 0; i < windowSize; i++) {
+    sum += power[i] || 0;
+  }
+
+  let best = sum;
+  for (let i = windowSize; i < power.length; i++) {
+    sum += (power[i] || 0) - (power[i - windowSize] || 0);
+    if (sum > best) best = sum;
+  }
+
+  return best / windowSize;
+}
+
+/**
+ * Build a rider's power-duration curve
+ * @param {Array} power - Power samples (watts)
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {Array} durations - Durations in seconds
+ * @returns {Array} [{ duration, watts }] with watts null for efforts longer than the race
+ */
+function calcPowerCurve(power, sampleInterval = 1, durations = POWER_CURVE_DURATIONS) {
+  return durations.map(duration => ({
+    duration,
+    watts: calcBestAverage(power, duration, sampleInterval),
+  }));
+}
+
+/**
+ * Fit critical power (CP) and W' to a power-duration curve
+ * Uses the linear work-time model: work = CP * t + W'
+ * @param {Array} curve - [{ duration, watts }]
+ * @returns {Object|null} { cp, wPrime } (watts, joules), or null if the fit is not meaningful
+ */
+function fitCriticalPower(curve) {
+  const points = curve.filter(p =>
+    Number.isFinite(p.watts) && p.watts > 0 &&
+    p.duration >= CP_FIT_MIN_SECONDS && p.duration <= CP_FIT_MAX_SECONDS
+  );
+  if (points.length < CP_FIT_MIN_POINTS) return null;
+
+  const n = points.length;
+  const meanT = points.reduce((sum, p) => sum + p.duration, 0) / n;
+  const meanWork = points.reduce((sum, p) => sum + p.watts * p.duration, 0) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  for (const p of points) {
+    covariance += (p.duration - meanT) * (p.watts * p.duration - meanWork);
+    variance += (p.duration - meanT) ** 2;
+  }
+  if (variance === 0) return null;
+
+  const cp = covariance / variance;
+  const wPrime = meanWork - cp * meanT;
+  if (cp <= 0 || wPrime < 0) return null;
+
+  return { cp: Math.round(cp), wPrime: Math.round(wPrime) };
+}
+
+/**
+ * Power the CP model predicts for a duration
+ * @param {Object} fit - { cp, wPrime }
+ * @param {number} durationSeconds - Effort duration
+ * @returns {number} Watts
+ */
+function calcModelPower(fit, durationSeconds) {
+  return fit.cp + fit.wPrime / durationSeconds;
+}
+
+/**
+ * Pick the CP/W' model for a rider
+ * Manual entries win, then the fit from race data, then FTP with a default W'
+ * @param {Object} manual - { cp, wPrime } entered by the user (either may be missing)
+ * @param {Object|null} fit - Fitted { cp, wPrime }
+ * @param {number|null} ftp - FTP from ZwiftPower results
+ * @returns {Object|null} { cp, wPrime, source }, or null when nothing is known
+ */
+function resolvePowerModel(manual, fit, ftp) {
+  const base = fit
+    ? { ...fit, source: POWER_MODEL_SOURCES.ESTIMATED }
+    : Number.isFinite(ftp) && ftp > 0
+      ? { cp: ftp, wPrime: DEFAULT_W_PRIME_J, source: POWER_MODEL_SOURCES.FTP }
+      : null;
+
+  const cp = Number.isFinite(manual?.cp) ? manual.cp : base?.cp;
+  const wPrime = Number.isFinite(manual?.wPrime) ? manual.wPrime : (base?.wPrime ?? DEFAULT_W_PRIME_J);
+  if (!Number.isFinite(cp) || cp <= 0 || !(wPrime > 0)) return null;
+
+  const isManual = Number.isFinite(manual?.cp) || Number.isFinite(manual?.wPrime);
+  return { cp, wPrime, source: isManual ? POWER_MODEL_SOURCES.MANUAL : base.source };
+}
+
+/**
+ * W' balance through a race (Skiba differential model)
+ * Above CP, W' drains by the work done above CP; below CP it recovers
+ * exponentially towards full, faster the further power is below CP
+ * @param {Array} power - Power samples (watts)
+ * @param {Object} model - { cp, wPrime }
+ * @param {number} sampleInterval - Seconds per sample
+ * @returns {Array} W' balance in joules per sample (negative when the model is exceeded)
+ */
+function calcWPrimeBalance(power, model, sampleInterval = 1) {
+  const { cp, wPrime } = model;
+  const balance = new Array(power.length);
+  let current = wPrime;
+
+  for (let i = 0; i < power.length; i++) {
+    const watts = power[i] || 0;
+    if (watts > cp) {
+      current -= (watts - cp) * sampleInterval;
+    } else {
+      current = wPrime - (wPrime - current) * Math.exp(-(cp - watts) * sampleInterval / wPrime);
+    }
+    balance[i] = current;
+  }
+
+  return balance;
+}
+
+/**
+ * Classify a W' balance
+ * @param {number|null} balance - W' balance in joules
+ * @param {number} wPrime - Full W' in joules
+ * @returns {Object|null} { fraction, status }, or null when unknown
+ */
+function getWPrimeStatus(balance, wPrime) {
+  if (!Number.isFinite(balance) || !(wPrime > 0)) return null;
+
+  const fraction = Math.max(0, balance / wPrime);
+  let status = W_PRIME_STATUS.OK;
+  if (balance <= 0) {
+    status = W_PRIME_STATUS.EMPTY;
+  } else if (fraction < W_PRIME_RED_FRACTION) {
+    status = W_PRIME_STATUS.RED;
+  }
+  return { fraction, status };
+}
+
+/**
+ * Parse a CP/W' value entered by the user
+ * @param {string} value - Input value
+ * @param {number} multiplier - Unit multiplier (e.g., 1000 for kJ to J)
+ * @returns {number|null} Positive value, or null
+ */
+function parsePowerModelValue(value, multiplier = 1) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number * multiplier) : null;
+}
+
+/**
+ * Format an effort duration (e.g., 5s, 1m, 20m)
+ * @param {number} seconds - Duration
+ * @returns {string} Short label
+ */
+function formatEffortDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds % 60 === 0) return `${seconds / 60}m`;
+  return `${Math.floor(seconds / 60)}m${seconds % 60}s`;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calcBestAverage,
+    calcPowerCurve,
+    fitCriticalPower,
+    calcModelPower,
+    resolvePowerModel,
+    calcWPrimeBalance,
+    getWPrimeStatus,
+    parsePowerModelValue,
+    formatEffortDuration,
+    // Constants
+    POWER_CURVE_DURATIONS,
+    KEY_EFFORT_DURATIONS,
+    CP_FIT_MIN_SECONDS,
+    CP_FIT_MAX_SECONDS,
+    DEFAULT_W_PRIME_J,
+    W_PRIME_RED_FRACTION,
+    W_PRIME_STATUS,
+    POWER_MODEL_SOURCES,
+  };
+}
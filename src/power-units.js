@@ -0,0 +1,124 @@
+/**
+ * Power units for ZwiftPower Race Replay
+ * Converts power readouts between watts and W/kg using rider weight
+ * (synced from ZwiftPower or entered manually)
+ */
+
+const POWER_UNITS = {
+  WATTS: 'watts',
+  WKG: 'wkg',
+};
+const DEFAULT_POWER_UNIT = POWER_UNITS.WATTS;
+const MIN_RIDER_WEIGHT_KG = 30;
+const MAX_RIDER_WEIGHT_KG = 200;
+const STORAGE_KEY_POWER_UNIT = 'powerUnit';
+const STORAGE_KEY_RIDER_WEIGHTS = 'riderWeights';
+
+// Chart axis hints per unit
+const POWER_UNIT_SUGGESTED_MAX = {
+  [POWER_UNITS.WATTS]: 500,
+  [POWER_UNITS.WKG]: 7,
+};
+
+/**
+ * Normalize a stored power unit
+ * @param {*} unit - Stored value
+ * @returns {string} Valid power unit
+ */
+function normalizePowerUnit(unit) {
+  return Object.values(POWER_UNITS).includes(unit) ? unit : DEFAULT_POWER_UNIT;
+}
+
+/**
+ * Parse a weight entered by the user
+ * @param {string|number} value - Input value
+ * @returns {number|null} Weight in kg (one decimal), or null if invalid
+ */
+function parseRiderWeight(value) {
+  const weight = parseFloat(value);
+  if (!Number.isFinite(weight) || weight < MIN_RIDER_WEIGHT_KG || weight > MAX_RIDER_WEIGHT_KG) {
+    return null;
+  }
+  return Math.round(weight * 10) / 10;
+}
+
+/**
+ * Get the weight used for a rider; manual entries override synced weight
+ * @param {Object} rider - Rider with optional synced weight
+ * @param {Object} manualWeights - Weights keyed by Zwift ID
+ * @returns {number|null} Weight in kg
+ */
+function getRiderWeight(rider, manualWeights = {}) {
+  const manual = manualWeights?.[rider.zwiftId];
+  if (Number.isFinite(manual)) return manual;
+  return Number.isFinite(rider.weight) && rider.weight > 0 ? rider.weight : null;
+}
+
+/**
+ * Convert watts to the selected unit
+ * @param {number|null} watts - Power in watts
+ * @param {number|null} weight - Rider weight in kg
+ * @param {string} unit - Power unit
+ * @returns {number|null} Power in unit, or null when weight is needed but unknown
+ */
+function convertPower(watts, weight, unit) {
+  if (watts === null || watts === undefined) return null;
+  if (unit !== POWER_UNITS.WKG) return watts;
+  return weight ? watts / weight : null;
+}
+
+/**
+ * Format a power value that is already in the selected unit
+ * @param {number|null} value - Power in unit
+ * @param {string} unit - Power unit
+ * @param {Object} options - { suffix: boolean }
+ * @returns {string} Formatted value (e.g., "250W", "3.6 W/kg", "-")
+ */
+function formatPowerValue(value, unit, { suffix = true } = {}) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '-';
+
+  if (unit === POWER_UNITS.WKG) {
+    return `${value.toFixed(1)}${suffix ? ' W/kg' : ''}`;
+  }
+  return `${Math.round(value)}${suffix ? 'W' : ''}`;
+}
+
+/**
+ * Convert and format power in watts for display
+ * @param {number|null} watts - Power in watts
+ * @param {number|null} weight - Rider weight in kg
+ * @param {string} unit - Power unit
+ * @param {Object} options - { suffix: boolean }
+ * @returns {string} Formatted value
+ */
+function formatPower(watts, weight, unit, options) {
+  return formatPowerValue(convertPower(watts, weight, unit), unit, options);
+}
+
+/**
+ * Get the label for a power unit
+ * @param {string} unit - Power unit
+ * @returns {string} Unit label
+ */
+function getPowerUnitLabel(unit) {
+  return unit === POWER_UNITS.WKG ? 'W/kg' : 'W';
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizePowerUnit,
+    parseRiderWeight,
+    getRiderWeight,
+    convertPower,
+    formatPowerValue,
+    formatPower,
+    getPowerUnitLabel,
+    // Constants
+    POWER_UNITS,
+    DEFAULT_POWER_UNIT,
+    POWER_UNIT_SUGGESTED_MAX,
+    MIN_RIDER_WEIGHT_KG,
+    MAX_RIDER_WEIGHT_KG,
+  };
+}
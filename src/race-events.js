@@ -0,0 +1,315 @@
+/**
+ * Race event detection for ZwiftPower Race Replay
+ * Scans riders' power and distance streams for attacks (surges that open a
+ * gap) and for group splits, so the replay can mark them on the timeline
+ */
+
+const RACE_EVENT_TYPES = {
+  ATTACK: 'attack',
+  SPLIT: 'split',
+};
+
+// Surge detection
+const SURGE_WINDOW_SECONDS = 15;
+const SURGE_BASELINE_SECONDS = 120;
+const SURGE_POWER_RATIO = 1.4;
+const SURGE_MIN_DELTA_WATTS = 80;
+
+// Attack assessment
+const ATTACK_FOLLOW_SECONDS = 60;
+const MIN_ATTACK_GAP_SECONDS = 3;
+const RESPONSE_GAP_SECONDS = 2;
+const ATTACK_GAP_STEP_SECONDS = 5;
+
+// Group split detection
+const SPLIT_SCAN_STEP_SECONDS = 10;
+const SPLIT_CONFIRM_SECONDS = 30;
+const MIN_SPLIT_GROUP_SIZE = 2;
+
+// Events of the same kind closer than this are merged
+const MIN_EVENT_SPACING_SECONDS = 30;
+
+/**
+ * Find surges in a rider's power: a short effort well above their recent average
+ * @param {Array} power - Power samples (watts)
+ * @param {number} sampleInterval - Seconds per sample
+ * @returns {Array} [{ startTime, endTime, avgPower, baselinePower }] in seconds
+ */
+function detectSurges(power, sampleInterval = 1) {
+  if (!power || power.length === 0) return [];
+
+  const windowSize = Math.max(1, Math.round(SURGE_WINDOW_SECONDS / sampleInterval));
+  const baselineSize = Math.max(1, Math.round(SURGE_BASELINE_SECONDS / sampleInterval));
+  const prefix = [0];
+  for (let i = 0; i < power.length; i++) {
+    prefix.push(prefix[i] + (power[i] || 0));
+  }
+  const average = (from, to) => (prefix[to] - prefix[from]) / (to - from);
+
+  const surges = [];
+  let current = null;
+
+  for (let i = baselineSize; i + windowSize <= power.length; i++) {
+    const baseline = average(i - baselineSize, i);
+    const effort = average(i, i + windowSize);
+    const isSurge = effort >= baseline * SURGE_POWER_RATIO && effort - baseline >= SURGE_MIN_DELTA_WATTS;
+
+    if (isSurge && current && i <= current.endIdx) {
+      current.endIdx = i + windowSize;
+      current.avgPower = Math.max(current.avgPower, effort);
+    } else if (isSurge) {
+      current = { startIdx: i, endIdx: i + windowSize, avgPower: effort, baselinePower: baseline };
+      surges.push(current);
+    }
+  }
+
+  return surges.map(s => ({
+    startTime: s.startIdx * sampleInterval,
+    endTime: s.endIdx * sampleInterval,
+    avgPower: Math.round(s.avgPower),
+    baselinePower: Math.round(s.baselinePower),
+  }));
+}
+
+/**
+ * Work out whether a surge was an attack: who responded and how big the gap got
+ * Riders within the grouping threshold of the attacker when the surge started
+ * count as the group; those still within RESPONSE_GAP_SECONDS when it ends responded
+ * @param {Object} attacker - Rider who surged
+ * @param {Array} riders - All riders
+ * @param {Object} surge - Surge from detectSurges
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {Object} options - { totalDistanceKm, grouping } (see detectGroupSplits)
+ * @returns {Object|null} Attack event, or null if no gap opened
+ */
+function analyzeAttack(attacker, riders, surge, sampleInterval = 1, {
+  totalDistanceKm = calcRaceDistanceKm(riders), grouping = DEFAULT_GROUPING,
+} = {}) {
+  const startStandings = getStandingsAt(riders, surge.startTime, sampleInterval, totalDistanceKm);
+  const attackerAtStart = startStandings.find(r => r.zwiftId === attacker.zwiftId);
+  if (!attackerAtStart) return null;
+
+  const { threshold } = normalizeGroupingOptions(grouping);
+  const groupMates = startStandings.filter(r =>
+    r.zwiftId !== attacker.zwiftId &&
+    calcGroupGap(attackerAtStart, r, surge.startTime, sampleInterval, grouping) <= threshold
+  );
+  if (groupMates.length === 0) return null;
+
+  const distanceAt = (r, time) => calcCurrentDistance(r, time, sampleInterval, totalDistanceKm);
+  const gapAt = (mate, time) =>
+    calcTimeGapFromDistance(distanceAt(attacker, time) - distanceAt(mate, time), mate, time, sampleInterval);
+
+  const responders = groupMates.filter(mate => gapAt(mate, surge.endTime) <= RESPONSE_GAP_SECONDS);
+  const dropped = groupMates.filter(mate => !responders.includes(mate));
+  if (dropped.length === 0) return null;
+
+  // Largest gap to the closest dropped rider while the attack played out
+  const followEnd = surge.endTime + ATTACK_FOLLOW_SECONDS;
+  let maxGap = 0;
+  for (let time = surge.startTime; time <= followEnd; time += Math.max(sampleInterval, ATTACK_GAP_STEP_SECONDS)) {
+    const closestGap = Math.min(...dropped.map(mate => gapAt(mate, time)));
+    if (closestGap > maxGap) maxGap = closestGap;
+  }
+  if (maxGap < MIN_ATTACK_GAP_SECONDS) return null;
+
+  return {
+    type: RACE_EVENT_TYPES.ATTACK,
+    time: surge.startTime,
+    endTime: surge.endTime,
+    attacker: { position: attacker.position, name: attacker.name },
+    responders: responders.map(r => ({ position: r.position, name: r.name })),
+    dropped: dropped.map(r => ({ position: r.position, name: r.name })),
+    gapSeconds: maxGap,
+    avgPower: surge.avgPower,
+    baselinePower: surge.baselinePower,
+  };
+}
+
+/**
+ * Detect attacks by every rider
+ * @param {Array} riders - Riders with power and distance arrays
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {Object} options - { totalDistanceKm, grouping } (see detectGroupSplits)
+ * @returns {Array} Attack events sorted by time
+ */
+function detectAttacks(riders, sampleInterval = 1, {
+  totalDistanceKm = calcRaceDistanceKm(riders), grouping = DEFAULT_GROUPING,
+} = {}) {
+  const attacks = [];
+  for (const rider of riders) {
+    if (!rider.distance?.length) continue;
+    for (const surge of detectSurges(rider.power, sampleInterval)) {
+      const attack = analyzeAttack(rider, riders, surge, sampleInterval, { totalDistanceKm, grouping });
+      if (attack) attacks.push(attack);
+    }
+  }
+  return attacks.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Map riders to the index of their group
+ */
+function getGroupMembership(groups) {
+  const membership = new Map();
+  groups.forEach((group, gIdx) => {
+    group.riders.forEach(r => membership.set(r.zwiftId, gIdx));
+  });
+  return membership;
+}
+
+/**
+ * Detect moments where a group breaks apart and stays apart
+ * @param {Array} riders - Riders with power and distance arrays
+ * @param {number} maxTime - Race length in seconds
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {Object} options - { totalDistanceKm, grouping } with grouping as the
+ *   replay's grouping settings (see DEFAULT_GROUPING)
+ * @returns {Array} Split events sorted by time
+ */
+function detectGroupSplits(riders, maxTime, sampleInterval = 1, {
+  totalDistanceKm = calcRaceDistanceKm(riders), grouping = DEFAULT_GROUPING,
+} = {}) {
+  const groupsAt = (time) =>
+    detectGroups(getStandingsAt(riders, time, sampleInterval, totalDistanceKm), time, null, sampleInterval, grouping);
+  const splits = [];
+  let previousGroups = null;
+
+  for (let time = SPLIT_SCAN_STEP_SECONDS; time <= maxTime; time += SPLIT_SCAN_STEP_SECONDS) {
+    const groups = groupsAt(time);
+    if (previousGroups) {
+      const membership = getGroupMembership(groups);
+
+      previousGroups.forEach((previous) => {
+        if (previous.riders.length < MIN_SPLIT_GROUP_SIZE) return;
+
+        const parts = new Map();
+        for (const r of previous.riders) {
+          const gIdx = membership.get(r.zwiftId);
+          if (gIdx === undefined) continue;
+          if (!parts.has(gIdx)) parts.set(gIdx, []);
+          parts.get(gIdx).push(r);
+        }
+        if (parts.size < 2) return;
+
+        const [frontIdx, ...behindIdxs] = [...parts.keys()].sort((a, b) => a - b);
+        const front = groups[frontIdx].riders.filter(r => parts.get(frontIdx).some(p => p.zwiftId === r.zwiftId));
+        const behind = behindIdxs.flatMap(idx => parts.get(idx));
+
+        // Ignore splits that close again straight away
+        const confirmTime = Math.min(maxTime, time + SPLIT_CONFIRM_SECONDS);
+        const confirmMembership = getGroupMembership(groupsAt(confirmTime));
+        const stillApart = confirmMembership.get(front[0].zwiftId) !== confirmMembership.get(behind[0].zwiftId);
+        if (!stillApart) return;
+
+        const lastFront = groups[frontIdx].riders[groups[frontIdx].riders.length - 1];
+        const firstBehind = groups[behindIdxs[0]].riders[0];
+
+        splits.push({
+          type: RACE_EVENT_TYPES.SPLIT,
+          time,
+          groupName: previous.name,
+          front: front.map(r => ({ position: r.position, name: r.name })),
+          dropped: behind.map(r => ({ position: r.position, name: r.name })),
+          gapSeconds: calcTimeGap(lastFront, firstBehind, time, sampleInterval),
+        });
+      });
+    }
+    previousGroups = groups;
+  }
+
+  return splits;
+}
+
+/**
+ * Drop events that repeat an earlier one of the same kind and rider
+ * @param {Array} events - Events sorted by time
+ * @returns {Array} Events without near duplicates
+ */
+function mergeNearbyEvents(events) {
+  const merged = [];
+  for (const event of events) {
+    const key = event.type === RACE_EVENT_TYPES.ATTACK ? event.attacker.position : event.front[0]?.position;
+    const duplicate = merged.find(e => e.type === event.type &&
+      (e.type === RACE_EVENT_TYPES.ATTACK ? e.attacker.position : e.front[0]?.position) === key &&
+      event.time - e.time < MIN_EVENT_SPACING_SECONDS);
+
+    if (!duplicate) {
+      merged.push(event);
+    } else if (event.gapSeconds > duplicate.gapSeconds) {
+      duplicate.gapSeconds = event.gapSeconds;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Detect attacks and group splits in a race
+ * @param {Array} riders - Riders with power and distance arrays
+ * @param {number} maxTime - Race length in seconds
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {Object} options - { totalDistanceKm, grouping } (see detectGroupSplits);
+ *   attacks and splits share the grouping settings
+ * @returns {Array} Events sorted by time
+ */
+function detectRaceEvents(riders, maxTime, sampleInterval = 1, {
+  totalDistanceKm = calcRaceDistanceKm(riders), grouping = DEFAULT_GROUPING,
+} = {}) {
+  const events = [
+    ...detectAttacks(riders, sampleInterval, { totalDistanceKm, grouping }),
+    ...detectGroupSplits(riders, maxTime, sampleInterval, { totalDistanceKm, grouping }),
+  ].sort((a, b) => a.time - b.time);
+  return mergeNearbyEvents(events);
+}
+
+/**
+ * Summarize names for event descriptions
+ */
+function formatRiderNames(list, maxNames = 3) {
+  if (list.length === 0) return 'nobody';
+  const names = list.slice(0, maxNames).map(r => r.name);
+  return list.length > maxNames ? `${names.join(', ')} +${list.length - maxNames}` : names.join(', ');
+}
+
+/**
+ * Describe an event for tooltips
+ * @param {Object} event - Race event
+ * @returns {string} Multi-line description
+ */
+function describeRaceEvent(event) {
+  if (event.type === RACE_EVENT_TYPES.ATTACK) {
+    return [
+      `Attack by ${event.attacker.name} at ${formatTime(event.time)}`,
+      `${event.avgPower}W (from ${event.baselinePower}W)`,
+      `Responded: ${formatRiderNames(event.responders)}`,
+      `Dropped: ${formatRiderNames(event.dropped)}`,
+      `Gap: ${event.gapSeconds}s`,
+    ].join('\n');
+  }
+
+  return [
+    `${event.groupName} split at ${formatTime(event.time)}`,
+    `Front: ${formatRiderNames(event.front)}`,
+    `Dropped: ${formatRiderNames(event.dropped)}`,
+    `Gap: ${event.gapSeconds}s`,
+  ].join('\n');
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    detectSurges,
+    analyzeAttack,
+    detectAttacks,
+    detectGroupSplits,
+    mergeNearbyEvents,
+    detectRaceEvents,
+    describeRaceEvent,
+    // Constants
+    RACE_EVENT_TYPES,
+    SURGE_WINDOW_SECONDS,
+    SURGE_BASELINE_SECONDS,
+    MIN_ATTACK_GAP_SECONDS,
+    RESPONSE_GAP_SECONDS,
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Race file export/import for ZwiftPower Race Replay
+ * Converts synced races to a portable, versioned JSON bundle and back
+ * Needs stream-codec.js loaded first to recognise encoded rider streams
+ */
+
+const RACE_FILE_FORMAT = 'zwiftpower-race-replay';
+// Version 2: rider streams may be encoded objects (see stream-codec.js)
+const RACE_FILE_VERSION = 2;
+const RACE_FILE_EXTENSION = '.zprace.json';
+const IMPORTED_ID_SUFFIX = '_import';
+// ZwiftPower event ID with an optional category, e.g. 4512345_B
+const EVENT_ID_PATTERN = /^\d+(_[A-E])?$/;
+// Copy number of an imported race, kept ahead of the category
+const IMPORTED_COPY_PATTERN = /_import\d+(?=(_[A-E])?$)/;
+const RIDER_ARRAY_FIELDS = ['distance', 'time', 'power', 'heartRate', 'elevation'];
+
+/**
+ * Build an export bundle for a synced race
+ * @param {Object} race - Stored race with riders
+ * @param {Date} exportedAt - Export timestamp (default now)
+ * @returns {Object} Versioned race bundle
+ */
+function createRaceExport(race, exportedAt = new Date()) {
+  // Pinning and size tracking are local to this browser
+  const { pinned, sizeBytes, ...shared } = race;
+  return {
+    format: RACE_FILE_FORMAT,
+    version: RACE_FILE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    race: {
+      ...shared,
+      // An imported copy goes out under its ZwiftPower event ID again
+      eventId: race.eventId.replace(IMPORTED_COPY_PATTERN, ''),
+      syncInProgress: false,
+      syncProgress: null,
+    },
+  };
+}
+
+/**
+ * Build a download file name for a race
+ * @param {Object} race - Race object with eventId and eventName
+ * @returns {string} Safe file name
+ */
+function getRaceFileName(race) {
+  const slug = (race.eventName || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${race.eventId}${slug ? `-${slug}` : ''}${RACE_FILE_EXTENSION}`;
+}
+
+/**
+ * Check that a value is an array of numbers (nulls allowed for gaps)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether value is a numeric array
+ */
+function isNumericArray(value) {
+  return Array.isArray(value) && value.every(v => v === null || typeof v === 'number');
+}
+
+/**
+ * Validate a single rider entry from a race file
+ * @param {Object} rider - Rider object
+ * @param {number} index - Rider index (for error messages)
+ * @throws {Error} When rider is invalid
+ */
+function validateRider(rider, index) {
+  if (!rider || typeof rider !== 'object') {
+    throw new Error(`Rider #${index + 1} is not an object`);
+  }
+  if (!rider.zwiftId || typeof rider.name !== 'string') {
+    throw new Error(`Rider #${index + 1} is missing zwiftId or name`);
+  }
+  if (typeof rider.position !== 'number') {
+    throw new Error(`Rider ${rider.name} has no valid position`);
+  }
+  for (const field of RIDER_ARRAY_FIELDS) {
+    if (rider[field] !== undefined && !isNumericArray(rider[field]) && !isEncodedStream(rider[field])) {
+      throw new Error(`Rider ${rider.name} has invalid ${field} data`);
+    }
+  }
+}
+
+/**
+ * Parse and validate a race file
+ * @param {string} text - Raw file contents
+ * @returns {Object} Race object ready to store
+ * @throws {Error} When the file is not a valid race file
+ */
+function parseRaceImport(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!bundle || bundle.format !== RACE_FILE_FORMAT) {
+    throw new Error('Not a race replay file');
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > RACE_FILE_VERSION) {
+    throw new Error(`Unsupported race file version: ${bundle.version}`);
+  }
+
+  const race = bundle.race;
+  if (!race || typeof race !== 'object') {
+    throw new Error('Race file has no race data');
+  }
+  if (!race.eventId || typeof race.eventId !== 'string') {
+    throw new Error('Race file has no event ID');
+  }
+  if (!EVENT_ID_PATTERN.test(race.eventId)) {
+    throw new Error(`Race file has an invalid event ID: ${race.eventId}`);
+  }
+  if (!Array.isArray(race.riders) || race.riders.length === 0) {
+    throw new Error('Race file has no riders');
+  }
+
+  race.riders.forEach(validateRider);
+
+  return {
+    ...race,
+    syncInProgress: false,
+    syncProgress: null,
+    importedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Find a free event ID for an imported race that clashes with an existing one
+ * The copy number goes between the ZwiftPower event ID and the category, so
+ * the ID still starts with the event ID and ends with the category
+ * @param {string} eventId - Event ID from the race file
+ * @param {Array} existingIds - Event IDs already in storage
+ * @returns {string} Unused event ID, e.g. 123_import2_A
+ */
+function resolveImportedEventId(eventId, existingIds) {
+  const taken = new Set(existingIds);
+  if (!taken.has(eventId)) return eventId;
+
+  const [numericId, categoryId] = eventId.split('_');
+  const copyId = n => `${numericId}${IMPORTED_ID_SUFFIX}${n}${categoryId ? `_${categoryId}` : ''}`;
+  let n = 2;
+  while (taken.has(copyId(n))) {
+    n++;
+  }
+  return copyId(n);
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createRaceExport,
+    getRaceFileName,
+    parseRaceImport,
+    resolveImportedEventId,
+    // Constants
+    RACE_FILE_FORMAT,
+    RACE_FILE_VERSION,
+    RACE_FILE_EXTENSION,
+    EVENT_ID_PATTERN,
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Precomputed race frames for ZwiftPower Race Replay
+ * Standings order, group membership and gaps to the leader at every sample,
+ * stored in flat typed arrays so a worker can build them once and hand them
+ * to the replay page. Playback, seeking and the over-time charts read frames
+ * instead of sorting and regrouping every rider again
+ */
+
+// Report progress every this many frames
+const FRAME_PROGRESS_INTERVAL = 100;
+
+/**
+ * Build a frame for every sample of the race
+ * Frame arrays hold riderCount entries per frame, in standings order
+ * @param {Array} riders - Riders with distance and power arrays
+ * @param {Object} options - { maxTime, sampleInterval, totalDistanceKm, grouping,
+ *   onProgress(fraction) }
+ * @returns {Object} { maxTime, sampleInterval, frameCount, riderCount,
+ *   order (rider index), groupIds, gaps (seconds behind the leader) }
+ */
+function buildRaceFrames(riders, {
+  maxTime, sampleInterval = 1, totalDistanceKm, grouping = DEFAULT_GROUPING, onProgress,
+}) {
+  const riderCount = riders.length;
+  const frameCount = Math.floor(maxTime / sampleInterval) + 1;
+  const order = new Uint16Array(frameCount * riderCount);
+  const groupIds = new Uint32Array(frameCount * riderCount);
+  const gaps = new Float32Array(frameCount * riderCount);
+  const indexed = riders.map((r, riderIdx) => ({ ...r, riderIdx }));
+  const tracker = createGroupTracker(grouping);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const time = frame * sampleInterval;
+    const standings = getStandingsAt(indexed, time, sampleInterval, totalDistanceKm);
+    const leader = standings[0];
+    let offset = frame * riderCount;
+    // Groups list riders in standings order, so their concatenation is the order
+    for (const group of tracker.detect(standings, time, null, sampleInterval)) {
+      for (const r of group.riders) {
+        order[offset] = r.riderIdx;
+        groupIds[offset] = group.id;
+        gaps[offset] = r === leader ? 0 : calcTimeGap(leader, r, time, sampleInterval);
+        offset++;
+      }
+    }
+
+    if (onProgress && (frame % FRAME_PROGRESS_INTERVAL === 0 || frame === frameCount - 1)) {
+      onProgress((frame + 1) / frameCount);
+    }
+  }
+
+  return { maxTime, sampleInterval, frameCount, riderCount, order, groupIds, gaps };
+}
+
+/**
+ * Frame showing a time
+ * @param {Object} frames - Frames from buildRaceFrames
+ * @param {number} time - Time in seconds
+ * @returns {number} Frame index
+ */
+function getFrameIndex(frames, time) {
+  return clamp(timeToIndex(time, frames.sampleInterval), 0, frames.frameCount - 1);
+}
+
+/**
+ * Rider indices in standings order for a frame
+ * @param {Object} frames - Frames
+ * @param {number} frameIdx - Frame index
+ * @returns {Uint16Array} Rider indices, leader first
+ */
+function getFrameOrder(frames, frameIdx) {
+  const offset = frameIdx * frames.riderCount;
+  return frames.order.subarray(offset, offset + frames.riderCount);
+}
+
+/**
+ * Groups in a frame as ranges of standings ranks
+ * @param {Object} frames - Frames
+ * @param {number} frameIdx - Frame index
+ * @returns {Array} [{ id, start, end }] with end exclusive, leading group first
+ */
+function getFrameGroupSpans(frames, frameIdx) {
+  const offset = frameIdx * frames.riderCount;
+  const spans = [];
+  for (let rank = 0; rank < frames.riderCount; rank++) {
+    const id = frames.groupIds[offset + rank];
+    const span = spans[spans.length - 1];
+    if (span && span.id === id) {
+      span.end = rank + 1;
+    } else {
+      spans.push({ id, start: rank, end: rank + 1 });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Build the groups of a frame the way detectGroups does
+ * Between samples, group membership and gaps stay those of the frame, while
+ * riders inside each group are ordered by their interpolated currentDistance,
+ * so a rider can pass another in the same group but changes groups only at
+ * the next sample
+ * @param {Object} frames - Frames
+ * @param {number} frameIdx - Frame index
+ * @param {Array} riderStates - Riders by index, with currentDistance, currentPower
+ *   and optional currentWkg
+ * @param {number} watchingPosition - Position of the rider being watched
+ * @returns {Array} Groups with stable IDs and names
+ */
+function buildFrameGroups(frames, frameIdx, riderStates, watchingPosition) {
+  const offset = frameIdx * frames.riderCount;
+  return labelGroups(getFrameGroupSpans(frames, frameIdx).map((span, idx) => {
+    const groupRiders = [];
+    for (let rank = span.start; rank < span.end; rank++) {
+      groupRiders.push(riderStates[frames.order[offset + rank]]);
+    }
+    // Stable sort keeps the frame order for riders level on distance
+    groupRiders.sort((a, b) => b.currentDistance - a.currentDistance);
+    return { ...summarizeGroup(groupRiders, idx, frames.gaps[offset + span.start], watchingPosition), id: span.id };
+  }));
+}
+
+/**
+ * Each rider's race position over time, read from frames
+ * @param {Object} frames - Frames
+ * @param {Array} riders - Riders the frames were built from
+ * @param {number} step - Seconds between samples
+ * @returns {Object} { times, positions } (see buildPositionHistory)
+ */
+function buildPositionHistoryFromFrames(frames, riders, step = POSITION_HISTORY_STEP_SECONDS) {
+  const times = [];
+  const positions = {};
+  riders.forEach(r => { positions[r.zwiftId] = []; });
+
+  for (let time = 0; time <= frames.maxTime; time += step) {
+    times.push(time);
+    getFrameOrder(frames, getFrameIndex(frames, time)).forEach((riderIdx, rank) => {
+      positions[riders[riderIdx].zwiftId].push(rank + 1);
+    });
+  }
+  return { times, positions };
+}
+
+/**
+ * Group snapshots through the race, read from frames
+ * @param {Object} frames - Frames
+ * @param {Array} riders - Riders the frames were built from
+ * @param {number} step - Seconds between snapshots
+ * @returns {Array} Snapshots (see buildGroupHistory)
+ */
+function buildGroupHistoryFromFrames(frames, riders, step = GROUP_HISTORY_STEP_SECONDS) {
+  const history = [];
+  for (let time = 0; time <= frames.maxTime; time += step) {
+    const frameIdx = getFrameIndex(frames, time);
+    const offset = frameIdx * frames.riderCount;
+    const idx = timeToIndex(time, frames.sampleInterval);
+    const groups = labelGroups(getFrameGroupSpans(frames, frameIdx).map(span => ({
+      id: span.id,
+      riders: Array.from(frames.order.subarray(offset + span.start, offset + span.end), i => riders[i]),
+      timeGapToLeader: frames.gaps[offset + span.start],
+    })));
+
+    history.push({
+      time,
+      groups: groups.map(g => ({
+        id: g.id,
+        name: g.name,
+        riderIds: g.riders.map(r => r.zwiftId),
+        size: g.riders.length,
+        avgPower: Math.round(g.riders.reduce((sum, r) => sum + (r.power?.[idx] || 0), 0) / g.riders.length),
+        timeGapToLeader: g.timeGapToLeader,
+      })),
+    });
+  }
+  return history;
+}
+
+/**
+ * The watched rider's gaps through the race, read from frames
+ * @param {Object} frames - Frames
+ * @param {Array} riders - Riders the frames were built from
+ * @param {Object} watched - Watched rider
+ * @param {Array} compared - Compared riders
+ * @param {Object} options - { totalDistanceKm, step }
+ * @returns {Array} Points (see buildGapHistory)
+ */
+function buildGapHistoryFromFrames(frames, riders, watched, compared, {
+  totalDistanceKm, step = GAP_HISTORY_STEP_SECONDS,
+}) {
+  const sampleInterval = frames.sampleInterval;
+  const watchedIdx = riders.findIndex(r => r.zwiftId === watched.zwiftId);
+  if (watchedIdx === -1) return [];
+  const comparedIdxs = compared
+    .map(c => ({ zwiftId: c.zwiftId, riderIdx: riders.findIndex(r => r.zwiftId === c.zwiftId) }))
+    .filter(c => c.riderIdx !== -1);
+  // Just what calcTimeGap needs
+  const riderAt = (riderIdx, time) => ({
+    distance: riders[riderIdx].distance,
+    currentDistance: calcCurrentDistance(riders[riderIdx], time, sampleInterval, totalDistanceKm),
+  });
+
+  const points = [];
+  const endTime = watched.duration * sampleInterval;
+  for (let time = 0; time <= endTime; time += step) {
+    const frameIdx = getFrameIndex(frames, time);
+    const offset = frameIdx * frames.riderCount;
+    const rank = getFrameOrder(frames, frameIdx).indexOf(watchedIdx);
+    const spans = getFrameGroupSpans(frames, frameIdx);
+    const yourSpanIdx = spans.findIndex(s => rank >= s.start && rank < s.end);
+    const you = riderAt(watchedIdx, time);
+
+    const groupAheadEnd = yourSpanIdx > 0 ? spans[yourSpanIdx - 1].end : null;
+    const compareGaps = {};
+    comparedIdxs.forEach(({ zwiftId, riderIdx }) => {
+      compareGaps[zwiftId] = calcTimeGap(riderAt(riderIdx, time), you, time, sampleInterval);
+    });
+
+    points.push({
+      time,
+      distance: you.currentDistance,
+      leader: frames.gaps[offset + rank],
+      groupAhead: groupAheadEnd === null
+        ? null
+        : calcTimeGap(riderAt(frames.order[offset + groupAheadEnd - 1], time), you, time, sampleInterval),
+      compared: compareGaps,
+    });
+  }
+  return points;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildRaceFrames,
+    getFrameIndex,
+    getFrameOrder,
+    getFrameGroupSpans,
+    buildFrameGroups,
+    buildPositionHistoryFromFrames,
+    buildGroupHistoryFromFrames,
+    buildGapHistoryFromFrames,
+    // Constants
+    FRAME_PROGRESS_INTERVAL,
+  };
+}
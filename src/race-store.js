@@ -0,0 +1,416 @@
+/**
+ * Race storage for ZwiftPower Race Replay
+ * Rider streams live in IndexedDB, one record per rider; a small race index
+ * in chrome.storage.local lists races and drives the popup and live updates.
+ * Streams are stored encoded; readers decode them with decodeRiderStreams
+ */
+
+const RACE_DB_NAME = 'zp-race-replay';
+const RACE_DB_VERSION = 1;
+const RIDER_STORE = 'riders';
+const RIDER_EVENT_INDEX = 'eventId';
+const STORAGE_KEY_RACE_INDEX = 'raceIndex';
+const STORAGE_KEY_LEGACY_RACES = 'syncedRaces';
+const STORAGE_KEY_STORAGE_SETTINGS = 'storageSettings';
+const STORAGE_KEY_STORAGE_EVICTIONS = 'storageEvictions';
+const INDEX_ONLY_FIELDS = ['riderZwiftIds', 'riderCount', 'sizeBytes'];
+// Web Lock held while the race index is read, changed and saved
+const RACE_INDEX_LOCK = 'zp-race-replay-index';
+const STORAGE_READY_ACTION = 'raceStorageReady';
+
+let raceDbPromise = null;
+let raceIndexWrites = Promise.resolve(); // Fallback queue where Web Locks are missing
+
+/**
+ * Estimate the stored size of one rider
+ * @param {Object} rider - Rider object
+ * @returns {number} Size in bytes
+ */
+function estimateRiderBytes(rider) {
+  return JSON.stringify(rider).length;
+}
+
+/**
+ * Build the IndexedDB record for a rider
+ * @param {string} eventId - Race event ID
+ * @param {Object} rider - Rider with analysis data
+ * @returns {Object} Rider record keyed by [eventId, zwiftId]
+ */
+function createRiderRecord(eventId, rider) {
+  return { ...rider, eventId };
+}
+
+/**
+ * Strip the storage key from a rider record
+ * @param {Object} record - Rider record
+ * @returns {Object} Rider object
+ */
+function fromRiderRecord(record) {
+  const { eventId, ...rider } = record;
+  return rider;
+}
+
+/**
+ * Build a race index entry from a full race
+ * @param {Object} race - Race object with riders
+ * @param {Object} existing - Existing index entry to keep local flags from
+ * @returns {Object} Index entry without rider streams
+ */
+function createIndexEntry(race, existing = null) {
+  const { riders = [], ...meta } = race;
+  return {
+    ...meta,
+    pinned: !!(existing?.pinned || race.pinned),
+    riderZwiftIds: riders.map(r => r.zwiftId),
+    riderCount: riders.length,
+    sizeBytes: JSON.stringify(meta).length + riders.reduce((sum, r) => sum + estimateRiderBytes(r), 0),
+  };
+}
+
+/**
+ * Update a race index entry after a rider was stored
+ * @param {Object} entry - Index entry (may be a bare race meta)
+ * @param {Object} rider - Stored rider
+ * @returns {Object} Updated index entry
+ */
+function addRiderToIndexEntry(entry, rider) {
+  const riderZwiftIds = entry.riderZwiftIds || [];
+  if (riderZwiftIds.includes(rider.zwiftId)) return entry;
+
+  return {
+    ...entry,
+    riderZwiftIds: [...riderZwiftIds, rider.zwiftId],
+    riderCount: riderZwiftIds.length + 1,
+    sizeBytes: (entry.sizeBytes || 0) + estimateRiderBytes(rider),
+  };
+}
+
+/**
+ * Combine an index entry with its riders into a full race
+ * @param {Object} entry - Index entry
+ * @param {Array} riders - Riders from IndexedDB
+ * @returns {Object} Race object in the shape used before IndexedDB storage
+ */
+function joinRace(entry, riders) {
+  const race = { ...entry };
+  for (const field of INDEX_ONLY_FIELDS) {
+    delete race[field];
+  }
+  race.riders = [...riders].sort((a, b) => a.position - b.position);
+  return race;
+}
+
+/**
+ * Split legacy syncedRaces data into index entries and rider records
+ * @param {Object} syncedRaces - Races keyed by event ID, with riders inline
+ * @returns {Object} { index, records }
+ */
+function planLegacyMigration(syncedRaces) {
+  const index = {};
+  const records = [];
+
+  for (const [eventId, race] of Object.entries(syncedRaces || {})) {
+    const fullRace = { ...race, eventId: race.eventId || eventId };
+    delete fullRace.sizeBytes;
+    index[eventId] = createIndexEntry(fullRace);
+    for (const rider of fullRace.riders || []) {
+      records.push(createRiderRecord(eventId, rider));
+    }
+  }
+
+  return { index, records };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ */
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open (and create or upgrade) the race database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openRaceDb() {
+  if (raceDbPromise) return raceDbPromise;
+
+  raceDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(RACE_DB_NAME, RACE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RIDER_STORE)) {
+        const store = db.createObjectStore(RIDER_STORE, { keyPath: ['eventId', 'zwiftId'] });
+        store.createIndex(RIDER_EVENT_INDEX, 'eventId', { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      raceDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return raceDbPromise;
+}
+
+/**
+ * Store rider records in one transaction
+ * @param {Array} records - Rider records
+ */
+async function putRiderRecords(records) {
+  if (records.length === 0) return;
+
+  const db = await openRaceDb();
+  const tx = db.transaction(RIDER_STORE, 'readwrite');
+  const store = tx.objectStore(RIDER_STORE);
+  for (const record of records) {
+    store.put(record);
+  }
+  await idbTransactionDone(tx);
+}
+
+/**
+ * Load all riders of a race
+ * @param {string} eventId - Race event ID
+ * @returns {Promise<Array>} Riders
+ */
+async function getRaceRiders(eventId) {
+  const db = await openRaceDb();
+  const tx = db.transaction(RIDER_STORE, 'readonly');
+  const records = await idbRequest(tx.objectStore(RIDER_STORE).index(RIDER_EVENT_INDEX).getAll(eventId));
+  return records.map(fromRiderRecord);
+}
+
+/**
+ * Delete all riders of a race
+ * @param {string} eventId - Race event ID
+ */
+async function deleteRaceRiders(eventId) {
+  const db = await openRaceDb();
+  const tx = db.transaction(RIDER_STORE, 'readwrite');
+  const keys = await idbRequest(tx.objectStore(RIDER_STORE).index(RIDER_EVENT_INDEX).getAllKeys(eventId));
+  for (const key of keys) {
+    tx.objectStore(RIDER_STORE).delete(key);
+  }
+  await idbTransactionDone(tx);
+}
+
+/**
+ * Get the race index
+ * @returns {Promise<Object>} Index entries keyed by event ID
+ */
+async function getRaceIndex() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_RACE_INDEX);
+  return result[STORAGE_KEY_RACE_INDEX] || {};
+}
+
+/**
+ * Save the race index as is
+ * @param {Object} index - Index entries keyed by event ID
+ */
+async function saveRaceIndex(index) {
+  await chrome.storage.local.set({ [STORAGE_KEY_RACE_INDEX]: index });
+}
+
+/**
+ * Run a task while no other context changes the race index
+ * The popup, the replay page and the background worker share the lock
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function withRaceIndexLock(task) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(RACE_INDEX_LOCK, task);
+  }
+  const run = raceIndexWrites.then(task);
+  raceIndexWrites = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read, change and save the race index under the index lock
+ * @param {Function} change - (index) => new index, or null to leave it as is
+ * @returns {Promise<Object>} Index after the change
+ */
+function changeRaceIndex(change) {
+  return withRaceIndexLock(async () => {
+    const index = await getRaceIndex();
+    const changed = change(index);
+    if (!changed) return index;
+    await saveRaceIndex(changed);
+    return changed;
+  });
+}
+
+/**
+ * Change the race index and apply the storage policy, under the index lock
+ * Riders of evicted races are deleted and the evictions logged for the popup
+ * @param {Function} change - (index) => new index
+ * @param {string} keepId - Event ID that must not be evicted
+ * @returns {Promise<Array>} Evicted races
+ */
+function commitRaceIndex(change, keepId = null) {
+  return withRaceIndexLock(async () => {
+    const index = change(await getRaceIndex());
+    const result = await chrome.storage.local.get([STORAGE_KEY_STORAGE_SETTINGS, STORAGE_KEY_STORAGE_EVICTIONS]);
+    const { races: kept, evicted } = applyStoragePolicy(index, result[STORAGE_KEY_STORAGE_SETTINGS], keepId);
+    await saveRaceIndex(kept);
+
+    if (evicted.length > 0) {
+      console.log(`[ZP Replay] Evicted races: ${evicted.map(r => r.eventId).join(', ')}`);
+      for (const race of evicted) {
+        await deleteRaceRiders(race.eventId);
+      }
+      await chrome.storage.local.set({
+        [STORAGE_KEY_STORAGE_EVICTIONS]: appendEvictionLog(result[STORAGE_KEY_STORAGE_EVICTIONS], evicted),
+      });
+    }
+
+    return evicted;
+  });
+}
+
+/**
+ * Load a full race
+ * @param {string} eventId - Race event ID
+ * @returns {Promise<Object|null>} Race with encoded riders, or null if not stored
+ */
+async function loadStoredRace(eventId) {
+  const entry = (await getRaceIndex())[eventId];
+  if (!entry) return null;
+  return joinRace(entry, await getRaceRiders(eventId));
+}
+
+/**
+ * Store a full race, replacing any riders stored for it
+ * @param {Object} race - Race object with riders
+ */
+async function saveStoredRace(race) {
+  const riders = await Promise.all((race.riders || []).map(r => encodeRiderStreams(r)));
+  await deleteRaceRiders(race.eventId);
+  await putRiderRecords(riders.map(r => createRiderRecord(race.eventId, r)));
+
+  await commitRaceIndex(index => ({
+    ...index,
+    [race.eventId]: createIndexEntry({ ...race, riders }, index[race.eventId]),
+  }), race.eventId);
+}
+
+/**
+ * Store one rider and update the race index entry
+ * @param {Object} meta - Race fields without riders
+ * @param {Object} plainRider - Rider with analysis data
+ */
+async function saveRaceRider(meta, plainRider) {
+  const rider = await encodeRiderStreams(plainRider);
+  await putRiderRecords([createRiderRecord(meta.eventId, rider)]);
+
+  await commitRaceIndex(index => ({
+    ...index,
+    [meta.eventId]: addRiderToIndexEntry({ ...index[meta.eventId], ...meta }, rider),
+  }), meta.eventId);
+}
+
+/**
+ * Update race fields in the index without touching riders
+ * @param {Object} meta - Race fields without riders
+ */
+async function saveRaceMeta(meta) {
+  await changeRaceIndex(index => ({
+    ...index,
+    [meta.eventId]: { riderZwiftIds: [], riderCount: 0, sizeBytes: 0, ...index[meta.eventId], ...meta },
+  }));
+}
+
+/**
+ * Change fields of an index entry (e.g. pinned)
+ * @param {string} eventId - Race event ID
+ * @param {Object} changes - Fields to set
+ */
+async function updateRaceEntry(eventId, changes) {
+  await changeRaceIndex(index => (index[eventId]
+    ? { ...index, [eventId]: { ...index[eventId], ...changes } }
+    : null));
+}
+
+/**
+ * Delete a race and its riders
+ * @param {string} eventId - Race event ID
+ */
+async function deleteStoredRace(eventId) {
+  await changeRaceIndex((index) => {
+    const { [eventId]: removed, ...rest } = index;
+    return rest;
+  });
+  await deleteRaceRiders(eventId);
+}
+
+/**
+ * Move races from the legacy syncedRaces key into IndexedDB
+ * Only the background worker migrates, when it starts; pages wait for it
+ * with waitForRaceStorage. Does nothing once the legacy key is gone
+ * @returns {Promise<number>} Number of migrated races
+ */
+async function migrateLegacyRaces() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_LEGACY_RACES);
+  const legacy = result[STORAGE_KEY_LEGACY_RACES];
+  if (!legacy) return 0;
+
+  const encoded = {};
+  for (const [eventId, race] of Object.entries(legacy)) {
+    encoded[eventId] = { ...race, riders: await Promise.all((race.riders || []).map(r => encodeRiderStreams(r))) };
+  }
+
+  const { index, records } = planLegacyMigration(encoded);
+  await putRiderRecords(records);
+  await changeRaceIndex(current => ({ ...index, ...current }));
+  await chrome.storage.local.remove(STORAGE_KEY_LEGACY_RACES);
+
+  console.log(`[ZP Replay] Migrated ${Object.keys(index).length} races to IndexedDB`);
+  return Object.keys(index).length;
+}
+
+/**
+ * Wait for the background worker to finish migrating legacy races
+ * Pages call this before reading races
+ */
+async function waitForRaceStorage() {
+  try {
+    await chrome.runtime.sendMessage({ action: STORAGE_READY_ACTION });
+  } catch (error) {
+    console.log(`[ZP Replay] Race storage not ready: ${error.message}`);
+  }
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    estimateRiderBytes,
+    createRiderRecord,
+    fromRiderRecord,
+    createIndexEntry,
+    addRiderToIndexEntry,
+    joinRace,
+    planLegacyMigration,
+    withRaceIndexLock,
+    // Constants
+    STORAGE_KEY_RACE_INDEX,
+    STORAGE_KEY_LEGACY_RACES,
+    STORAGE_READY_ACTION,
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Background worker for ZwiftPower Race Replay
+ * Builds the race frames and detects race events off the main thread so the
+ * replay stays responsive while a large field is processed
+ *
+ * In:  { riders, maxTime, sampleInterval, totalDistanceKm, grouping }
+ * Out: { type: 'progress', progress } while frames are built, then
+ *      { type: 'done', frames, raceEvents }
+ */
+
+importScripts('utils.js', 'gap-history.js', 'race-events.js', 'race-frames.js');
+
+self.onmessage = (e) => {
+  const { riders, maxTime, sampleInterval, totalDistanceKm, grouping } = e.data;
+
+  const frames = buildRaceFrames(riders, {
+    maxTime,
+    sampleInterval,
+    totalDistanceKm,
+    grouping,
+    onProgress: progress => self.postMessage({ type: 'progress', progress }),
+  });
+  const raceEvents = detectRaceEvents(riders, maxTime, sampleInterval, { totalDistanceKm, grouping });
+
+  // Hand the frame arrays over instead of copying them
+  self.postMessage(
+    { type: 'done', frames, raceEvents },
+    [frames.order.buffer, frames.groupIds.buffer, frames.gaps.buffer]
+  );
+};
@@ -3,28 +3,55 @@
  * Loads race data from extension storage and renders interactive replay
  */
 
-// Storage key (shared with other modules)
-const STORAGE_KEY_RACES = 'syncedRaces';
-
 // Replay-specific constants
 const MIN_ZOOM_SELECTION_PX = 20;
+const EVENT_LEAD_IN_SECONDS = 10; // Jump slightly before a race event
 const CHART_UPDATE_INTERVAL_MS = 500;
+const PRECOMPUTE_RESTART_DELAY_MS = 5000; // Quiet time during a live sync before frames are rebuilt
 const CHART_WINDOW_SIZE_SECONDS = 600;
+const CHART_WINDOW_DISTANCE_KM = 5;
+const CHART_DISTANCE_STEP_KM = 0.1;
+const MAX_CHART_DISTANCE_POINTS = 200;
+const CHART_ALIGNMENTS = {
+  TIME: 'time',
+  DISTANCE: 'distance',
+};
 
 // Elevation profile constants
 const DEFAULT_ELEVATION_SVG_HEIGHT = 150;
 const DEFAULT_ELEVATION_CONTAINER_HEIGHT = 180;
 const ELEVATION_PATH_TOP_PADDING = 20;
 const ELEVATION_PATH_MAX_POINTS = 300;
+const ELEVATION_FILL_OPACITY = 0.25;
+const ELEVATION_AXIS_MAX_TICKS = 4;
+const DISTANCE_AXIS_MAX_TICKS = 8;
 const MARKER_TOP_PADDING = 25;
 const MARKER_BOTTOM_PADDING = 10;
+const MARKER_OUTLINE_COLOR = '#ffffff';
+const WATCHING_MARKER_GLOW_PX = 8;
+const POWER_LABEL_OFFSET_PX = 28;
 
 // Chart axis limits
 const POWER_CHART_MIN = 0;
-const POWER_CHART_SUGGESTED_MAX = 500;
+const W_PRIME_AXIS_MAX = 100;
 const HR_CHART_MIN = 60;
 const HR_CHART_SUGGESTED_MAX = 200;
 
+// Segment bands on the elevation profile
+const SEGMENT_BAND_COLOR = 'rgba(240, 136, 62, 0.15)';
+const SELECTED_SEGMENT_BAND_COLOR = 'rgba(240, 136, 62, 0.35)';
+const SEGMENT_LABEL_Y = 12;
+
+// Group history river
+const RIVER_FLOW_ALPHA = 'aa';
+
+// Position (bump) chart
+const POSITION_LINE_COLOR = '#30363d';
+
+// Gap chart
+const GAP_LEADER_COLOR = '#f0f6fc';
+const GAP_GROUP_AHEAD_COLOR = '#8b949e';
+
 // Chart data sampling
 const MIN_CHART_STEP_SECONDS = 10;
 
@@ -33,6 +60,11 @@ const GROUP_COLORS = [
   '#ff7b72', '#79c0ff', '#d2a8ff', '#7ee787', '#ffa657',
 ];
 
+// Groups keep their color while their ID lasts
+function getGroupColor(groupId) {
+  return GROUP_COLORS[(groupId - 1) % GROUP_COLORS.length];
+}
+
 // Comparison colors (subset of GROUP_COLORS for up to 4 comparison riders)
 const COMPARE_COLORS = ['#ffd700', '#58a6ff', '#a371f7', '#3fb950'];
 const MAX_COMPARE_RIDERS = 4;
@@ -40,7 +72,7 @@ const WATCHING_COLOR = '#f85149';
 
 // State
 let riders = [];
-let totalDistanceKm = 42;
+let totalDistanceKm = DEFAULT_RACE_DISTANCE_KM;
 let watchingPosition = 1;
 let currentTime = 0;
 let maxTime = 0;
@@ -50,34 +82,84 @@ let lastFrameTime = null;
 let animationFrameId = null;
 let powerChart = null;
 let hrChart = null;
-let elevationData = [];
+let powerCurveChart = null;
+let lastPowerCurveKey = null; // Skips redrawing the curve when nothing changed
+const powerProfiles = new WeakMap(); // Power curve and CP fit per power stream
+const wPrimeBalances = new WeakMap(); // W' balance per power stream and model
+let elevationProfile = []; // Course elevation over distance
+let elevationScale = { min: 0, max: 100 }; // Elevation range of the zoomed profile
+let routeKey = null; // Identifies the route for saved segments
+let customSegments = {}; // Saved segments keyed by route
+let segments = []; // Detected climbs and saved segments on this route
+let selectedSegmentId = null;
+let lastSegmentTableKey = null;
 let compareRiders = []; // Array of positions of riders to compare with (max 4)
-let expandedGroups = new Set();
+let expandedGroups = new Set(); // Group IDs
+let riderMarkers = []; // Last drawn course markers, for hit-testing
+let hoveredMarkerPosition = null;
+// Standings nodes are reused between frames and only touched when they change
+const standingsGroupNodes = new Map(); // Keyed by group ID
+const standingsRowNodes = new Map(); // Keyed by rider position
+const renderedMarkup = new WeakMap();
+let standingsEmptyNode = null;
 let riderSearchTerm = '';
+let riderFilter = { team: '', category: '', minWkg: null };
+let powerUnit = DEFAULT_POWER_UNIT;
+let riderWeights = {}; // Manually entered weights keyed by Zwift ID
+let riderPowerModels = {}; // Manually entered CP/W' keyed by Zwift ID
+let groupingOptions = DEFAULT_GROUPING;
+const groupTracker = createGroupTracker(groupingOptions); // Keeps group IDs stable between frames
 let zoomStart = 0;
 let zoomEnd = 1;
 let isDragging = false;
 let dragStartX = 0;
 let sampleInterval = 1; // Data sample interval (1 = every second, 5 = every 5 seconds)
 let lastChartUpdate = 0; // Timestamp for throttling chart updates
+let chartAlignment = CHART_ALIGNMENTS.TIME; // Line power/HR charts up by elapsed time or distance
+let raceEvents = []; // Detected attacks and group splits
+let raceFrames = null; // Precomputed standings order, groups and gaps (see race-frames.js)
+let raceWorker = null; // Worker building raceFrames, while it runs
+let precomputeTimer = null; // Pending worker restart while a sync adds riders
+let groupHistory = []; // Group snapshots across the whole race
+let positionHistory = { times: [], positions: {} }; // Race position of every rider over time
+let positionChart = null;
+let lastPositionChartKey = null;
+let gapHistory = []; // Watched rider's gaps across the race
+let gapAxis = GAP_AXES.TIME;
+let gapChart = null;
+let lastGapChartKey = null;
 
 // DOM Elements
 const elements = {
   raceInfo: document.getElementById('raceInfo'),
   riderSelect: document.getElementById('riderSelect'),
   syncBanner: document.getElementById('syncBanner'),
+  precomputeBadge: document.getElementById('precomputeBadge'),
+  precomputeFill: document.getElementById('precomputeFill'),
+  precomputeText: document.getElementById('precomputeText'),
   syncText: document.querySelector('#syncBanner .sync-text'),
   elevationContainer: document.getElementById('elevationContainer'),
   elevationSvg: document.getElementById('elevationSvg'),
   zoomSelection: document.getElementById('zoomSelection'),
   zoomResetBtn: document.getElementById('zoomResetBtn'),
+  saveSegmentBtn: document.getElementById('saveSegmentBtn'),
   cursorLine: document.getElementById('cursorLine'),
   cursorInfo: document.getElementById('cursorInfo'),
   distanceMarkers: document.getElementById('distanceMarkers'),
+  elevationAxis: document.getElementById('elevationAxis'),
+  elevationStats: document.getElementById('elevationStats'),
   timeDisplay: document.getElementById('timeDisplay'),
   playBtn: document.getElementById('playBtn'),
   resetBtn: document.getElementById('resetBtn'),
   timeSlider: document.getElementById('timeSlider'),
+  timelineMarkers: document.getElementById('timelineMarkers'),
+  eventInfo: document.getElementById('eventInfo'),
+  riverContainer: document.getElementById('riverContainer'),
+  groupRiverCanvas: document.getElementById('groupRiverCanvas'),
+  riverCursor: document.getElementById('riverCursor'),
+  positionChart: document.getElementById('positionChart'),
+  positionHint: document.getElementById('positionHint'),
+  gapChart: document.getElementById('gapChart'),
   yourPosition: document.getElementById('yourPosition'),
   yourPower: document.getElementById('yourPower'),
   leaderPower: document.getElementById('leaderPower'),
@@ -85,6 +167,8 @@ const elements = {
   gapToGroup: document.getElementById('gapToGroup'),
   positionLabel: document.getElementById('positionLabel'),
   powerLabel: document.getElementById('powerLabel'),
+  markerCanvas: document.getElementById('markerCanvas'),
+  riderPowerLabel: document.getElementById('riderPowerLabel'),
   standings: document.getElementById('standings'),
   riderSearch: document.getElementById('riderSearch'),
   comparisonPanel: document.getElementById('comparisonPanel'),
@@ -95,10 +179,35 @@ const elements = {
   loadingOverlay: document.getElementById('loadingOverlay'),
   errorOverlay: document.getElementById('errorOverlay'),
   errorText: document.getElementById('errorText'),
+  exportRiderSelect: document.getElementById('exportRiderSelect'),
+  exportTcxBtn: document.getElementById('exportTcxBtn'),
+  exportFitBtn: document.getElementById('exportFitBtn'),
+  standingsFilters: document.getElementById('standingsFilters'),
+  teamFilter: document.getElementById('teamFilter'),
+  categoryFilter: document.getElementById('categoryFilter'),
+  minWkgFilter: document.getElementById('minWkgFilter'),
+  groupingMode: document.getElementById('groupingMode'),
+  groupingThreshold: document.getElementById('groupingThreshold'),
+  groupingUnit: document.getElementById('groupingUnit'),
+  weightControl: document.getElementById('weightControl'),
+  powerCurveChart: document.getElementById('powerCurveChart'),
+  powerCurveLabel: document.getElementById('powerCurveLabel'),
+  effortTable: document.getElementById('effortTable'),
+  segmentSelect: document.getElementById('segmentSelect'),
+  segmentSummary: document.getElementById('segmentSummary'),
+  deleteSegmentBtn: document.getElementById('deleteSegmentBtn'),
+  segmentTable: document.getElementById('segmentTable'),
+  powerModelRider: document.getElementById('powerModelRider'),
+  powerModelSource: document.getElementById('powerModelSource'),
+  cpInput: document.getElementById('cpInput'),
+  wPrimeInput: document.getElementById('wPrimeInput'),
+  riderWeight: document.getElementById('riderWeight'),
 };
 
 // Current event ID for storage listener
 let currentEventId = null;
+let raceStartTime = null; // Used as activity start when exporting rider files
+let raceSyncedAt = null; // Stands in for an unknown start time, if the user agrees
 
 function getWatchingRiderName() {
   const rider = riders.find(r => r.position === watchingPosition);
@@ -109,9 +218,129 @@ function selectRider(pos) {
   watchingPosition = pos;
   expandedGroups.clear();
   elements.riderSelect.value = pos;
+  renderWeightControl();
+  update();
+}
+
+/**
+ * Load the power unit, manual rider weights and manual CP/W'
+ */
+async function loadPowerSettings() {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEY_POWER_UNIT, STORAGE_KEY_RIDER_WEIGHTS, STORAGE_KEY_POWER_MODELS,
+  ]);
+  powerUnit = normalizePowerUnit(result[STORAGE_KEY_POWER_UNIT]);
+  riderWeights = result[STORAGE_KEY_RIDER_WEIGHTS] || {};
+  riderPowerModels = result[STORAGE_KEY_POWER_MODELS] || {};
+  renderPowerUnitToggle();
+}
+
+/**
+ * Switch all power readouts between watts and W/kg
+ */
+function setPowerUnit(unit) {
+  powerUnit = normalizePowerUnit(unit);
+  chrome.storage.local.set({ [STORAGE_KEY_POWER_UNIT]: powerUnit });
+  renderPowerUnitToggle();
+  update();
+}
+
+function renderPowerUnitToggle() {
+  document.querySelectorAll('[data-power-unit]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.powerUnit === powerUnit);
+  });
+  renderWeightControl();
+}
+
+/**
+ * Show the watched rider's weight; highlight it when W/kg needs one
+ */
+function renderWeightControl() {
+  const rider = riders.find(r => r.position === watchingPosition);
+  const isWkg = powerUnit === POWER_UNITS.WKG;
+  elements.weightControl.classList.toggle('hidden', !isWkg || !rider);
+  if (!rider) return;
+
+  const weight = getRiderWeight(rider, riderWeights);
+  const isManual = Number.isFinite(riderWeights[rider.zwiftId]);
+  if (document.activeElement !== elements.riderWeight) {
+    elements.riderWeight.value = weight ?? '';
+  }
+  elements.riderWeight.classList.toggle('missing', !weight);
+  elements.riderWeight.title = weight
+    ? `${rider.name}: ${weight} kg (${isManual ? 'entered manually, clear to use synced weight' : 'from ZwiftPower'})`
+    : `Enter ${rider.name}'s weight (kg) to show W/kg`;
+}
+
+/**
+ * Save a manually entered weight for the watched rider
+ * An empty value removes the manual weight
+ */
+function onRiderWeightChange() {
+  const rider = riders.find(r => r.position === watchingPosition);
+  if (!rider) return;
+
+  const text = elements.riderWeight.value.trim();
+  const weight = parseRiderWeight(text);
+  if (text && weight === null) {
+    renderWeightControl();
+    return;
+  }
+
+  if (weight === null || weight === rider.weight) {
+    delete riderWeights[rider.zwiftId];
+  } else {
+    riderWeights[rider.zwiftId] = weight;
+  }
+  chrome.storage.local.set({ [STORAGE_KEY_RIDER_WEIGHTS]: riderWeights });
+  lastSegmentTableKey = null;
+  renderWeightControl();
   update();
 }
 
+/**
+ * Load how riders are grouped (time or distance gap and its threshold)
+ */
+async function loadGroupingSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_GROUPING);
+  groupingOptions = normalizeGroupingOptions(result[STORAGE_KEY_GROUPING]);
+  groupTracker.setOptions(groupingOptions);
+  renderGroupingControls();
+}
+
+function renderGroupingControls() {
+  const limits = GROUP_GAP_LIMITS[groupingOptions.mode];
+  elements.groupingMode.value = groupingOptions.mode;
+  elements.groupingThreshold.min = limits.min;
+  elements.groupingThreshold.max = limits.max;
+  elements.groupingThreshold.step = limits.step;
+  elements.groupingThreshold.value = groupingOptions.threshold;
+  elements.groupingUnit.textContent = limits.unit;
+}
+
+/**
+ * Regroup riders after the grouping mode or threshold changes
+ */
+function onGroupingChange() {
+  const mode = elements.groupingMode.value;
+  // A new mode starts from its own default threshold
+  const threshold = mode === groupingOptions.mode ? parseFloat(elements.groupingThreshold.value) : undefined;
+  groupingOptions = normalizeGroupingOptions({ mode, threshold });
+  chrome.storage.local.set({ [STORAGE_KEY_GROUPING]: groupingOptions });
+  groupTracker.setOptions(groupingOptions);
+  // Regrouping starts group IDs over
+  expandedGroups.clear();
+  renderGroupingControls();
+  refreshRaceAnalysis();
+}
+
+/**
+ * Format a rider's current power in the selected unit
+ */
+function formatRiderPower(r, options) {
+  return formatPower(r.currentPower, r.weightKg, powerUnit, options);
+}
+
 /**
  * Toggle a rider for comparison
  */
@@ -173,7 +402,7 @@ function renderComparisonPanel() {
     return `
       <span class="compare-chip" style="--chip-color: ${color}" data-pos="${pos}">
         <span class="chip-star">★</span>
-        <span class="chip-name">${firstName}</span>
+        <span class="chip-name">${escapeHtml(firstName)}</span>
         <button class="chip-remove" data-pos="${pos}">×</button>
       </span>
     `;
@@ -193,6 +422,24 @@ function renderComparisonPanel() {
   });
 }
 
+/**
+ * Map a stored rider to the replay rider shape, including result metadata
+ */
+function toReplayRider(r) {
+  return mergeRiderMetadata({
+    position: r.position,
+    name: r.name,
+    zwiftId: r.zwiftId,
+    duration: r.duration,
+    time: r.time || [],
+    power: r.power || [],
+    heartRate: r.heartRate || [],
+    elevation: r.elevation || [],
+    distance: r.distance || null,
+    isCurrentUser: r.isCurrentUser,
+  }, r);
+}
+
 // Data loading
 async function loadRaceData() {
   const urlParams = new URLSearchParams(window.location.search);
@@ -204,9 +451,8 @@ async function loadRaceData() {
   }
 
   try {
-    const result = await chrome.storage.local.get(STORAGE_KEY_RACES);
-    const races = result[STORAGE_KEY_RACES] || {};
-    const raceData = races[eventId];
+    await waitForRaceStorage();
+    const raceData = await loadStoredRace(eventId);
 
     if (!raceData) {
       showError('Race not found. Please sync the race first.');
@@ -214,6 +460,8 @@ async function loadRaceData() {
     }
 
     currentEventId = eventId;
+    raceStartTime = raceData.startTime || null;
+    raceSyncedAt = raceData.syncedAt || null;
     elements.raceInfo.textContent = `${raceData.eventName} | ${raceData.riders.length} riders`;
 
     // Show/hide sync banner with progress
@@ -228,17 +476,8 @@ async function loadRaceData() {
 
     sampleInterval = raceData.riders[0]?.sampleInterval || 1;
 
-    riders = raceData.riders.map(r => ({
-      position: r.position,
-      name: r.name,
-      zwiftId: r.zwiftId,
-      duration: r.duration,
-      power: r.power || [],
-      heartRate: r.heartRate || [],
-      elevation: r.elevation || [],
-      distance: r.distance || null,
-      isCurrentUser: r.isCurrentUser,
-    }));
+    const decodedRiders = await Promise.all(raceData.riders.map(decodeRiderStreams));
+    riders = decodedRiders.map(toReplayRider);
 
     // Find current user or default to first rider
     const currentUser = riders.find(r => r.isCurrentUser);
@@ -248,22 +487,23 @@ async function loadRaceData() {
     maxTime = Math.max(...riders.map(r => r.duration * sampleInterval));
     elements.timeSlider.max = maxTime;
 
-    // Calculate total distance (last element of distance array)
-    const maxDistance = Math.max(...riders.map(r => {
-      const dist = r.distance;
-      return dist && dist.length > 0 ? dist[dist.length - 1] : 0;
-    }));
-    totalDistanceKm = maxDistance > 0 ? Math.ceil(maxDistance) : 42;
+    totalDistanceKm = calcRaceDistanceKm(riders);
 
     if (riders[0]?.elevation?.length > 0) {
-      elevationData = riders[0].elevation;
+      elevationProfile = buildElevationProfile(riders[0], totalDistanceKm);
+      routeKey = getRouteKey(elevationProfile);
     }
 
+    await loadPowerSettings();
+    await loadGroupingSettings();
+    await loadCustomSegments();
     populateRiderSelector();
     initElevation();
     initPowerChart();
     initHRChart();
+    initPowerCurveChart();
     update();
+    refreshRaceAnalysis();
 
     elements.loadingOverlay.classList.add('hidden');
   } catch (error) {
@@ -280,12 +520,57 @@ function showError(message) {
 
 function populateRiderSelector() {
   const sortedRiders = [...riders].sort((a, b) => a.position - b.position);
-  elements.riderSelect.innerHTML = sortedRiders.map(r => {
-    const isUser = r.isCurrentUser;
-    return `<option value="${r.position}" ${r.position === watchingPosition ? 'selected' : ''}>
-      #${r.position} ${r.name}${isUser ? ' (You)' : ''}
-    </option>`;
-  }).join('');
+  elements.riderSelect.replaceChildren(...sortedRiders.map(r => {
+    const details = [r.category, r.team, r.avgWkg ? `${r.avgWkg.toFixed(1)} W/kg` : null].filter(Boolean);
+    const option = document.createElement('option');
+    option.value = r.position;
+    option.textContent = `#${r.position} ${r.name}${r.isCurrentUser ? ' (You)' : ''}` +
+      (details.length ? ` · ${details.join(' · ')}` : '');
+    option.selected = r.position === watchingPosition;
+    return option;
+  }));
+  populateExportRiders(sortedRiders);
+
+  populateRiderFilters();
+}
+
+/**
+ * Fill team/category filters from rider metadata, keeping current choices
+ */
+function populateRiderFilters() {
+  const { teams, categories } = getRiderFilterOptions(riders);
+  const hasWkg = riders.some(r => r.avgWkg);
+  const fillSelect = (select, label, values, selected) => {
+    select.replaceChildren(...['', ...values].map(v => {
+      const option = document.createElement('option');
+      option.value = v;
+      option.textContent = v || label;
+      option.selected = v === selected;
+      return option;
+    }));
+    select.classList.toggle('hidden', values.length === 0);
+  };
+
+  fillSelect(elements.teamFilter, 'All teams', teams, riderFilter.team);
+  fillSelect(elements.categoryFilter, 'All categories', categories.length > 1 ? categories : [], riderFilter.category);
+  elements.minWkgFilter.classList.toggle('hidden', !hasWkg);
+  elements.standingsFilters.classList.toggle('hidden', teams.length === 0 && categories.length < 2 && !hasWkg);
+}
+
+/**
+ * Describe a rider's result metadata for tooltips
+ */
+function formatRiderDetails(r) {
+  return [
+    r.team && `Team: ${r.team}`,
+    r.category && `Category: ${r.category}`,
+    r.finishTime && `Finish: ${formatFinishTime(r.finishTime)}`,
+    r.avgWkg && `Avg: ${r.avgWkg.toFixed(2)} W/kg${r.avgPower ? ` (${Math.round(r.avgPower)}W)` : ''}`,
+    r.weight && `Weight: ${r.weight} kg`,
+    r.height && `Height: ${r.height} cm`,
+    r.ftp && `FTP: ${r.ftp}W`,
+    r.ageGroup && `Age group: ${r.ageGroup}`,
+  ].filter(Boolean).join('\n');
 }
 
 // Elevation profile
@@ -295,55 +580,78 @@ function initElevation() {
   const width = container.clientWidth;
   const height = svg.clientHeight || DEFAULT_ELEVATION_SVG_HEIGHT;
 
-  if (!elevationData.length) return;
-
-  const startIdx = Math.floor(zoomStart * elevationData.length);
-  const endIdx = Math.floor(zoomEnd * elevationData.length);
-  const zoomedData = elevationData.slice(startIdx, endIdx);
-
-  if (!zoomedData.length) return;
-
-  const minElev = Math.min(...zoomedData);
-  const maxElev = Math.max(...zoomedData);
-  const range = maxElev - minElev || 1;
+  updateDistanceMarkers();
 
-  const step = Math.max(1, Math.floor(zoomedData.length / ELEVATION_PATH_MAX_POINTS));
-  let pathD = `M 0 ${height}`;
+  const zoomedProfile = sliceProfile(elevationProfile, zoomStart * totalDistanceKm, zoomEnd * totalDistanceKm);
+  if (zoomedProfile.length < 2) return;
+
+  const stats = calcProfileStats(zoomedProfile);
+  elevationScale = { min: stats.min, max: stats.max };
+  const range = stats.max - stats.min || 1;
+  const toX = (km) => ((km / totalDistanceKm - zoomStart) / (zoomEnd - zoomStart)) * width;
+  const toY = (elevation) => height - ((elevation - stats.min) / range) * (height - ELEVATION_PATH_TOP_PADDING);
+
+  // One filled area and stroke per run of similar gradient keeps long races cheap to draw
+  const runs = buildGradientRuns(downsampleProfile(zoomedProfile, ELEVATION_PATH_MAX_POINTS));
+  const paths = runs.map(run => {
+    const line = run.points.map(p => `${toX(p.distance).toFixed(1)} ${toY(p.elevation).toFixed(1)}`).join(' L ');
+    const x0 = toX(run.points[0].distance).toFixed(1);
+    const x1 = toX(run.points[run.points.length - 1].distance).toFixed(1);
+    return `
+      <path d="M ${x0} ${height} L ${line} L ${x1} ${height} Z" fill="${run.color}" fill-opacity="${ELEVATION_FILL_OPACITY}"/>
+      <path d="M ${line}" fill="none" stroke="${run.color}" stroke-width="2"/>`;
+  }).join('');
 
-  for (let i = 0; i < zoomedData.length; i += step) {
-    const x = (i / zoomedData.length) * width;
-    const y = height - ((zoomedData[i] - minElev) / range) * (height - ELEVATION_PATH_TOP_PADDING);
-    pathD += ` L ${x} ${y}`;
-  }
-  pathD += ` L ${width} ${height} Z`;
+  const ticks = buildAxisTicks(stats.min, stats.max, ELEVATION_AXIS_MAX_TICKS);
+  const gridLines = ticks.map(elevation => {
+    const y = toY(elevation).toFixed(1);
+    return `<line class="elevation-grid" x1="0" x2="${width}" y1="${y}" y2="${y}"/>`;
+  }).join('');
 
   svg.innerHTML = `
-    <defs>
-      <linearGradient id="elevGrad" x1="0%" y1="0%" x2="0%" y2="100%">
-        <stop offset="0%" style="stop-color:#238636;stop-opacity:0.6"/>
-        <stop offset="100%" style="stop-color:#238636;stop-opacity:0.1"/>
-      </linearGradient>
-    </defs>
-    <path d="${pathD}" fill="url(#elevGrad)" stroke="#3fb950" stroke-width="2"/>
+    ${gridLines}
+    ${paths}
+    ${renderSegmentBands(width, height)}
   `;
   svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
 
-  updateDistanceMarkers();
+  // The svg sits at the bottom of the container; axis labels are placed in container pixels
+  const offset = container.clientHeight - height;
+  elements.elevationAxis.innerHTML = ticks
+    .map(elevation => `<span style="top: ${offset + toY(elevation)}px">${Math.round(elevation)} m</span>`)
+    .join('');
+  elements.elevationStats.textContent =
+    `Min ${Math.round(stats.min)} m · Max ${Math.round(stats.max)} m · Ascent ${Math.round(stats.ascent)} m`;
+}
+
+/**
+ * Shade segments on the visible part of the profile
+ */
+function renderSegmentBands(width, height) {
+  const toX = (km) => ((km / totalDistanceKm - zoomStart) / (zoomEnd - zoomStart)) * width;
+
+  return segments.map(segment => {
+    const x0 = Math.max(0, toX(segment.startKm));
+    const x1 = Math.min(width, toX(segment.endKm));
+    if (x1 <= x0) return '';
+
+    const fill = segment.id === selectedSegmentId ? SELECTED_SEGMENT_BAND_COLOR : SEGMENT_BAND_COLOR;
+    const label = segment.category ? `${segment.name} (Cat ${segment.category})` : segment.name;
+    return `
+      <rect class="segment-band" x="${x0}" y="0" width="${x1 - x0}" height="${height}" fill="${fill}"/>
+      <text class="segment-label" x="${x0 + 3}" y="${SEGMENT_LABEL_Y}">${escapeHtml(label)}</text>`;
+  }).join('');
 }
 
 function updateDistanceMarkers() {
-  const startKm = (zoomStart * totalDistanceKm).toFixed(1);
-  const endKm = (zoomEnd * totalDistanceKm).toFixed(1);
-  const midKm = ((zoomStart + zoomEnd) / 2 * totalDistanceKm).toFixed(1);
-  const q1Km = ((zoomStart * 3 + zoomEnd) / 4 * totalDistanceKm).toFixed(1);
-  const q3Km = ((zoomStart + zoomEnd * 3) / 4 * totalDistanceKm).toFixed(1);
-  elements.distanceMarkers.innerHTML = `
-    <span>${startKm} km</span>
-    <span>${q1Km} km</span>
-    <span>${midKm} km</span>
-    <span>${q3Km} km</span>
-    <span>${endKm} km</span>
-  `;
+  const startKm = zoomStart * totalDistanceKm;
+  const endKm = zoomEnd * totalDistanceKm;
+  const step = calcNiceTickStep(endKm - startKm, DISTANCE_AXIS_MAX_TICKS);
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+  elements.distanceMarkers.innerHTML = buildAxisTicks(startKm, endKm, DISTANCE_AXIS_MAX_TICKS)
+    .map(km => `<span style="left: ${((km - startKm) / (endKm - startKm)) * 100}%">${km.toFixed(decimals)} km</span>`)
+    .join('');
 }
 
 // Vertical line plugin for charts - shows on hover with values
@@ -389,6 +697,7 @@ function getChartValuesAtX(chart, x) {
   const values = chart.data.datasets.map(ds => ({
     label: ds.label,
     value: ds.data[dataIndex],
+    yAxisID: ds.yAxisID,
     color: ds.borderColor
   }));
 
@@ -440,11 +749,17 @@ function setupChartCursorTracking(chart, canvas) {
     const data = getChartValuesAtX(chart, x);
 
     if (data && data.values.length > 0) {
-      const unit = chart === powerChart ? 'W' : 'bpm';
+      const isPower = chart === powerChart;
       let html = `<div style="color: #8b949e; margin-bottom: 4px;">${data.label}</div>`;
       data.values.forEach(v => {
-        const val = v.value !== undefined && v.value !== null ? Math.round(v.value) : '-';
-        html += `<div><span style="color: ${v.color};">${v.label}:</span> ${val}${unit}</div>`;
+        const hasValue = v.value !== undefined && v.value !== null;
+        let val = `${hasValue ? Math.round(v.value) : '-'}bpm`;
+        if (v.yAxisID === 'wbal') {
+          val = `${hasValue ? Math.round(v.value) : '-'}%`;
+        } else if (isPower) {
+          val = formatPowerValue(v.value, powerUnit);
+        }
+        html += `<div><span style="color: ${v.color};">${v.label}:</span> ${val}</div>`;
       });
       tooltip.innerHTML = html;
       tooltip.style.display = 'block';
@@ -485,7 +800,15 @@ function initPowerChart() {
       interaction: { enabled: false },
       scales: {
         x: { ticks: { color: '#8b949e', maxTicksLimit: 8 }, grid: { color: '#21262d' } },
-        y: { ticks: { color: '#8b949e' }, grid: { color: '#21262d' }, min: POWER_CHART_MIN, suggestedMax: POWER_CHART_SUGGESTED_MAX },
+        y: { ticks: { color: '#8b949e' }, grid: { color: '#21262d' }, min: POWER_CHART_MIN, suggestedMax: POWER_UNIT_SUGGESTED_MAX[powerUnit] },
+        wbal: {
+          position: 'right',
+          min: 0,
+          max: W_PRIME_AXIS_MAX,
+          ticks: { color: '#8b949e', callback: (value) => `${value}%` },
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: "W'bal", color: '#8b949e' },
+        },
       },
       plugins: {
         legend: { display: true, labels: { color: '#c9d1d9', boxWidth: 12 } },
@@ -526,15 +849,35 @@ function initHRChart() {
 // Main update loop
 function update() {
   const t = currentTime;
-  const idx = timeToIndex(t, sampleInterval);
   elements.timeDisplay.textContent = formatTime(t);
   elements.timeSlider.value = t;
 
-  const standings = riders.map(r => {
-    const currentDistance = r.distance?.[idx] ?? (t / (r.duration * sampleInterval) * totalDistanceKm);
+  const riderStates = riders.map(r => {
+    const currentDistance = calcCurrentDistance(r, t, sampleInterval, totalDistanceKm);
     const progress = currentDistance / totalDistanceKm;
-    return { ...r, progress, currentDistance, currentPower: r.power[idx] || 0 };
-  }).sort((a, b) => b.currentDistance - a.currentDistance);
+    // Interpolated between samples so playback stays smooth with long sample intervals
+    const currentPower = interpolateSample(r.power, t, sampleInterval) || 0;
+    const currentHeartRate = interpolateSample(r.heartRate, t, sampleInterval);
+    const weightKg = getRiderWeight(r, riderWeights);
+    const currentWkg = weightKg ? currentPower / weightKg : null;
+    const wPrime = getWPrimeBalance(r);
+    const wPrimeBalance = wPrime ? interpolateSample(wPrime.balance, t, sampleInterval) : null;
+    const wPrimeStatus = wPrime ? getWPrimeStatus(wPrimeBalance, wPrime.model.wPrime) : null;
+    return {
+      ...r, progress, currentDistance, currentPower, currentHeartRate, weightKg, currentWkg, wPrimeBalance, wPrimeStatus,
+    };
+  });
+  // Precomputed frames give the groups, which change only at sample times;
+  // until they arrive, work them out live
+  let standings;
+  let groups;
+  if (raceFrames) {
+    groups = buildFrameGroups(raceFrames, getFrameIndex(raceFrames, t), riderStates, watchingPosition);
+    standings = groups.flatMap(g => g.riders);
+  } else {
+    standings = [...riderStates].sort((a, b) => b.currentDistance - a.currentDistance);
+    groups = groupTracker.detect(standings, t, watchingPosition, sampleInterval);
+  }
 
   const you = standings.find(r => r.position === watchingPosition);
   const yourRank = standings.findIndex(r => r.position === watchingPosition) + 1;
@@ -542,12 +885,10 @@ function update() {
 
   const watchingName = getWatchingRiderName();
   elements.yourPosition.textContent = `#${yourRank}`;
-  elements.yourPower.textContent = you?.currentPower || 0;
-  elements.leaderPower.textContent = leader?.currentPower || 0;
+  elements.yourPower.textContent = you ? formatRiderPower(you, { suffix: false }) : '-';
+  elements.leaderPower.textContent = leader ? formatRiderPower(leader, { suffix: false }) : '-';
   elements.positionLabel.textContent = `${watchingName}'s Position`;
-  elements.powerLabel.textContent = `${watchingName}'s Power (W)`;
-
-  const groups = detectGroups(standings, t, watchingPosition, sampleInterval);
+  elements.powerLabel.textContent = `${watchingName}'s Power (${getPowerUnitLabel(powerUnit)})`;
 
   if (you && leader && you !== leader) {
     const timeToLeader = calcTimeGap(leader, you, t, sampleInterval);
@@ -570,194 +911,402 @@ function update() {
   renderStandings(groups, standings);
   renderComparisonPanel();
   updateRiderMarkers(groups);
+  updateRiverCursor();
 
   // Throttle chart updates during playback for better performance
   const now = Date.now();
   if (!isPlaying || now - lastChartUpdate >= CHART_UPDATE_INTERVAL_MS) {
     const compareTargets = getCompareRiderObjects();
+    updatePositionChart(you, compareTargets);
+    updateGapChart(you, compareTargets);
+    updateSegmentTable(you, compareTargets);
     updatePowerChart(t, you, compareTargets);
     updateHRChart(t, you, compareTargets);
+    updatePowerCurve(you, compareTargets);
     lastChartUpdate = now;
   }
 }
 
+/**
+ * Update a rider's W' balance bar
+ */
+function updateWPrimeBar(bar, fill, r) {
+  if (!r.wPrimeStatus) {
+    setClassName(bar, 'wbal');
+    setAttribute(bar, 'title', '');
+    fill.style.width = '0%';
+    return;
+  }
+
+  const percent = Math.round(r.wPrimeStatus.fraction * 100);
+  const label = r.wPrimeStatus.status === W_PRIME_STATUS.EMPTY ? 'empty' : `${percent}%`;
+  setClassName(bar, `wbal ${r.wPrimeStatus.status}`);
+  setAttribute(bar, 'title', `W' balance: ${label} (${(r.wPrimeBalance / 1000).toFixed(1)} kJ)`);
+  fill.style.width = `${percent}%`;
+}
+
+/**
+ * Format a group's average power in the selected unit
+ */
+function formatGroupPower(group) {
+  const value = powerUnit === POWER_UNITS.WKG ? group.avgWkg : group.avgPower;
+  return formatPowerValue(value, powerUnit);
+}
+
+/**
+ * DOM helpers that skip writes when nothing changed
+ * Standings update every animation frame, so untouched rows must cost nothing
+ */
+function setMarkup(el, html) {
+  if (renderedMarkup.get(el) === html) return;
+  el.innerHTML = html;
+  renderedMarkup.set(el, html);
+}
+
+function setText(el, text) {
+  if (el.textContent !== text) el.textContent = text;
+}
+
+function setClassName(el, className) {
+  if (el.className !== className) el.className = className;
+}
+
+function setAttribute(el, name, value) {
+  if (el.getAttribute(name) !== value) el.setAttribute(name, value);
+}
+
+function createChild(parent, tag, className) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  parent.appendChild(el);
+  return el;
+}
+
+/**
+ * Put a container's children in order, moving only nodes that are out of place
+ */
+function syncChildren(container, nodes) {
+  nodes.forEach((node, i) => {
+    const current = container.children[i];
+    if (current !== node) container.insertBefore(node, current || null);
+  });
+  while (container.children.length > nodes.length) {
+    container.lastElementChild.remove();
+  }
+}
+
+function getStandingsGroupNode(groupId) {
+  let node = standingsGroupNodes.get(groupId);
+  if (!node) {
+    const el = document.createElement('div');
+    el.dataset.group = groupId;
+    const name = createChild(el, 'span', 'group-name');
+    node = {
+      el,
+      icon: createChild(name, 'span', 'expand-icon'),
+      swatch: createChild(name, 'span', 'group-swatch'),
+      label: createChild(name, 'span'),
+      info: createChild(el, 'span', 'group-info'),
+    };
+    node.swatch.style.background = getGroupColor(groupId);
+    standingsGroupNodes.set(groupId, node);
+  }
+  return node;
+}
+
+function getStandingsRowNode(position) {
+  let node = standingsRowNodes.get(position);
+  if (!node) {
+    const el = document.createElement('div');
+    el.dataset.pos = position;
+    node = {
+      el,
+      pos: createChild(el, 'span', 'pos'),
+      name: createChild(el, 'span', 'name'),
+      power: createChild(el, 'span', 'power'),
+      wbal: createChild(el, 'span', 'wbal'),
+      star: createChild(el, 'span', 'compare-star'),
+    };
+    node.wbalFill = createChild(node.wbal, 'span', 'wbal-fill');
+    standingsRowNodes.set(position, node);
+  }
+  return node;
+}
+
+/**
+ * Rider name with category, flag and team, highlighting the search match
+ */
+function formatStandingsName(r, searchLower) {
+  let displayName = escapeHtml(r.name);
+  if (searchLower) {
+    const idx = r.name.toLowerCase().indexOf(searchLower);
+    if (idx >= 0) {
+      displayName = escapeHtml(r.name.slice(0, idx)) +
+        '<mark style="background:#58a6ff33;color:#58a6ff;">' +
+        escapeHtml(r.name.slice(idx, idx + searchLower.length)) +
+        '</mark>' +
+        escapeHtml(r.name.slice(idx + searchLower.length));
+    }
+  }
+
+  const category = r.category ? `<span class="cat-badge">${escapeHtml(r.category)}</span>` : '';
+  const flag = flagEmoji(r.flag);
+  const team = r.team ? `<span class="rider-meta">${escapeHtml(r.team)}</span>` : '';
+  return `${category}${flag ? `${flag} ` : ''}${displayName}${team}`;
+}
+
+function updateStandingsRow(node, r, overallPos, searchLower) {
+  const isYou = r.position === watchingPosition;
+  const isComparing = compareRiders.includes(r.position);
+  const compareColor = getCompareRiderColor(r.position);
+  const isInTheRed = r.wPrimeStatus && r.wPrimeStatus.status !== W_PRIME_STATUS.OK;
+  setClassName(node.el, ['standings-row', isYou ? 'you' : '', isComparing ? 'comparing' : '', isInTheRed ? 'in-the-red' : '']
+    .filter(Boolean).join(' '));
+  setAttribute(node.el, 'title', formatRiderDetails(r));
+
+  setText(node.pos, String(overallPos));
+  setMarkup(node.name, formatStandingsName(r, searchLower));
+  setText(node.power, formatRiderPower(r));
+  updateWPrimeBar(node.wbal, node.wbalFill, r);
+
+  // Star icon for comparison selection
+  node.star.hidden = isYou;
+  setText(node.star, isComparing ? '★' : '☆');
+  node.star.style.color = compareColor || '';
+}
+
 function renderStandings(groups, standings) {
-  let html = '';
   const searchLower = riderSearchTerm.toLowerCase().trim();
-
-  groups.forEach((group, gIdx) => {
-    // Filter riders in this group based on search
-    const filteredRiders = searchLower
-      ? group.riders.filter(r => r.name.toLowerCase().includes(searchLower))
+  const isFiltering = !!(searchLower || riderFilter.team || riderFilter.category || Number.isFinite(riderFilter.minWkg));
+  const overallPositions = new Map(standings.map((s, idx) => [s.position, idx + 1]));
+  const nodes = [];
+  const shownGroups = new Set();
+
+  groups.forEach((group) => {
+    // Filter riders in this group based on search and metadata filters
+    const filteredRiders = isFiltering
+      ? group.riders.filter(r => r.name.toLowerCase().includes(searchLower) && matchesRiderFilter(r, riderFilter))
       : group.riders;
 
-    // Skip group if searching and no riders match
-    if (searchLower && filteredRiders.length === 0) return;
+    // Skip group if filtering and no riders match
+    if (isFiltering && filteredRiders.length === 0) return;
 
     const isYourGroup = group.hasYou;
-    // Auto-expand when searching, otherwise use normal logic
-    const isExpanded = searchLower || isYourGroup || expandedGroups.has(gIdx);
-    const headerClasses = ['group-header', isYourGroup ? 'your-group' : ''].filter(Boolean).join(' ');
-
-    const displayCount = searchLower ? `${filteredRiders.length}/${group.riders.length}` : group.riders.length;
-    const expandIcon = isExpanded ? '▼' : '▶';
-    html += `
-      <div class="${headerClasses}" data-group="${gIdx}">
-        <span class="group-name"><span class="expand-icon" data-toggle="${gIdx}">${expandIcon}</span> ${group.name} (${displayCount})${isYourGroup ? ' ★' : ''}</span>
-        <span class="group-info">${group.avgPower}W avg ${formatTimeGap(group.timeGapToLeader)}</span>
-      </div>`;
+    // Auto-expand when filtering, otherwise use normal logic
+    const isExpanded = isFiltering || isYourGroup || expandedGroups.has(group.id);
+    const displayCount = isFiltering ? `${filteredRiders.length}/${group.riders.length}` : group.riders.length;
+
+    const header = getStandingsGroupNode(group.id);
+    setClassName(header.el, isYourGroup ? 'group-header your-group' : 'group-header');
+    setText(header.icon, isExpanded ? '▼' : '▶');
+    setText(header.label, `${group.name} (${displayCount})${isYourGroup ? ' ★' : ''}`);
+    setText(header.info, `${formatGroupPower(group)} avg ${formatTimeGap(group.timeGapToLeader)}`);
+    nodes.push(header.el);
+    shownGroups.add(group.id);
 
     if (isExpanded) {
-      const ridersToShow = searchLower ? filteredRiders : group.riders;
-      ridersToShow.forEach((r) => {
-        const isYou = r.position === watchingPosition;
-        const isComparing = compareRiders.includes(r.position);
-        const compareColor = getCompareRiderColor(r.position);
-        const overallPos = standings.findIndex(s => s.position === r.position) + 1;
-        const classes = ['standings-row', isYou ? 'you' : '', isComparing ? 'comparing' : ''].filter(Boolean).join(' ');
-
-        // Highlight matching text
-        let displayName = r.name;
-        if (searchLower) {
-          const idx = r.name.toLowerCase().indexOf(searchLower);
-          if (idx >= 0) {
-            displayName = r.name.slice(0, idx) +
-              '<mark style="background:#58a6ff33;color:#58a6ff;">' +
-              r.name.slice(idx, idx + searchLower.length) +
-              '</mark>' +
-              r.name.slice(idx + searchLower.length);
-          }
-        }
-
-        // Star icon for comparison selection
-        const starStyle = compareColor ? `style="color: ${compareColor}"` : '';
-        const starIcon = isYou ? '' : `<span class="compare-star" ${starStyle}>${isComparing ? '★' : '☆'}</span>`;
-
-        html += `
-          <div class="${classes}" data-pos="${r.position}">
-            <span class="pos">${overallPos}</span>
-            <span class="name">${displayName}</span>
-            <span class="power">${r.currentPower}W</span>
-            ${starIcon}
-          </div>`;
+      filteredRiders.forEach((r) => {
+        const row = getStandingsRowNode(r.position);
+        updateStandingsRow(row, r, overallPositions.get(r.position), searchLower);
+        nodes.push(row.el);
       });
     }
   });
 
-  if (searchLower && !html) {
-    html = '<div style="color: #8b949e; padding: 10px; text-align: center;">No riders found</div>';
-  }
+  // Group IDs only grow, so forget groups that are gone
+  standingsGroupNodes.forEach((_, groupId) => {
+    if (!shownGroups.has(groupId)) standingsGroupNodes.delete(groupId);
+  });
 
-  elements.standings.innerHTML = html;
+  if (isFiltering && nodes.length === 0) {
+    if (!standingsEmptyNode) {
+      standingsEmptyNode = document.createElement('div');
+      standingsEmptyNode.style.cssText = 'color: #8b949e; padding: 10px; text-align: center;';
+      standingsEmptyNode.textContent = 'No riders found';
+    }
+    nodes.push(standingsEmptyNode);
+  }
 
-  // Event listeners
-  elements.standings.querySelectorAll('.expand-icon').forEach(icon => {
-    icon.onclick = (e) => {
-      e.stopPropagation();
-      const gIdx = parseInt(icon.dataset.toggle);
-      expandedGroups.has(gIdx) ? expandedGroups.delete(gIdx) : expandedGroups.add(gIdx);
-      update();
-    };
-  });
+  syncChildren(elements.standings, nodes);
+}
 
-  elements.standings.querySelectorAll('.group-header').forEach(header => {
-    header.onclick = (e) => {
-      if (e.target.classList.contains('expand-icon')) return;
-      const gIdx = parseInt(header.dataset.group);
-      // Toggle group expansion on header click
-      expandedGroups.has(gIdx) ? expandedGroups.delete(gIdx) : expandedGroups.add(gIdx);
-      update();
-    };
-  });
+/**
+ * Handle clicks anywhere in the standings
+ * Bound once; rows and headers are reused between frames
+ */
+function onStandingsClick(e) {
+  const header = e.target.closest('.group-header');
+  if (header) {
+    // Toggle group expansion on header or arrow click
+    const groupId = parseInt(header.dataset.group);
+    expandedGroups.has(groupId) ? expandedGroups.delete(groupId) : expandedGroups.add(groupId);
+    update();
+    return;
+  }
 
-  elements.standings.querySelectorAll('.standings-row:not(.you)').forEach(row => {
-    row.onclick = () => {
-      const pos = parseInt(row.dataset.pos);
-      toggleCompareRider(pos);
-    };
-  });
+  const row = e.target.closest('.standings-row:not(.you)');
+  if (row) toggleCompareRider(parseInt(row.dataset.pos));
 }
 
 function updateRiderMarkers(groups) {
   const container = elements.elevationContainer;
-  const width = container.clientWidth;
+  riderMarkers = layoutRiderMarkers(groups, {
+    zoomStart,
+    zoomEnd,
+    width: container.clientWidth,
+    height: container.clientHeight || DEFAULT_ELEVATION_CONTAINER_HEIGHT,
+    topPadding: MARKER_TOP_PADDING,
+    bottomPadding: MARKER_BOTTOM_PADDING,
+    minElevation: elevationScale.min,
+    maxElevation: elevationScale.max,
+    watchingPosition,
+    elevationAt: km => interpolateProfileElevation(elevationProfile, km),
+  });
+  drawRiderMarkers();
+
+  const watching = riderMarkers.find(m => m.isWatching);
+  const label = elements.riderPowerLabel;
+  label.style.display = watching ? 'block' : 'none';
+  if (watching) {
+    label.style.left = `${watching.x}px`;
+    label.style.top = `${watching.y - POWER_LABEL_OFFSET_PX}px`;
+    setText(label, formatRiderPower(watching.rider));
+  }
 
-  const startIdx = Math.floor(zoomStart * elevationData.length);
-  const endIdx = Math.floor(zoomEnd * elevationData.length);
-  const zoomedData = elevationData.slice(startIdx, endIdx);
-  const minElev = zoomedData.length ? Math.min(...zoomedData) : 0;
-  const maxElev = zoomedData.length ? Math.max(...zoomedData) : 100;
-  const elevRange = maxElev - minElev || 1;
-
-  container.querySelectorAll('.rider-marker, .rider-power-label').forEach(el => el.remove());
-
-  groups.forEach((group, gIdx) => {
-    const color = GROUP_COLORS[gIdx % GROUP_COLORS.length];
-
-    const visibleRiders = group.riders.filter(r =>
-      r.progress >= zoomStart && r.progress <= zoomEnd
-    );
-
-    if (visibleRiders.length === 0) return;
-
-    visibleRiders.forEach((r) => {
-      const x = ((r.progress - zoomStart) / (zoomEnd - zoomStart)) * width;
-      const elevIdx = Math.floor(r.progress * (elevationData.length - 1));
-      const elev = elevationData[elevIdx] || 0;
-      const containerHeight = container.clientHeight || DEFAULT_ELEVATION_CONTAINER_HEIGHT;
-      const markerRange = containerHeight - MARKER_TOP_PADDING - MARKER_BOTTOM_PADDING;
-      const y = containerHeight - MARKER_BOTTOM_PADDING - ((elev - minElev) / elevRange) * markerRange;
-
-      const dot = document.createElement('div');
-      const isWatching = r.position === watchingPosition;
-
-      if (isWatching) {
-        dot.className = 'rider-marker you';
-
-        const powerLabel = document.createElement('div');
-        powerLabel.className = 'rider-power-label';
-        powerLabel.style.left = `${x}px`;
-        powerLabel.style.top = `${y - 28}px`;
-        powerLabel.textContent = `${r.currentPower}W`;
-        container.appendChild(powerLabel);
-      } else {
-        dot.className = 'rider-marker group';
-        dot.style.background = color;
-      }
+  // Keep the tooltip in step with the rider under the pointer
+  if (hoveredMarkerPosition !== null) {
+    const hovered = riderMarkers.find(m => m.rider.position === hoveredMarkerPosition);
+    container.title = hovered ? describeRiderMarker(hovered) : '';
+  }
+}
+
+/**
+ * Draw the course markers on the canvas layer
+ * One canvas redraw per frame instead of rebuilding a DOM node per rider
+ */
+function drawRiderMarkers() {
+  const canvas = elements.markerCanvas;
+  const width = elements.elevationContainer.clientWidth;
+  const height = elements.elevationContainer.clientHeight || DEFAULT_ELEVATION_CONTAINER_HEIGHT;
+  const ratio = window.devicePixelRatio || 1;
+  // Resizing clears and reallocates the canvas, so only do it when the size changes
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
 
-      dot.style.left = `${x}px`;
-      dot.style.top = `${y}px`;
-      dot.title = `${r.name}\nGroup ${gIdx + 1}\n${(r.progress * totalDistanceKm).toFixed(1)} km\n${r.currentPower}W\n\nClick to analyze`;
-      dot.dataset.pos = r.position;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.strokeStyle = MARKER_OUTLINE_COLOR;
 
-      dot.onclick = (e) => {
-        e.stopPropagation();
-        selectRider(r.position);
-      };
+  for (const marker of riderMarkers) {
+    const isHovered = !marker.isWatching && marker.rider.position === hoveredMarkerPosition;
+    ctx.beginPath();
+    ctx.arc(marker.x, marker.y, isHovered ? HOVERED_MARKER_RADIUS : marker.radius, 0, Math.PI * 2);
+    ctx.fillStyle = marker.isWatching ? WATCHING_COLOR : getGroupColor(marker.group.id);
+    ctx.shadowColor = marker.isWatching ? WATCHING_COLOR : MARKER_OUTLINE_COLOR;
+    ctx.shadowBlur = marker.isWatching || isHovered ? WATCHING_MARKER_GLOW_PX : 0;
+    ctx.fill();
+    ctx.shadowBlur = 0;
+    ctx.lineWidth = marker.isWatching || isHovered ? 2 : 1;
+    ctx.stroke();
+  }
+}
 
-      container.appendChild(dot);
-    });
+function describeRiderMarker(marker) {
+  const r = marker.rider;
+  const heartRate = r.currentHeartRate ? ` · ${Math.round(r.currentHeartRate)} bpm` : '';
+  return `${r.name}\n${marker.group.name}\n${(r.progress * totalDistanceKm).toFixed(1)} km\n${formatRiderPower(r)}${heartRate}\n\nClick to analyze`;
+}
+
+/**
+ * Find the course marker under the pointer
+ */
+function getMarkerAtEvent(e) {
+  const rect = elements.elevationContainer.getBoundingClientRect();
+  return findMarkerAt(riderMarkers, e.clientX - rect.left, e.clientY - rect.top);
+}
+
+function setHoveredMarker(marker) {
+  const position = marker ? marker.rider.position : null;
+  if (position === hoveredMarkerPosition) return;
+
+  hoveredMarkerPosition = position;
+  elements.elevationContainer.style.cursor = marker ? 'pointer' : '';
+  elements.elevationContainer.title = marker ? describeRiderMarker(marker) : '';
+  drawRiderMarkers();
+}
+
+/**
+ * Choose the samples shown on the power and HR charts
+ * By time: the last CHART_WINDOW_SIZE_SECONDS. By distance: the zoomed stretch
+ * of course, or the last CHART_WINDOW_DISTANCE_KM the watched rider covered,
+ * with each rider's sample taken where they reached that point
+ * @returns {Object} { labels, indicesFor(rider) } where indices are null for road not yet covered
+ */
+function getChartSampling(t, you) {
+  const currentIdx = timeToIndex(t, sampleInterval);
+
+  if (chartAlignment === CHART_ALIGNMENTS.TIME) {
+    const step = Math.max(sampleInterval, MIN_CHART_STEP_SECONDS);
+    const times = [];
+    for (let i = Math.max(0, t - CHART_WINDOW_SIZE_SECONDS); i <= t; i += step) {
+      times.push(i);
+    }
+    const indices = times.map(i => timeToIndex(i, sampleInterval));
+    return { labels: times.map(formatTime), indicesFor: () => indices };
+  }
+
+  const isZoomed = zoomStart !== 0 || zoomEnd !== 1;
+  const endKm = isZoomed ? zoomEnd * totalDistanceKm : you.currentDistance;
+  const startKm = isZoomed ? zoomStart * totalDistanceKm : Math.max(0, endKm - CHART_WINDOW_DISTANCE_KM);
+  const step = Math.max(CHART_DISTANCE_STEP_KM, (endKm - startKm) / MAX_CHART_DISTANCE_POINTS);
+  const distances = [];
+  for (let km = startKm; km <= endKm; km += step) {
+    distances.push(km);
+  }
+
+  return {
+    labels: distances.map(km => `${km.toFixed(2)} km`),
+    indicesFor: (rider) => distances.map(km => {
+      const idx = findSampleIndexAtDistance(rider.distance, km);
+      return idx !== null && idx <= currentIdx ? idx : null;
+    }),
+  };
+}
+
+function setChartAlignment(alignment) {
+  chartAlignment = alignment === CHART_ALIGNMENTS.DISTANCE ? CHART_ALIGNMENTS.DISTANCE : CHART_ALIGNMENTS.TIME;
+  document.querySelectorAll('[data-chart-align]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.chartAlign === chartAlignment);
   });
+  update();
 }
 
 function updatePowerChart(t, you, compareTargets) {
   if (!powerChart || !you) return;
 
-  const start = Math.max(0, t - CHART_WINDOW_SIZE_SECONDS);
-  const step = Math.max(sampleInterval, MIN_CHART_STEP_SECONDS);
-
-  const labels = [];
-  const youData = [];
-  const compareDatasets = compareTargets.map(() => []);
-
-  for (let i = start; i <= t; i += step) {
-    const idx = timeToIndex(i, sampleInterval);
-    labels.push(formatTime(i));
-    youData.push(you.power[idx] || 0);
-    compareTargets.forEach((target, j) => {
-      compareDatasets[j].push(target.power?.[idx] || 0);
+  const { labels, indicesFor } = getChartSampling(t, you);
+  const youWeight = getRiderWeight(you, riderWeights);
+  const compareWeights = compareTargets.map(target => getRiderWeight(target, riderWeights));
+  const powerAt = (rider, weight) => indicesFor(rider).map(idx =>
+    idx === null ? null : convertPower(rider.power?.[idx] || 0, weight, powerUnit)
+  );
+
+  const youData = powerAt(you, youWeight);
+  const compareDatasets = compareTargets.map((target, j) => powerAt(target, compareWeights[j]));
+  const balanceRiders = [you, ...compareTargets].map(getWPrimeBalance);
+  const balanceData = [you, ...compareTargets].map((rider, j) => {
+    const balance = balanceRiders[j];
+    return indicesFor(rider).map(idx => {
+      const status = balance && idx !== null ? getWPrimeStatus(balance.balance[idx], balance.model.wPrime) : null;
+      return status ? status.fraction * 100 : null;
     });
-  }
+  });
+
+  // Riders without a weight have no W/kg line
+  const missingWeight = (weight) => powerUnit === POWER_UNITS.WKG && !weight ? ' (no weight)' : '';
 
   // Update label
   if (compareTargets.length === 0) {
@@ -769,12 +1318,12 @@ function updatePowerChart(t, you, compareTargets) {
 
   const watchingName = getWatchingRiderName();
   const datasets = [
-    { label: watchingName, data: youData, borderColor: WATCHING_COLOR, borderWidth: 2, fill: false },
+    { label: `${watchingName}${missingWeight(youWeight)}`, data: youData, borderColor: WATCHING_COLOR, borderWidth: 2, fill: false },
   ];
 
   compareTargets.forEach((target, idx) => {
     datasets.push({
-      label: target.name.split(' ')[0],
+      label: `${target.name.split(' ')[0]}${missingWeight(compareWeights[idx])}`,
       data: compareDatasets[idx],
       borderColor: COMPARE_COLORS[idx],
       borderWidth: 2,
@@ -782,6 +1331,22 @@ function updatePowerChart(t, you, compareTargets) {
     });
   });
 
+  // W' balance as dashed lines on the right axis
+  [you, ...compareTargets].forEach((rider, idx) => {
+    if (!balanceRiders[idx]) return;
+    datasets.push({
+      label: `${rider.name.split(' ')[0]} W'bal`,
+      data: balanceData[idx],
+      borderColor: idx === 0 ? WATCHING_COLOR : COMPARE_COLORS[idx - 1],
+      borderWidth: 1,
+      borderDash: [4, 3],
+      fill: false,
+      yAxisID: 'wbal',
+    });
+  });
+
+  powerChart.options.scales.y.suggestedMax = POWER_UNIT_SUGGESTED_MAX[powerUnit];
+  powerChart.options.scales.wbal.display = balanceRiders.some(Boolean);
   powerChart.data.labels = labels;
   powerChart.data.datasets = datasets;
   powerChart.update('none');
@@ -790,21 +1355,10 @@ function updatePowerChart(t, you, compareTargets) {
 function updateHRChart(t, you, compareTargets) {
   if (!hrChart || !you) return;
 
-  const start = Math.max(0, t - CHART_WINDOW_SIZE_SECONDS);
-  const step = Math.max(sampleInterval, MIN_CHART_STEP_SECONDS);
-
-  const labels = [];
-  const youData = [];
-  const compareDatasets = compareTargets.map(() => []);
-
-  for (let i = start; i <= t; i += step) {
-    const idx = timeToIndex(i, sampleInterval);
-    labels.push(formatTime(i));
-    youData.push(you.heartRate?.[idx] || 0);
-    compareTargets.forEach((target, j) => {
-      compareDatasets[j].push(target.heartRate?.[idx] || 0);
-    });
-  }
+  const { labels, indicesFor } = getChartSampling(t, you);
+  const heartRateAt = (rider) => indicesFor(rider).map(idx => idx === null ? null : rider.heartRate?.[idx] || 0);
+  const youData = heartRateAt(you);
+  const compareDatasets = compareTargets.map(heartRateAt);
 
   // Update label
   if (compareTargets.length === 0) {
@@ -834,16 +1388,866 @@ function updateHRChart(t, you, compareTargets) {
   hrChart.update('none');
 }
 
-// Playback controls using requestAnimationFrame for smooth animation
-function gameLoop(timestamp) {
-  if (!isPlaying) return;
+// Power duration curve
+function initPowerCurveChart() {
+  const ctx = elements.powerCurveChart.getContext('2d');
+  powerCurveChart = new Chart(ctx, {
+    type: 'line',
+    data: { labels: POWER_CURVE_DURATIONS.map(formatEffortDuration), datasets: [] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { ticks: { color: '#8b949e' }, grid: { color: '#21262d' } },
+        y: { ticks: { color: '#8b949e' }, grid: { color: '#21262d' }, min: POWER_CHART_MIN },
+      },
+      plugins: {
+        legend: { display: true, labels: { color: '#c9d1d9', boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            label: (item) => `${item.dataset.label}: ${formatPowerValue(item.raw, powerUnit)}`,
+          },
+        },
+      },
+      elements: { point: { radius: 3 }, line: { tension: 0.3 } },
+      spanGaps: true,
+    },
+  });
+}
 
-  if (lastFrameTime === null) {
-    lastFrameTime = timestamp;
+/**
+ * Get a rider's power curve and CP fit, computed once per power stream
+ */
+function getPowerProfile(rider) {
+  if (!rider.power) return { curve: [], fit: null };
+
+  let profile = powerProfiles.get(rider.power);
+  if (!profile) {
+    const curve = calcPowerCurve(rider.power, sampleInterval);
+    profile = { curve, fit: fitCriticalPower(curve) };
+    powerProfiles.set(rider.power, profile);
   }
+  return profile;
+}
 
-  const deltaMs = timestamp - lastFrameTime;
-  lastFrameTime = timestamp;
+/**
+ * Overlay the watched and compared riders' power curves with CP model lines
+ */
+function updatePowerCurve(you, compareTargets) {
+  if (!powerCurveChart || !you) return;
+
+  const curveRiders = [you, ...compareTargets];
+  const weights = curveRiders.map(r => getRiderWeight(r, riderWeights));
+  const models = curveRiders.map(getRiderPowerModel);
+  const key = [powerUnit, ...curveRiders.map((r, i) =>
+    `${r.zwiftId}:${r.power?.length}:${weights[i]}:${models[i]?.cp}:${models[i]?.wPrime}`)].join('|');
+  if (key === lastPowerCurveKey) return;
+  lastPowerCurveKey = key;
+
+  const colors = [WATCHING_COLOR, ...COMPARE_COLORS];
+  const datasets = [];
+
+  curveRiders.forEach((rider, idx) => {
+    const { curve } = getPowerProfile(rider);
+    const model = models[idx];
+    const name = rider.name.split(' ')[0];
+    datasets.push({
+      label: name,
+      data: curve.map(p => convertPower(p.watts, weights[idx], powerUnit)),
+      borderColor: colors[idx],
+      backgroundColor: colors[idx],
+      borderWidth: 2,
+      fill: false,
+    });
+
+    if (model) {
+      datasets.push({
+        label: `${name} CP model`,
+        data: curve.map(p => p.duration >= CP_FIT_MIN_SECONDS
+          ? convertPower(calcModelPower(model, p.duration), weights[idx], powerUnit)
+          : null),
+        borderColor: colors[idx],
+        borderWidth: 1,
+        borderDash: [4, 4],
+        pointRadius: 0,
+        fill: false,
+      });
+    }
+  });
+
+  elements.powerCurveLabel.textContent = `(${getPowerUnitLabel(powerUnit)})`;
+  powerCurveChart.data.datasets = datasets;
+  powerCurveChart.update('none');
+
+  renderEffortTable(curveRiders, weights, models, colors);
+  renderPowerModelForm(you);
+}
+
+/**
+ * Get the CP/W' model used for a rider's W' balance
+ */
+function getRiderPowerModel(rider) {
+  return resolvePowerModel(riderPowerModels[rider.zwiftId], getPowerProfile(rider).fit, rider.ftp);
+}
+
+/**
+ * Get a rider's W' balance, recomputed only when their model changes
+ * @returns {Object|null} { key, model, balance }
+ */
+function getWPrimeBalance(rider) {
+  if (!rider.power) return null;
+  const model = getRiderPowerModel(rider);
+  if (!model) return null;
+
+  const key = `${model.cp}:${model.wPrime}`;
+  let cached = wPrimeBalances.get(rider.power);
+  if (!cached || cached.key !== key) {
+    cached = { key, model, balance: calcWPrimeBalance(rider.power, model, sampleInterval) };
+    wPrimeBalances.set(rider.power, cached);
+  }
+  return cached;
+}
+
+/**
+ * Show the watched rider's CP/W' inputs; empty inputs use the estimate
+ */
+function renderPowerModelForm(rider) {
+  const manual = riderPowerModels[rider.zwiftId] || {};
+  const estimate = resolvePowerModel(null, getPowerProfile(rider).fit, rider.ftp);
+  const model = getRiderPowerModel(rider);
+  const sourceLabels = {
+    [POWER_MODEL_SOURCES.MANUAL]: 'entered',
+    [POWER_MODEL_SOURCES.ESTIMATED]: 'estimated from this race',
+    [POWER_MODEL_SOURCES.FTP]: 'from ZwiftPower FTP',
+  };
+
+  elements.powerModelRider.textContent = `${rider.name.split(' ')[0]}:`;
+  elements.cpInput.value = manual.cp ?? '';
+  elements.cpInput.placeholder = estimate ? estimate.cp : 'CP';
+  elements.wPrimeInput.value = Number.isFinite(manual.wPrime) ? (manual.wPrime / 1000).toFixed(1) : '';
+  elements.wPrimeInput.placeholder = estimate ? (estimate.wPrime / 1000).toFixed(1) : "W'";
+  elements.powerModelSource.textContent = model ? sourceLabels[model.source] : "Enter CP to see W' balance";
+}
+
+/**
+ * Save CP/W' entered for the watched rider
+ */
+function onPowerModelChange() {
+  const rider = riders.find(r => r.position === watchingPosition);
+  if (!rider) return;
+
+  const cp = parsePowerModelValue(elements.cpInput.value);
+  const wPrime = parsePowerModelValue(elements.wPrimeInput.value, 1000);
+  if (cp === null && wPrime === null) {
+    delete riderPowerModels[rider.zwiftId];
+  } else {
+    riderPowerModels[rider.zwiftId] = { cp, wPrime };
+  }
+
+  chrome.storage.local.set({ [STORAGE_KEY_POWER_MODELS]: riderPowerModels });
+  update();
+}
+
+/**
+ * Render best efforts and CP/W' for the riders on the power curve
+ */
+function renderEffortTable(curveRiders, weights, models, colors) {
+  const profiles = curveRiders.map(getPowerProfile);
+  const effortsByRider = profiles.map((profile, idx) => KEY_EFFORT_DURATIONS.map(duration => {
+    const point = profile.curve.find(p => p.duration === duration);
+    return convertPower(point?.watts ?? null, weights[idx], powerUnit);
+  }));
+
+  // Highlight the best value per column when comparing
+  const bestPerColumn = KEY_EFFORT_DURATIONS.map((_, col) => {
+    const values = effortsByRider.map(efforts => efforts[col]).filter(Number.isFinite);
+    return values.length > 1 ? Math.max(...values) : null;
+  });
+
+  const header = `
+    <tr>
+      <th>Rider</th>
+      ${KEY_EFFORT_DURATIONS.map(d => `<th>${formatEffortDuration(d)}</th>`).join('')}
+      <th title="Critical power (* entered manually)">CP</th>
+      <th title="Anaerobic work capacity above CP">W'</th>
+    </tr>`;
+
+  const rows = curveRiders.map((rider, idx) => {
+    const model = models[idx];
+    const cells = effortsByRider[idx].map((value, col) => {
+      const isBest = value !== null && value === bestPerColumn[col];
+      return `<td class="${isBest ? 'best' : ''}">${formatPowerValue(value, powerUnit, { suffix: false })}</td>`;
+    }).join('');
+    const manualMark = model?.source === POWER_MODEL_SOURCES.MANUAL ? '*' : '';
+    const cp = model
+      ? `${formatPowerValue(convertPower(model.cp, weights[idx], powerUnit), powerUnit, { suffix: false })}${manualMark}`
+      : '-';
+    const wPrime = model ? `${(model.wPrime / 1000).toFixed(1)} kJ` : '-';
+
+    return `
+      <tr>
+        <td><span class="rider-swatch" style="background: ${colors[idx]}"></span>${escapeHtml(rider.name)}</td>
+        ${cells}
+        <td>${cp}</td>
+        <td>${wPrime}</td>
+      </tr>`;
+  }).join('');
+
+  elements.effortTable.innerHTML = header + rows;
+}
+
+/**
+ * Recompute whole-race analysis after riders load or change
+ * The heavy part runs in a worker; playback groups riders live until it is done
+ */
+function refreshRaceAnalysis() {
+  refreshSegments();
+  startPrecompute();
+}
+
+/**
+ * Build race frames and detect race events in a worker
+ * Replaces any worker still busy with older riders or settings
+ */
+function startPrecompute() {
+  cancelPrecompute();
+  showPrecomputeProgress(0);
+
+  raceWorker = new Worker('race-worker.js');
+  raceWorker.onmessage = (e) => {
+    if (e.data.type === 'progress') {
+      showPrecomputeProgress(e.data.progress);
+      return;
+    }
+
+    finishPrecompute();
+    raceFrames = e.data.frames;
+    raceEvents = e.data.raceEvents;
+    renderTimelineMarkers();
+    console.log(`[Replay] Precomputed ${raceFrames.frameCount} frames, ${raceEvents.length} race events`);
+    refreshRaceHistory();
+  };
+  // Workers are the normal path; analyzing on the main thread blocks the page
+  // for a large field, so it waits for the next task to let the page paint
+  // first, and cancelPrecompute drops it if riders change in the meantime
+  raceWorker.onerror = (e) => {
+    console.log('[Replay] Precompute failed, analyzing on the main thread:', e.message);
+    finishPrecompute();
+    precomputeTimer = setTimeout(() => {
+      precomputeTimer = null;
+      refreshRaceEvents();
+      refreshRaceHistory();
+    }, 0);
+  };
+
+  // Only the streams the worker reads
+  raceWorker.postMessage({
+    riders: riders.map(r => ({
+      zwiftId: r.zwiftId,
+      position: r.position,
+      name: r.name,
+      duration: r.duration,
+      distance: r.distance,
+      power: r.power,
+    })),
+    maxTime,
+    sampleInterval,
+    totalDistanceKm,
+    grouping: groupingOptions,
+  });
+}
+
+function finishPrecompute() {
+  raceWorker.terminate();
+  raceWorker = null;
+  elements.precomputeBadge.classList.add('hidden');
+}
+
+/**
+ * Drop frames built for older riders and stop any worker or pending restart
+ */
+function cancelPrecompute() {
+  clearTimeout(precomputeTimer);
+  precomputeTimer = null;
+  raceWorker?.terminate();
+  raceWorker = null;
+  raceFrames = null;
+  elements.precomputeBadge.classList.add('hidden');
+}
+
+/**
+ * Recompute whole-race analysis once a live sync has been quiet for a while,
+ * so each batch of riders doesn't restart the worker before it can finish.
+ * Playback groups riders live in the meantime
+ */
+function scheduleRaceAnalysis() {
+  cancelPrecompute();
+  precomputeTimer = setTimeout(() => {
+    precomputeTimer = null;
+    refreshRaceAnalysis();
+  }, PRECOMPUTE_RESTART_DELAY_MS);
+}
+
+function showPrecomputeProgress(progress) {
+  const percent = Math.round(progress * 100);
+  elements.precomputeBadge.classList.remove('hidden');
+  elements.precomputeFill.style.width = `${percent}%`;
+  elements.precomputeText.textContent = `Preparing replay ${percent}%`;
+}
+
+/**
+ * Redraw the over-time charts from the race frames
+ */
+function refreshRaceHistory() {
+  refreshGroupHistory();
+  refreshGapChart();
+  refreshPositionHistory();
+}
+
+/**
+ * Detect attacks and group splits and mark them on the timeline
+ */
+function refreshRaceEvents() {
+  raceEvents = detectRaceEvents(riders, maxTime, sampleInterval, { totalDistanceKm, grouping: groupingOptions });
+  renderTimelineMarkers();
+  console.log(`[Replay] Detected ${raceEvents.length} race events`);
+}
+
+function renderTimelineMarkers() {
+  elements.timelineMarkers.innerHTML = raceEvents.map((event, idx) => `
+    <button class="timeline-marker ${event.type}" data-event="${idx}"
+      style="left: ${(event.time / maxTime) * 100}%"
+      title="${escapeHtml(describeRaceEvent(event))}"></button>
+  `).join('');
+
+  elements.timelineMarkers.querySelectorAll('.timeline-marker').forEach(marker => {
+    marker.onclick = () => jumpToRaceEvent(raceEvents[parseInt(marker.dataset.event)]);
+  });
+}
+
+/**
+ * Move playback to just before an event and describe it
+ */
+function jumpToRaceEvent(event) {
+  if (!event) return;
+
+  pause();
+  currentTime = Math.max(0, event.time - EVENT_LEAD_IN_SECONDS);
+  const [title, ...details] = describeRaceEvent(event).split('\n');
+  const type = document.createElement('span');
+  type.className = `event-type ${event.type}`;
+  type.textContent = title;
+  elements.eventInfo.replaceChildren(type, details.join(' · '));
+  elements.eventInfo.classList.remove('hidden');
+  update();
+}
+
+/**
+ * Evaluate groups across the race and draw the group river
+ */
+function refreshGroupHistory() {
+  groupHistory = raceFrames
+    ? buildGroupHistoryFromFrames(raceFrames, riders)
+    : buildGroupHistory(riders, maxTime, sampleInterval, GROUP_HISTORY_STEP_SECONDS, groupingOptions, totalDistanceKm);
+  drawGroupRiver();
+}
+
+function drawGroupRiver() {
+  const canvas = elements.groupRiverCanvas;
+  const width = elements.riverContainer.clientWidth;
+  const height = elements.riverContainer.clientHeight;
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const { columns, flows } = layoutGroupRiver(groupHistory, width, height);
+
+  // Each flow is a ribbon of riders moving from one group to the next
+  flows.forEach((flow) => {
+    const midX = (flow.x0 + flow.x1) / 2;
+    ctx.beginPath();
+    ctx.moveTo(flow.x0, flow.y0);
+    ctx.bezierCurveTo(midX, flow.y0, midX, flow.y1, flow.x1, flow.y1);
+    ctx.lineTo(flow.x1, flow.y1 + flow.thickness);
+    ctx.bezierCurveTo(midX, flow.y1 + flow.thickness, midX, flow.y0 + flow.thickness, flow.x0, flow.y0 + flow.thickness);
+    ctx.closePath();
+    ctx.fillStyle = getGroupColor(flow.fromGroupId) + RIVER_FLOW_ALPHA;
+    ctx.fill();
+  });
+
+  // A single snapshot has no flows; draw its groups as bars
+  if (columns.length === 1) {
+    columns[0].bands.forEach((band) => {
+      ctx.fillStyle = getGroupColor(band.id);
+      ctx.fillRect(0, band.y0, width, band.y1 - band.y0);
+    });
+  }
+
+  updateRiverCursor();
+}
+
+/**
+ * Get the race time for an x position on the group river
+ */
+function getRiverTime(x) {
+  const lastTime = groupHistory[groupHistory.length - 1]?.time || 0;
+  const width = elements.riverContainer.clientWidth || 1;
+  return clamp((x / width) * lastTime, 0, lastTime);
+}
+
+function updateRiverCursor() {
+  const lastTime = groupHistory[groupHistory.length - 1]?.time;
+  if (!lastTime) {
+    elements.riverCursor.style.display = 'none';
+    return;
+  }
+  const width = elements.riverContainer.clientWidth;
+  elements.riverCursor.style.display = 'block';
+  elements.riverCursor.style.left = `${Math.min(currentTime / lastTime, 1) * width}px`;
+}
+
+/**
+ * Describe the groups at a point of the river for its tooltip
+ */
+function describeGroupSnapshot(snapshot) {
+  const sizes = snapshot.groups.map(g => g.size);
+  const lead = sizes.length > 0 ? `Lead group: ${sizes[0]} riders` : 'No riders';
+  return `${formatTime(snapshot.time)} · ${snapshot.groups.length} groups\n${lead}\nSizes: ${sizes.join(', ')}`;
+}
+
+// Position (bump) chart
+const timeCursorPlugin = {
+  id: 'timeCursor',
+  afterDraw: (chart) => {
+    const value = chart.options.plugins.timeCursor?.value;
+    const xAxis = chart.scales.x;
+    const yAxis = chart.scales.y;
+    if (value === null || value === undefined || !xAxis || !yAxis) return;
+
+    const x = xAxis.getPixelForValue(value);
+    if (x < xAxis.left || x > xAxis.right) return;
+
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x, yAxis.top);
+    ctx.lineTo(x, yAxis.bottom);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.stroke();
+    ctx.restore();
+  }
+};
+
+function initPositionChart() {
+  const ctx = elements.positionChart.getContext('2d');
+  positionChart = new Chart(ctx, {
+    type: 'line',
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      normalized: true,
+      interaction: { mode: 'nearest', intersect: false },
+      scales: {
+        x: {
+          type: 'linear',
+          min: 0,
+          ticks: { color: '#8b949e', maxTicksLimit: 10, callback: (value) => formatTime(value) },
+          grid: { color: '#21262d' },
+        },
+        y: {
+          reverse: true,
+          min: 1,
+          ticks: { color: '#8b949e', precision: 0 },
+          grid: { color: '#21262d' },
+        },
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (items) => formatTime(items[0].parsed.x),
+            label: (item) => `${item.dataset.label}: P${item.parsed.y}`,
+          },
+        },
+        timeCursor: { value: null },
+      },
+      elements: { point: { radius: 0, hitRadius: 4 }, line: { tension: 0 } },
+      onClick: (event, items, chart) => {
+        const time = chart.scales.x.getValueForPixel(event.x);
+        currentTime = clamp(Math.round(time), 0, maxTime);
+        update();
+      },
+    },
+    plugins: [timeCursorPlugin],
+  });
+}
+
+/**
+ * Rank every rider over the race and redraw the position chart
+ */
+function refreshPositionHistory() {
+  positionHistory = raceFrames
+    ? buildPositionHistoryFromFrames(raceFrames, riders)
+    : buildPositionHistory(riders, maxTime, sampleInterval, totalDistanceKm);
+  if (!positionChart) initPositionChart();
+  lastPositionChartKey = null;
+  update();
+}
+
+/**
+ * Highlight the watched and compared riders; move the time cursor
+ */
+function updatePositionChart(you, compareTargets) {
+  if (!positionChart || !you) return;
+
+  positionChart.options.plugins.timeCursor.value = currentTime;
+
+  const key = [riders.length, you.zwiftId, ...compareTargets.map(r => r.zwiftId)].join('|');
+  if (key === lastPositionChartKey) {
+    positionChart.draw();
+    return;
+  }
+  lastPositionChartKey = key;
+
+  const highlightColors = new Map([[you.zwiftId, WATCHING_COLOR]]);
+  compareTargets.forEach((r, idx) => highlightColors.set(r.zwiftId, COMPARE_COLORS[idx]));
+
+  positionChart.data.datasets = riders.map((rider) => {
+    const color = highlightColors.get(rider.zwiftId);
+    const series = positionHistory.positions[rider.zwiftId] || [];
+    return {
+      label: rider.name,
+      data: series.map((position, i) => ({ x: positionHistory.times[i], y: position })),
+      borderColor: color || POSITION_LINE_COLOR,
+      borderWidth: color ? 2.5 : 1,
+      order: color ? 0 : 1,
+      fill: false,
+    };
+  });
+  positionChart.options.scales.x.max = positionHistory.times[positionHistory.times.length - 1] || maxTime;
+  positionChart.options.scales.y.max = Math.max(1, riders.length);
+  positionChart.update('none');
+
+  const loss = findBiggestPositionLoss(positionHistory, you.zwiftId);
+  elements.positionHint.textContent = loss && loss.places > 1
+    ? `${getWatchingRiderName()} lost ${loss.places} places (P${loss.from} → P${loss.to}) between ${formatTime(loss.startTime)} and ${formatTime(loss.endTime)} · click to jump`
+    : 'click to jump';
+}
+
+// Gap chart
+function formatGapAxisValue(value) {
+  return gapAxis === GAP_AXES.DISTANCE ? `${value.toFixed(1)} km` : formatTime(value);
+}
+
+function initGapChart() {
+  const ctx = elements.gapChart.getContext('2d');
+  gapChart = new Chart(ctx, {
+    type: 'line',
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      normalized: true,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: {
+          type: 'linear',
+          min: 0,
+          ticks: { color: '#8b949e', maxTicksLimit: 10, callback: (value) => formatGapAxisValue(value) },
+          grid: { color: '#21262d' },
+        },
+        y: {
+          ticks: { color: '#8b949e', callback: (value) => formatSignedGap(value) },
+          grid: { color: '#21262d' },
+        },
+      },
+      plugins: {
+        legend: { display: true, labels: { color: '#c9d1d9', boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            title: (items) => formatGapAxisValue(items[0].parsed.x),
+            label: (item) => `${item.dataset.label}: ${formatSignedGap(item.parsed.y)}`,
+          },
+        },
+        timeCursor: { value: null },
+      },
+      elements: { point: { radius: 0, hitRadius: 4 }, line: { tension: 0 } },
+      onClick: (event, items, chart) => {
+        const value = chart.scales.x.getValueForPixel(event.x);
+        const time = gapAxis === GAP_AXES.DISTANCE ? findTimeAtDistance(gapHistory, value) : value;
+        currentTime = clamp(Math.round(time), 0, maxTime);
+        update();
+      },
+    },
+    plugins: [timeCursorPlugin],
+  });
+}
+
+/**
+ * Rebuild the gap chart after riders load or change
+ */
+function refreshGapChart() {
+  if (!gapChart) initGapChart();
+  lastGapChartKey = null;
+}
+
+function setGapAxis(axis) {
+  gapAxis = axis === GAP_AXES.DISTANCE ? GAP_AXES.DISTANCE : GAP_AXES.TIME;
+  document.querySelectorAll('[data-gap-axis]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.gapAxis === gapAxis);
+  });
+  lastGapChartKey = null;
+  update();
+}
+
+/**
+ * Plot the watched rider's gaps to the leader, the group ahead and
+ * compared riders; move the cursor to the current time or distance
+ */
+function updateGapChart(you, compareTargets) {
+  if (!gapChart || !you) return;
+  // Wait for the frames rather than rebuilding gaps on the main thread
+  if (raceWorker || precomputeTimer) return;
+
+  const byDistance = gapAxis === GAP_AXES.DISTANCE;
+  gapChart.options.plugins.timeCursor.value = byDistance ? you.currentDistance : currentTime;
+
+  const key = [riders.length, gapAxis, you.zwiftId, ...compareTargets.map(r => r.zwiftId)].join('|');
+  if (key === lastGapChartKey) {
+    gapChart.draw();
+    return;
+  }
+  lastGapChartKey = key;
+
+  const compared = compareTargets.filter(r => r.zwiftId !== you.zwiftId);
+  gapHistory = raceFrames
+    ? buildGapHistoryFromFrames(raceFrames, riders, you, compared, { totalDistanceKm })
+    : buildGapHistory(riders, you, compared, { sampleInterval, totalDistanceKm, grouping: groupingOptions });
+
+  const series = (getGap) => gapHistory.map(p => ({ x: byDistance ? p.distance : p.time, y: getGap(p) }));
+  gapChart.data.datasets = [
+    { label: 'Leader', data: series(p => p.leader), borderColor: GAP_LEADER_COLOR, borderWidth: 2 },
+    {
+      label: 'Group ahead',
+      data: series(p => p.groupAhead),
+      borderColor: GAP_GROUP_AHEAD_COLOR,
+      borderWidth: 1.5,
+      borderDash: [4, 4],
+    },
+    ...compared.map(r => ({
+      label: r.name,
+      data: series(p => p.compared[r.zwiftId] ?? null),
+      borderColor: COMPARE_COLORS[compareTargets.indexOf(r)],
+      borderWidth: 2,
+    })),
+  ];
+  const last = gapHistory[gapHistory.length - 1];
+  gapChart.options.scales.x.max = last ? (byDistance ? last.distance : last.time) : undefined;
+  gapChart.update('none');
+}
+
+// Segments
+/**
+ * Load segments the user saved on any route
+ */
+async function loadCustomSegments() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_CUSTOM_SEGMENTS);
+  customSegments = result[STORAGE_KEY_CUSTOM_SEGMENTS] || {};
+}
+
+/**
+ * Detect climbs, add this route's saved segments and redraw them
+ */
+function refreshSegments() {
+  segments = [...detectClimbs(elevationProfile), ...(customSegments[routeKey] || [])];
+  if (!segments.some(s => s.id === selectedSegmentId)) {
+    selectedSegmentId = segments[0]?.id ?? null;
+  }
+  populateSegmentSelect();
+  initElevation();
+}
+
+function populateSegmentSelect() {
+  elements.segmentSelect.innerHTML = segments.length === 0
+    ? '<option value="">No climbs or saved segments</option>'
+    : segments.map(segment =>
+      `<option value="${segment.id}">${escapeHtml(segment.name)} · ${formatSegmentSummary(segment)}</option>`
+    ).join('');
+  elements.segmentSelect.value = selectedSegmentId ?? '';
+  lastSegmentTableKey = null;
+}
+
+function selectSegment(id) {
+  selectedSegmentId = id || null;
+  lastSegmentTableKey = null;
+  initElevation();
+  update();
+}
+
+/**
+ * Save the zoomed stretch of the profile as a segment on this route
+ */
+function saveZoomAsSegment() {
+  if (!routeKey) return;
+
+  const saved = customSegments[routeKey] || [];
+  const name = prompt('Segment name', `Segment ${saved.length + 1}`);
+  if (!name?.trim()) return;
+
+  const segment = createCustomSegment(elevationProfile, zoomStart * totalDistanceKm, zoomEnd * totalDistanceKm, name.trim());
+  customSegments[routeKey] = [...saved.filter(s => s.id !== segment.id), segment];
+  chrome.storage.local.set({ [STORAGE_KEY_CUSTOM_SEGMENTS]: customSegments });
+  selectedSegmentId = segment.id;
+  refreshSegments();
+  update();
+}
+
+function deleteSelectedSegment() {
+  const saved = customSegments[routeKey] || [];
+  if (!saved.some(s => s.id === selectedSegmentId)) return;
+
+  customSegments[routeKey] = saved.filter(s => s.id !== selectedSegmentId);
+  if (customSegments[routeKey].length === 0) delete customSegments[routeKey];
+  chrome.storage.local.set({ [STORAGE_KEY_CUSTOM_SEGMENTS]: customSegments });
+  selectedSegmentId = null;
+  refreshSegments();
+  update();
+}
+
+/**
+ * Rank riders over the selected segment
+ */
+function updateSegmentTable(you, compareTargets) {
+  const segment = segments.find(s => s.id === selectedSegmentId);
+  const key = [selectedSegmentId, riders.length, you?.zwiftId, ...compareTargets.map(r => r.zwiftId)].join('|');
+  if (key === lastSegmentTableKey) return;
+  lastSegmentTableKey = key;
+
+  elements.deleteSegmentBtn.disabled = segment?.type !== SEGMENT_TYPES.CUSTOM;
+  if (!segment) {
+    elements.segmentSummary.textContent = '';
+    elements.segmentTable.innerHTML = '';
+    return;
+  }
+
+  const gain = segment.gainM > 0 ? ` · +${Math.round(segment.gainM)} m` : '';
+  elements.segmentSummary.textContent =
+    `${segment.startKm.toFixed(1)}–${segment.endKm.toFixed(1)} km${gain}`;
+
+  const colors = new Map([[you?.zwiftId, WATCHING_COLOR]]);
+  compareTargets.forEach((r, idx) => colors.set(r.zwiftId, COMPARE_COLORS[idx]));
+
+  const leaderboard = buildSegmentLeaderboard(riders, segment, sampleInterval, riderWeights);
+  const header = `
+    <tr>
+      <th>#</th>
+      <th>Rider</th>
+      <th>Time</th>
+      <th>Power</th>
+      <th>W/kg</th>
+      <th title="Vertical metres climbed per hour">VAM</th>
+    </tr>`;
+  const rows = leaderboard.map(entry => {
+    const color = colors.get(entry.rider.zwiftId);
+    const swatch = color ? `<span class="rider-swatch" style="background: ${color}"></span>` : '';
+    return `
+      <tr class="${color ? 'highlighted' : ''}" data-position="${entry.rider.position}">
+        <td>${entry.rank}</td>
+        <td>${swatch}${escapeHtml(entry.rider.name)}</td>
+        <td>${formatTime(entry.time)}</td>
+        <td>${formatPowerValue(entry.avgPower, POWER_UNITS.WATTS)}</td>
+        <td>${formatPowerValue(entry.wkg, POWER_UNITS.WKG, { suffix: false })}</td>
+        <td>${entry.vam === null ? '-' : Math.round(entry.vam)}</td>
+      </tr>`;
+  }).join('');
+
+  elements.segmentTable.innerHTML = leaderboard.length > 0
+    ? header + rows
+    : '<tr><td>No synced rider has finished this segment</td></tr>';
+}
+
+/**
+ * Trigger a browser download for generated file contents
+ */
+function downloadFile(fileName, contents, mimeType) {
+  const blob = new Blob([contents], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Fill the export picker, keeping the chosen rider while riders sync in
+ */
+function populateExportRiders(sortedRiders) {
+  const selected = elements.exportRiderSelect.value;
+  const watched = document.createElement('option');
+  watched.value = '';
+  watched.textContent = 'Watched rider';
+  elements.exportRiderSelect.replaceChildren(watched, ...sortedRiders.map(r => {
+    const option = document.createElement('option');
+    option.value = r.position;
+    option.textContent = `#${r.position} ${r.name}`;
+    return option;
+  }));
+  elements.exportRiderSelect.value = sortedRiders.some(r => String(r.position) === selected) ? selected : '';
+}
+
+/**
+ * Export the chosen rider (the watched one by default) as a TCX or FIT activity file
+ * ZwiftPower doesn't give the race start, so unless the race has one the user
+ * is asked before the file is dated to when the race was synced
+ */
+function exportRider(format) {
+  const position = parseInt(elements.exportRiderSelect.value) || watchingPosition;
+  const rider = riders.find(r => r.position === position);
+  if (!rider) return;
+
+  const startTime = raceStartTime || raceSyncedAt;
+  if (!raceStartTime && !confirm(
+    'The race start time is unknown.\n\n' +
+    `The activity will start at ${startTime ? new Date(startTime).toLocaleString() : 'the current time'} instead. Export anyway?`
+  )) {
+    return;
+  }
+
+  const options = { startTime: startTime ? new Date(startTime) : new Date(), sampleInterval };
+  const fileName = getActivityFileName(currentEventId, rider, format);
+
+  if (format === 'fit') {
+    downloadFile(fileName, createFit(rider, options), 'application/vnd.ant.fit');
+  } else {
+    downloadFile(fileName, createTcx(rider, options), 'application/vnd.garmin.tcx+xml');
+  }
+}
+
+// Playback controls using requestAnimationFrame for smooth animation
+function gameLoop(timestamp) {
+  if (!isPlaying) return;
+
+  if (lastFrameTime === null) {
+    lastFrameTime = timestamp;
+  }
+
+  const deltaMs = timestamp - lastFrameTime;
+  lastFrameTime = timestamp;
 
   // Calculate time increment based on playback speed
   // deltaMs is in milliseconds, we want to advance currentTime by (deltaMs/1000 * playbackSpeed) seconds
@@ -887,13 +2291,57 @@ function initEventListeners() {
   elements.resetBtn.onclick = () => { pause(); currentTime = 0; update(); };
   elements.timeSlider.oninput = (e) => { currentTime = +e.target.value; update(); };
   elements.riderSelect.onchange = (e) => selectRider(parseInt(e.target.value));
+  elements.exportTcxBtn.onclick = () => exportRider('tcx');
+  elements.exportFitBtn.onclick = () => exportRider('fit');
+  elements.riderWeight.onchange = onRiderWeightChange;
+  elements.cpInput.onchange = onPowerModelChange;
+  elements.groupingMode.onchange = onGroupingChange;
+  elements.groupingThreshold.onchange = onGroupingChange;
+  elements.wPrimeInput.onchange = onPowerModelChange;
+
+  document.querySelectorAll('[data-power-unit]').forEach(btn => {
+    btn.onclick = () => setPowerUnit(btn.dataset.powerUnit);
+  });
+
+  elements.saveSegmentBtn.onclick = saveZoomAsSegment;
+  elements.deleteSegmentBtn.onclick = deleteSelectedSegment;
+  elements.segmentSelect.onchange = (e) => selectSegment(e.target.value);
+  elements.segmentTable.onclick = (e) => {
+    const row = e.target.closest('tr[data-position]');
+    if (row) selectRider(parseInt(row.dataset.position));
+  };
+
+  document.querySelectorAll('[data-chart-align]').forEach(btn => {
+    btn.onclick = () => setChartAlignment(btn.dataset.chartAlign);
+  });
+
+  document.querySelectorAll('[data-gap-axis]').forEach(btn => {
+    btn.onclick = () => setGapAxis(btn.dataset.gapAxis);
+  });
 
   // Rider search
+  elements.standings.onclick = onStandingsClick;
   elements.riderSearch.oninput = (e) => {
     riderSearchTerm = e.target.value;
     update();
   };
 
+  elements.teamFilter.onchange = (e) => {
+    riderFilter.team = e.target.value;
+    update();
+  };
+
+  elements.categoryFilter.onchange = (e) => {
+    riderFilter.category = e.target.value;
+    update();
+  };
+
+  elements.minWkgFilter.oninput = (e) => {
+    const value = parseFloat(e.target.value);
+    riderFilter.minWkg = Number.isFinite(value) ? value : null;
+    update();
+  };
+
   document.querySelectorAll('[data-speed]').forEach(btn => {
     btn.onclick = (e) => {
       playbackSpeed = +e.target.dataset.speed;
@@ -903,11 +2351,27 @@ function initEventListeners() {
   });
 
   window.addEventListener('resize', initElevation);
+  window.addEventListener('resize', drawGroupRiver);
+
+  // Group river: hover shows groups, click jumps there
+  elements.riverContainer.addEventListener('mousemove', (e) => {
+    const rect = elements.riverContainer.getBoundingClientRect();
+    const snapshot = findGroupSnapshot(groupHistory, getRiverTime(e.clientX - rect.left));
+    elements.riverContainer.title = snapshot ? describeGroupSnapshot(snapshot) : '';
+  });
+
+  elements.riverContainer.addEventListener('click', (e) => {
+    const rect = elements.riverContainer.getBoundingClientRect();
+    const snapshot = findGroupSnapshot(groupHistory, getRiverTime(e.clientX - rect.left));
+    if (!snapshot) return;
+    currentTime = snapshot.time;
+    update();
+  });
 
   // Zoom
   elements.elevationContainer.addEventListener('mousedown', (e) => {
     if (e.target.closest('.zoom-controls')) return;
-    if (e.target.closest('.rider-marker')) return;
+    if (getMarkerAtEvent(e)) return;
     isDragging = true;
     const rect = elements.elevationContainer.getBoundingClientRect();
     dragStartX = e.clientX - rect.left;
@@ -923,10 +2387,11 @@ function initEventListeners() {
 
     // Cursor info
     if (!isDragging) {
+      setHoveredMarker(findMarkerAt(riderMarkers, x, e.clientY - rect.top));
+
       const progress = zoomStart + (x / containerWidth) * (zoomEnd - zoomStart);
       const distanceKm = progress * totalDistanceKm;
-      const elevIdx = Math.floor(progress * (elevationData.length - 1));
-      const elevation = elevationData[elevIdx] || 0;
+      const elevation = getProfileElevation(elevationProfile, distanceKm) ?? 0;
 
       elements.cursorLine.style.left = `${x}px`;
       elements.cursorLine.style.display = 'block';
@@ -970,6 +2435,7 @@ function initEventListeners() {
         zoomStart = 0;
         zoomEnd = 1;
         elements.zoomResetBtn.disabled = true;
+        elements.saveSegmentBtn.disabled = true;
         initElevation();
         update();
       }
@@ -983,6 +2449,7 @@ function initEventListeners() {
     zoomEnd = Math.min(1, endProgress);
 
     elements.zoomResetBtn.disabled = false;
+    elements.saveSegmentBtn.disabled = false;
     initElevation();
     update();
   });
@@ -1004,12 +2471,19 @@ function initEventListeners() {
     // Don't cancel drag on mouseleave - let document handle it
     elements.cursorLine.style.display = 'none';
     elements.cursorInfo.style.display = 'none';
+    setHoveredMarker(null);
+  });
+
+  elements.elevationContainer.addEventListener('click', (e) => {
+    const marker = getMarkerAtEvent(e);
+    if (marker) selectRider(marker.rider.position);
   });
 
   elements.zoomResetBtn.addEventListener('click', () => {
     zoomStart = 0;
     zoomEnd = 1;
     elements.zoomResetBtn.disabled = true;
+    elements.saveSegmentBtn.disabled = true;
     initElevation();
     update();
   });
@@ -1018,18 +2492,9 @@ function initEventListeners() {
 /**
  * Update riders when new data is synced
  */
-function updateRidersFromRaceData(raceData) {
-  const newRiders = raceData.riders.map(r => ({
-    position: r.position,
-    name: r.name,
-    zwiftId: r.zwiftId,
-    duration: r.duration,
-    power: r.power || [],
-    heartRate: r.heartRate || [],
-    elevation: r.elevation || [],
-    distance: r.distance || null,
-    isCurrentUser: r.isCurrentUser,
-  }));
+async function updateRidersFromRaceData(raceData) {
+  const decodedRiders = await Promise.all(raceData.riders.map(decodeRiderStreams));
+  const newRiders = decodedRiders.map(toReplayRider);
 
   // Only update if there are more riders or sync status changed
   if (newRiders.length > riders.length || raceData.syncInProgress !== !elements.syncBanner.classList.contains('hidden')) {
@@ -1049,7 +2514,12 @@ function updateRidersFromRaceData(raceData) {
     // Re-populate selector if new riders added
     populateRiderSelector();
 
-    // Update display
+    // Drop frames built for the old riders before redrawing
+    if (raceData.syncInProgress) {
+      scheduleRaceAnalysis();
+    } else {
+      refreshRaceAnalysis();
+    }
     update();
     console.log(`[Replay] Updated to ${riders.length} riders`);
   }
@@ -1058,14 +2528,19 @@ function updateRidersFromRaceData(raceData) {
 /**
  * Listen for storage changes to update riders in real-time
  */
-chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName !== 'local' || !changes[STORAGE_KEY_RACES] || !currentEventId) return;
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes[STORAGE_KEY_RACE_INDEX] || !currentEventId) return;
+
+  const entry = changes[STORAGE_KEY_RACE_INDEX].newValue?.[currentEventId];
+  const previous = changes[STORAGE_KEY_RACE_INDEX].oldValue?.[currentEventId];
+  if (!entry) return;
 
-  const races = changes[STORAGE_KEY_RACES].newValue || {};
-  const raceData = races[currentEventId];
+  // Only read riders from IndexedDB when the race actually changed
+  if (previous && entry.riderCount === previous.riderCount && entry.syncInProgress === previous.syncInProgress) return;
 
+  const raceData = await loadStoredRace(currentEventId);
   if (raceData) {
-    updateRidersFromRaceData(raceData);
+    await updateRidersFromRaceData(raceData);
   }
 });
 
@@ -0,0 +1,224 @@
+/**
+ * Adaptive request scheduler for ZwiftPower API calls
+ * Spaces requests out, backs off on 429/5xx and speeds back up while responses stay healthy
+ */
+
+const SCHEDULER_MIN_DELAY_MS = 1000;
+const SCHEDULER_START_DELAY_MS = 1500;
+const SCHEDULER_MAX_DELAY_MS = 30000;
+const SCHEDULER_MAX_BACKOFF_MS = 120000;
+const SCHEDULER_BACKOFF_BASE_MS = 2000;
+const SCHEDULER_SPEEDUP_FACTOR = 0.85;
+const SCHEDULER_SLOWDOWN_FACTOR = 2;
+const SCHEDULER_HEALTHY_STREAK = 3;
+const SCHEDULER_MAX_RETRIES = 2;
+const SCHEDULER_MAX_THROTTLE_RETRIES = 6;
+const THROTTLE_STATUS_CODES = [429, 503];
+
+const SCHEDULER_STATES = {
+  IDLE: 'idle',
+  WAITING: 'waiting',
+  THROTTLED: 'throttled',
+  RETRYING: 'retrying',
+};
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @param {number} nowMs - Current time in ms (default Date.now())
+ * @returns {number|null} Wait time in ms, or null when missing or invalid
+ */
+function parseRetryAfter(value, nowMs = Date.now()) {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - nowMs);
+}
+
+/**
+ * Calculate an exponential backoff wait with jitter
+ * Half the wait is fixed and half is random, so parallel clients spread out
+ * @param {number} attempt - Retry attempt (0-based)
+ * @param {number} baseMs - Wait for the first attempt
+ * @param {number} maxMs - Upper bound for the wait
+ * @param {Function} random - Random source returning [0, 1) (default Math.random)
+ * @returns {number} Wait time in ms
+ */
+function calcBackoffDelay(attempt, baseMs = SCHEDULER_BACKOFF_BASE_MS, maxMs = SCHEDULER_MAX_BACKOFF_MS, random = Math.random) {
+  const exponential = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt)));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+/**
+ * Classify a fetch outcome for the scheduler
+ * @param {Response|null} response - Fetch response (null when the request threw)
+ * @returns {string} 'ok', 'throttled', 'retry' or 'fail'
+ */
+function classifyResponse(response) {
+  if (!response) return 'retry';
+  if (response.ok) return 'ok';
+  if (THROTTLE_STATUS_CODES.includes(response.status)) return 'throttled';
+  if (response.status >= 500) return 'retry';
+  return 'fail';
+}
+
+/**
+ * Create a request scheduler
+ * @param {Object} options - Scheduler options
+ * @param {Function} options.fetch - Fetch function (url, init) => Promise<Response>;
+ *   init carries the request's abort signal
+ * @param {Function} options.delay - Wait function (ms, signal) => Promise
+ * @param {Function} options.now - Clock returning ms (default Date.now)
+ * @param {Function} options.random - Random source for jitter (default Math.random)
+ * @param {Function} options.onStateChange - Called with a state snapshot when it changes
+ * @param {Function} options.logger - Logs failed requests (default console.log)
+ * @returns {Object} Scheduler with request() and getState()
+ */
+function createRequestScheduler(options = {}) {
+  const fetchFn = options.fetch || ((url, init) => fetch(url, init));
+  const delayFn = options.delay || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+  const now = options.now || Date.now;
+  const random = options.random || Math.random;
+  const onStateChange = options.onStateChange || (() => {});
+  const logger = options.logger || console.log;
+  const minDelayMs = options.minDelayMs ?? SCHEDULER_MIN_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs ?? SCHEDULER_MAX_DELAY_MS;
+  const maxRetries = options.maxRetries ?? SCHEDULER_MAX_RETRIES;
+  const maxThrottleRetries = options.maxThrottleRetries ?? SCHEDULER_MAX_THROTTLE_RETRIES;
+
+  const state = {
+    state: SCHEDULER_STATES.IDLE,
+    delayMs: options.startDelayMs ?? SCHEDULER_START_DELAY_MS,
+    nextRequestAt: 0,
+    waitMs: 0,
+    attempt: 0,
+    healthyStreak: 0,
+    lastStatus: null,
+  };
+
+  function setState(name, changes = {}) {
+    Object.assign(state, changes, { state: name });
+    onStateChange(getState());
+  }
+
+  function getState() {
+    return {
+      state: state.state,
+      delayMs: state.delayMs,
+      waitMs: state.waitMs,
+      attempt: state.attempt,
+      lastStatus: state.lastStatus,
+    };
+  }
+
+  function slowDown() {
+    state.healthyStreak = 0;
+    state.delayMs = Math.min(maxDelayMs, state.delayMs * SCHEDULER_SLOWDOWN_FACTOR);
+  }
+
+  function recordHealthy() {
+    state.healthyStreak++;
+    if (state.healthyStreak >= SCHEDULER_HEALTHY_STREAK) {
+      state.healthyStreak = 0;
+      state.delayMs = Math.max(minDelayMs, Math.round(state.delayMs * SCHEDULER_SPEEDUP_FACTOR));
+    }
+  }
+
+  async function waitUntil(time, stateName, signal) {
+    const waitMs = Math.max(0, time - now());
+    if (waitMs === 0) return;
+
+    setState(stateName, { waitMs });
+    await delayFn(waitMs, signal);
+  }
+
+  /**
+   * Run a request once its slot comes up, retrying throttled and failed attempts
+   * @param {string} url - Request URL
+   * @param {Object} init - Fetch options
+   * @param {AbortSignal} signal - Optional abort signal, for the waits and the fetch itself
+   * @returns {Promise<Response|null>} Last response, or null if aborted or every attempt threw
+   */
+  async function request(url, init = {}, signal = null) {
+    let retries = 0;
+    let throttles = 0;
+    let lastResponse = null;
+    let waitState = SCHEDULER_STATES.WAITING;
+
+    while (true) {
+      if (signal?.aborted) return null;
+      await waitUntil(state.nextRequestAt, waitState, signal);
+      if (signal?.aborted) return null;
+
+      let response = null;
+      try {
+        response = await fetchFn(url, signal ? { ...init, signal } : init);
+      } catch (error) {
+        // A cancelled request says nothing about the server, so no backoff
+        if (signal?.aborted) return null;
+        logger(`[ZP Replay] Request failed: ${error.message}`);
+      }
+
+      const outcome = classifyResponse(response);
+      state.lastStatus = response ? response.status : null;
+      lastResponse = response || lastResponse;
+
+      if (outcome === 'ok' || outcome === 'fail') {
+        if (outcome === 'ok') recordHealthy();
+        state.nextRequestAt = now() + state.delayMs;
+        setState(SCHEDULER_STATES.IDLE, { waitMs: 0, attempt: 0 });
+        return response;
+      }
+
+      if (outcome === 'throttled') {
+        if (throttles >= maxThrottleRetries) break;
+        const retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'), now());
+        const backoff = calcBackoffDelay(throttles, SCHEDULER_BACKOFF_BASE_MS, SCHEDULER_MAX_BACKOFF_MS, random);
+        throttles++;
+        slowDown();
+        // A Retry-After far in the future would stall the whole sync queue
+        state.nextRequestAt = now() + Math.min(SCHEDULER_MAX_BACKOFF_MS, Math.max(retryAfter ?? 0, backoff));
+        state.attempt = throttles;
+        waitState = SCHEDULER_STATES.THROTTLED;
+      } else {
+        if (retries >= maxRetries) break;
+        const backoff = calcBackoffDelay(retries, SCHEDULER_BACKOFF_BASE_MS, SCHEDULER_MAX_BACKOFF_MS, random);
+        retries++;
+        slowDown();
+        state.nextRequestAt = now() + backoff;
+        state.attempt = retries;
+        waitState = SCHEDULER_STATES.RETRYING;
+      }
+    }
+
+    state.nextRequestAt = now() + state.delayMs;
+    setState(SCHEDULER_STATES.IDLE, { waitMs: 0, attempt: 0 });
+    return lastResponse;
+  }
+
+  return { request, getState };
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseRetryAfter,
+    calcBackoffDelay,
+    classifyResponse,
+    createRequestScheduler,
+    // Constants
+    SCHEDULER_STATES,
+    SCHEDULER_MIN_DELAY_MS,
+    SCHEDULER_START_DELAY_MS,
+    SCHEDULER_MAX_DELAY_MS,
+    SCHEDULER_MAX_BACKOFF_MS,
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * ZwiftPower result metadata for ZwiftPower Race Replay
+ * Parses the event results API (team, category, finish time, W/kg, weight,
+ * height, FTP, flags) and filters riders by it
+ */
+
+const ZWIFTPOWER_RESULTS_URL = 'https://zwiftpower.com/cache3/results/';
+const RESULT_METADATA_FIELDS = [
+  'team', 'category', 'finishTime', 'avgWkg', 'avgPower', 'weight', 'height', 'ftp', 'flag', 'ageGroup',
+];
+
+/**
+ * Build the results API URL for an event
+ * @param {string} eventId - Numeric ZwiftPower event ID
+ * @returns {string} Results URL
+ */
+function getResultsUrl(eventId) {
+  return `${ZWIFTPOWER_RESULTS_URL}${eventId}_view.json`;
+}
+
+/**
+ * Read a number from a ZwiftPower result value
+ * The API wraps many values as [value, flag] and sends numbers as strings
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null when missing or zero
+ */
+function parseResultNumber(value) {
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  const number = parseFloat(raw);
+  return Number.isFinite(number) && number !== 0 ? number : null;
+}
+
+/**
+ * Read a text field from a ZwiftPower result value
+ * @param {*} value - Raw value
+ * @returns {string|null} Trimmed text, or null when empty
+ */
+function parseResultText(value) {
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (raw === null || raw === undefined) return null;
+
+  // Team names come HTML-escaped
+  const text = String(raw)
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .trim();
+  return text || null;
+}
+
+/**
+ * Parse one row of the results API
+ * @param {Object} row - Result row
+ * @returns {Object|null} { zwiftId, ...metadata }, or null without a Zwift ID
+ */
+function parseResultRow(row) {
+  const zwiftId = row?.zwid ?? row?.zwift_id;
+  if (!zwiftId) return null;
+
+  const category = parseResultText(row.category);
+  const flag = parseResultText(row.flag);
+
+  return {
+    zwiftId: String(zwiftId),
+    team: parseResultText(row.tname),
+    category: category ? category.toUpperCase() : null,
+    finishTime: parseResultNumber(row.time),
+    avgWkg: parseResultNumber(row.avg_wkg),
+    avgPower: parseResultNumber(row.avg_power),
+    weight: parseResultNumber(row.weight),
+    height: parseResultNumber(row.height),
+    ftp: parseResultNumber(row.ftp),
+    flag: flag ? flag.toLowerCase() : null,
+    ageGroup: parseResultText(row.age_group),
+  };
+}
+
+/**
+ * Parse the results API response into metadata keyed by Zwift ID
+ * @param {Object} response - Parsed JSON ({ data: [...] })
+ * @returns {Object} Metadata keyed by Zwift ID
+ */
+function parseResultsResponse(response) {
+  const byZwiftId = {};
+  for (const row of response?.data || []) {
+    const meta = parseResultRow(row);
+    if (meta) {
+      const { zwiftId, ...fields } = meta;
+      byZwiftId[zwiftId] = fields;
+    }
+  }
+  return byZwiftId;
+}
+
+/**
+ * Add result metadata to a rider, keeping values already known
+ * @param {Object} rider - Rider object
+ * @param {Object} meta - Metadata for the rider (may be missing)
+ * @returns {Object} Rider with metadata fields
+ */
+function mergeRiderMetadata(rider, meta) {
+  const merged = { ...rider };
+  for (const field of RESULT_METADATA_FIELDS) {
+    merged[field] = rider[field] ?? meta?.[field] ?? null;
+  }
+
+  // Derive average W/kg when the API only sent power and weight
+  if (merged.avgWkg === null && merged.avgPower && merged.weight) {
+    merged.avgWkg = Math.round((merged.avgPower / merged.weight) * 100) / 100;
+  }
+  return merged;
+}
+
+/**
+ * Collect the teams and categories present among riders
+ * @param {Array} riders - Riders with metadata
+ * @returns {Object} { teams, categories } sorted for display
+ */
+function getRiderFilterOptions(riders) {
+  const teams = new Set();
+  const categories = new Set();
+  for (const r of riders) {
+    if (r.team) teams.add(r.team);
+    if (r.category) categories.add(r.category);
+  }
+  return {
+    teams: [...teams].sort((a, b) => a.localeCompare(b)),
+    categories: [...categories].sort(),
+  };
+}
+
+/**
+ * Check whether a rider matches the metadata filter
+ * @param {Object} rider - Rider with metadata
+ * @param {Object} filter - { team, category, minWkg, maxWkg } (empty values match all)
+ * @returns {boolean} Whether rider matches
+ */
+function matchesRiderFilter(rider, filter) {
+  if (!filter) return true;
+  if (filter.team && rider.team !== filter.team) return false;
+  if (filter.category && rider.category !== filter.category) return false;
+
+  const hasWkgFilter = Number.isFinite(filter.minWkg) || Number.isFinite(filter.maxWkg);
+  if (hasWkgFilter) {
+    if (!Number.isFinite(rider.avgWkg)) return false;
+    if (Number.isFinite(filter.minWkg) && rider.avgWkg < filter.minWkg) return false;
+    if (Number.isFinite(filter.maxWkg) && rider.avgWkg > filter.maxWkg) return false;
+  }
+  return true;
+}
+
+/**
+ * Format a finish time in seconds as h:mm:ss.s
+ * @param {number|null} seconds - Finish time
+ * @returns {string} Formatted time or '-'
+ */
+function formatFinishTime(seconds) {
+  if (!Number.isFinite(seconds)) return '-';
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Turn a two-letter country code into a flag emoji
+ * @param {string|null} code - ISO country code (e.g., "gb")
+ * @returns {string} Flag emoji, or empty string
+ */
+function flagEmoji(code) {
+  if (!code || !/^[a-z]{2}$/i.test(code)) return '';
+  const base = 0x1f1e6;
+  return String.fromCodePoint(...code.toUpperCase().split('').map(c => base + c.charCodeAt(0) - 65));
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getResultsUrl,
+    parseResultNumber,
+    parseResultText,
+    parseResultRow,
+    parseResultsResponse,
+    mergeRiderMetadata,
+    getRiderFilterOptions,
+    matchesRiderFilter,
+    formatFinishTime,
+    flagEmoji,
+    // Constants
+    RESULT_METADATA_FIELDS,
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * Segments for ZwiftPower Race Replay
+ * Detects climbs from the course elevation profile, describes user-defined
+ * segments and ranks riders over each segment
+ */
+
+// Course profile resolution
+const SEGMENT_PROFILE_STEP_KM = 0.05;
+// A climb must gain this much, this steeply, over at least this distance
+const CLIMB_MIN_GAIN_M = 20;
+const CLIMB_MIN_GRADIENT_PERCENT = 3;
+const CLIMB_MIN_LENGTH_KM = 0.3;
+// A drop larger than this ends a climb
+const CLIMB_MAX_DIP_M = 10;
+// Climb score (length in metres x average gradient in %) needed for each category
+const CLIMB_CATEGORIES = [
+  { label: 'HC', minScore: 80000 },
+  { label: '1', minScore: 64000 },
+  { label: '2', minScore: 32000 },
+  { label: '3', minScore: 16000 },
+  { label: '4', minScore: 8000 },
+];
+const SEGMENT_TYPES = {
+  CLIMB: 'climb',
+  CUSTOM: 'custom',
+};
+const STORAGE_KEY_CUSTOM_SEGMENTS = 'customSegments';
+
+/**
+ * Resample a rider's elevation stream over distance
+ * @param {Object} rider - Rider with elevation and distance arrays
+ * @param {number} totalDistanceKm - Race distance (for riders without distance data)
+ * @param {number} stepKm - Distance between profile points
+ * @returns {Array} [{ distance, elevation }] in km and metres
+ */
+function buildElevationProfile(rider, totalDistanceKm, stepKm = SEGMENT_PROFILE_STEP_KM) {
+  const elevation = rider?.elevation;
+  if (!elevation?.length) return [];
+
+  const distance = rider.distance?.length
+    ? rider.distance
+    : elevation.map((_, i) => (i / Math.max(1, elevation.length - 1)) * totalDistanceKm);
+  // Count steps up front so floating point drift doesn't drop the last point
+  const steps = Math.floor((distance[distance.length - 1] - distance[0]) / stepKm + 1e-9);
+
+  const profile = [];
+  for (let i = 0; i <= steps; i++) {
+    const km = distance[0] + i * stepKm;
+    const idx = findSampleIndexAtDistance(distance, km);
+    profile.push({ distance: km, elevation: elevation[idx ?? elevation.length - 1] ?? 0 });
+  }
+  return profile;
+}
+
+/**
+ * Index of the first profile point at or past a distance
+ * @param {Array} profile - Elevation profile
+ * @param {number} km - Distance
+ * @returns {number} Point index (the last point beyond the end)
+ */
+function findProfileIndex(profile, km) {
+  let low = 0;
+  let high = profile.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (profile[mid].distance >= km) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Elevation at a distance on the profile
+ * @param {Array} profile - Elevation profile
+ * @param {number} km - Distance
+ * @returns {number|null} Elevation in metres
+ */
+function getProfileElevation(profile, km) {
+  if (profile.length === 0) return null;
+  return profile[findProfileIndex(profile, km)].elevation;
+}
+
+/**
+ * Categorize a climb by length and gradient
+ * @param {number} lengthKm - Climb length
+ * @param {number} avgGradient - Average gradient in percent
+ * @returns {string|null} 'HC', '1' to '4', or null for uncategorized
+ */
+function getClimbCategory(lengthKm, avgGradient) {
+  const score = lengthKm * 1000 * avgGradient;
+  return CLIMB_CATEGORIES.find(c => score >= c.minScore)?.label ?? null;
+}
+
+/**
+ * Describe a stretch of course
+ * @param {Array} profile - Elevation profile
+ * @param {number} startKm - Segment start
+ * @param {number} endKm - Segment end
+ * @returns {Object} { startKm, endKm, lengthKm, gainM, avgGradient, category }
+ */
+function describeSegment(profile, startKm, endKm) {
+  const lengthKm = endKm - startKm;
+  const gainM = (getProfileElevation(profile, endKm) ?? 0) - (getProfileElevation(profile, startKm) ?? 0);
+  const avgGradient = lengthKm > 0 ? gainM / (lengthKm * 10) : 0;
+  return {
+    startKm,
+    endKm,
+    lengthKm,
+    gainM,
+    avgGradient,
+    category: gainM > 0 ? getClimbCategory(lengthKm, avgGradient) : null,
+  };
+}
+
+/**
+ * Find climbs on an elevation profile
+ * A climb runs from a low point to the highest point reached before the road
+ * drops by more than CLIMB_MAX_DIP_M (or below where the climb started)
+ * @param {Array} profile - Elevation profile
+ * @returns {Array} Climb segments, in course order
+ */
+function detectClimbs(profile) {
+  const climbs = [];
+  const finishClimb = (start, peak) => {
+    const gainM = profile[peak].elevation - profile[start].elevation;
+    const lengthKm = profile[peak].distance - profile[start].distance;
+    if (gainM < CLIMB_MIN_GAIN_M || lengthKm < CLIMB_MIN_LENGTH_KM) return;
+    if (gainM / (lengthKm * 10) < CLIMB_MIN_GRADIENT_PERCENT) return;
+
+    climbs.push({
+      id: `climb-${climbs.length + 1}`,
+      name: `Climb ${climbs.length + 1}`,
+      type: SEGMENT_TYPES.CLIMB,
+      ...describeSegment(profile, profile[start].distance, profile[peak].distance),
+    });
+  };
+
+  let start = 0;
+  let peak = 0;
+  for (let i = 1; i < profile.length; i++) {
+    const elevation = profile[i].elevation;
+    if (elevation > profile[peak].elevation) {
+      peak = i;
+    } else if (peak === start || elevation < profile[start].elevation ||
+      profile[peak].elevation - elevation > CLIMB_MAX_DIP_M) {
+      finishClimb(start, peak);
+      start = i;
+      peak = i;
+    }
+  }
+  if (profile.length > 0) finishClimb(start, peak);
+
+  return climbs;
+}
+
+/**
+ * Create a user-defined segment
+ * @param {Array} profile - Elevation profile
+ * @param {number} startKm - Segment start
+ * @param {number} endKm - Segment end
+ * @param {string} name - Segment name
+ * @returns {Object} Segment
+ */
+function createCustomSegment(profile, startKm, endKm, name) {
+  return {
+    id: `custom-${startKm.toFixed(2)}-${endKm.toFixed(2)}`,
+    name,
+    type: SEGMENT_TYPES.CUSTOM,
+    ...describeSegment(profile, startKm, endKm),
+  };
+}
+
+/**
+ * Identify a route from its profile so saved segments can be reused
+ * Races don't carry a route ID, but the same route has the same length and
+ * elevation range
+ * @param {Array} profile - Elevation profile
+ * @returns {string|null} Route key
+ */
+function getRouteKey(profile) {
+  if (profile.length === 0) return null;
+  const elevations = profile.map(p => p.elevation);
+  const lengthKm = profile[profile.length - 1].distance - profile[0].distance;
+  return `${lengthKm.toFixed(1)}km:${Math.round(Math.min(...elevations))}-${Math.round(Math.max(...elevations))}m`;
+}
+
+/**
+ * Measure a rider's effort over a segment
+ * @param {Object} rider - Rider with distance and power arrays
+ * @param {Object} segment - Segment
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {number|null} weightKg - Rider weight
+ * @returns {Object|null} { time, avgPower, wkg, vam }, or null if the rider didn't ride it
+ */
+function calcSegmentEffort(rider, segment, sampleInterval, weightKg) {
+  const startIdx = findSampleIndexAtDistance(rider.distance, segment.startKm);
+  const endIdx = findSampleIndexAtDistance(rider.distance, segment.endKm);
+  if (startIdx === null || endIdx === null || endIdx <= startIdx) return null;
+
+  const time = (endIdx - startIdx) * sampleInterval;
+  let sum = 0;
+  for (let i = startIdx; i < endIdx; i++) {
+    sum += rider.power?.[i] || 0;
+  }
+  const avgPower = sum / (endIdx - startIdx);
+
+  return {
+    time,
+    avgPower,
+    wkg: weightKg ? avgPower / weightKg : null,
+    vam: segment.gainM > 0 ? segment.gainM / time * SECONDS_PER_HOUR : null,
+  };
+}
+
+/**
+ * Rank riders over a segment, fastest first
+ * @param {Array} riders - Riders
+ * @param {Object} segment - Segment
+ * @param {number} sampleInterval - Seconds per sample
+ * @param {Object} manualWeights - Manually entered weights keyed by Zwift ID
+ * @returns {Array} [{ rank, rider, time, avgPower, wkg, vam }]
+ */
+function buildSegmentLeaderboard(riders, segment, sampleInterval, manualWeights = {}) {
+  return riders
+    .map(rider => {
+      const effort = calcSegmentEffort(rider, segment, sampleInterval, getRiderWeight(rider, manualWeights));
+      return effort ? { rider, ...effort } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time)
+    .map((entry, idx) => ({ rank: idx + 1, ...entry }));
+}
+
+/**
+ * Short segment label (e.g., "Cat 2 · 3.4 km · 5.1%")
+ * @param {Object} segment - Segment
+ * @returns {string} Label
+ */
+function formatSegmentSummary(segment) {
+  const category = segment.category ? `Cat ${segment.category} · ` : '';
+  return `${category}${segment.lengthKm.toFixed(1)} km · ${segment.avgGradient.toFixed(1)}%`;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildElevationProfile,
+    findProfileIndex,
+    getProfileElevation,
+    getClimbCategory,
+    describeSegment,
+    detectClimbs,
+    createCustomSegment,
+    getRouteKey,
+    calcSegmentEffort,
+    buildSegmentLeaderboard,
+    formatSegmentSummary,
+    // Constants
+    SEGMENT_PROFILE_STEP_KM,
+    CLIMB_MIN_GAIN_M,
+    CLIMB_MIN_GRADIENT_PERCENT,
+    CLIMB_MIN_LENGTH_KM,
+    CLIMB_MAX_DIP_M,
+    CLIMB_CATEGORIES,
+    SEGMENT_TYPES,
+    STORAGE_KEY_CUSTOM_SEGMENTS,
+  };
+}
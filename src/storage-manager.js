@@ -0,0 +1,233 @@
+/**
+ * Storage management for synced races
+ * Tracks estimated race sizes and decides which races to evict under the
+ * chosen policy. The size limit applies to these estimates: browsers report
+ * real usage only for the whole extension, and IndexedDB doesn't shrink
+ * right after deletes, so measured usage is shown but not evicted against
+ */
+
+const STORAGE_POLICIES = {
+  NONE: 'none',
+  COUNT: 'count',
+  SIZE: 'size',
+  AGE: 'age',
+};
+
+const BYTES_PER_MB = 1024 * 1024;
+const MAX_EVICTION_LOG = 20;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_STORAGE_SETTINGS = {
+  policy: STORAGE_POLICIES.SIZE,
+  maxRaces: 30,
+  maxMegabytes: 200,
+  maxAgeDays: 90,
+};
+
+/**
+ * Normalize stored storage settings, filling in defaults
+ * @param {Object|null} settings - Stored settings
+ * @returns {Object} Complete storage settings
+ */
+function normalizeStorageSettings(settings) {
+  const s = { ...DEFAULT_STORAGE_SETTINGS, ...(settings || {}) };
+  if (!Object.values(STORAGE_POLICIES).includes(s.policy)) {
+    s.policy = DEFAULT_STORAGE_SETTINGS.policy;
+  }
+
+  const positive = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : fallback);
+  return {
+    policy: s.policy,
+    maxRaces: Math.floor(positive(s.maxRaces, DEFAULT_STORAGE_SETTINGS.maxRaces)),
+    maxMegabytes: positive(s.maxMegabytes, DEFAULT_STORAGE_SETTINGS.maxMegabytes),
+    maxAgeDays: positive(s.maxAgeDays, DEFAULT_STORAGE_SETTINGS.maxAgeDays),
+  };
+}
+
+/**
+ * Estimate the stored size of a race
+ * Storage serializes values as JSON, so the JSON length is a close match
+ * @param {Object} race - Race object
+ * @returns {number} Size in bytes
+ */
+function estimateRaceBytes(race) {
+  const { sizeBytes, ...rest } = race;
+  return JSON.stringify(rest).length;
+}
+
+/**
+ * Get the tracked size of a race, estimating it when missing
+ * @param {Object} race - Race object
+ * @returns {number} Size in bytes
+ */
+function getRaceBytes(race) {
+  return Number.isFinite(race.sizeBytes) ? race.sizeBytes : estimateRaceBytes(race);
+}
+
+/**
+ * Summarize storage use of all races
+ * @param {Object} races - Races keyed by event ID
+ * @returns {Object} { totalBytes, raceCount, pinnedCount, pinnedBytes }
+ */
+function getStorageUsage(races) {
+  let totalBytes = 0;
+  let pinnedCount = 0;
+  let pinnedBytes = 0;
+
+  for (const race of Object.values(races)) {
+    const bytes = getRaceBytes(race);
+    totalBytes += bytes;
+    if (race.pinned) {
+      pinnedCount++;
+      pinnedBytes += bytes;
+    }
+  }
+
+  return { totalBytes, raceCount: Object.keys(races).length, pinnedCount, pinnedBytes };
+}
+
+/**
+ * Check whether a race may be evicted
+ * @param {Object} race - Race object
+ * @param {string} keepId - Event ID that must stay (the race being saved)
+ * @returns {boolean} Whether race is evictable
+ */
+function isEvictable(race, keepId) {
+  return !race.pinned && !race.syncInProgress && race.eventId !== keepId;
+}
+
+/**
+ * Pick races to evict under the storage policy, oldest first
+ * Pinned races, races being synced and the race being saved are never picked
+ * @param {Object} races - Races keyed by event ID
+ * @param {Object} settings - Storage settings
+ * @param {string} keepId - Event ID that must stay
+ * @param {Date} now - Current time (default now)
+ * @returns {Array} Event IDs to evict
+ */
+function selectRacesToEvict(races, settings, keepId = null, now = new Date()) {
+  const { policy, maxRaces, maxMegabytes, maxAgeDays } = normalizeStorageSettings(settings);
+  if (policy === STORAGE_POLICIES.NONE) return [];
+
+  const candidates = Object.entries(races)
+    .filter(([eventId, race]) => isEvictable({ eventId, ...race }, keepId))
+    .sort((a, b) => new Date(a[1].syncedAt) - new Date(b[1].syncedAt));
+
+  if (policy === STORAGE_POLICIES.AGE) {
+    const cutoff = now.getTime() - maxAgeDays * MS_PER_DAY;
+    return candidates
+      .filter(([, race]) => new Date(race.syncedAt).getTime() < cutoff)
+      .map(([eventId]) => eventId);
+  }
+
+  const evicted = [];
+  if (policy === STORAGE_POLICIES.COUNT) {
+    let count = Object.keys(races).length;
+    for (const [eventId] of candidates) {
+      if (count <= maxRaces) break;
+      evicted.push(eventId);
+      count--;
+    }
+    return evicted;
+  }
+
+  const maxBytes = maxMegabytes * BYTES_PER_MB;
+  let totalBytes = getStorageUsage(races).totalBytes;
+  for (const [eventId, race] of candidates) {
+    if (totalBytes <= maxBytes) break;
+    evicted.push(eventId);
+    totalBytes -= getRaceBytes(race);
+  }
+  return evicted;
+}
+
+/**
+ * Apply the storage policy to a set of races
+ * @param {Object} races - Races keyed by event ID
+ * @param {Object} settings - Storage settings
+ * @param {string} keepId - Event ID that must stay
+ * @param {Date} now - Current time (default now)
+ * @returns {Object} { races, evicted } where evicted lists { eventId, eventName }
+ */
+function applyStoragePolicy(races, settings, keepId = null, now = new Date()) {
+  const evictIds = selectRacesToEvict(races, settings, keepId, now);
+  if (evictIds.length === 0) return { races, evicted: [] };
+
+  const result = { ...races };
+  const evicted = evictIds.map((eventId) => {
+    const eventName = result[eventId].eventName || eventId;
+    delete result[eventId];
+    return { eventId, eventName };
+  });
+
+  return { races: result, evicted };
+}
+
+/**
+ * Add evicted races to the eviction log shown in the popup
+ * @param {Array} log - Existing log entries, newest first
+ * @param {Array} evicted - Evicted races ({ eventId, eventName })
+ * @param {Date} now - Eviction time (default now)
+ * @returns {Array} New log, newest first
+ */
+function appendEvictionLog(log, evicted, now = new Date()) {
+  const evictedAt = now.toISOString();
+  return [
+    ...evicted.map(race => ({ ...race, evictedAt })),
+    ...(log || []),
+  ].slice(0, MAX_EVICTION_LOG);
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human readable size (e.g., "1.5 MB")
+ */
+function formatBytes(bytes) {
+  if (!bytes || bytes < 1024) return `${bytes || 0} B`;
+  if (bytes < BYTES_PER_MB) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 * BYTES_PER_MB) return `${(bytes / BYTES_PER_MB).toFixed(1)} MB`;
+  return `${(bytes / (1024 * BYTES_PER_MB)).toFixed(2)} GB`;
+}
+
+/**
+ * Measure the bytes the extension really stores
+ * Adds IndexedDB usage reported by the browser to the race list in extension
+ * storage, where the browser can tell
+ * @returns {Promise<number|null>} Bytes in use, or null when unknown
+ */
+async function measureStorageBytes() {
+  let bytes = null;
+  try {
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      const { usage } = await navigator.storage.estimate();
+      if (Number.isFinite(usage)) bytes = usage;
+    }
+    if (bytes !== null && chrome.storage.local.getBytesInUse) {
+      bytes += await chrome.storage.local.getBytesInUse(null);
+    }
+  } catch (error) {
+    console.log(`[ZP Replay] Could not measure storage: ${error.message}`);
+  }
+  return bytes;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizeStorageSettings,
+    estimateRaceBytes,
+    getRaceBytes,
+    getStorageUsage,
+    isEvictable,
+    selectRacesToEvict,
+    applyStoragePolicy,
+    appendEvictionLog,
+    formatBytes,
+    measureStorageBytes,
+    // Constants
+    STORAGE_POLICIES,
+    DEFAULT_STORAGE_SETTINGS,
+    BYTES_PER_MB,
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Compact encoding of rider time-series for ZwiftPower Race Replay
+ * Streams are scaled to integers, delta encoded as zigzag varints and stored
+ * as base64 (optionally deflate-compressed); decoding is lossless
+ */
+
+const STREAM_FIELDS = ['distance', 'time', 'power', 'heartRate', 'elevation'];
+const STREAM_ENCODING_DELTA = 'delta';
+const STREAM_ENCODING_FLOAT = 'f64';
+const STREAM_COMPRESSION = 'deflate-raw';
+const MAX_STREAM_DECIMALS = 6;
+const MAX_SAFE_SCALED = 2 ** 50;
+const VARINT_BASE = 128;
+// Most samples a stream may hold (over 11 days at one per second)
+const MAX_STREAM_SAMPLES = 1000000;
+
+/**
+ * Check whether a value is an encoded stream that decodeStream can read
+ * Imported files are checked with this too, so a bad sample count, gap list
+ * or scale is rejected up front instead of failing when the replay loads
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether value is an encoded stream object
+ */
+function isEncodedStream(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  if (![STREAM_ENCODING_DELTA, STREAM_ENCODING_FLOAT].includes(value.enc)) return false;
+  if (typeof value.data !== 'string') return false;
+  if (value.z !== undefined && value.z !== STREAM_COMPRESSION) return false;
+
+  const { n, nulls = [], scale } = value;
+  if (!Number.isInteger(n) || n < 0 || n > MAX_STREAM_SAMPLES) return false;
+  // Gaps are listed once each, in order, as the encoder writes them
+  if (!Array.isArray(nulls) || nulls.length > n) return false;
+  if (!nulls.every((i, idx) => Number.isInteger(i) && i >= 0 && i < n && (idx === 0 || i > nulls[idx - 1]))) {
+    return false;
+  }
+  if (value.enc === STREAM_ENCODING_DELTA) {
+    return Number.isInteger(scale) && scale >= 0 && scale <= MAX_STREAM_DECIMALS;
+  }
+  return true;
+}
+
+/**
+ * Find the fewest decimals that represent every value exactly
+ * @param {Array} values - Numbers (nulls ignored)
+ * @returns {number|null} Decimal places, or null when values need full floats
+ */
+function findStreamScale(values) {
+  for (let decimals = 0; decimals <= MAX_STREAM_DECIMALS; decimals++) {
+    const factor = 10 ** decimals;
+    const exact = values.every(v => v === null || (
+      Number.isFinite(v) && !Object.is(v, -0) &&
+      Math.abs(v * factor) < MAX_SAFE_SCALED &&
+      Math.round(v * factor) / factor === v
+    ));
+    if (exact) return decimals;
+  }
+  return null;
+}
+
+/**
+ * Convert bytes to base64
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Convert base64 to bytes
+ */
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Write integers as zigzag varints
+ * Uses arithmetic instead of bit operations so values above 32 bits survive
+ * @param {Array} ints - Integers
+ * @returns {Uint8Array} Encoded bytes
+ */
+function writeZigzagVarints(ints) {
+  const bytes = [];
+  for (const value of ints) {
+    let zigzag = value >= 0 ? value * 2 : -value * 2 - 1;
+    while (zigzag >= VARINT_BASE) {
+      bytes.push((zigzag % VARINT_BASE) + VARINT_BASE);
+      zigzag = Math.floor(zigzag / VARINT_BASE);
+    }
+    bytes.push(zigzag);
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Read zigzag varints
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @param {number} count - Number of integers to read
+ * @returns {Array} Integers
+ */
+function readZigzagVarints(bytes, count) {
+  const ints = new Array(count);
+  let offset = 0;
+
+  for (let i = 0; i < count; i++) {
+    let zigzag = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      if (offset >= bytes.length) throw new Error('Encoded stream is truncated');
+      byte = bytes[offset++];
+      zigzag += (byte % VARINT_BASE) * multiplier;
+      multiplier *= VARINT_BASE;
+    } while (byte >= VARINT_BASE);
+    ints[i] = zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+  }
+
+  return ints;
+}
+
+/**
+ * Encode a numeric stream
+ * @param {Array} values - Numbers, with nulls for gaps
+ * @returns {Object} Encoded stream { enc, n, scale, nulls, data }
+ */
+function encodeStream(values) {
+  const nulls = [];
+  values.forEach((v, i) => {
+    if (v === null || v === undefined) nulls.push(i);
+  });
+  const present = values.filter(v => v !== null && v !== undefined);
+  const scale = findStreamScale(present);
+  const encoded = { enc: STREAM_ENCODING_DELTA, n: values.length };
+  if (nulls.length > 0) encoded.nulls = nulls;
+
+  if (scale === null) {
+    encoded.enc = STREAM_ENCODING_FLOAT;
+    encoded.data = bytesToBase64(new Uint8Array(Float64Array.from(present).buffer));
+    return encoded;
+  }
+
+  const factor = 10 ** scale;
+  let previous = 0;
+  const deltas = present.map((v) => {
+    const scaled = Math.round(v * factor);
+    const delta = scaled - previous;
+    previous = scaled;
+    return delta;
+  });
+
+  encoded.scale = scale;
+  encoded.data = bytesToBase64(writeZigzagVarints(deltas));
+  return encoded;
+}
+
+/**
+ * Decode a stream produced by encodeStream (uncompressed)
+ * @param {Object} encoded - Encoded stream
+ * @returns {Array} Original values
+ */
+function decodeStream(encoded) {
+  const nulls = new Set(encoded.nulls || []);
+  const presentCount = encoded.n - nulls.size;
+  const bytes = base64ToBytes(encoded.data);
+
+  let present;
+  if (encoded.enc === STREAM_ENCODING_FLOAT) {
+    present = Array.from(new Float64Array(bytes.buffer, bytes.byteOffset, presentCount));
+  } else {
+    const factor = 10 ** encoded.scale;
+    let value = 0;
+    present = readZigzagVarints(bytes, presentCount).map((delta) => {
+      value += delta;
+      return factor === 1 ? value : value / factor;
+    });
+  }
+
+  const values = new Array(encoded.n);
+  let next = 0;
+  for (let i = 0; i < encoded.n; i++) {
+    values[i] = nulls.has(i) ? null : present[next++];
+  }
+  return values;
+}
+
+/**
+ * Check whether stream compression is available in this browser
+ * @returns {boolean} Whether CompressionStream is supported
+ */
+function canCompressStreams() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Pipe bytes through a compression or decompression stream
+ */
+async function transformBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Compress an encoded stream's payload
+ * @param {Object} encoded - Encoded stream
+ * @returns {Promise<Object>} Compressed stream, or the input when not smaller
+ */
+async function compressStream(encoded) {
+  if (!canCompressStreams() || encoded.z) return encoded;
+
+  const compressed = await transformBytes(base64ToBytes(encoded.data), new CompressionStream(STREAM_COMPRESSION));
+  const data = bytesToBase64(compressed);
+  return data.length < encoded.data.length ? { ...encoded, z: STREAM_COMPRESSION, data } : encoded;
+}
+
+/**
+ * Decompress an encoded stream's payload
+ * @param {Object} encoded - Encoded stream
+ * @returns {Promise<Object>} Uncompressed encoded stream
+ */
+async function decompressStream(encoded) {
+  if (!encoded.z) return encoded;
+  if (!canCompressStreams()) {
+    throw new Error('This browser cannot decompress race data');
+  }
+
+  const bytes = await transformBytes(base64ToBytes(encoded.data), new DecompressionStream(encoded.z));
+  const { z, ...rest } = encoded;
+  return { ...rest, data: bytesToBase64(bytes) };
+}
+
+/**
+ * Encode every time-series of a rider; already encoded streams are kept
+ * @param {Object} rider - Rider with plain arrays
+ * @param {Object} options - { compress: boolean }
+ * @returns {Promise<Object>} Rider with encoded streams
+ */
+async function encodeRiderStreams(rider, { compress = canCompressStreams() } = {}) {
+  const encoded = { ...rider };
+  for (const field of STREAM_FIELDS) {
+    if (!Array.isArray(rider[field])) continue;
+    const stream = encodeStream(rider[field]);
+    encoded[field] = compress ? await compressStream(stream) : stream;
+  }
+  return encoded;
+}
+
+/**
+ * Decode every time-series of a rider; plain arrays are kept
+ * @param {Object} rider - Rider with encoded streams
+ * @returns {Promise<Object>} Rider with plain arrays
+ */
+async function decodeRiderStreams(rider) {
+  const decoded = { ...rider };
+  for (const field of STREAM_FIELDS) {
+    if (!isEncodedStream(rider[field])) continue;
+    decoded[field] = decodeStream(await decompressStream(rider[field]));
+  }
+  return decoded;
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isEncodedStream,
+    findStreamScale,
+    writeZigzagVarints,
+    readZigzagVarints,
+    encodeStream,
+    decodeStream,
+    canCompressStreams,
+    compressStream,
+    decompressStream,
+    encodeRiderStreams,
+    decodeRiderStreams,
+    // Constants
+    STREAM_FIELDS,
+    MAX_STREAM_SAMPLES,
+  };
+}
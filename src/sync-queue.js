@@ -0,0 +1,251 @@
+/**
+ * Persistent sync queue state for ZwiftPower Race Replay
+ * Pure helpers that describe sync jobs; the background worker stores and runs them
+ */
+
+const SYNC_JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  INTERRUPTED: 'interrupted',
+  ERROR: 'error',
+};
+
+const RESUMABLE_JOB_STATUSES = [
+  SYNC_JOB_STATUS.PAUSED,
+  SYNC_JOB_STATUS.INTERRUPTED,
+  SYNC_JOB_STATUS.ERROR,
+];
+
+/**
+ * Create a sync job from a prepared sync context
+ * @param {Object} ctx - Context from the content script (event info, riders to sync)
+ * @param {Date} now - Creation time (default now)
+ * @returns {Object} Sync job
+ */
+function createSyncJob(ctx, now = new Date()) {
+  return {
+    id: ctx.fullEventId,
+    eventId: ctx.eventId,
+    fullEventId: ctx.fullEventId,
+    fullEventName: ctx.fullEventName,
+    categoryId: ctx.categoryId,
+    categoryName: ctx.categoryName,
+    currentUserZwiftId: ctx.currentUserZwiftId,
+    totalRiders: ctx.allRiders.length,
+    riders: ctx.ridersToSync.map(r => ({
+      position: r.position,
+      name: r.name,
+      zwiftId: r.zwiftId,
+      team: r.team || null,
+      isCurrentUser: !!r.isCurrentUser,
+    })),
+    fetchedZwiftIds: [],
+    failedZwiftIds: [],
+    status: SYNC_JOB_STATUS.QUEUED,
+    error: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Add riders to a job's list, skipping riders it already has
+ * @param {Array} riders - Job riders
+ * @param {Array} added - Riders to add
+ * @returns {Array} Riders in job order, new ones last
+ */
+function addJobRiders(riders, added) {
+  const known = new Set(riders.map(r => r.zwiftId));
+  return [...riders, ...added.filter(r => !known.has(r.zwiftId))];
+}
+
+/**
+ * Add a job to the queue, merging with an existing job for the same race
+ * Already fetched riders are kept so a re-sync does not start from scratch.
+ * A running job keeps its riders and progress and gains the new riders,
+ * which the runner picks up through mergeRunningJob
+ * @param {Array} queue - Current jobs
+ * @param {Object} job - Job to add
+ * @returns {Array} New queue
+ */
+function enqueueSyncJob(queue, job) {
+  const existing = queue.find(j => j.id === job.id);
+  if (!existing) return [...queue, job];
+
+  const merged = existing.status === SYNC_JOB_STATUS.RUNNING
+    ? { ...existing, riders: addJobRiders(existing.riders, job.riders) }
+    : {
+      ...job,
+      fetchedZwiftIds: existing.fetchedZwiftIds,
+      createdAt: existing.createdAt,
+      status: SYNC_JOB_STATUS.QUEUED,
+    };
+  return queue.map(j => (j.id === job.id ? merged : j));
+}
+
+/**
+ * Combine the runner's copy of a running job with the stored one
+ * Riders enqueued while the job runs only reach the stored copy, so the
+ * runner folds them in before each save instead of overwriting them
+ * @param {Object|null} stored - Job as stored in the queue (null once removed)
+ * @param {Object} local - Job as the runner has it
+ * @returns {Object} Runner's job with any newly added riders
+ */
+function mergeRunningJob(stored, local) {
+  if (!stored) return local;
+  return { ...local, riders: addJobRiders(local.riders, stored.riders) };
+}
+
+/**
+ * Replace a job in the queue
+ * @param {Array} queue - Current jobs
+ * @param {Object} job - Updated job
+ * @param {Date} now - Update time (default now)
+ * @returns {Array} New queue
+ */
+function updateSyncJob(queue, job, now = new Date()) {
+  const updated = { ...job, updatedAt: now.toISOString() };
+  return queue.map(j => (j.id === job.id ? updated : j));
+}
+
+/**
+ * Remove a job from the queue
+ * @param {Array} queue - Current jobs
+ * @param {string} jobId - Job ID
+ * @returns {Array} New queue
+ */
+function removeSyncJob(queue, jobId) {
+  return queue.filter(j => j.id !== jobId);
+}
+
+/**
+ * Get riders of a job that still need fetching
+ * @param {Object} job - Sync job
+ * @param {Array} syncedZwiftIds - Riders already stored in the race
+ * @returns {Array} Pending riders in job order
+ */
+function getPendingRiders(job, syncedZwiftIds = []) {
+  const skip = new Set([...job.fetchedZwiftIds, ...job.failedZwiftIds, ...syncedZwiftIds]);
+  return job.riders.filter(r => !skip.has(r.zwiftId));
+}
+
+/**
+ * Record a successfully fetched rider
+ * @param {Object} job - Sync job
+ * @param {string} zwiftId - Rider Zwift ID
+ * @returns {Object} Updated job
+ */
+function markRiderFetched(job, zwiftId) {
+  if (job.fetchedZwiftIds.includes(zwiftId)) return job;
+  return { ...job, fetchedZwiftIds: [...job.fetchedZwiftIds, zwiftId] };
+}
+
+/**
+ * Record a rider whose analysis could not be fetched
+ * @param {Object} job - Sync job
+ * @param {string} zwiftId - Rider Zwift ID
+ * @returns {Object} Updated job
+ */
+function markRiderFailed(job, zwiftId) {
+  if (job.failedZwiftIds.includes(zwiftId)) return job;
+  return { ...job, failedZwiftIds: [...job.failedZwiftIds, zwiftId] };
+}
+
+/**
+ * Get job progress counts
+ * @param {Object} job - Sync job
+ * @returns {Object} { current, total }
+ */
+function getJobProgress(job) {
+  return {
+    current: job.fetchedZwiftIds.length + job.failedZwiftIds.length,
+    total: job.riders.length,
+  };
+}
+
+/**
+ * Find the next job waiting to run
+ * @param {Array} queue - Current jobs
+ * @returns {Object|null} Next queued job
+ */
+function getNextQueuedJob(queue) {
+  return queue.find(j => j.status === SYNC_JOB_STATUS.QUEUED) || null;
+}
+
+/**
+ * Check whether a job can be resumed by the user
+ * @param {Object} job - Sync job
+ * @returns {boolean} Whether job is resumable
+ */
+function isResumableJob(job) {
+  return RESUMABLE_JOB_STATUSES.includes(job.status);
+}
+
+/**
+ * Queue a stopped job again, giving failed riders another try
+ * @param {Array} queue - Current jobs
+ * @param {string} jobId - Job ID
+ * @returns {Array} New queue
+ */
+function resumeSyncJob(queue, jobId) {
+  return queue.map(j => (j.id === jobId && isResumableJob(j)
+    ? { ...j, status: SYNC_JOB_STATUS.QUEUED, failedZwiftIds: [], error: null }
+    : j));
+}
+
+/**
+ * Mark jobs that were running when the worker stopped as interrupted
+ * @param {Array} queue - Jobs loaded from storage
+ * @returns {Array} New queue
+ */
+function recoverInterruptedJobs(queue) {
+  return queue.map(j => (j.status === SYNC_JOB_STATUS.RUNNING
+    ? { ...j, status: SYNC_JOB_STATUS.INTERRUPTED }
+    : j));
+}
+
+/**
+ * Clear syncInProgress flags on races that no sync is running for
+ * @param {Object} races - Races keyed by event ID
+ * @param {Array} runningIds - Event IDs with a running sync
+ * @returns {Object} { races, changed }
+ */
+function clearStaleSyncFlags(races, runningIds = []) {
+  const running = new Set(runningIds);
+  let changed = false;
+  const result = {};
+
+  for (const [eventId, race] of Object.entries(races)) {
+    if (race.syncInProgress && !running.has(eventId)) {
+      result[eventId] = { ...race, syncInProgress: false, syncProgress: null };
+      changed = true;
+    } else {
+      result[eventId] = race;
+    }
+  }
+
+  return { races: result, changed };
+}
+
+// Export for testing and module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createSyncJob,
+    enqueueSyncJob,
+    mergeRunningJob,
+    updateSyncJob,
+    removeSyncJob,
+    getPendingRiders,
+    markRiderFetched,
+    markRiderFailed,
+    getJobProgress,
+    getNextQueuedJob,
+    isResumableJob,
+    resumeSyncJob,
+    recoverInterruptedJobs,
+    clearStaleSyncFlags,
+    // Constants
+    SYNC_JOB_STATUS,
+  };
+}
@@ -9,8 +9,69 @@ const SECONDS_PER_HOUR = 3600;
 const MS_PER_SECOND = 1000;
 const DEFAULT_SPEED_KMH = 40;
 const MIN_SPEED_KMH = 10;
+const DEFAULT_RACE_DISTANCE_KM = 42;
 const GROUP_GAP_THRESHOLD_SECONDS = 5;
+const DEFAULT_GROUP_GAP_METERS = 25;
+// Riders already together stay together until the gap grows this much past the threshold
+const GROUP_HYSTERESIS_FRACTION = 0.5;
+// Hysteresis only applies between frames this close in time (not after a seek)
+const GROUP_HYSTERESIS_MAX_STEP_SECONDS = 30;
 const MAX_POSITION = 200;
+const DEFAULT_SYNC_TOP_COUNT = 50;
+const DEFAULT_SYNC_AROUND_PLACES = 10;
+
+const SYNC_SELECTION_MODES = {
+  TOP: 'top',
+  ALL: 'all',
+  RANGE: 'range',
+  AROUND: 'around',
+  TEAM: 'team',
+  PICKED: 'picked',
+};
+
+const GROUPING_MODES = {
+  TIME: 'time',
+  DISTANCE: 'distance',
+};
+
+// Allowed gap thresholds per grouping mode (seconds or metres)
+const GROUP_GAP_LIMITS = {
+  [GROUPING_MODES.TIME]: { min: 1, max: 30, step: 1, unit: 's' },
+  [GROUPING_MODES.DISTANCE]: { min: 5, max: 200, step: 5, unit: 'm' },
+};
+
+const DEFAULT_GROUPING = {
+  mode: GROUPING_MODES.TIME,
+  threshold: GROUP_GAP_THRESHOLD_SECONDS,
+};
+const STORAGE_KEY_GROUPING = 'groupingOptions';
+// Group labels, from the front of the race back
+const GROUP_ROLES = {
+  LEAD: 'lead',
+  BREAKAWAY: 'breakaway',
+  CHASE: 'chase',
+  PELOTON: 'peloton',
+  DROPPED: 'dropped',
+};
+const GROUP_ROLE_NAMES = {
+  [GROUP_ROLES.LEAD]: 'Lead Group',
+  [GROUP_ROLES.BREAKAWAY]: 'Breakaway',
+  [GROUP_ROLES.CHASE]: 'Chase',
+  [GROUP_ROLES.PELOTON]: 'Peloton',
+  [GROUP_ROLES.DROPPED]: 'Dropped',
+};
+// A front group this small (ahead of the peloton) is a breakaway
+const BREAKAWAY_MAX_RIDERS = 10;
+
+const DEFAULT_SYNC_SELECTION = {
+  mode: SYNC_SELECTION_MODES.TOP,
+  topCount: DEFAULT_SYNC_TOP_COUNT,
+  rangeStart: 1,
+  rangeEnd: DEFAULT_SYNC_TOP_COUNT,
+  aroundPlaces: DEFAULT_SYNC_AROUND_PLACES,
+  team: null,
+  pickedZwiftIds: [],
+};
 
 /**
  * Format seconds into mm:ss string
@@ -65,6 +126,25 @@ function timeToIndex(time, sampleInterval = 1) {
   return Math.floor(time / sampleInterval);
 }
 
+/**
+ * Read a sample stream at a fractional time, blending the samples either side
+ * Keeps playback smooth when samples are several seconds apart
+ * @param {Array} values - Samples
+ * @param {number} time - Time in seconds
+ * @param {number} sampleInterval - Sample interval (default 1)
+ * @returns {number|null} Value, the last sample's value at the end of the
+ *   stream, or null past the end
+ */
+function interpolateSample(values, time, sampleInterval = 1) {
+  const idx = timeToIndex(time, sampleInterval);
+  const value = values?.[idx];
+  if (value === undefined || value === null) return null;
+
+  const next = values[idx + 1];
+  if (next === undefined || next === null) return value;
+  return lerp(value, next, time / sampleInterval - idx);
+}
+
 /**
  * Extract Zwift ID from a profile URL
  * Supports multiple URL formats used by ZwiftPower
@@ -134,33 +214,194 @@ function calcTimeGapFromDistance(distanceKm, trailingRider, time, sampleInterval
  */
 function calcTimeGap(riderA, riderB, time, sampleInterval = 1) {
   if (time === 0) return 0;
-  const distA = riderA.currentDistance ?? riderA.distance?.[timeToIndex(time, sampleInterval)] ?? 0;
-  const distB = riderB.currentDistance ?? riderB.distance?.[timeToIndex(time, sampleInterval)] ?? 0;
+  const distA = riderA.currentDistance ?? interpolateSample(riderA.distance, time, sampleInterval) ?? 0;
+  const distB = riderB.currentDistance ?? interpolateSample(riderB.distance, time, sampleInterval) ?? 0;
   const distanceKm = distA - distB;
   return calcTimeGapFromDistance(distanceKm, riderB, time, sampleInterval);
 }
 
 /**
- * Detect groups of riders based on time gaps
- * @param {Array} standings - Sorted array of riders by distance (descending)
+ * Distance a rider has covered at a time
+ * Falls back to an even pace over the rider's duration when distance data is missing
+ * @param {Object} rider - Rider with distance array and duration (samples)
+ * @param {number} time - Time in seconds
+ * @param {number} sampleInterval - Sample interval
+ * @param {number} totalDistanceKm - Race distance used by the fallback
+ * @returns {number} Distance in km
+ */
+function calcCurrentDistance(rider, time, sampleInterval, totalDistanceKm) {
+  return interpolateSample(rider.distance, time, sampleInterval) ??
+    (time / (rider.duration * sampleInterval) * totalDistanceKm);
+}
+
+/**
+ * Race distance from the furthest point any rider's distance data reaches
+ * @param {Array} riders - Riders with distance arrays
+ * @returns {number} Distance in whole km (DEFAULT_RACE_DISTANCE_KM without data)
+ */
+function calcRaceDistanceKm(riders) {
+  const maxDistance = Math.max(0, ...riders.map(r => (r.distance?.length ? r.distance[r.distance.length - 1] : 0)));
+  return maxDistance > 0 ? Math.ceil(maxDistance) : DEFAULT_RACE_DISTANCE_KM;
+}
+
+/**
+ * Standings at a time, the way the replay orders riders
+ * Every analysis that ranks or groups riders over the race starts here
+ * @param {Array} riders - Riders with distance and power arrays
+ * @param {number} time - Time in seconds
+ * @param {number} sampleInterval - Sample interval
+ * @param {number} totalDistanceKm - Race distance (for riders without distance data)
+ * @returns {Array} Riders with currentDistance and currentPower, leader first
+ */
+function getStandingsAt(riders, time, sampleInterval = 1, totalDistanceKm = calcRaceDistanceKm(riders)) {
+  return riders
+    .map(r => ({
+      ...r,
+      currentDistance: calcCurrentDistance(r, time, sampleInterval, totalDistanceKm),
+      currentPower: interpolateSample(r.power, time, sampleInterval) || 0,
+    }))
+    .sort((a, b) => b.currentDistance - a.currentDistance);
+}
+
+/**
+ * Find the first sample at which a rider reached a distance
+ * Lets charts line riders up by place on course instead of elapsed time
+ * @param {Array} distance - Cumulative distance samples (km)
+ * @param {number} km - Distance on course
+ * @returns {number|null} Sample index, or null if the rider never got there
+ */
+function findSampleIndexAtDistance(distance, km) {
+  if (!distance?.length || !(distance[distance.length - 1] >= km)) return null;
+
+  let low = 0;
+  let high = distance.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (distance[mid] >= km) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Gap between consecutive riders in the standings, per grouping mode
+ * Time gaps use the trailing rider's speed (calcSpeed); distance gaps are in metres
+ */
+const GROUP_GAP_MEASURES = {
+  [GROUPING_MODES.TIME]: (ahead, rider, time, sampleInterval) =>
+    calcTimeGapFromDistance(ahead.currentDistance - rider.currentDistance, rider, time, sampleInterval),
+  [GROUPING_MODES.DISTANCE]: (ahead, rider) =>
+    (ahead.currentDistance - rider.currentDistance) * 1000,
+};
+
+/**
+ * Fill in missing grouping settings and keep the threshold in range
+ * @param {Object} options - Partial grouping settings
+ * @returns {Object} { mode, threshold }
+ */
+function normalizeGroupingOptions(options) {
+  const mode = Object.values(GROUPING_MODES).includes(options?.mode) ? options.mode : DEFAULT_GROUPING.mode;
+  const limits = GROUP_GAP_LIMITS[mode];
+  const fallback = mode === GROUPING_MODES.DISTANCE ? DEFAULT_GROUP_GAP_METERS : GROUP_GAP_THRESHOLD_SECONDS;
+  const threshold = Number.isFinite(options?.threshold) ? clamp(options.threshold, limits.min, limits.max) : fallback;
+  return { mode, threshold };
+}
+
+/**
+ * Gap between two riders as the grouping settings measure it
+ * @param {Object} riderA - Rider with currentDistance
+ * @param {Object} riderB - Rider with currentDistance
+ * @param {number} time - Current time
+ * @param {number} sampleInterval - Sample interval
+ * @param {Object} options - Grouping settings (see DEFAULT_GROUPING)
+ * @returns {number} Gap in seconds or metres, whichever rider is ahead
+ */
+function calcGroupGap(riderA, riderB, time, sampleInterval = 1, options = DEFAULT_GROUPING) {
+  const measureGap = GROUP_GAP_MEASURES[normalizeGroupingOptions(options).mode];
+  return riderA.currentDistance >= riderB.currentDistance
+    ? measureGap(riderA, riderB, time, sampleInterval)
+    : measureGap(riderB, riderA, time, sampleInterval);
+}
+
+/**
+ * Key identifying a rider across frames
+ */
+function getGroupRiderKey(rider) {
+  return rider.zwiftId ?? rider.position;
+}
+
+/**
+ * Label groups by their place in the race
+ * The largest group is the peloton (the front one on a tie). The front group
+ * ahead of it is the breakaway when small, otherwise the lead group; groups
+ * between them are chasing and groups behind the peloton are dropped
+ * @param {Array} groups - Groups in road order, leader first
+ * @returns {Array} Groups with role and name set
+ */
+function labelGroups(groups) {
+  if (groups.length === 0) return [];
+
+  let pelotonIdx = 0;
+  groups.forEach((group, gIdx) => {
+    if (group.riders.length > groups[pelotonIdx].riders.length) pelotonIdx = gIdx;
+  });
+
+  const roles = groups.map((group, gIdx) => {
+    if (gIdx === pelotonIdx) return GROUP_ROLES.PELOTON;
+    if (gIdx > pelotonIdx) return GROUP_ROLES.DROPPED;
+    if (gIdx > 0) return GROUP_ROLES.CHASE;
+    return group.riders.length <= BREAKAWAY_MAX_RIDERS ? GROUP_ROLES.BREAKAWAY : GROUP_ROLES.LEAD;
+  });
+
+  // Number roles that occur more than once (e.g., Chase 1, Chase 2)
+  const totals = {};
+  roles.forEach(role => { totals[role] = (totals[role] || 0) + 1; });
+  const seen = {};
+  return groups.map((group, gIdx) => {
+    const role = roles[gIdx];
+    seen[role] = (seen[role] || 0) + 1;
+    const name = totals[role] > 1 ? `${GROUP_ROLE_NAMES[role]} ${seen[role]}` : GROUP_ROLE_NAMES[role];
+    return { ...group, role, name };
+  });
+}
+
+/**
+ * Detect groups of riders based on the gaps between them
+ * @param {Array} standings - Sorted array of riders by distance (descending),
+ *   with currentPower and optional currentWkg
  * @param {number} time - Current time
  * @param {number} watchingPosition - Position of the rider being watched
  * @param {number} sampleInterval - Sample interval
+ * @param {Object} options - { mode, threshold } (see DEFAULT_GROUPING) and
+ *   previous: groups from the previous frame, which keeps riders that were
+ *   together grouped until the gap passes the threshold plus hysteresis
  * @returns {Array} Array of group objects
  */
-function detectGroups(standings, time, watchingPosition, sampleInterval = 1) {
+function detectGroups(standings, time, watchingPosition, sampleInterval = 1, options = {}) {
   if (standings.length === 0) return [];
 
+  const { mode, threshold } = normalizeGroupingOptions(options);
+  const measureGap = GROUP_GAP_MEASURES[mode];
+  const previousGroupOf = new Map();
+  (options.previous || []).forEach((group, gIdx) => {
+    group.riders.forEach(r => previousGroupOf.set(getGroupRiderKey(r), gIdx));
+  });
+
   const groups = [];
   let currentGroup = [standings[0]];
 
   for (let i = 1; i < standings.length; i++) {
     const prevRider = standings[i - 1];
     const rider = standings[i];
-    const distanceGapKm = prevRider.currentDistance - rider.currentDistance;
-    const timeGap = calcTimeGapFromDistance(distanceGapKm, rider, time, sampleInterval);
+    const gap = measureGap(prevRider, rider, time, sampleInterval);
+    const previousGroup = previousGroupOf.get(getGroupRiderKey(rider));
+    const wasTogether = previousGroup !== undefined && previousGroup === previousGroupOf.get(getGroupRiderKey(prevRider));
+    const limit = wasTogether ? threshold * (1 + GROUP_HYSTERESIS_FRACTION) : threshold;
 
-    if (timeGap <= GROUP_GAP_THRESHOLD_SECONDS) {
+    if (gap <= limit) {
       currentGroup.push(rider);
     } else {
       groups.push(currentGroup);
@@ -174,22 +415,119 @@ function detectGroups(standings, time, watchingPosition, sampleInterval = 1) {
 
   const leader = standings[0];
 
-  return groups.map((groupRiders, idx) => {
-    const avgPower = Math.round(
-      groupRiders.reduce((sum, r) => sum + r.currentPower, 0) / groupRiders.length
-    );
+  return labelGroups(groups.map((groupRiders, idx) => {
     const timeGapToLeader = idx === 0 ? 0 : calcTimeGap(leader, groupRiders[0], time, sampleInterval);
-    const hasYou = groupRiders.some(r => r.position === watchingPosition);
-
-    return {
-      idx,
-      riders: groupRiders,
-      avgPower,
-      timeGapToLeader,
-      hasYou,
-      name: idx === 0 ? 'Lead Group' : `Group ${idx + 1}`,
-    };
+    return summarizeGroup(groupRiders, idx, timeGapToLeader, watchingPosition);
+  }));
+}
+
+/**
+ * Build a group object from its riders
+ * @param {Array} groupRiders - Riders in road order, with currentPower and optional currentWkg
+ * @param {number} idx - Group index, leader first
+ * @param {number} timeGapToLeader - Gap from the race leader to the group's first rider
+ * @param {number} watchingPosition - Position of the rider being watched
+ * @returns {Object} Group (see detectGroups)
+ */
+function summarizeGroup(groupRiders, idx, timeGapToLeader, watchingPosition) {
+  const avgPower = Math.round(
+    groupRiders.reduce((sum, r) => sum + r.currentPower, 0) / groupRiders.length
+  );
+  // W/kg only counts riders whose weight is known
+  const wkgValues = groupRiders.map(r => r.currentWkg).filter(Number.isFinite);
+  const avgWkg = wkgValues.length > 0
+    ? wkgValues.reduce((sum, v) => sum + v, 0) / wkgValues.length
+    : null;
+
+  return {
+    idx,
+    id: idx + 1,
+    riders: groupRiders,
+    avgPower,
+    avgWkg,
+    timeGapToLeader,
+    hasYou: groupRiders.some(r => r.position === watchingPosition),
+  };
+}
+
+/**
+ * Carry group IDs over from the previous frame by rider membership
+ * The pairs sharing the most riders keep their ID; other groups get new IDs
+ * @param {Array} groups - Groups from detectGroups
+ * @param {Array} previousGroups - Groups from the previous frame (with IDs)
+ * @param {number} nextId - First unused ID
+ * @returns {Object} { groups, nextId } with id set on each group
+ */
+function assignGroupIds(groups, previousGroups, nextId) {
+  const previousIdOf = new Map();
+  previousGroups.forEach(group => {
+    group.riders.forEach(r => previousIdOf.set(getGroupRiderKey(r), group.id));
+  });
+
+  const overlaps = [];
+  groups.forEach((group, gIdx) => {
+    const counts = new Map();
+    group.riders.forEach(r => {
+      const id = previousIdOf.get(getGroupRiderKey(r));
+      if (id !== undefined) counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    counts.forEach((count, id) => overlaps.push({ gIdx, id, count }));
+  });
+  // Largest overlaps first; ties go to the group further up the road
+  overlaps.sort((a, b) => b.count - a.count || a.gIdx - b.gIdx);
+
+  const ids = new Array(groups.length).fill(null);
+  const usedIds = new Set();
+  for (const { gIdx, id } of overlaps) {
+    if (ids[gIdx] !== null || usedIds.has(id)) continue;
+    ids[gIdx] = id;
+    usedIds.add(id);
+  }
+
+  let next = nextId;
+  const tracked = groups.map((group, gIdx) => {
+    const id = ids[gIdx] ?? next++;
+    return { ...group, id };
   });
+  return { groups: tracked, nextId: next };
+}
+
+/**
+ * Track groups from frame to frame with stable IDs and hysteresis
+ * @param {Object} options - Grouping settings (see DEFAULT_GROUPING)
+ * @returns {Object} { detect(standings, time, watchingPosition, sampleInterval), setOptions, getOptions, reset }
+ */
+function createGroupTracker(options = DEFAULT_GROUPING) {
+  let settings = normalizeGroupingOptions(options);
+  let previousGroups = [];
+  let previousTime = null;
+  let nextId = 1;
+
+  function detect(standings, time, watchingPosition, sampleInterval = 1) {
+    const isNextFrame = previousTime !== null && Math.abs(time - previousTime) <= GROUP_HYSTERESIS_MAX_STEP_SECONDS;
+    const groups = detectGroups(standings, time, watchingPosition, sampleInterval, {
+      ...settings,
+      previous: isNextFrame ? previousGroups : null,
+    });
+    const tracked = assignGroupIds(groups, previousGroups, nextId);
+    previousGroups = tracked.groups;
+    previousTime = time;
+    nextId = tracked.nextId;
+    return tracked.groups;
+  }
+
+  function reset() {
+    previousGroups = [];
+    previousTime = null;
+    nextId = 1;
+  }
+
+  function setOptions(newOptions) {
+    settings = normalizeGroupingOptions(newOptions);
+    reset();
+  }
+
+  return { detect, setOptions, getOptions: () => settings, reset };
 }
 
 /**
@@ -217,6 +555,88 @@ function selectRidersToSync(allRiders, maxRiders) {
   return topRiders;
 }
 
+/**
+ * Fill in missing sync selection settings with defaults
+ * @param {Object} selection - Partial selection settings
+ * @returns {Object} Complete selection settings
+ */
+function normalizeSyncSelection(selection) {
+  const merged = { ...DEFAULT_SYNC_SELECTION, ...(selection || {}) };
+  if (!Object.values(SYNC_SELECTION_MODES).includes(merged.mode)) {
+    merged.mode = DEFAULT_SYNC_SELECTION.mode;
+  }
+  merged.pickedZwiftIds = Array.isArray(merged.pickedZwiftIds) ? merged.pickedZwiftIds.map(String) : [];
+  return merged;
+}
+
+/**
+ * Select riders to sync according to selection settings
+ * The current user is always included and put first
+ * @param {Array} allRiders - All riders sorted by position
+ * @param {Object} selection - Selection settings (see DEFAULT_SYNC_SELECTION)
+ * @returns {Array} Riders to sync, with current user first if present
+ */
+function selectRidersBySettings(allRiders, selection) {
+  const settings = normalizeSyncSelection(selection);
+  const currentUser = allRiders.find(r => r.isCurrentUser);
+  let selected;
+
+  switch (settings.mode) {
+    case SYNC_SELECTION_MODES.ALL:
+      selected = allRiders;
+      break;
+
+    case SYNC_SELECTION_MODES.RANGE: {
+      const start = Math.min(settings.rangeStart, settings.rangeEnd);
+      const end = Math.max(settings.rangeStart, settings.rangeEnd);
+      selected = allRiders.filter(r => r.position >= start && r.position <= end);
+      break;
+    }
+
+    case SYNC_SELECTION_MODES.AROUND:
+      if (!currentUser) return [];
+      selected = allRiders.filter(r =>
+        Math.abs(r.position - currentUser.position) <= settings.aroundPlaces
+      );
+      break;
+
+    case SYNC_SELECTION_MODES.TEAM: {
+      const team = settings.team || currentUser?.team;
+      if (!team) return currentUser ? [currentUser] : [];
+      selected = allRiders.filter(r => r.team === team);
+      break;
+    }
+
+    case SYNC_SELECTION_MODES.PICKED: {
+      const picked = new Set(settings.pickedZwiftIds);
+      selected = allRiders.filter(r => picked.has(r.zwiftId));
+      break;
+    }
+
+    default:
+      return selectRidersToSync(allRiders, settings.topCount);
+  }
+
+  if (currentUser && !selected.some(r => r.zwiftId === currentUser.zwiftId)) {
+    selected = [...selected, currentUser];
+  }
+
+  // Reuse top-N logic to put the current user first
+  return selectRidersToSync(selected, selected.length);
+}
+
+/**
+ * Estimate how long syncing a number of riders takes
+ * @param {number} riderCount - Number of riders to fetch
+ * @param {number} delayMs - Delay between requests
+ * @param {number} requestMs - Expected duration of a single request
+ * @returns {number} Estimated seconds
+ */
+function estimateSyncSeconds(riderCount, delayMs, requestMs) {
+  if (riderCount <= 0) return 0;
+  return Math.ceil((riderCount * (delayMs + requestMs)) / MS_PER_SECOND);
+}
+
 /**
  * Check if position is valid
  * @param {number} position - Position to validate
@@ -285,6 +705,20 @@ function calcGroupAverageHR(riders, index) {
   return Math.round(hrValues.reduce((a, b) => a + b, 0) / hrValues.length);
 }
 
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Filter riders by search term (case-insensitive)
  * @param {Array} riders - Array of rider objects with name property
@@ -320,6 +754,7 @@ function highlightMatch(name, searchTerm) {
     name.slice(idx + searchTerm.length);
 }
 
+const RACE_CATEGORY_IDS = ['A', 'B', 'C', 'D', 'E'];
 const CATEGORY_PATTERN = /^([A-E]|ALL)$/i;
 const HASH_CATEGORY_PATTERN = /[#_]([A-E])$/i;
 const URL_CATEGORY_PATTERN = /[?&]cat(?:egory)?=([A-E])/i;
@@ -355,6 +790,34 @@ function parseCategoryFromUrl(search) {
   return match ? match[1].toUpperCase() : null;
 }
 
+/**
+ * Normalize a list of category IDs to unique A-E letters in race order
+ * @param {Array} categoryIds - Raw category values (e.g., from buttons)
+ * @returns {Array} Sorted uppercase category letters, without ALL
+ */
+function sortCategoryIds(categoryIds) {
+  const ids = new Set((categoryIds || []).filter(Boolean).map(id => String(id).toUpperCase()));
+  return RACE_CATEGORY_IDS.filter(id => ids.has(id));
+}
+
+/**
+ * Parse ZwiftPower event IDs from free text (IDs or event URLs)
+ * @param {string} text - Text with IDs separated by whitespace or commas
+ * @returns {Array} Unique event IDs in input order
+ */
+function parseEventIdList(text) {
+  if (!text) return [];
+
+  const ids = [];
+  for (const token of text.split(/[\s,;]+/)) {
+    const match = token.match(/[?&]zid=(\d+)/) || token.match(/^(\d+)$/);
+    if (match && !ids.includes(match[1])) {
+      ids.push(match[1]);
+    }
+  }
+  return ids;
+}
+
 /**
  * Format category ID into display name
  * @param {string} categoryId - Category ID (A-E or ALL)
@@ -387,23 +850,40 @@ if (typeof module !== 'undefined' && module.exports) {
     formatTimeGap,
     formatRelativeTime,
     timeToIndex,
+    interpolateSample,
     extractZwiftId,
     calcSpeed,
     calcTimeGapFromDistance,
     calcTimeGap,
+    calcCurrentDistance,
+    calcRaceDistanceKm,
+    getStandingsAt,
+    findSampleIndexAtDistance,
+    normalizeGroupingOptions,
+    calcGroupGap,
     detectGroups,
+    labelGroups,
+    summarizeGroup,
+    assignGroupIds,
+    createGroupTracker,
     selectRidersToSync,
+    normalizeSyncSelection,
+    selectRidersBySettings,
+    estimateSyncSeconds,
     isValidPosition,
     lerp,
     clamp,
     calcGroupAveragePower,
     calcGroupAverageHR,
+    escapeHtml,
     filterRidersByName,
     highlightMatch,
     isValidCategory,
     parseCategoryFromHash,
     parseCategoryFromUrl,
     formatCategoryName,
+    sortCategoryIds,
+    parseEventIdList,
     parsePosition,
     // Constants
     SECONDS_PER_MINUTE,
@@ -411,8 +891,22 @@ if (typeof module !== 'undefined' && module.exports) {
     MS_PER_SECOND,
     DEFAULT_SPEED_KMH,
     MIN_SPEED_KMH,
+    DEFAULT_RACE_DISTANCE_KM,
     GROUP_GAP_THRESHOLD_SECONDS,
+    DEFAULT_GROUP_GAP_METERS,
+    GROUP_HYSTERESIS_FRACTION,
+    GROUP_HYSTERESIS_MAX_STEP_SECONDS,
+    GROUPING_MODES,
+    GROUP_GAP_LIMITS,
+    DEFAULT_GROUPING,
+    STORAGE_KEY_GROUPING,
+    GROUP_ROLES,
+    BREAKAWAY_MAX_RIDERS,
     MAX_POSITION,
+    DEFAULT_SYNC_TOP_COUNT,
+    SYNC_SELECTION_MODES,
+    DEFAULT_SYNC_SELECTION,
+    RACE_CATEGORY_IDS,
     CATEGORY_PATTERN,
     HASH_CATEGORY_PATTERN,
     URL_CATEGORY_PATTERN,
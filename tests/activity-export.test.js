@@ -0,0 +1,127 @@
+/**
+ * Unit tests for TCX/FIT activity export
+ */
+
+const {
+  buildElapsedTimes,
+  buildActivitySamples,
+  createTcx,
+  createFit,
+  fitCrc,
+  getActivityFileName,
+} = require('../src/activity-export');
+const { parseTcx, decodeFit, parseFit } = require('./helpers/activity-decoders');
+
+const raceFixture = require('./fixtures/race.json');
+
+const START_TIME = new Date('2026-01-10T18:00:00Z');
+
+function expectStreamsClose(actual, expected, digits) {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((value, i) => {
+    expect(value).toBeCloseTo(expected[i], digits);
+  });
+}
+
+describe('buildElapsedTimes', () => {
+  test('uses time stream when present', () => {
+    expect(buildElapsedTimes({ time: [0, 2, 4], power: [1, 2, 3] })).toEqual([0, 2, 4]);
+  });
+
+  test('falls back to index * sampleInterval', () => {
+    expect(buildElapsedTimes({ power: [1, 2, 3] }, 5)).toEqual([0, 5, 10]);
+  });
+
+  test('fills gaps in the time stream', () => {
+    expect(buildElapsedTimes({ time: [0, null, 10], power: [1, 2, 3] }, 5)).toEqual([0, 5, 10]);
+  });
+});
+
+describe('buildActivitySamples', () => {
+  test('converts km to metres and derives speed', () => {
+    const samples = buildActivitySamples({ distance: [0, 0.01, 0.02], power: [100, 200, 300] });
+    expect(samples[1].distance).toBeCloseTo(10);
+    expect(samples[1].speed).toBeCloseTo(10);
+    expect(samples[0].speed).toBe(null);
+  });
+
+  test('treats zero heart rate as missing', () => {
+    const samples = buildActivitySamples({ heartRate: [0, 120] });
+    expect(samples[0].heartRate).toBe(null);
+    expect(samples[1].heartRate).toBe(120);
+  });
+});
+
+describe('TCX export', () => {
+  test.each(raceFixture.riders.map(r => [r.name, r]))('round-trips %s', (name, rider) => {
+    const tcx = createTcx(rider, { startTime: START_TIME });
+    const parsed = parseTcx(tcx);
+
+    expect(parsed.startTime.toISOString()).toBe(START_TIME.toISOString());
+    expect(parsed.time).toEqual(rider.time);
+    expect(parsed.power).toEqual(rider.power);
+    expect(parsed.heartRate).toEqual(rider.heartRate);
+    expect(parsed.elevation).toEqual(rider.elevation);
+    expectStreamsClose(parsed.distance, rider.distance, 4);
+  });
+
+  test('rebuilds timestamps from sampleInterval when time stream is missing', () => {
+    const rider = { ...raceFixture.riders[0], time: undefined };
+    const parsed = parseTcx(createTcx(rider, { startTime: START_TIME, sampleInterval: 5 }));
+    expect(parsed.time.slice(0, 3)).toEqual([0, 5, 10]);
+  });
+
+  test('escapes rider name', () => {
+    const tcx = createTcx({ name: 'A & <B>', power: [100] }, { startTime: START_TIME });
+    expect(tcx).toContain('<Notes>A &amp; &lt;B&gt;</Notes>');
+  });
+});
+
+describe('FIT export', () => {
+  test('writes a valid header and CRC', () => {
+    const bytes = createFit(raceFixture.riders[0], { startTime: START_TIME });
+    expect(String.fromCharCode(...bytes.slice(8, 12))).toBe('.FIT');
+    expect(fitCrc(bytes)).toBe(0);
+  });
+
+  test.each(raceFixture.riders.map(r => [r.name, r]))('round-trips %s', (name, rider) => {
+    const parsed = parseFit(createFit(rider, { startTime: START_TIME }));
+
+    expect(parsed.startTime.toISOString()).toBe(START_TIME.toISOString());
+    expect(parsed.time).toEqual(rider.time);
+    expect(parsed.power).toEqual(rider.power);
+    expect(parsed.heartRate).toEqual(rider.heartRate);
+    expectStreamsClose(parsed.elevation, rider.elevation, 0);
+    expectStreamsClose(parsed.distance, rider.distance, 4);
+  });
+
+  test('writes session summary', () => {
+    const rider = raceFixture.riders[0];
+    const messages = decodeFit(createFit(rider, { startTime: START_TIME }));
+    const session = messages.find(m => m.name === 'session').values;
+
+    expect(session.maxPower).toBe(Math.max(...rider.power));
+    expect(session.totalDistance).toBeCloseTo(rider.totalDistance * 1000, 1);
+    expect(session.totalElapsedTime).toBe(rider.time[rider.time.length - 1]);
+    expect(messages.filter(m => m.name === 'activity').length).toBe(1);
+  });
+
+  test('stores missing samples as invalid values', () => {
+    const parsed = parseFit(createFit({ power: [100, null, 300] }, { startTime: START_TIME }));
+    expect(parsed.power).toEqual([100, null, 300]);
+    expect(parsed.distance).toEqual([null, null, null]);
+  });
+
+  test('rejects corrupted files', () => {
+    const bytes = createFit(raceFixture.riders[0], { startTime: START_TIME });
+    bytes[20] ^= 0xFF;
+    expect(() => decodeFit(bytes)).toThrow('CRC mismatch');
+  });
+});
+
+describe('getActivityFileName', () => {
+  test('combines event, rider ID and name', () => {
+    expect(getActivityFileName('123_A', { zwiftId: '1001', name: 'Anna Lead' }, 'fit'))
+      .toBe('123_A-1001-anna-lead.fit');
+  });
+});
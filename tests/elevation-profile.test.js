@@ -0,0 +1,111 @@
+/**
+ * Unit tests for elevation profile drawing helpers
+ */
+
+const { makeProfile } = require('./helpers/replay-globals');
+
+const {
+  getGradientColor,
+  calcNiceTickStep,
+  buildAxisTicks,
+  sliceProfile,
+  interpolateProfileElevation,
+  downsampleProfile,
+  buildGradientRuns,
+  calcProfileStats,
+  GRADIENT_COLORS,
+} = require('../src/elevation-profile');
+
+describe('getGradientColor', () => {
+  test('picks the band for a gradient', () => {
+    expect(getGradientColor(-6)).toBe(GRADIENT_COLORS[0].color);
+    expect(getGradientColor(0)).toBe(GRADIENT_COLORS[1].color);
+    expect(getGradientColor(6)).toBe(GRADIENT_COLORS[3].color);
+    expect(getGradientColor(20)).toBe(GRADIENT_COLORS[GRADIENT_COLORS.length - 1].color);
+  });
+});
+
+describe('calcNiceTickStep', () => {
+  test('rounds steps to 1, 2 or 5 times a power of ten', () => {
+    expect(calcNiceTickStep(42, 8)).toBe(10);
+    expect(calcNiceTickStep(130, 4)).toBe(50);
+    expect(calcNiceTickStep(1.3, 8)).toBe(0.2);
+    expect(calcNiceTickStep(0.4, 8)).toBe(0.05);
+  });
+
+  test('falls back to 1 for an empty range', () => {
+    expect(calcNiceTickStep(0)).toBe(1);
+  });
+});
+
+describe('buildAxisTicks', () => {
+  test('places ticks inside the range', () => {
+    expect(buildAxisTicks(0, 42, 8)).toEqual([0, 10, 20, 30, 40]);
+    expect(buildAxisTicks(12, 130, 4)).toEqual([50, 100]);
+  });
+
+  test('adapts to a zoomed range without floating point noise', () => {
+    expect(buildAxisTicks(3.3, 4.5, 8)).toEqual([3.4, 3.6, 3.8, 4, 4.2, 4.4]);
+  });
+});
+
+describe('sliceProfile', () => {
+  const profile = makeProfile([0, 1, 2, 3, 4, 5]);
+
+  test('keeps the points just outside the range', () => {
+    expect(sliceProfile(profile, 0.15, 0.35).map(p => p.elevation)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('returns the whole profile for the full range', () => {
+    expect(sliceProfile(profile, 0, 0.5)).toHaveLength(6);
+  });
+
+  test('handles ranges past the end and empty profiles', () => {
+    expect(sliceProfile(profile, 2, 3).map(p => p.elevation)).toEqual([5]);
+    expect(sliceProfile([], 0, 1)).toEqual([]);
+  });
+});
+
+describe('interpolateProfileElevation', () => {
+  test('blends the points either side of a distance', () => {
+    const profile = makeProfile([0, 10, 30]);
+    expect(interpolateProfileElevation(profile, 0.05)).toBeCloseTo(5);
+    expect(interpolateProfileElevation(profile, 0.175)).toBeCloseTo(25);
+    expect(interpolateProfileElevation(profile, 0.1)).toBe(10);
+  });
+
+  test('holds the end points outside the profile', () => {
+    const profile = makeProfile([0, 10, 30]);
+    expect(interpolateProfileElevation(profile, -1)).toBe(0);
+    expect(interpolateProfileElevation(profile, 5)).toBe(30);
+    expect(interpolateProfileElevation([], 1)).toBeNull();
+  });
+});
+
+describe('downsampleProfile', () => {
+  test('thins points but keeps the last one', () => {
+    const points = makeProfile([0, 1, 2, 3, 4, 5, 6]);
+    expect(downsampleProfile(points, 3).map(p => p.elevation)).toEqual([0, 3, 6]);
+    expect(downsampleProfile(points, 10)).toBe(points);
+  });
+});
+
+describe('buildGradientRuns', () => {
+  test('groups neighbouring points of the same gradient band', () => {
+    // Flat, then 6%, then flat again
+    const runs = buildGradientRuns(makeProfile([100, 100, 106, 112, 112]));
+    expect(runs.map(r => r.color)).toEqual([GRADIENT_COLORS[1].color, GRADIENT_COLORS[3].color, GRADIENT_COLORS[1].color]);
+    expect(runs.map(r => r.points.map(p => p.elevation))).toEqual([[100, 100], [100, 106, 112], [112, 112]]);
+  });
+
+  test('is empty for fewer than two points', () => {
+    expect(buildGradientRuns(makeProfile([5]))).toEqual([]);
+  });
+});
+
+describe('calcProfileStats', () => {
+  test('finds the elevation range and total ascent', () => {
+    expect(calcProfileStats(makeProfile([10, 30, 20, 50, 40]))).toEqual({ min: 10, max: 50, ascent: 50 });
+    expect(calcProfileStats([])).toBeNull();
+  });
+});
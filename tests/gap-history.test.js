@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the gap history chart data
+ */
+
+require('./helpers/replay-globals');
+
+const {
+  calcGapsAt,
+  buildGapHistory,
+  findTimeAtDistance,
+  formatSignedGap,
+} = require('../src/gap-history');
+
+// Everyone rides at 36 km/h (10 m per second), so 10 m of road is 1 second
+function makeRider(position, zwiftId, startKm, samples = 21) {
+  return {
+    position,
+    zwiftId,
+    duration: samples,
+    distance: Array.from({ length: samples }, (_, i) => startKm + i * 0.01),
+    power: new Array(samples).fill(250),
+  };
+}
+
+const leader = makeRider(1, 'leader', 0.3);
+const chaser = makeRider(2, 'chaser', 0.2); // 10s behind the leader
+const mate = makeRider(3, 'mate', 0.13); // 3s ahead of the watched rider
+const watched = makeRider(4, 'watched', 0.1);
+const dropped = makeRider(5, 'dropped', 0);
+const riders = [dropped, watched, mate, chaser, leader];
+
+describe('calcGapsAt', () => {
+  test('measures gaps to the leader, the group ahead and compared riders', () => {
+    const standings = getStandingsAt(riders, 10, 1, 10);
+    const gaps = calcGapsAt(standings, watched, [mate, dropped], 10, 1);
+    expect(gaps.leader).toBe(20);
+    expect(gaps.groupAhead).toBe(10);
+    expect(gaps.compared).toEqual({ mate: 3, dropped: -10 });
+  });
+
+  test('has no group ahead and no leader gap for the leader', () => {
+    const standings = getStandingsAt(riders, 10, 1, 10);
+    const gaps = calcGapsAt(standings, leader, [], 10, 1);
+    expect(gaps.leader).toBe(0);
+    expect(gaps.groupAhead).toBeNull();
+  });
+
+  test('returns null when the watched rider is missing', () => {
+    const standings = getStandingsAt([leader], 10, 1, 10);
+    expect(calcGapsAt(standings, watched, [], 10, 1)).toBeNull();
+  });
+});
+
+describe('buildGapHistory', () => {
+  test('samples gaps with the watched rider\'s distance', () => {
+    const points = buildGapHistory(riders, watched, [dropped], { sampleInterval: 1, totalDistanceKm: 10, step: 10 });
+    expect(points.map(p => p.time)).toEqual([0, 10, 20]);
+    expect(points[1].distance).toBeCloseTo(0.2);
+    expect(points[1].leader).toBe(20);
+    expect(points[2].compared.dropped).toBe(-10);
+  });
+
+  test('stops when the watched rider finishes', () => {
+    const early = { ...watched, duration: 11 };
+    const points = buildGapHistory(riders, early, [], { sampleInterval: 1, totalDistanceKm: 10, step: 10 });
+    expect(points.map(p => p.time)).toEqual([0, 10]);
+  });
+});
+
+describe('findTimeAtDistance', () => {
+  const points = [
+    { time: 0, distance: 0 },
+    { time: 10, distance: 0.1 },
+    { time: 20, distance: 0.2 },
+  ];
+
+  test('finds the first time the distance was reached', () => {
+    expect(findTimeAtDistance(points, 0.05)).toBe(10);
+    expect(findTimeAtDistance(points, 0)).toBe(0);
+  });
+
+  test('falls back to the last time beyond the end', () => {
+    expect(findTimeAtDistance(points, 5)).toBe(20);
+    expect(findTimeAtDistance([], 5)).toBe(0);
+  });
+});
+
+describe('formatSignedGap', () => {
+  test('formats gaps behind and ahead', () => {
+    expect(formatSignedGap(0)).toBe('0s');
+    expect(formatSignedGap(12)).toBe('+12s');
+    expect(formatSignedGap(-65)).toBe('-1:05');
+    expect(formatSignedGap(0.4)).toBe('0s');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for group history and the group river layout
+ */
+
+require('./helpers/replay-globals');
+
+const {
+  buildGroupHistory,
+  getGroupTransitions,
+  layoutGroupRiver,
+  findGroupSnapshot,
+  RIVER_GROUP_GAP_PX,
+} = require('../src/group-history');
+
+/**
+ * Build a rider at a constant speed, starting some km ahead
+ */
+function createRider(position, speedKmh, startKm = 0, seconds = 120) {
+  const distance = [];
+  for (let t = 0; t < seconds; t++) {
+    distance.push(startKm + (speedKmh / 3600) * (t + 1));
+  }
+  return {
+    position, name: `Rider ${position}`, zwiftId: String(position), duration: seconds, power: new Array(seconds).fill(200), distance,
+  };
+}
+
+const snapshot = (time, ...groups) => ({
+  time,
+  groups: groups.map((riderIds, gIdx) => ({ id: gIdx + 1, riderIds, size: riderIds.length })),
+});
+
+describe('buildGroupHistory', () => {
+  test('records groups at every step', () => {
+    const riders = [createRider(1, 40), createRider(2, 40), createRider(3, 30)];
+    const history = buildGroupHistory(riders, 90, 1, 30);
+    expect(history.map(s => s.time)).toEqual([0, 30, 60, 90]);
+    expect(history[0].groups).toHaveLength(1);
+    expect(history[0].groups[0].riderIds).toEqual(['1', '2', '3']);
+    // The slower rider drifts off the back
+    const last = history[history.length - 1];
+    expect(last.groups.map(g => g.riderIds)).toEqual([['1', '2'], ['3']]);
+    expect(last.groups[1].timeGapToLeader).toBeGreaterThan(0);
+    // The main group keeps its ID and the dropped rider gets a new one
+    expect(last.groups.map(g => [g.id, g.name])).toEqual([[1, 'Peloton'], [2, 'Dropped']]);
+  });
+
+  test('handles races without riders', () => {
+    expect(buildGroupHistory([], 20, 1, 10).every(s => s.groups.length === 0)).toBe(true);
+  });
+});
+
+describe('getGroupTransitions', () => {
+  test('counts riders moving between groups', () => {
+    const from = snapshot(0, ['a', 'b', 'c'], ['d']);
+    const to = snapshot(10, ['a', 'b'], ['c', 'd']);
+    expect(getGroupTransitions(from, to)).toEqual([
+      { from: 0, to: 0, count: 2 },
+      { from: 0, to: 1, count: 1 },
+      { from: 1, to: 1, count: 1 },
+    ]);
+  });
+
+  test('ignores riders missing from the later snapshot', () => {
+    expect(getGroupTransitions(snapshot(0, ['a', 'b']), snapshot(10, ['a']))).toEqual([
+      { from: 0, to: 0, count: 1 },
+    ]);
+  });
+});
+
+describe('layoutGroupRiver', () => {
+  test('returns nothing for an empty history', () => {
+    expect(layoutGroupRiver([], 100, 50)).toEqual({ columns: [], flows: [] });
+  });
+
+  test('stacks bands proportional to group size', () => {
+    const history = [snapshot(0, ['a', 'b', 'c', 'd']), snapshot(10, ['a', 'b', 'c'], ['d'])];
+    const height = 40 + RIVER_GROUP_GAP_PX;
+    const { columns } = layoutGroupRiver(history, 100, height);
+
+    expect(columns.map(c => c.x)).toEqual([0, 100]);
+    expect(columns[0].bands).toEqual([{ y0: 0, y1: 40, gIdx: 0, id: 1, size: 4 }]);
+    expect(columns[1].bands[0]).toEqual({ y0: 0, y1: 30, gIdx: 0, id: 1, size: 3 });
+    expect(columns[1].bands[1].y0).toBe(30 + RIVER_GROUP_GAP_PX);
+  });
+
+  test('joins bands with flows that fill them exactly', () => {
+    const history = [snapshot(0, ['a', 'b'], ['c', 'd']), snapshot(10, ['a', 'b', 'c', 'd'])];
+    const { columns, flows } = layoutGroupRiver(history, 100, 40 + RIVER_GROUP_GAP_PX);
+
+    expect(flows).toHaveLength(2);
+    // Two groups merge: flows arrive stacked in the merged band
+    expect(flows[0]).toMatchObject({ y0: 0, y1: 0, thickness: 20, fromGroup: 0, toGroup: 0 });
+    expect(flows[1]).toMatchObject({ y0: columns[0].bands[1].y0, y1: 20, thickness: 20, fromGroup: 1, fromGroupId: 2 });
+  });
+});
+
+describe('findGroupSnapshot', () => {
+  test('finds the closest snapshot', () => {
+    const history = [snapshot(0), snapshot(10), snapshot(20)];
+    expect(findGroupSnapshot(history, 14).time).toBe(10);
+    expect(findGroupSnapshot(history, 99).time).toBe(20);
+    expect(findGroupSnapshot([], 5)).toBeNull();
+  });
+});
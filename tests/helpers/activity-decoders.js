@@ -0,0 +1,164 @@
+/**
+ * TCX and FIT decoders for the activity export tests
+ * Parse exported files back into rider streams, which keeps the encoders honest
+ */
+
+const {
+  fitCrc,
+  FIT_EPOCH_OFFSET_SECONDS,
+  FIT_BASE_TYPES,
+  FIT_MESSAGES,
+} = require('../../src/activity-export');
+
+/**
+ * Read the first matching tag value from an XML fragment
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name (may include namespace prefix)
+ * @returns {string|null} Tag text or null
+ */
+function readXmlTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse a TCX document back into rider streams
+ * @param {string} xml - TCX XML
+ * @returns {Object} { startTime, distance (km), time, power, heartRate, elevation }
+ */
+function parseTcx(xml) {
+  const trackpoints = xml.match(/<Trackpoint>[\s\S]*?<\/Trackpoint>/g) || [];
+  const idText = readXmlTag(xml, 'Id');
+  const startMs = idText ? Date.parse(idText) : NaN;
+
+  const samples = trackpoints.map((tp) => {
+    const numberOrNull = value => (value === null ? null : Number(value));
+    const distance = numberOrNull(readXmlTag(tp, 'DistanceMeters'));
+    return {
+      elapsed: (Date.parse(readXmlTag(tp, 'Time')) - startMs) / 1000,
+      distance,
+      altitude: numberOrNull(readXmlTag(tp, 'AltitudeMeters')),
+      heartRate: numberOrNull(readXmlTag(tp, 'Value')),
+      power: numberOrNull(readXmlTag(tp, 'ns3:Watts')),
+    };
+  });
+
+  return { startTime: new Date(startMs), ...samplesToRiderStreams(samples) };
+}
+
+/**
+ * Convert activity samples back to the replay.js rider stream schema
+ * @param {Array} samples - Samples with elapsed, distance (m), altitude, power, heartRate
+ * @returns {Object} { distance (km), time, power, heartRate, elevation }
+ */
+function samplesToRiderStreams(samples) {
+  return {
+    time: samples.map(s => s.elapsed),
+    distance: samples.map(s => (s.distance === null ? null : s.distance / 1000)),
+    power: samples.map(s => s.power),
+    heartRate: samples.map(s => s.heartRate),
+    elevation: samples.map(s => s.altitude),
+  };
+}
+
+/**
+ * Decode FIT messages written by createFit
+ * Supports normal headers with little- or big-endian definitions; no developer fields
+ * @param {Uint8Array} bytes - FIT file bytes
+ * @returns {Array} Messages as { name, values }
+ * @throws {Error} On malformed files or CRC mismatch
+ */
+function decodeFit(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = bytes[0];
+  const dataSize = view.getUint32(4, true);
+  const signature = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+
+  if (signature !== '.FIT') throw new Error('Not a FIT file');
+
+  const dataEnd = headerSize + dataSize;
+  if (bytes.length < dataEnd + 2) throw new Error('FIT file is truncated');
+  if (fitCrc(bytes, 0, dataEnd) !== view.getUint16(dataEnd, true)) {
+    throw new Error('FIT file CRC mismatch');
+  }
+
+  const messagesByNum = new Map(Object.entries(FIT_MESSAGES).map(([name, m]) => [m.num, { name, ...m }]));
+  const baseTypesById = new Map(Object.values(FIT_BASE_TYPES).map(t => [t.id, t]));
+  const definitions = new Map();
+  const messages = [];
+  let pos = headerSize;
+
+  while (pos < dataEnd) {
+    const header = bytes[pos++];
+    if (header & 0x80) throw new Error('Compressed timestamp headers are not supported');
+    const localType = header & 0x0F;
+
+    if (header & 0x40) {
+      if (header & 0x20) throw new Error('Developer fields are not supported');
+      const littleEndian = bytes[pos + 1] === 0;
+      const globalNum = view.getUint16(pos + 2, littleEndian);
+      const numFields = bytes[pos + 4];
+      pos += 5;
+      const fields = [];
+      for (let i = 0; i < numFields; i++) {
+        fields.push({ num: bytes[pos], size: bytes[pos + 1], typeId: bytes[pos + 2] });
+        pos += 3;
+      }
+      definitions.set(localType, { globalNum, littleEndian, fields });
+      continue;
+    }
+
+    const def = definitions.get(localType);
+    if (!def) throw new Error(`Missing definition for local message ${localType}`);
+
+    const message = messagesByNum.get(def.globalNum);
+    const values = {};
+    for (const field of def.fields) {
+      const baseType = baseTypesById.get(field.typeId);
+      const spec = message?.fields.find(([num]) => num === field.num);
+      if (baseType && spec && baseType.size === field.size) {
+        let raw;
+        if (field.size === 1) raw = view.getUint8(pos);
+        else if (field.size === 2) raw = view.getUint16(pos, def.littleEndian);
+        else raw = view.getUint32(pos, def.littleEndian);
+        const [, name, , scale = 1, offset = 0] = spec;
+        values[name] = raw === baseType.invalid ? null : raw / scale - offset;
+      }
+      pos += field.size;
+    }
+    messages.push({ name: message?.name || `message${def.globalNum}`, values });
+  }
+
+  return messages;
+}
+
+/**
+ * Parse a FIT activity back into rider streams
+ * @param {Uint8Array} bytes - FIT file bytes
+ * @returns {Object} { startTime, distance (km), time, power, heartRate, elevation }
+ */
+function parseFit(bytes) {
+  const messages = decodeFit(bytes);
+  const records = messages.filter(m => m.name === 'record').map(m => m.values);
+  const session = messages.find(m => m.name === 'session')?.values;
+  const start = session?.startTime ?? records[0]?.timestamp ?? 0;
+
+  const samples = records.map(r => ({
+    elapsed: r.timestamp - start,
+    distance: r.distance,
+    altitude: r.altitude,
+    power: r.power,
+    heartRate: r.heartRate,
+  }));
+
+  return {
+    startTime: new Date((start + FIT_EPOCH_OFFSET_SECONDS) * 1000),
+    ...samplesToRiderStreams(samples),
+  };
+}
+
+module.exports = {
+  parseTcx,
+  decodeFit,
+  parseFit,
+};
@@ -0,0 +1,24 @@
+/**
+ * Shared setup for the replay module tests
+ * The replay page and worker load their scripts in order, so later modules
+ * call earlier ones as globals; requiring this does the same under Jest
+ */
+
+Object.assign(
+  global,
+  require('../../src/utils'),
+  require('../../src/power-units'),
+  require('../../src/gap-history'),
+  require('../../src/group-history'),
+  require('../../src/position-history'),
+  require('../../src/segments')
+);
+
+// Profile point every 100 m from a list of elevations
+function makeProfile(elevations) {
+  return elevations.map((elevation, i) => ({ distance: i * 0.1, elevation }));
+}
+
+module.exports = {
+  makeProfile,
+};
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for rider marker layout and hit-testing
+ */
+
+const {
+  layoutRiderMarkers,
+  findMarkerAt,
+  MARKER_RADIUS,
+  WATCHING_MARKER_RADIUS,
+  MARKER_HIT_SLOP_PX,
+} = require('../src/marker-layer');
+
+const rider = (position, progress) => ({ position, progress, currentDistance: progress * 10 });
+
+// A 10 km course climbing steadily from 0 to 100 m
+const view = {
+  zoomStart: 0,
+  zoomEnd: 1,
+  width: 200,
+  height: 120,
+  topPadding: 10,
+  bottomPadding: 10,
+  minElevation: 0,
+  maxElevation: 100,
+  watchingPosition: 2,
+  elevationAt: km => km * 10,
+};
+
+describe('layoutRiderMarkers', () => {
+  const groups = [
+    { id: 1, riders: [rider(1, 0.5), rider(2, 0.5)] },
+    { id: 2, riders: [rider(3, 0.25)] },
+  ];
+
+  test('places riders by progress and elevation', () => {
+    const markers = layoutRiderMarkers(groups, view);
+    const first = markers.find(m => m.rider.position === 1);
+    expect(first.x).toBe(100);
+    expect(first.y).toBe(60);
+    expect(first.radius).toBe(MARKER_RADIUS);
+    expect(first.group.id).toBe(1);
+  });
+
+  test('draws the watched rider last and larger', () => {
+    const markers = layoutRiderMarkers(groups, view);
+    expect(markers.map(m => m.rider.position)).toEqual([1, 3, 2]);
+    expect(markers[2]).toMatchObject({ isWatching: true, radius: WATCHING_MARKER_RADIUS });
+  });
+
+  test('skips riders outside the zoomed range', () => {
+    const markers = layoutRiderMarkers(groups, { ...view, zoomStart: 0.4, zoomEnd: 0.6 });
+    expect(markers.map(m => m.rider.position)).toEqual([1, 2]);
+    expect(markers[0].x).toBeCloseTo(100);
+  });
+});
+
+describe('findMarkerAt', () => {
+  const markers = [
+    { x: 10, y: 10, radius: MARKER_RADIUS, rider: rider(1, 0), isWatching: false },
+    { x: 14, y: 10, radius: MARKER_RADIUS, rider: rider(3, 0), isWatching: false },
+    { x: 50, y: 10, radius: WATCHING_MARKER_RADIUS, rider: rider(2, 0), isWatching: true },
+  ];
+
+  test('finds the nearest marker within its radius', () => {
+    expect(findMarkerAt(markers, 11, 10).rider.position).toBe(1);
+    expect(findMarkerAt(markers, 13, 11).rider.position).toBe(3);
+  });
+
+  test('allows a little slop around small markers', () => {
+    expect(findMarkerAt(markers, 10, 10 + MARKER_RADIUS + MARKER_HIT_SLOP_PX).rider.position).toBe(1);
+    expect(findMarkerAt(markers, 10, 10 + MARKER_RADIUS + MARKER_HIT_SLOP_PX + 1)).toBeNull();
+  });
+
+  test('prefers the watched rider on top', () => {
+    const overlapping = [...markers, { ...markers[2], x: 11, y: 10 }];
+    expect(findMarkerAt(overlapping, 10, 10).isWatching).toBe(true);
+    expect(findMarkerAt([], 0, 0)).toBeNull();
+  });
+});
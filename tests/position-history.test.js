@@ -0,0 +1,55 @@
+/**
+ * Unit tests for the position-over-time history
+ */
+
+require('./helpers/replay-globals');
+
+const {
+  buildPositionHistory,
+  findBiggestPositionLoss,
+} = require('../src/position-history');
+
+const fixture = require('./fixtures/race.json');
+
+describe('buildPositionHistory', () => {
+  test('records every rider\'s position at each step', () => {
+    const riders = [
+      { zwiftId: 'a', distance: [1, 2, 3, 4, 5] },
+      { zwiftId: 'b', distance: [2, 3, 3.5, 3.6, 3.7] },
+    ];
+    const history = buildPositionHistory(riders, 4, 1, 10, 2);
+    expect(history.times).toEqual([0, 2, 4]);
+    expect(history.positions).toEqual({ a: [2, 2, 1], b: [1, 1, 2] });
+  });
+
+  test('covers the fixture race', () => {
+    const history = buildPositionHistory(fixture.riders, 59, 1, 20, 10);
+    expect(history.times).toHaveLength(6);
+    for (const rider of fixture.riders) {
+      expect(history.positions[rider.zwiftId]).toHaveLength(6);
+    }
+    // Each time has one rider per position
+    history.times.forEach((_, i) => {
+      const positions = fixture.riders.map(r => history.positions[r.zwiftId][i]).sort();
+      expect(positions).toEqual([1, 2, 3]);
+    });
+  });
+});
+
+describe('findBiggestPositionLoss', () => {
+  const history = {
+    times: [0, 10, 20, 30, 40],
+    positions: { a: [5, 2, 6, 9, 3], b: [1, 1, 1, 1, 1] },
+  };
+
+  test('finds the biggest drop from an earlier position', () => {
+    expect(findBiggestPositionLoss(history, 'a')).toEqual({
+      from: 2, to: 9, places: 7, startTime: 10, endTime: 30,
+    });
+  });
+
+  test('returns null when the rider never lost places', () => {
+    expect(findBiggestPositionLoss(history, 'b')).toBeNull();
+    expect(findBiggestPositionLoss(history, 'missing')).toBeNull();
+  });
+});
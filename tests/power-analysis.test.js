@@ -0,0 +1,187 @@
+/**
+ * Unit tests for power-duration curve and critical power helpers
+ */
+
+const {
+  calcBestAverage,
+  calcPowerCurve,
+  fitCriticalPower,
+  calcModelPower,
+  resolvePowerModel,
+  calcWPrimeBalance,
+  getWPrimeStatus,
+  parsePowerModelValue,
+  formatEffortDuration,
+  POWER_CURVE_DURATIONS,
+  DEFAULT_W_PRIME_J,
+  W_PRIME_STATUS,
+  POWER_MODEL_SOURCES,
+} = require('../src/power-analysis');
+
+describe('calcBestAverage', () => {
+  test('finds the best rolling average', () => {
+    const power = [100, 100, 400, 500, 100, 100];
+    expect(calcBestAverage(power, 2)).toBe(450);
+    expect(calcBestAverage(power, 1)).toBe(500);
+    expect(calcBestAverage(power, 6)).toBe(1300 / 6);
+  });
+
+  test('returns null when the stream is shorter than the effort', () => {
+    expect(calcBestAverage([200, 200], 5)).toBeNull();
+    expect(calcBestAverage(null, 5)).toBeNull();
+  });
+
+  test('treats missing samples as zero', () => {
+    expect(calcBestAverage([300, null, 300], 3)).toBe(200);
+  });
+
+  test('accounts for the sample interval', () => {
+    // 5-second samples: a 10s effort spans two samples
+    const power = [200, 400, 400, 200];
+    expect(calcBestAverage(power, 10, 5)).toBe(400);
+    // Efforts shorter than one sample use a single sample
+    expect(calcBestAverage(power, 1, 5)).toBe(400);
+  });
+});
+
+describe('calcPowerCurve', () => {
+  test('returns one point per duration', () => {
+    const power = new Array(90).fill(250);
+    const curve = calcPowerCurve(power);
+    expect(curve.map(p => p.duration)).toEqual(POWER_CURVE_DURATIONS);
+    expect(curve.find(p => p.duration === 60).watts).toBe(250);
+    expect(curve.find(p => p.duration === 300).watts).toBeNull();
+  });
+
+  test('uses custom durations', () => {
+    expect(calcPowerCurve([100, 300], 1, [1, 2])).toEqual([
+      { duration: 1, watts: 300 },
+      { duration: 2, watts: 200 },
+    ]);
+  });
+});
+
+describe('fitCriticalPower', () => {
+  test('recovers CP and W\' from a model curve', () => {
+    const curve = [120, 300, 600, 1200].map(duration => ({ duration, watts: 250 + 20000 / duration }));
+    expect(fitCriticalPower(curve)).toEqual({ cp: 250, wPrime: 20000 });
+  });
+
+  test('ignores points outside the model range', () => {
+    const curve = [
+      { duration: 5, watts: 1200 },
+      { duration: 300, watts: 250 + 20000 / 300 },
+      { duration: 1200, watts: 250 + 20000 / 1200 },
+    ];
+    expect(fitCriticalPower(curve)).toEqual({ cp: 250, wPrime: 20000 });
+  });
+
+  test('returns null with too few points', () => {
+    expect(fitCriticalPower([{ duration: 300, watts: 300 }, { duration: 600, watts: null }])).toBeNull();
+  });
+
+  test('returns null for a non-physical fit', () => {
+    // Power rising with duration gives a negative W'
+    const curve = [{ duration: 120, watts: 200 }, { duration: 1200, watts: 300 }];
+    expect(fitCriticalPower(curve)).toBeNull();
+  });
+});
+
+describe('calcModelPower', () => {
+  test('adds W\' spread over the duration to CP', () => {
+    expect(calcModelPower({ cp: 250, wPrime: 20000 }, 200)).toBe(350);
+  });
+});
+
+describe('resolvePowerModel', () => {
+  const fit = { cp: 260, wPrime: 18000 };
+
+  test('uses the fitted model', () => {
+    expect(resolvePowerModel(null, fit, 250)).toEqual({ ...fit, source: POWER_MODEL_SOURCES.ESTIMATED });
+  });
+
+  test('falls back to FTP with a default W\'', () => {
+    expect(resolvePowerModel(undefined, null, 250)).toEqual({
+      cp: 250, wPrime: DEFAULT_W_PRIME_J, source: POWER_MODEL_SOURCES.FTP,
+    });
+  });
+
+  test('lets manual values override single fields', () => {
+    expect(resolvePowerModel({ cp: 280, wPrime: null }, fit, null)).toEqual({
+      cp: 280, wPrime: 18000, source: POWER_MODEL_SOURCES.MANUAL,
+    });
+    expect(resolvePowerModel({ cp: 280 }, null, null)).toEqual({
+      cp: 280, wPrime: DEFAULT_W_PRIME_J, source: POWER_MODEL_SOURCES.MANUAL,
+    });
+  });
+
+  test('returns null without any CP', () => {
+    expect(resolvePowerModel(null, null, null)).toBeNull();
+    expect(resolvePowerModel({ wPrime: 15000 }, null, null)).toBeNull();
+  });
+});
+
+describe('calcWPrimeBalance', () => {
+  const model = { cp: 250, wPrime: 20000 };
+
+  test('stays full at or below CP', () => {
+    expect(calcWPrimeBalance([200, 250, 0], model)).toEqual([20000, 20000, 20000]);
+  });
+
+  test('drains by work above CP', () => {
+    expect(calcWPrimeBalance([350, 350, 450], model)).toEqual([19900, 19800, 19600]);
+  });
+
+  test('recovers below CP, faster with lower power', () => {
+    const drain = new Array(100).fill(450); // 20 kJ above CP
+    const easy = calcWPrimeBalance([...drain, ...new Array(60).fill(100)], model);
+    const hard = calcWPrimeBalance([...drain, ...new Array(60).fill(240)], model);
+    expect(easy[99]).toBe(0);
+    expect(easy[159]).toBeGreaterThan(hard[159]);
+    expect(hard[159]).toBeGreaterThan(0);
+    expect(easy[159]).toBeLessThan(20000);
+  });
+
+  test('accounts for the sample interval', () => {
+    expect(calcWPrimeBalance([350], model, 5)).toEqual([19500]);
+  });
+
+  test('goes negative when the model is exceeded', () => {
+    expect(calcWPrimeBalance([1250, 1250, 1250], { cp: 250, wPrime: 2000 })[2]).toBe(-1000);
+  });
+});
+
+describe('getWPrimeStatus', () => {
+  test('classifies the balance', () => {
+    expect(getWPrimeStatus(15000, 20000)).toEqual({ fraction: 0.75, status: W_PRIME_STATUS.OK });
+    expect(getWPrimeStatus(2000, 20000)).toEqual({ fraction: 0.1, status: W_PRIME_STATUS.RED });
+    expect(getWPrimeStatus(-500, 20000)).toEqual({ fraction: 0, status: W_PRIME_STATUS.EMPTY });
+  });
+
+  test('returns null when unknown', () => {
+    expect(getWPrimeStatus(undefined, 20000)).toBeNull();
+    expect(getWPrimeStatus(1000, 0)).toBeNull();
+  });
+});
+
+describe('parsePowerModelValue', () => {
+  test('parses positive values with a multiplier', () => {
+    expect(parsePowerModelValue('265')).toBe(265);
+    expect(parsePowerModelValue('18.5', 1000)).toBe(18500);
+  });
+
+  test('rejects empty and non-positive values', () => {
+    expect(parsePowerModelValue('')).toBeNull();
+    expect(parsePowerModelValue('0')).toBeNull();
+    expect(parsePowerModelValue('-5')).toBeNull();
+  });
+});
+
+describe('formatEffortDuration', () => {
+  test('formats seconds and minutes', () => {
+    expect(formatEffortDuration(5)).toBe('5s');
+    expect(formatEffortDuration(60)).toBe('1m');
+    expect(formatEffortDuration(1200)).toBe('20m');
+    expect(formatEffortDuration(90)).toBe('1m30s');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for power unit helpers
+ */
+
+const {
+  normalizePowerUnit,
+  parseRiderWeight,
+  getRiderWeight,
+  convertPower,
+  formatPowerValue,
+  formatPower,
+  getPowerUnitLabel,
+  POWER_UNITS,
+  DEFAULT_POWER_UNIT,
+} = require('../src/power-units');
+
+describe('normalizePowerUnit', () => {
+  test('keeps valid units', () => {
+    expect(normalizePowerUnit('watts')).toBe(POWER_UNITS.WATTS);
+    expect(normalizePowerUnit('wkg')).toBe(POWER_UNITS.WKG);
+  });
+
+  test('falls back to the default unit', () => {
+    expect(normalizePowerUnit(undefined)).toBe(DEFAULT_POWER_UNIT);
+    expect(normalizePowerUnit('kj')).toBe(DEFAULT_POWER_UNIT);
+  });
+});
+
+describe('parseRiderWeight', () => {
+  test('parses weights to one decimal', () => {
+    expect(parseRiderWeight('72.46')).toBe(72.5);
+    expect(parseRiderWeight(65)).toBe(65);
+  });
+
+  test('rejects empty and implausible weights', () => {
+    expect(parseRiderWeight('')).toBeNull();
+    expect(parseRiderWeight('abc')).toBeNull();
+    expect(parseRiderWeight('10')).toBeNull();
+    expect(parseRiderWeight('250')).toBeNull();
+  });
+});
+
+describe('getRiderWeight', () => {
+  const rider = { zwiftId: '1001', weight: 70 };
+
+  test('uses the synced weight', () => {
+    expect(getRiderWeight(rider, {})).toBe(70);
+    expect(getRiderWeight(rider)).toBe(70);
+  });
+
+  test('prefers a manual weight', () => {
+    expect(getRiderWeight(rider, { 1001: 68.5 })).toBe(68.5);
+  });
+
+  test('returns null when weight is unknown', () => {
+    expect(getRiderWeight({ zwiftId: '1002', weight: null }, {})).toBeNull();
+    expect(getRiderWeight({ zwiftId: '1002', weight: 0 }, {})).toBeNull();
+  });
+});
+
+describe('convertPower', () => {
+  test('returns watts unchanged', () => {
+    expect(convertPower(250, null, POWER_UNITS.WATTS)).toBe(250);
+  });
+
+  test('divides by weight for W/kg', () => {
+    expect(convertPower(280, 70, POWER_UNITS.WKG)).toBe(4);
+  });
+
+  test('returns null for W/kg without weight', () => {
+    expect(convertPower(280, null, POWER_UNITS.WKG)).toBeNull();
+  });
+
+  test('keeps missing power missing', () => {
+    expect(convertPower(null, 70, POWER_UNITS.WATTS)).toBeNull();
+  });
+});
+
+describe('formatPowerValue', () => {
+  test('formats watts as whole numbers', () => {
+    expect(formatPowerValue(249.6, POWER_UNITS.WATTS)).toBe('250W');
+    expect(formatPowerValue(249.6, POWER_UNITS.WATTS, { suffix: false })).toBe('250');
+  });
+
+  test('formats W/kg with one decimal', () => {
+    expect(formatPowerValue(3.456, POWER_UNITS.WKG)).toBe('3.5 W/kg');
+    expect(formatPowerValue(3.456, POWER_UNITS.WKG, { suffix: false })).toBe('3.5');
+  });
+
+  test('shows a dash for unknown values', () => {
+    expect(formatPowerValue(null, POWER_UNITS.WKG)).toBe('-');
+    expect(formatPowerValue(NaN, POWER_UNITS.WATTS)).toBe('-');
+  });
+});
+
+describe('formatPower', () => {
+  test('converts and formats in one step', () => {
+    expect(formatPower(300, 75, POWER_UNITS.WKG)).toBe('4.0 W/kg');
+    expect(formatPower(300, 75, POWER_UNITS.WATTS)).toBe('300W');
+    expect(formatPower(300, null, POWER_UNITS.WKG)).toBe('-');
+  });
+});
+
+describe('getPowerUnitLabel', () => {
+  test('returns the unit label', () => {
+    expect(getPowerUnitLabel(POWER_UNITS.WATTS)).toBe('W');
+    expect(getPowerUnitLabel(POWER_UNITS.WKG)).toBe('W/kg');
+  });
+});
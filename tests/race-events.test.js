@@ -0,0 +1,149 @@
+/**
+ * Unit tests for attack and group split detection
+ */
+
+require('./helpers/replay-globals');
+
+const {
+  detectSurges,
+  detectAttacks,
+  detectGroupSplits,
+  mergeNearbyEvents,
+  detectRaceEvents,
+  describeRaceEvent,
+  RACE_EVENT_TYPES,
+  MIN_ATTACK_GAP_SECONDS,
+} = require('../src/race-events');
+
+const RACE_SECONDS = 600;
+const SURGE_START = 300;
+const SURGE_SECONDS = 20;
+const BASE_SPEED_KMS = 40 / 3600;
+const SURGE_SPEED_KMS = 55 / 3600;
+
+/**
+ * Build a rider riding steadily, optionally speeding up during the surge
+ */
+function createRider(position, name, { surgePower = null, followsSurge = false } = {}) {
+  const power = [];
+  const distance = [];
+  let km = 0;
+  for (let t = 0; t < RACE_SECONDS; t++) {
+    const inSurge = t >= SURGE_START && t < SURGE_START + SURGE_SECONDS;
+    power.push(inSurge && surgePower ? surgePower : 200);
+    km += inSurge && (surgePower || followsSurge) ? SURGE_SPEED_KMS : BASE_SPEED_KMS;
+    distance.push(km);
+  }
+  return { position, name, zwiftId: String(position), duration: RACE_SECONDS, power, distance };
+}
+
+const attacker = createRider(1, 'Alice', { surgePower: 450 });
+const follower = createRider(2, 'Bea', { followsSurge: true });
+const dropped = createRider(3, 'Cleo');
+const riders = [attacker, follower, dropped];
+
+describe('detectSurges', () => {
+  test('finds a short effort well above the recent average', () => {
+    const surges = detectSurges(attacker.power);
+    expect(surges).toHaveLength(1);
+    expect(surges[0].startTime).toBeGreaterThan(SURGE_START - 15);
+    expect(surges[0].startTime).toBeLessThanOrEqual(SURGE_START);
+    expect(surges[0].avgPower).toBe(450);
+    expect(surges[0].baselinePower).toBe(200);
+  });
+
+  test('ignores steady riding', () => {
+    expect(detectSurges(dropped.power)).toEqual([]);
+    expect(detectSurges([])).toEqual([]);
+  });
+
+  test('reports times in seconds with a sample interval', () => {
+    const sampled = attacker.power.filter((_, i) => i % 5 === 0);
+    const surges = detectSurges(sampled, 5);
+    expect(surges).toHaveLength(1);
+    expect(surges[0].startTime % 5).toBe(0);
+    expect(surges[0].startTime).toBeLessThanOrEqual(SURGE_START);
+  });
+});
+
+describe('detectAttacks', () => {
+  test('reports attacker, responders, dropped riders and gap', () => {
+    const attacks = detectAttacks(riders);
+    expect(attacks).toHaveLength(1);
+    const [attack] = attacks;
+    expect(attack.type).toBe(RACE_EVENT_TYPES.ATTACK);
+    expect(attack.attacker.name).toBe('Alice');
+    expect(attack.responders.map(r => r.name)).toEqual(['Bea']);
+    expect(attack.dropped.map(r => r.name)).toEqual(['Cleo']);
+    expect(attack.gapSeconds).toBeGreaterThanOrEqual(MIN_ATTACK_GAP_SECONDS);
+  });
+
+  test('ignores surges that open no gap', () => {
+    // Everyone follows: nobody is dropped
+    const together = [attacker, follower, createRider(3, 'Cleo', { followsSurge: true })];
+    expect(detectAttacks(together)).toEqual([]);
+  });
+
+  test('counts group mates with the replay grouping settings', () => {
+    // Cleo sits 15 m back: in the group by time, but not with a 5 m distance gap
+    const trailing = { ...dropped, distance: dropped.distance.map(km => km - 0.015) };
+    const tightGaps = { mode: GROUPING_MODES.DISTANCE, threshold: GROUP_GAP_LIMITS[GROUPING_MODES.DISTANCE].min };
+    expect(detectAttacks([attacker, follower, trailing])).toHaveLength(1);
+    expect(detectAttacks([attacker, follower, trailing], 1, { grouping: tightGaps })).toEqual([]);
+  });
+});
+
+describe('detectGroupSplits', () => {
+  test('reports a group that breaks apart and stays apart', () => {
+    const splits = detectGroupSplits(riders, RACE_SECONDS);
+    expect(splits).toHaveLength(1);
+    expect(splits[0].type).toBe(RACE_EVENT_TYPES.SPLIT);
+    expect(splits[0].time).toBeGreaterThan(SURGE_START);
+    expect(splits[0].front.map(r => r.name)).toEqual(['Alice', 'Bea']);
+    expect(splits[0].dropped.map(r => r.name)).toEqual(['Cleo']);
+    expect(splits[0].gapSeconds).toBeGreaterThan(GROUP_GAP_THRESHOLD_SECONDS);
+  });
+
+  test('finds nothing when the group stays together', () => {
+    expect(detectGroupSplits([follower, createRider(3, 'Cleo', { followsSurge: true })], RACE_SECONDS)).toEqual([]);
+  });
+
+  test('groups riders with the replay grouping settings', () => {
+    const wideGaps = { mode: GROUPING_MODES.TIME, threshold: GROUP_GAP_LIMITS[GROUPING_MODES.TIME].max };
+    expect(detectGroupSplits(riders, RACE_SECONDS, 1, { grouping: wideGaps })).toEqual([]);
+    expect(detectRaceEvents(riders, RACE_SECONDS, 1, { grouping: wideGaps }).map(e => e.type))
+      .toEqual([RACE_EVENT_TYPES.ATTACK]);
+  });
+});
+
+describe('mergeNearbyEvents', () => {
+  test('keeps one event per rider within the spacing and the biggest gap', () => {
+    const event = (time, gapSeconds) => ({
+      type: RACE_EVENT_TYPES.ATTACK, time, gapSeconds, attacker: { position: 1, name: 'Alice' },
+    });
+    const merged = mergeNearbyEvents([event(100, 4), event(110, 9), event(200, 5)]);
+    expect(merged.map(e => [e.time, e.gapSeconds])).toEqual([[100, 9], [200, 5]]);
+  });
+});
+
+describe('detectRaceEvents', () => {
+  test('combines attacks and splits in time order', () => {
+    const events = detectRaceEvents(riders, RACE_SECONDS);
+    expect(events.map(e => e.type)).toEqual([RACE_EVENT_TYPES.ATTACK, RACE_EVENT_TYPES.SPLIT]);
+  });
+});
+
+describe('describeRaceEvent', () => {
+  test('describes attacks', () => {
+    const [attack] = detectAttacks(riders);
+    const text = describeRaceEvent(attack);
+    expect(text).toContain('Attack by Alice');
+    expect(text).toContain('Responded: Bea');
+    expect(text).toContain('Dropped: Cleo');
+  });
+
+  test('describes splits', () => {
+    const [split] = detectGroupSplits(riders, RACE_SECONDS);
+    expect(describeRaceEvent(split)).toContain('Peloton split');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for race file export/import
+ */
+
+// Race files recognise encoded streams with the codec loaded before them in the popup
+Object.assign(global, require('../src/stream-codec'));
+
+const {
+  createRaceExport,
+  getRaceFileName,
+  parseRaceImport,
+  resolveImportedEventId,
+  RACE_FILE_FORMAT,
+  RACE_FILE_VERSION,
+  RACE_FILE_EXTENSION,
+} = require('../src/race-file');
+const { encodeRiderStreams, decodeRiderStreams } = require('../src/stream-codec');
+
+const raceFixture = require('./fixtures/race.json');
+
+describe('createRaceExport', () => {
+  test('wraps race in a versioned bundle', () => {
+    const bundle = createRaceExport(raceFixture, new Date('2026-01-11T10:00:00Z'));
+    expect(bundle.format).toBe(RACE_FILE_FORMAT);
+    expect(bundle.version).toBe(RACE_FILE_VERSION);
+    expect(bundle.exportedAt).toBe('2026-01-11T10:00:00.000Z');
+    expect(bundle.race.riders).toEqual(raceFixture.riders);
+  });
+
+  test('clears in-progress sync state', () => {
+    const race = { ...raceFixture, syncInProgress: true, syncProgress: { current: 1, total: 3 } };
+    const bundle = createRaceExport(race);
+    expect(bundle.race.syncInProgress).toBe(false);
+    expect(bundle.race.syncProgress).toBe(null);
+  });
+
+  test('exports an imported copy under its ZwiftPower event ID', () => {
+    const bundle = createRaceExport({ ...raceFixture, eventId: '4567890_import2_B' });
+    expect(bundle.race.eventId).toBe('4567890_B');
+  });
+});
+
+describe('getRaceFileName', () => {
+  test('combines event ID and slugified name', () => {
+    expect(getRaceFileName(raceFixture))
+      .toBe(`4567890_B-tuesday-crit-city-race-category-b${RACE_FILE_EXTENSION}`);
+  });
+
+  test('falls back to event ID only', () => {
+    expect(getRaceFileName({ eventId: '123' })).toBe(`123${RACE_FILE_EXTENSION}`);
+  });
+});
+
+describe('parseRaceImport', () => {
+  const exportText = () => JSON.stringify(createRaceExport(raceFixture));
+
+  test('round-trips an exported race', () => {
+    const race = parseRaceImport(exportText());
+    expect(race.eventId).toBe(raceFixture.eventId);
+    expect(race.riders).toEqual(raceFixture.riders);
+    expect(race.categoryId).toBe('B');
+    expect(race.importedAt).toBeDefined();
+  });
+
+  test('accepts encoded rider streams', async () => {
+    const riders = await Promise.all(raceFixture.riders.map(r => encodeRiderStreams(r, { compress: false })));
+    const text = JSON.stringify(createRaceExport({ ...raceFixture, riders }));
+    const race = parseRaceImport(text);
+    const decoded = await Promise.all(race.riders.map(decodeRiderStreams));
+    expect(decoded).toEqual(raceFixture.riders);
+  });
+
+  test('accepts version 1 files', () => {
+    const bundle = { ...createRaceExport(raceFixture), version: 1 };
+    expect(parseRaceImport(JSON.stringify(bundle)).riders).toEqual(raceFixture.riders);
+  });
+
+  test('rejects invalid JSON', () => {
+    expect(() => parseRaceImport('{nope')).toThrow('File is not valid JSON');
+  });
+
+  test('rejects files with another format', () => {
+    expect(() => parseRaceImport(JSON.stringify({ format: 'other', version: 1 })))
+      .toThrow('Not a race replay file');
+  });
+
+  test('rejects newer versions', () => {
+    const bundle = { ...createRaceExport(raceFixture), version: RACE_FILE_VERSION + 1 };
+    expect(() => parseRaceImport(JSON.stringify(bundle))).toThrow('Unsupported race file version');
+  });
+
+  test('rejects malformed event IDs', () => {
+    for (const eventId of ['abc', '123_Z', '123_A_B', '<img src=x>']) {
+      const bundle = createRaceExport({ ...raceFixture, eventId });
+      expect(() => parseRaceImport(JSON.stringify(bundle))).toThrow('invalid event ID');
+    }
+  });
+
+  test('rejects races without riders', () => {
+    const bundle = createRaceExport({ ...raceFixture, riders: [] });
+    expect(() => parseRaceImport(JSON.stringify(bundle))).toThrow('Race file has no riders');
+  });
+
+  test('rejects riders with non-numeric streams', () => {
+    const badRider = { ...raceFixture.riders[0], power: ['a', 'b'] };
+    const bundle = createRaceExport({ ...raceFixture, riders: [badRider] });
+    expect(() => parseRaceImport(JSON.stringify(bundle))).toThrow('invalid power data');
+  });
+
+  test('rejects stream objects in an unknown encoding', () => {
+    const badRider = { ...raceFixture.riders[0], power: { enc: 'zip', n: 2, data: 'AAAA' } };
+    const bundle = createRaceExport({ ...raceFixture, riders: [badRider] });
+    expect(() => parseRaceImport(JSON.stringify(bundle))).toThrow('invalid power data');
+  });
+
+  test('rejects encoded streams that would not decode', async () => {
+    const power = (await encodeRiderStreams(raceFixture.riders[0], { compress: false })).power;
+    for (const changes of [{ n: -5 }, { n: 2 ** 32 }, { nulls: [power.n] }, { scale: 1.5 }]) {
+      const badRider = { ...raceFixture.riders[0], power: { ...power, ...changes } };
+      const bundle = createRaceExport({ ...raceFixture, riders: [badRider] });
+      expect(() => parseRaceImport(JSON.stringify(bundle))).toThrow('invalid power data');
+    }
+  });
+
+  test('rejects riders without zwiftId', () => {
+    const badRider = { ...raceFixture.riders[0], zwiftId: undefined };
+    const bundle = createRaceExport({ ...raceFixture, riders: [badRider] });
+    expect(() => parseRaceImport(JSON.stringify(bundle))).toThrow('missing zwiftId');
+  });
+});
+
+describe('resolveImportedEventId', () => {
+  test('keeps event ID when there is no clash', () => {
+    expect(resolveImportedEventId('123_A', ['456'])).toBe('123_A');
+  });
+
+  test('adds the copy number ahead of the category on clash', () => {
+    expect(resolveImportedEventId('123_A', ['123_A'])).toBe('123_import2_A');
+  });
+
+  test('skips suffixes already taken', () => {
+    expect(resolveImportedEventId('123', ['123', '123_import2'])).toBe('123_import3');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for precomputed race frames
+ */
+
+require('./helpers/replay-globals');
+
+const {
+  buildRaceFrames,
+  getFrameIndex,
+  getFrameOrder,
+  getFrameGroupSpans,
+  buildFrameGroups,
+  buildPositionHistoryFromFrames,
+  buildGroupHistoryFromFrames,
+  buildGapHistoryFromFrames,
+} = require('../src/race-frames');
+
+// Constant speed in km/h, starting some km up the road
+function makeRider(position, speedKmh, startKm = 0, seconds = 61) {
+  const distance = Array.from({ length: seconds }, (_, i) => startKm + (speedKmh / 3600) * i);
+  return { position, zwiftId: `z${position}`, name: `Rider ${position}`, duration: seconds, distance, power: new Array(seconds).fill(200 + position) };
+}
+
+// The leader rides away from a two-rider bunch
+const riders = [
+  makeRider(3, 36, 0),
+  makeRider(1, 54, 0.2),
+  makeRider(2, 36, 0.005),
+];
+const options = { maxTime: 60, sampleInterval: 1, totalDistanceKm: 10 };
+
+describe('buildRaceFrames', () => {
+  const frames = buildRaceFrames(riders, options);
+
+  test('stores a frame per sample in compact arrays', () => {
+    expect(frames.frameCount).toBe(61);
+    expect(frames.riderCount).toBe(3);
+    expect(frames.order).toBeInstanceOf(Uint16Array);
+    expect(frames.order.length).toBe(61 * 3);
+  });
+
+  test('orders riders by distance with gaps to the leader', () => {
+    const frameIdx = getFrameIndex(frames, 30);
+    expect(Array.from(getFrameOrder(frames, frameIdx))).toEqual([1, 2, 0]);
+    const offset = frameIdx * frames.riderCount;
+    expect(frames.gaps[offset]).toBe(0);
+    expect(frames.gaps[offset + 2]).toBeGreaterThan(frames.gaps[offset + 1]);
+  });
+
+  test('keeps group IDs across frames', () => {
+    const first = getFrameGroupSpans(frames, 0);
+    const last = getFrameGroupSpans(frames, 60);
+    const bunch = first.find(span => span.end - span.start === 2);
+    expect(last.find(span => span.start === 1).id).toBe(bunch.id);
+  });
+
+  test('reports progress up to 1', () => {
+    const progress = [];
+    buildRaceFrames(riders, { ...options, onProgress: p => progress.push(p) });
+    expect(progress[progress.length - 1]).toBe(1);
+    expect(progress.every((p, i) => i === 0 || p > progress[i - 1])).toBe(true);
+  });
+});
+
+describe('getFrameIndex', () => {
+  test('finds the frame at or before a time, within the race', () => {
+    const frames = buildRaceFrames(riders, { ...options, sampleInterval: 5 });
+    expect(getFrameIndex(frames, 12)).toBe(2);
+    expect(getFrameIndex(frames, -1)).toBe(0);
+    expect(getFrameIndex(frames, 999)).toBe(frames.frameCount - 1);
+  });
+});
+
+describe('buildFrameGroups', () => {
+  test('builds the same groups as live detection', () => {
+    const frames = buildRaceFrames(riders, options);
+    const riderStates = riders.map(r => ({ ...r, currentDistance: r.distance[30], currentPower: r.power[30] }));
+    const groups = buildFrameGroups(frames, 30, riderStates, 2);
+
+    const standings = [...riderStates].sort((a, b) => b.currentDistance - a.currentDistance);
+    const live = detectGroups(standings, 30, 2);
+    expect(groups.map(g => g.riders.map(r => r.zwiftId))).toEqual(live.map(g => g.riders.map(r => r.zwiftId)));
+    expect(groups.map(g => g.name)).toEqual(live.map(g => g.name));
+    expect(groups.map(g => g.timeGapToLeader)).toEqual(live.map(g => g.timeGapToLeader));
+    expect(groups.find(g => g.hasYou).riders.map(r => r.position)).toContain(2);
+  });
+
+  test('orders riders inside a group by interpolated distance between samples', () => {
+    const frames = buildRaceFrames(riders, { ...options, sampleInterval: 10 });
+    const frameIdx = getFrameIndex(frames, 35);
+    // Rider 3 has just passed rider 2 since the frame at 30s
+    const riderStates = riders.map(r => ({ ...r, currentDistance: r.distance[35], currentPower: r.power[35] }));
+    riderStates[0].currentDistance = riderStates[2].currentDistance + 0.001;
+
+    const groups = buildFrameGroups(frames, frameIdx, riderStates, 2);
+    expect(groups.map(g => g.riders.map(r => r.position))).toEqual([[1], [3, 2]]);
+  });
+
+  test('keeps frame groups until the next sample', () => {
+    const frames = buildRaceFrames(riders, { ...options, sampleInterval: 10 });
+    // Move rider 3 far up the road: the group only changes at the next frame
+    const riderStates = riders.map(r => ({ ...r, currentDistance: r.distance[35], currentPower: r.power[35] }));
+    riderStates[0].currentDistance = 5;
+
+    const groups = buildFrameGroups(frames, getFrameIndex(frames, 35), riderStates, 2);
+    expect(groups.map(g => g.riders.map(r => r.position))).toEqual([[1], [3, 2]]);
+  });
+});
+
+describe('histories from frames', () => {
+  const frames = buildRaceFrames(riders, options);
+
+  test('match the position history built directly', () => {
+    expect(buildPositionHistoryFromFrames(frames, riders, 10)).toEqual(buildPositionHistory(riders, 60, 1, 10, 10));
+  });
+
+  test('match the group history built directly', () => {
+    const fromFrames = buildGroupHistoryFromFrames(frames, riders, 10);
+    const direct = buildGroupHistory(riders, 60, 1, 10);
+    const summary = history => history.map(s => s.groups.map(g => [g.name, g.riderIds, g.avgPower, g.timeGapToLeader]));
+    expect(summary(fromFrames)).toEqual(summary(direct));
+  });
+
+  test('match the gap history built directly', () => {
+    const [slow, leader, watched] = riders;
+    const fromFrames = buildGapHistoryFromFrames(frames, riders, watched, [slow], { totalDistanceKm: 10 });
+    const direct = buildGapHistory(riders, watched, [slow], { sampleInterval: 1, totalDistanceKm: 10 });
+    expect(fromFrames).toEqual(direct);
+    expect(fromFrames[fromFrames.length - 1].leader).toBeGreaterThan(0);
+    expect(buildGapHistoryFromFrames(frames, riders, leader, [], { totalDistanceKm: 10 })[3].leader).toBe(0);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for race storage helpers
+ */
+
+const {
+  estimateRiderBytes,
+  createRiderRecord,
+  fromRiderRecord,
+  createIndexEntry,
+  addRiderToIndexEntry,
+  joinRace,
+  planLegacyMigration,
+  withRaceIndexLock,
+} = require('../src/race-store');
+
+const fixture = require('./fixtures/race.json');
+
+describe('rider records', () => {
+  test('adds and strips the event key', () => {
+    const rider = fixture.riders[0];
+    const record = createRiderRecord('123_A', rider);
+    expect(record.eventId).toBe('123_A');
+    expect(record.zwiftId).toBe(rider.zwiftId);
+    expect(fromRiderRecord(record)).toEqual(rider);
+  });
+});
+
+describe('createIndexEntry', () => {
+  test('keeps race fields but not rider streams', () => {
+    const entry = createIndexEntry(fixture);
+    expect(entry.riders).toBeUndefined();
+    expect(entry.eventId).toBe(fixture.eventId);
+    expect(entry.eventName).toBe(fixture.eventName);
+    expect(entry.riderCount).toBe(3);
+    expect(entry.riderZwiftIds).toEqual(fixture.riders.map(r => r.zwiftId));
+    expect(entry.pinned).toBe(false);
+  });
+
+  test('tracks size of the race and its riders', () => {
+    const entry = createIndexEntry(fixture);
+    const riderBytes = fixture.riders.reduce((sum, r) => sum + estimateRiderBytes(r), 0);
+    expect(entry.sizeBytes).toBeGreaterThan(riderBytes);
+    expect(entry.sizeBytes).toBeLessThan(JSON.stringify(fixture).length + 100);
+  });
+
+  test('keeps the pinned flag of the existing entry', () => {
+    expect(createIndexEntry(fixture, { pinned: true }).pinned).toBe(true);
+  });
+});
+
+describe('addRiderToIndexEntry', () => {
+  test('adds rider to a bare race entry', () => {
+    const rider = fixture.riders[1];
+    const entry = addRiderToIndexEntry({ eventId: 'x' }, rider);
+    expect(entry.riderZwiftIds).toEqual([rider.zwiftId]);
+    expect(entry.riderCount).toBe(1);
+    expect(entry.sizeBytes).toBe(estimateRiderBytes(rider));
+  });
+
+  test('ignores riders already stored', () => {
+    const rider = fixture.riders[1];
+    const entry = addRiderToIndexEntry({ eventId: 'x' }, rider);
+    expect(addRiderToIndexEntry(entry, rider)).toBe(entry);
+  });
+});
+
+describe('joinRace', () => {
+  test('rebuilds the full race sorted by position', () => {
+    const entry = createIndexEntry(fixture);
+    const race = joinRace(entry, [...fixture.riders].reverse());
+    expect(race).toEqual({ ...fixture, pinned: false });
+  });
+});
+
+describe('planLegacyMigration', () => {
+  test('splits legacy races into index entries and rider records', () => {
+    const { index, records } = planLegacyMigration({ [fixture.eventId]: { ...fixture, sizeBytes: 5 } });
+    expect(Object.keys(index)).toEqual([fixture.eventId]);
+    expect(index[fixture.eventId].riderCount).toBe(3);
+    expect(records.length).toBe(3);
+    expect(records.every(r => r.eventId === fixture.eventId)).toBe(true);
+    expect(joinRace(index[fixture.eventId], records.map(fromRiderRecord))).toEqual({ ...fixture, pinned: false });
+  });
+
+  test('handles missing data', () => {
+    expect(planLegacyMigration(null)).toEqual({ index: {}, records: [] });
+  });
+});
+
+describe('withRaceIndexLock', () => {
+  test('runs index changes one at a time, even after a failure', async () => {
+    const log = [];
+    const task = (name, fail) => async () => {
+      log.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      log.push(`${name} end`);
+      if (fail) throw new Error(name);
+      return name;
+    };
+
+    const results = await Promise.allSettled([
+      withRaceIndexLock(task('a', true)),
+      withRaceIndexLock(task('b')),
+    ]);
+    expect(log).toEqual(['a start', 'a end', 'b start', 'b end']);
+    expect(results.map(r => r.status)).toEqual(['rejected', 'fulfilled']);
+    expect(results[1].value).toBe('b');
+  });
+});
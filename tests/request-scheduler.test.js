@@ -0,0 +1,223 @@
+/**
+ * Unit tests for the adaptive request scheduler
+ */
+
+const {
+  parseRetryAfter,
+  calcBackoffDelay,
+  classifyResponse,
+  createRequestScheduler,
+  SCHEDULER_STATES,
+  SCHEDULER_MAX_BACKOFF_MS,
+} = require('../src/request-scheduler');
+
+function makeResponse(status, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  };
+}
+
+/**
+ * Build a scheduler with a stubbed fetch and a fake clock
+ * Each delay advances the clock instead of waiting
+ */
+function makeScheduler(responses, options = {}) {
+  let clock = 0;
+  const waits = [];
+  const states = [];
+  const fetch = jest.fn(async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+
+  const scheduler = createRequestScheduler({
+    fetch,
+    delay: async (ms) => {
+      waits.push(ms);
+      clock += ms;
+    },
+    now: () => clock,
+    random: () => 0.5,
+    onStateChange: (state) => states.push(state),
+    logger: () => {},
+    ...options,
+  });
+
+  return { scheduler, fetch, waits, states };
+}
+
+describe('parseRetryAfter', () => {
+  test('parses seconds', () => {
+    expect(parseRetryAfter('30')).toBe(30000);
+    expect(parseRetryAfter('1.5')).toBe(1500);
+  });
+
+  test('parses HTTP dates relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0);
+  });
+
+  test('returns null for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBe(null);
+    expect(parseRetryAfter('')).toBe(null);
+    expect(parseRetryAfter('soon')).toBe(null);
+  });
+});
+
+describe('calcBackoffDelay', () => {
+  test('grows exponentially with jitter', () => {
+    expect(calcBackoffDelay(0, 1000, 60000, () => 0)).toBe(500);
+    expect(calcBackoffDelay(0, 1000, 60000, () => 1)).toBe(1000);
+    expect(calcBackoffDelay(3, 1000, 60000, () => 0.5)).toBe(6000);
+  });
+
+  test('caps at the maximum', () => {
+    expect(calcBackoffDelay(20, 1000, 60000, () => 1)).toBe(60000);
+  });
+});
+
+describe('classifyResponse', () => {
+  test('classifies responses', () => {
+    expect(classifyResponse(makeResponse(200))).toBe('ok');
+    expect(classifyResponse(makeResponse(429))).toBe('throttled');
+    expect(classifyResponse(makeResponse(503))).toBe('throttled');
+    expect(classifyResponse(makeResponse(500))).toBe('retry');
+    expect(classifyResponse(makeResponse(404))).toBe('fail');
+    expect(classifyResponse(null)).toBe('retry');
+  });
+});
+
+describe('createRequestScheduler', () => {
+  test('returns the response of a healthy request', async () => {
+    const { scheduler, fetch } = makeScheduler([makeResponse(200)]);
+    const response = await scheduler.request('https://example.com');
+    expect(response.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(scheduler.getState().state).toBe(SCHEDULER_STATES.IDLE);
+  });
+
+  test('spaces consecutive requests by the current delay', async () => {
+    const { scheduler, waits } = makeScheduler([makeResponse(200), makeResponse(200)], { startDelayMs: 2000 });
+    await scheduler.request('a');
+    await scheduler.request('b');
+    expect(waits).toEqual([2000]);
+  });
+
+  test('honours Retry-After on 429 and slows down', async () => {
+    const { scheduler, fetch, waits, states } = makeScheduler([
+      makeResponse(429, { 'retry-after': '20' }),
+      makeResponse(200),
+    ], { startDelayMs: 1500 });
+
+    const response = await scheduler.request('a');
+    expect(response.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(waits).toEqual([20000]);
+    expect(states.some(s => s.state === SCHEDULER_STATES.THROTTLED && s.waitMs === 20000)).toBe(true);
+    expect(scheduler.getState().delayMs).toBe(3000);
+  });
+
+  test('waits no longer than the maximum backoff for a far-off Retry-After', async () => {
+    const { scheduler, waits } = makeScheduler([
+      makeResponse(429, { 'retry-after': String(3 * 24 * 60 * 60) }),
+      makeResponse(200),
+    ]);
+    expect((await scheduler.request('a')).status).toBe(200);
+    expect(waits).toEqual([SCHEDULER_MAX_BACKOFF_MS]);
+  });
+
+  test('passes the abort signal to the fetch', async () => {
+    const controller = new AbortController();
+    const { scheduler, fetch } = makeScheduler([makeResponse(200)]);
+    await scheduler.request('a', { credentials: 'include' }, controller.signal);
+    expect(fetch).toHaveBeenCalledWith('a', { credentials: 'include', signal: controller.signal });
+  });
+
+  test('stops retrying once an in-flight request is aborted', async () => {
+    const controller = new AbortController();
+    const { scheduler, fetch } = makeScheduler([], { startDelayMs: 2000 });
+    fetch.mockImplementationOnce(async () => {
+      controller.abort();
+      throw new Error('aborted');
+    });
+    expect(await scheduler.request('a', {}, controller.signal)).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(scheduler.getState().delayMs).toBe(2000);
+  });
+
+  test('backs off on 429 without Retry-After', async () => {
+    const { scheduler, waits } = makeScheduler([
+      makeResponse(429),
+      makeResponse(429),
+      makeResponse(200),
+    ]);
+    await scheduler.request('a');
+    expect(waits).toEqual([1500, 3000]);
+  });
+
+  test('retries server errors and network failures', async () => {
+    const { scheduler, fetch, states } = makeScheduler([
+      new Error('network down'),
+      makeResponse(500),
+      makeResponse(200),
+    ]);
+    const response = await scheduler.request('a');
+    expect(response.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(states.filter(s => s.state === SCHEDULER_STATES.RETRYING).map(s => s.attempt)).toEqual([1, 2]);
+  });
+
+  test('gives up after max retries and returns the last response', async () => {
+    const { scheduler, fetch } = makeScheduler([
+      makeResponse(500),
+      makeResponse(500),
+      makeResponse(500),
+    ], { maxRetries: 2 });
+    const response = await scheduler.request('a');
+    expect(response.status).toBe(500);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('returns null when every attempt throws', async () => {
+    const logger = jest.fn();
+    const { scheduler } = makeScheduler([new Error('x'), new Error('y')], { maxRetries: 1, logger });
+    expect(await scheduler.request('a')).toBe(null);
+    expect(logger.mock.calls.map(([message]) => message)).toEqual([
+      '[ZP Replay] Request failed: x',
+      '[ZP Replay] Request failed: y',
+    ]);
+  });
+
+  test('does not retry client errors', async () => {
+    const { scheduler, fetch } = makeScheduler([makeResponse(404)]);
+    const response = await scheduler.request('a');
+    expect(response.status).toBe(404);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('speeds back up after healthy responses', async () => {
+    const responses = [makeResponse(429, { 'retry-after': '1' })];
+    for (let i = 0; i < 12; i++) responses.push(makeResponse(200));
+    const { scheduler } = makeScheduler(responses, { startDelayMs: 1500, minDelayMs: 1000 });
+
+    await scheduler.request('a');
+    expect(scheduler.getState().delayMs).toBe(3000);
+
+    for (let i = 0; i < 11; i++) await scheduler.request('a');
+    expect(scheduler.getState().delayMs).toBeLessThan(3000);
+    expect(scheduler.getState().delayMs).toBeGreaterThanOrEqual(1000);
+  });
+
+  test('stops waiting when aborted', async () => {
+    const controller = new AbortController();
+    const { scheduler, fetch } = makeScheduler([makeResponse(429), makeResponse(200)], {
+      delay: async () => controller.abort(),
+    });
+    expect(await scheduler.request('a', {}, controller.signal)).toBe(null);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Unit tests for ZwiftPower result metadata helpers
+ */
+
+const {
+  getResultsUrl,
+  parseResultNumber,
+  parseResultText,
+  parseResultRow,
+  parseResultsResponse,
+  mergeRiderMetadata,
+  getRiderFilterOptions,
+  matchesRiderFilter,
+  formatFinishTime,
+  flagEmoji,
+  RESULT_METADATA_FIELDS,
+} = require('../src/result-metadata');
+
+const RESULT_ROW = {
+  zwid: 1001,
+  name: 'Alice',
+  tname: 'Team &amp; Co',
+  category: 'b',
+  time: [3605.4, 0],
+  avg_wkg: ['3.4', 0],
+  avg_power: [238, 0],
+  weight: ['70.0', 0],
+  height: [175, 0],
+  ftp: '260',
+  flag: 'GB',
+  age_group: 'Mas',
+};
+
+describe('getResultsUrl', () => {
+  test('builds the results URL for an event', () => {
+    expect(getResultsUrl('4567890')).toBe('https://zwiftpower.com/cache3/results/4567890_view.json');
+  });
+});
+
+describe('parseResultNumber', () => {
+  test('reads [value, flag] arrays and numeric strings', () => {
+    expect(parseResultNumber(['3.4', 0])).toBe(3.4);
+    expect(parseResultNumber('260')).toBe(260);
+    expect(parseResultNumber(72)).toBe(72);
+  });
+
+  test('treats missing and zero values as unknown', () => {
+    expect(parseResultNumber(null)).toBeNull();
+    expect(parseResultNumber(undefined)).toBeNull();
+    expect(parseResultNumber('')).toBeNull();
+    expect(parseResultNumber([0, 0])).toBeNull();
+    expect(parseResultNumber('n/a')).toBeNull();
+  });
+});
+
+describe('parseResultText', () => {
+  test('unescapes HTML entities and trims', () => {
+    expect(parseResultText(' Team &amp; Co &lt;3 ')).toBe('Team & Co <3');
+    expect(parseResultText('O&#39;Brien')).toBe("O'Brien");
+  });
+
+  test('returns null for empty values', () => {
+    expect(parseResultText('')).toBeNull();
+    expect(parseResultText('   ')).toBeNull();
+    expect(parseResultText(null)).toBeNull();
+  });
+});
+
+describe('parseResultRow', () => {
+  test('maps API fields to rider metadata', () => {
+    expect(parseResultRow(RESULT_ROW)).toEqual({
+      zwiftId: '1001',
+      team: 'Team & Co',
+      category: 'B',
+      finishTime: 3605.4,
+      avgWkg: 3.4,
+      avgPower: 238,
+      weight: 70,
+      height: 175,
+      ftp: 260,
+      flag: 'gb',
+      ageGroup: 'Mas',
+    });
+  });
+
+  test('returns null without a Zwift ID', () => {
+    expect(parseResultRow({ name: 'Nobody' })).toBeNull();
+    expect(parseResultRow(null)).toBeNull();
+  });
+
+  test('leaves missing fields null', () => {
+    const meta = parseResultRow({ zwid: '42' });
+    expect(meta.zwiftId).toBe('42');
+    expect(meta.team).toBeNull();
+    expect(meta.weight).toBeNull();
+  });
+});
+
+describe('parseResultsResponse', () => {
+  test('keys metadata by Zwift ID', () => {
+    const byZwiftId = parseResultsResponse({ data: [RESULT_ROW, { zwid: 1002, tname: 'Other' }, {}] });
+    expect(Object.keys(byZwiftId)).toEqual(['1001', '1002']);
+    expect(byZwiftId['1001'].team).toBe('Team & Co');
+    expect(byZwiftId['1001'].zwiftId).toBeUndefined();
+  });
+
+  test('handles missing data', () => {
+    expect(parseResultsResponse(null)).toEqual({});
+    expect(parseResultsResponse({})).toEqual({});
+  });
+});
+
+describe('mergeRiderMetadata', () => {
+  const meta = parseResultsResponse({ data: [RESULT_ROW] })['1001'];
+
+  test('adds every metadata field', () => {
+    const merged = mergeRiderMetadata({ zwiftId: '1001', name: 'Alice' }, meta);
+    expect(merged.name).toBe('Alice');
+    for (const field of RESULT_METADATA_FIELDS) {
+      expect(merged[field]).toBe(meta[field]);
+    }
+  });
+
+  test('keeps values already on the rider', () => {
+    const merged = mergeRiderMetadata({ zwiftId: '1001', team: 'Known', weight: 68 }, meta);
+    expect(merged.team).toBe('Known');
+    expect(merged.weight).toBe(68);
+  });
+
+  test('fills null fields without metadata', () => {
+    const merged = mergeRiderMetadata({ zwiftId: '1003' }, undefined);
+    expect(merged.team).toBeNull();
+    expect(merged.avgWkg).toBeNull();
+  });
+
+  test('derives W/kg from power and weight', () => {
+    const merged = mergeRiderMetadata({ zwiftId: '1' }, { avgPower: 250, weight: 75 });
+    expect(merged.avgWkg).toBe(3.33);
+  });
+});
+
+describe('getRiderFilterOptions', () => {
+  test('collects sorted unique teams and categories', () => {
+    const riders = [
+      { team: 'Zeta', category: 'B' },
+      { team: 'alpha', category: 'A' },
+      { team: 'Zeta', category: null },
+      { team: null, category: 'B' },
+    ];
+    expect(getRiderFilterOptions(riders)).toEqual({ teams: ['alpha', 'Zeta'], categories: ['A', 'B'] });
+  });
+});
+
+describe('matchesRiderFilter', () => {
+  const rider = { team: 'Zeta', category: 'B', avgWkg: 3.4 };
+
+  test('matches everything with an empty filter', () => {
+    expect(matchesRiderFilter(rider, null)).toBe(true);
+    expect(matchesRiderFilter(rider, { team: '', category: '', minWkg: null })).toBe(true);
+  });
+
+  test('filters by team and category', () => {
+    expect(matchesRiderFilter(rider, { team: 'Zeta' })).toBe(true);
+    expect(matchesRiderFilter(rider, { team: 'Other' })).toBe(false);
+    expect(matchesRiderFilter(rider, { category: 'A' })).toBe(false);
+  });
+
+  test('filters by W/kg range', () => {
+    expect(matchesRiderFilter(rider, { minWkg: 3 })).toBe(true);
+    expect(matchesRiderFilter(rider, { minWkg: 3.5 })).toBe(false);
+    expect(matchesRiderFilter(rider, { maxWkg: 3 })).toBe(false);
+  });
+
+  test('excludes riders without W/kg when a W/kg filter is set', () => {
+    expect(matchesRiderFilter({ team: 'Zeta', avgWkg: null }, { minWkg: 1 })).toBe(false);
+  });
+});
+
+describe('formatFinishTime', () => {
+  test('formats minutes and hours', () => {
+    expect(formatFinishTime(65.25)).toBe('1:05.3');
+    expect(formatFinishTime(3605.4)).toBe('1:00:05.4');
+  });
+
+  test('returns a dash for unknown times', () => {
+    expect(formatFinishTime(null)).toBe('-');
+  });
+});
+
+describe('flagEmoji', () => {
+  test('turns a country code into a flag', () => {
+    expect(flagEmoji('gb')).toBe('🇬🇧');
+    expect(flagEmoji('NL')).toBe('🇳🇱');
+  });
+
+  test('ignores invalid codes', () => {
+    expect(flagEmoji(null)).toBe('');
+    expect(flagEmoji('usa')).toBe('');
+  });
+});
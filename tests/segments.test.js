@@ -0,0 +1,158 @@
+/**
+ * Unit tests for climb detection and segment leaderboards
+ */
+
+const { makeProfile } = require('./helpers/replay-globals');
+
+const {
+  buildElevationProfile,
+  getProfileElevation,
+  getClimbCategory,
+  describeSegment,
+  detectClimbs,
+  createCustomSegment,
+  getRouteKey,
+  calcSegmentEffort,
+  buildSegmentLeaderboard,
+  formatSegmentSummary,
+  SEGMENT_TYPES,
+} = require('../src/segments');
+
+describe('buildElevationProfile', () => {
+  test('resamples elevation over distance', () => {
+    const rider = { distance: [0, 0.05, 0.2, 0.3], elevation: [10, 11, 14, 20] };
+    const profile = buildElevationProfile(rider, 10, 0.1);
+    expect(profile.map(p => p.elevation)).toEqual([10, 14, 14, 20]);
+  });
+
+  test('spreads elevation evenly without distance data', () => {
+    const profile = buildElevationProfile({ elevation: [0, 10, 20] }, 2, 1);
+    expect(profile).toEqual([
+      { distance: 0, elevation: 0 },
+      { distance: 1, elevation: 10 },
+      { distance: 2, elevation: 20 },
+    ]);
+  });
+
+  test('is empty without elevation data', () => {
+    expect(buildElevationProfile({ distance: [0, 1] }, 1)).toEqual([]);
+    expect(buildElevationProfile(undefined, 1)).toEqual([]);
+  });
+});
+
+describe('getProfileElevation', () => {
+  test('reads the first point at or past a distance', () => {
+    const profile = makeProfile([0, 5, 10]);
+    expect(getProfileElevation(profile, 0.05)).toBe(5);
+    expect(getProfileElevation(profile, 5)).toBe(10);
+    expect(getProfileElevation([], 1)).toBeNull();
+  });
+});
+
+describe('getClimbCategory', () => {
+  test('scores climbs by length and gradient', () => {
+    expect(getClimbCategory(12, 8.5)).toBe('HC');
+    expect(getClimbCategory(4, 5)).toBe('3');
+    expect(getClimbCategory(2, 4)).toBe('4');
+    expect(getClimbCategory(0.5, 4)).toBeNull();
+  });
+});
+
+describe('describeSegment', () => {
+  test('measures length, gain and gradient', () => {
+    const segment = describeSegment(makeProfile([100, 105, 110, 115, 120, 125]), 0, 0.5);
+    expect(segment.lengthKm).toBeCloseTo(0.5);
+    expect(segment.gainM).toBe(25);
+    expect(segment.avgGradient).toBeCloseTo(5);
+  });
+});
+
+describe('detectClimbs', () => {
+  test('finds a climb from its low point to its summit', () => {
+    // Flat, 600 m at 5%, then a descent
+    const profile = makeProfile([100, 100, 100, 105, 110, 115, 120, 125, 130, 120, 110]);
+    const climbs = detectClimbs(profile);
+    expect(climbs).toHaveLength(1);
+    expect(climbs[0]).toMatchObject({ id: 'climb-1', name: 'Climb 1', type: SEGMENT_TYPES.CLIMB, gainM: 30 });
+    expect(climbs[0].startKm).toBeCloseTo(0.2);
+    expect(climbs[0].endKm).toBeCloseTo(0.8);
+  });
+
+  test('rides through small dips', () => {
+    const profile = makeProfile([0, 6, 12, 18, 14, 20, 26, 32, 20, 10]);
+    const climbs = detectClimbs(profile);
+    expect(climbs).toHaveLength(1);
+    expect(climbs[0].gainM).toBe(32);
+  });
+
+  test('splits climbs separated by a real descent', () => {
+    const profile = makeProfile([0, 8, 16, 24, 12, 0, 8, 16, 24, 32]);
+    expect(detectClimbs(profile).map(c => c.name)).toEqual(['Climb 1', 'Climb 2']);
+  });
+
+  test('ignores rises that are too small or too shallow', () => {
+    expect(detectClimbs(makeProfile([0, 5, 10, 15, 10]))).toEqual([]);
+    expect(detectClimbs(makeProfile([0, 2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 22]))).toEqual([]);
+    expect(detectClimbs([])).toEqual([]);
+  });
+});
+
+describe('createCustomSegment', () => {
+  test('describes a user-defined stretch', () => {
+    const segment = createCustomSegment(makeProfile([0, 10, 20]), 0, 0.2, 'Sprint');
+    expect(segment).toMatchObject({ id: 'custom-0.00-0.20', name: 'Sprint', type: SEGMENT_TYPES.CUSTOM, gainM: 20 });
+  });
+});
+
+describe('getRouteKey', () => {
+  test('identifies a route by length and elevation range', () => {
+    expect(getRouteKey(makeProfile([12.4, 30, 20]))).toBe('0.2km:12-30m');
+    expect(getRouteKey([])).toBeNull();
+  });
+});
+
+describe('calcSegmentEffort', () => {
+  const segment = { startKm: 0.1, endKm: 0.3, gainM: 10 };
+  const rider = { distance: [0, 0.1, 0.2, 0.3], power: [100, 200, 300, 400] };
+
+  test('measures time, power, W/kg and VAM between the segment ends', () => {
+    const effort = calcSegmentEffort(rider, segment, 5, 75);
+    expect(effort.time).toBe(10);
+    expect(effort.avgPower).toBe(250);
+    expect(effort.wkg).toBeCloseTo(250 / 75);
+    expect(effort.vam).toBe(3600);
+  });
+
+  test('has no W/kg without a weight and no VAM on flat or downhill segments', () => {
+    const effort = calcSegmentEffort(rider, { ...segment, gainM: 0 }, 1, null);
+    expect(effort.wkg).toBeNull();
+    expect(effort.vam).toBeNull();
+  });
+
+  test('returns null when the rider did not complete the segment', () => {
+    expect(calcSegmentEffort(rider, { ...segment, endKm: 1 }, 1, null)).toBeNull();
+    expect(calcSegmentEffort({ power: [100] }, segment, 1, null)).toBeNull();
+  });
+});
+
+describe('buildSegmentLeaderboard', () => {
+  test('ranks riders who completed the segment by time', () => {
+    const segment = { startKm: 0, endKm: 0.2, gainM: 5 };
+    const riders = [
+      { zwiftId: 'slow', distance: [0, 0.05, 0.1, 0.15, 0.2], power: [200, 200, 200, 200, 200] },
+      { zwiftId: 'fast', distance: [0, 0.1, 0.2], power: [300, 300, 300], weight: 60 },
+      { zwiftId: 'dnf', distance: [0, 0.1], power: [300, 300] },
+    ];
+    const board = buildSegmentLeaderboard(riders, segment, 1, { slow: 80 });
+    expect(board.map(e => [e.rank, e.rider.zwiftId, e.time])).toEqual([[1, 'fast', 2], [2, 'slow', 4]]);
+    expect(board[0].wkg).toBe(5);
+    expect(board[1].wkg).toBe(2.5);
+  });
+});
+
+describe('formatSegmentSummary', () => {
+  test('summarizes category, length and gradient', () => {
+    expect(formatSegmentSummary({ category: '2', lengthKm: 3.42, avgGradient: 5.06 })).toBe('Cat 2 · 3.4 km · 5.1%');
+    expect(formatSegmentSummary({ category: null, lengthKm: 0.5, avgGradient: -1 })).toBe('0.5 km · -1.0%');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for storage management helpers
+ */
+
+const {
+  normalizeStorageSettings,
+  estimateRaceBytes,
+  getRaceBytes,
+  getStorageUsage,
+  selectRacesToEvict,
+  applyStoragePolicy,
+  appendEvictionLog,
+  formatBytes,
+  measureStorageBytes,
+  STORAGE_POLICIES,
+  DEFAULT_STORAGE_SETTINGS,
+  BYTES_PER_MB,
+} = require('../src/storage-manager');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+function makeRaces() {
+  return {
+    old: { eventId: 'old', eventName: 'Old Race', syncedAt: '2025-10-01T00:00:00Z', sizeBytes: 3 * BYTES_PER_MB },
+    mid: { eventId: 'mid', eventName: 'Mid Race', syncedAt: '2026-01-15T00:00:00Z', sizeBytes: 2 * BYTES_PER_MB },
+    pinned: { eventId: 'pinned', eventName: 'Pinned Race', syncedAt: '2025-09-01T00:00:00Z', sizeBytes: 4 * BYTES_PER_MB, pinned: true },
+    fresh: { eventId: 'fresh', eventName: 'Fresh Race', syncedAt: '2026-02-28T00:00:00Z', sizeBytes: 1 * BYTES_PER_MB },
+  };
+}
+
+describe('normalizeStorageSettings', () => {
+  test('fills in defaults', () => {
+    expect(normalizeStorageSettings(null)).toEqual(DEFAULT_STORAGE_SETTINGS);
+  });
+
+  test('rejects unknown policies and invalid limits', () => {
+    const settings = normalizeStorageSettings({ policy: 'random', maxRaces: -1, maxMegabytes: 'abc', maxAgeDays: '7' });
+    expect(settings.policy).toBe(DEFAULT_STORAGE_SETTINGS.policy);
+    expect(settings.maxRaces).toBe(DEFAULT_STORAGE_SETTINGS.maxRaces);
+    expect(settings.maxMegabytes).toBe(DEFAULT_STORAGE_SETTINGS.maxMegabytes);
+    expect(settings.maxAgeDays).toBe(7);
+  });
+});
+
+describe('race size tracking', () => {
+  test('estimates size from JSON, ignoring the size field itself', () => {
+    const race = { eventId: '1', riders: [{ power: [100, 200] }] };
+    const bytes = estimateRaceBytes(race);
+    expect(bytes).toBe(JSON.stringify(race).length);
+    expect(estimateRaceBytes({ ...race, sizeBytes: 999 })).toBe(bytes);
+  });
+
+  test('prefers the tracked size', () => {
+    expect(getRaceBytes({ sizeBytes: 42, riders: [] })).toBe(42);
+    expect(getRaceBytes({ riders: [] })).toBe(JSON.stringify({ riders: [] }).length);
+  });
+
+  test('summarizes usage', () => {
+    const usage = getStorageUsage(makeRaces());
+    expect(usage.totalBytes).toBe(10 * BYTES_PER_MB);
+    expect(usage.raceCount).toBe(4);
+    expect(usage.pinnedCount).toBe(1);
+    expect(usage.pinnedBytes).toBe(4 * BYTES_PER_MB);
+  });
+});
+
+describe('selectRacesToEvict', () => {
+  test('keeps everything with the none policy', () => {
+    expect(selectRacesToEvict(makeRaces(), { policy: STORAGE_POLICIES.NONE, maxRaces: 1 })).toEqual([]);
+  });
+
+  test('count policy evicts oldest unpinned races', () => {
+    const evicted = selectRacesToEvict(makeRaces(), { policy: STORAGE_POLICIES.COUNT, maxRaces: 2 });
+    expect(evicted).toEqual(['old', 'mid']);
+  });
+
+  test('size policy evicts until under the limit', () => {
+    const evicted = selectRacesToEvict(makeRaces(), { policy: STORAGE_POLICIES.SIZE, maxMegabytes: 6 });
+    expect(evicted).toEqual(['old', 'mid']);
+    expect(selectRacesToEvict(makeRaces(), { policy: STORAGE_POLICIES.SIZE, maxMegabytes: 8 })).toEqual(['old']);
+  });
+
+  test('age policy evicts races older than the limit', () => {
+    const evicted = selectRacesToEvict(makeRaces(), { policy: STORAGE_POLICIES.AGE, maxAgeDays: 30 }, null, NOW);
+    expect(evicted).toEqual(['old', 'mid']);
+  });
+
+  test('never evicts pinned, syncing or kept races', () => {
+    const races = makeRaces();
+    races.old.syncInProgress = true;
+    const evicted = selectRacesToEvict(races, { policy: STORAGE_POLICIES.COUNT, maxRaces: 1 }, 'fresh');
+    expect(evicted).toEqual(['mid']);
+  });
+});
+
+describe('applyStoragePolicy', () => {
+  test('removes evicted races and reports them', () => {
+    const { races, evicted } = applyStoragePolicy(makeRaces(), { policy: STORAGE_POLICIES.COUNT, maxRaces: 3 });
+    expect(Object.keys(races).sort()).toEqual(['fresh', 'mid', 'pinned']);
+    expect(evicted).toEqual([{ eventId: 'old', eventName: 'Old Race' }]);
+  });
+
+  test('returns the same races when nothing is evicted', () => {
+    const input = makeRaces();
+    expect(applyStoragePolicy(input, { policy: STORAGE_POLICIES.COUNT, maxRaces: 10 }).races).toBe(input);
+  });
+});
+
+describe('appendEvictionLog', () => {
+  test('puts newest evictions first and caps the log', () => {
+    const log = appendEvictionLog([{ eventId: 'a' }], [{ eventId: 'b', eventName: 'B' }], NOW);
+    expect(log[0]).toEqual({ eventId: 'b', eventName: 'B', evictedAt: NOW.toISOString() });
+    expect(log[1].eventId).toBe('a');
+
+    const many = Array.from({ length: 30 }, (_, i) => ({ eventId: String(i) }));
+    expect(appendEvictionLog(null, many, NOW).length).toBe(20);
+  });
+});
+
+describe('formatBytes', () => {
+  test('formats sizes', () => {
+    expect(formatBytes(0)).toBe('0 B');
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(2048)).toBe('2 KB');
+    expect(formatBytes(1.5 * BYTES_PER_MB)).toBe('1.5 MB');
+    expect(formatBytes(2048 * BYTES_PER_MB)).toBe('2.00 GB');
+  });
+});
+
+describe('measureStorageBytes', () => {
+  afterEach(() => {
+    delete global.navigator;
+    delete global.chrome;
+  });
+
+  function mockStorage(usage, indexBytes) {
+    Object.defineProperty(global, 'navigator', {
+      value: { storage: { estimate: async () => ({ usage }) } },
+      configurable: true,
+    });
+    global.chrome = { storage: { local: { getBytesInUse: async () => indexBytes } } };
+  }
+
+  test('adds IndexedDB usage to the race list in extension storage', async () => {
+    mockStorage(5 * BYTES_PER_MB, 2048);
+    expect(await measureStorageBytes()).toBe(5 * BYTES_PER_MB + 2048);
+  });
+
+  test('is unknown when the browser does not report usage', async () => {
+    mockStorage(undefined, 2048);
+    expect(await measureStorageBytes()).toBeNull();
+  });
+});
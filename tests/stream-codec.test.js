@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the rider stream codec
+ */
+
+const {
+  isEncodedStream,
+  findStreamScale,
+  writeZigzagVarints,
+  readZigzagVarints,
+  encodeStream,
+  decodeStream,
+  canCompressStreams,
+  encodeRiderStreams,
+  decodeRiderStreams,
+  STREAM_FIELDS,
+  MAX_STREAM_SAMPLES,
+} = require('../src/stream-codec');
+
+const fixture = require('./fixtures/race.json');
+
+describe('findStreamScale', () => {
+  test('finds the fewest exact decimals', () => {
+    expect(findStreamScale([100, 250, 310])).toBe(0);
+    expect(findStreamScale([12.4, 12.6, 13])).toBe(1);
+    expect(findStreamScale([0.0132, 0.0264])).toBe(4);
+    expect(findStreamScale([1, null, 2])).toBe(0);
+  });
+
+  test('returns null for values needing full precision', () => {
+    expect(findStreamScale([Math.PI])).toBe(null);
+    expect(findStreamScale([-0])).toBe(null);
+    expect(findStreamScale([NaN])).toBe(null);
+  });
+});
+
+describe('zigzag varints', () => {
+  test('round-trips small, negative and large integers', () => {
+    const ints = [0, 1, -1, 63, -64, 127, 128, -129, 300000, -(2 ** 40), 2 ** 45];
+    expect(readZigzagVarints(writeZigzagVarints(ints), ints.length)).toEqual(ints);
+  });
+
+  test('uses one byte for small deltas', () => {
+    expect(writeZigzagVarints([0, 5, -5]).length).toBe(3);
+  });
+
+  test('rejects truncated input', () => {
+    expect(() => readZigzagVarints(writeZigzagVarints([1000]).slice(0, 1), 1)).toThrow('truncated');
+  });
+});
+
+describe('encodeStream / decodeStream', () => {
+  test('round-trips integer, decimal and empty streams', () => {
+    for (const values of [[250, 260, 255, 0, 900], [12.4, 12.6, 11.8, -3.2], [], [7]]) {
+      const encoded = encodeStream(values);
+      expect(isEncodedStream(encoded)).toBe(true);
+      expect(decodeStream(encoded)).toEqual(values);
+    }
+  });
+
+  test('keeps null gaps', () => {
+    const values = [null, 100, null, null, 120, null];
+    const encoded = encodeStream(values);
+    expect(encoded.nulls).toEqual([0, 2, 3, 5]);
+    expect(decodeStream(encoded)).toEqual(values);
+  });
+
+  test('falls back to floats for values without short decimals', () => {
+    const values = [Math.PI, Math.E, null, 1 / 3];
+    const encoded = encodeStream(values);
+    expect(encoded.enc).toBe('f64');
+    expect(decodeStream(encoded)).toEqual(values);
+  });
+
+  test('is smaller than JSON for typical streams', () => {
+    const power = fixture.riders[0].power;
+    expect(JSON.stringify(encodeStream(power)).length).toBeLessThan(JSON.stringify(power).length);
+  });
+});
+
+describe('isEncodedStream', () => {
+  test('rejects plain arrays and other objects', () => {
+    expect(isEncodedStream([1, 2])).toBe(false);
+    expect(isEncodedStream({ enc: 'delta' })).toBe(false);
+    expect(isEncodedStream(null)).toBe(false);
+  });
+
+  test('rejects sample counts, gaps and scales decodeStream cannot use', () => {
+    const valid = encodeStream([null, 100, 110]);
+    expect(isEncodedStream(valid)).toBe(true);
+    for (const changes of [
+      { n: -1 },
+      { n: MAX_STREAM_SAMPLES + 1 },
+      { n: 2.5 },
+      { nulls: 'all' },
+      { nulls: [3] },
+      { nulls: [-1] },
+      { nulls: [1, 0] },
+      { nulls: [0, 0] },
+      { scale: undefined },
+      { scale: -1 },
+      { scale: Infinity },
+      { z: 'gzip-bomb' },
+    ]) {
+      expect(isEncodedStream({ ...valid, ...changes })).toBe(false);
+    }
+  });
+});
+
+describe('rider streams', () => {
+  test('decode(encode(x)) equals x for every fixture rider', async () => {
+    for (const rider of fixture.riders) {
+      const encoded = await encodeRiderStreams(rider, { compress: false });
+      for (const field of STREAM_FIELDS) {
+        if (rider[field]) expect(isEncodedStream(encoded[field])).toBe(true);
+      }
+      expect(await decodeRiderStreams(encoded)).toEqual(rider);
+    }
+  });
+
+  test('leaves non-stream fields and plain riders alone', async () => {
+    const rider = fixture.riders[1];
+    const encoded = await encodeRiderStreams(rider, { compress: false });
+    expect(encoded.name).toBe(rider.name);
+    expect(encoded.zwiftId).toBe(rider.zwiftId);
+    expect(await decodeRiderStreams(rider)).toEqual(rider);
+  });
+
+  test('encoding twice keeps streams unchanged', async () => {
+    const once = await encodeRiderStreams(fixture.riders[0], { compress: false });
+    const twice = await encodeRiderStreams(once, { compress: false });
+    expect(twice).toEqual(once);
+  });
+
+  (canCompressStreams() ? test : test.skip)('round-trips compressed streams', async () => {
+    const rider = fixture.riders[2];
+    const encoded = await encodeRiderStreams(rider, { compress: true });
+    expect(await decodeRiderStreams(encoded)).toEqual(rider);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for sync queue state helpers
+ */
+
+const {
+  createSyncJob,
+  enqueueSyncJob,
+  mergeRunningJob,
+  updateSyncJob,
+  removeSyncJob,
+  getPendingRiders,
+  markRiderFetched,
+  markRiderFailed,
+  getJobProgress,
+  getNextQueuedJob,
+  isResumableJob,
+  resumeSyncJob,
+  recoverInterruptedJobs,
+  clearStaleSyncFlags,
+  SYNC_JOB_STATUS,
+} = require('../src/sync-queue');
+
+const NOW = new Date('2026-01-10T20:00:00Z');
+
+function makeContext(overrides = {}) {
+  const riders = [
+    { position: 1, name: 'Anna', zwiftId: 'a' },
+    { position: 2, name: 'Ben', zwiftId: 'b', isCurrentUser: true },
+    { position: 3, name: 'Carl', zwiftId: 'c' },
+  ];
+  return {
+    eventId: '123',
+    fullEventId: '123_A',
+    fullEventName: 'Race - Category A',
+    categoryId: 'A',
+    categoryName: 'Category A',
+    currentUserZwiftId: 'b',
+    allRiders: riders,
+    ridersToSync: riders,
+    ...overrides,
+  };
+}
+
+describe('createSyncJob', () => {
+  test('creates a queued job keyed by full event ID', () => {
+    const job = createSyncJob(makeContext(), NOW);
+    expect(job.id).toBe('123_A');
+    expect(job.eventId).toBe('123');
+    expect(job.status).toBe(SYNC_JOB_STATUS.QUEUED);
+    expect(job.riders.length).toBe(3);
+    expect(job.totalRiders).toBe(3);
+    expect(job.createdAt).toBe(NOW.toISOString());
+  });
+
+  test('keeps only rider identity fields', () => {
+    const ctx = makeContext({ ridersToSync: [{ position: 1, name: 'Anna', zwiftId: 'a', power: [1] }] });
+    const job = createSyncJob(ctx, NOW);
+    expect(job.riders[0]).toEqual({ position: 1, name: 'Anna', zwiftId: 'a', team: null, isCurrentUser: false });
+  });
+});
+
+describe('enqueueSyncJob', () => {
+  test('appends new jobs', () => {
+    const queue = enqueueSyncJob([], createSyncJob(makeContext(), NOW));
+    expect(queue.length).toBe(1);
+  });
+
+  test('merges with an existing job for the same race', () => {
+    const first = markRiderFetched({ ...createSyncJob(makeContext(), NOW), status: SYNC_JOB_STATUS.PAUSED }, 'a');
+    const queue = enqueueSyncJob([first], createSyncJob(makeContext(), NOW));
+    expect(queue.length).toBe(1);
+    expect(queue[0].fetchedZwiftIds).toEqual(['a']);
+    expect(queue[0].status).toBe(SYNC_JOB_STATUS.QUEUED);
+  });
+
+  test('does not requeue a running job', () => {
+    const running = { ...createSyncJob(makeContext(), NOW), status: SYNC_JOB_STATUS.RUNNING };
+    const queue = enqueueSyncJob([running], createSyncJob(makeContext(), NOW));
+    expect(queue[0].status).toBe(SYNC_JOB_STATUS.RUNNING);
+  });
+
+  test('adds new riders to a running job and keeps its progress', () => {
+    const running = markRiderFailed(markRiderFetched({
+      ...createSyncJob(makeContext({ ridersToSync: makeContext().allRiders.slice(0, 2) }), NOW),
+      status: SYNC_JOB_STATUS.RUNNING,
+    }, 'a'), 'b');
+    const queue = enqueueSyncJob([running], createSyncJob(makeContext({
+      ridersToSync: [{ position: 3, name: 'Carl', zwiftId: 'c' }, { position: 1, name: 'Anna', zwiftId: 'a' }],
+    }), NOW));
+    expect(queue[0].riders.map(r => r.zwiftId)).toEqual(['a', 'b', 'c']);
+    expect(queue[0].fetchedZwiftIds).toEqual(['a']);
+    expect(queue[0].failedZwiftIds).toEqual(['b']);
+  });
+});
+
+describe('mergeRunningJob', () => {
+  const local = markRiderFetched({
+    ...createSyncJob(makeContext({ ridersToSync: makeContext().allRiders.slice(0, 2) }), NOW),
+    status: SYNC_JOB_STATUS.RUNNING,
+  }, 'b');
+
+  test('keeps the runner progress and picks up riders added meanwhile', () => {
+    const stored = { ...local, fetchedZwiftIds: [], riders: makeContext().allRiders };
+    const merged = mergeRunningJob(stored, local);
+    expect(merged.fetchedZwiftIds).toEqual(['b']);
+    expect(getPendingRiders(merged).map(r => r.zwiftId)).toEqual(['a', 'c']);
+  });
+
+  test('returns the runner copy once the stored job is gone', () => {
+    expect(mergeRunningJob(null, local)).toBe(local);
+  });
+});
+
+describe('updateSyncJob / removeSyncJob', () => {
+  test('replaces job and stamps update time', () => {
+    const job = createSyncJob(makeContext(), NOW);
+    const later = new Date('2026-01-10T21:00:00Z');
+    const queue = updateSyncJob([job], { ...job, status: SYNC_JOB_STATUS.RUNNING }, later);
+    expect(queue[0].status).toBe(SYNC_JOB_STATUS.RUNNING);
+    expect(queue[0].updatedAt).toBe(later.toISOString());
+  });
+
+  test('ignores jobs that are no longer queued', () => {
+    const job = createSyncJob(makeContext(), NOW);
+    expect(updateSyncJob([], job)).toEqual([]);
+  });
+
+  test('removes job by ID', () => {
+    const job = createSyncJob(makeContext(), NOW);
+    expect(removeSyncJob([job], job.id)).toEqual([]);
+  });
+});
+
+describe('rider tracking', () => {
+  test('skips fetched, failed and already synced riders', () => {
+    let job = createSyncJob(makeContext(), NOW);
+    job = markRiderFetched(job, 'a');
+    job = markRiderFailed(job, 'b');
+    expect(getPendingRiders(job).map(r => r.zwiftId)).toEqual(['c']);
+    expect(getPendingRiders(job, ['c'])).toEqual([]);
+  });
+
+  test('does not record a rider twice', () => {
+    let job = createSyncJob(makeContext(), NOW);
+    job = markRiderFetched(markRiderFetched(job, 'a'), 'a');
+    expect(job.fetchedZwiftIds).toEqual(['a']);
+  });
+
+  test('reports progress over all job riders', () => {
+    let job = createSyncJob(makeContext(), NOW);
+    job = markRiderFailed(markRiderFetched(job, 'a'), 'b');
+    expect(getJobProgress(job)).toEqual({ current: 2, total: 3 });
+  });
+});
+
+describe('queue control', () => {
+  const job = (id, status) => ({ ...createSyncJob(makeContext({ fullEventId: id }), NOW), status });
+
+  test('finds the next queued job', () => {
+    const queue = [job('1', SYNC_JOB_STATUS.PAUSED), job('2', SYNC_JOB_STATUS.QUEUED)];
+    expect(getNextQueuedJob(queue).id).toBe('2');
+    expect(getNextQueuedJob([job('1', SYNC_JOB_STATUS.ERROR)])).toBe(null);
+  });
+
+  test('marks only stopped jobs as resumable', () => {
+    expect(isResumableJob(job('1', SYNC_JOB_STATUS.INTERRUPTED))).toBe(true);
+    expect(isResumableJob(job('1', SYNC_JOB_STATUS.PAUSED))).toBe(true);
+    expect(isResumableJob(job('1', SYNC_JOB_STATUS.ERROR))).toBe(true);
+    expect(isResumableJob(job('1', SYNC_JOB_STATUS.RUNNING))).toBe(false);
+    expect(isResumableJob(job('1', SYNC_JOB_STATUS.QUEUED))).toBe(false);
+  });
+
+  test('resume requeues job and retries failed riders', () => {
+    const stopped = markRiderFailed(job('1', SYNC_JOB_STATUS.ERROR), 'c');
+    const [resumed] = resumeSyncJob([{ ...stopped, error: 'boom' }], '1');
+    expect(resumed.status).toBe(SYNC_JOB_STATUS.QUEUED);
+    expect(resumed.failedZwiftIds).toEqual([]);
+    expect(resumed.error).toBe(null);
+  });
+
+  test('marks running jobs as interrupted on recovery', () => {
+    const queue = recoverInterruptedJobs([job('1', SYNC_JOB_STATUS.RUNNING), job('2', SYNC_JOB_STATUS.QUEUED)]);
+    expect(queue.map(j => j.status)).toEqual([SYNC_JOB_STATUS.INTERRUPTED, SYNC_JOB_STATUS.QUEUED]);
+  });
+});
+
+describe('clearStaleSyncFlags', () => {
+  test('clears syncInProgress on races without a running sync', () => {
+    const races = {
+      a: { eventId: 'a', syncInProgress: true, syncProgress: { current: 1, total: 2 } },
+      b: { eventId: 'b', syncInProgress: true },
+      c: { eventId: 'c', syncInProgress: false },
+    };
+    const { races: result, changed } = clearStaleSyncFlags(races, ['b']);
+    expect(changed).toBe(true);
+    expect(result.a.syncInProgress).toBe(false);
+    expect(result.a.syncProgress).toBe(null);
+    expect(result.b.syncInProgress).toBe(true);
+    expect(result.c).toBe(races.c);
+  });
+
+  test('reports no change when nothing is stale', () => {
+    expect(clearStaleSyncFlags({ a: { syncInProgress: false } }).changed).toBe(false);
+  });
+});
@@ -6,16 +6,35 @@ const {
   formatTime,
   formatTimeGap,
   timeToIndex,
+  interpolateSample,
   extractZwiftId,
   calcSpeed,
   calcTimeGapFromDistance,
   detectGroups,
+  normalizeGroupingOptions,
+  calcGroupGap,
+  labelGroups,
+  assignGroupIds,
+  createGroupTracker,
+  GROUPING_MODES,
+  GROUP_ROLES,
+  BREAKAWAY_MAX_RIDERS,
+  DEFAULT_GROUP_GAP_METERS,
+  calcCurrentDistance,
+  calcRaceDistanceKm,
+  getStandingsAt,
+  DEFAULT_RACE_DISTANCE_KM,
+  findSampleIndexAtDistance,
   selectRidersToSync,
+  normalizeSyncSelection,
+  selectRidersBySettings,
+  estimateSyncSeconds,
   isValidPosition,
   lerp,
   clamp,
   calcGroupAveragePower,
   calcGroupAverageHR,
+  escapeHtml,
   filterRidersByName,
   highlightMatch,
   isValidCategory,
@@ -23,10 +42,14 @@ const {
   parseCategoryFromUrl,
   formatCategoryName,
   parsePosition,
+  sortCategoryIds,
+  parseEventIdList,
   SECONDS_PER_MINUTE,
   DEFAULT_SPEED_KMH,
   GROUP_GAP_THRESHOLD_SECONDS,
   MAX_POSITION,
+  DEFAULT_SYNC_TOP_COUNT,
+  SYNC_SELECTION_MODES,
 } = require('../src/utils');
 
 describe('formatTime', () => {
@@ -172,6 +195,101 @@ describe('calcTimeGapFromDistance', () => {
   });
 });
 
+describe('interpolateSample', () => {
+  test('blends neighbouring samples at fractional times', () => {
+    expect(interpolateSample([100, 200, 400], 2.5, 5)).toBe(150);
+    expect(interpolateSample([100, 200, 400], 7.5, 5)).toBe(300);
+    expect(interpolateSample([100, 200, 400], 5, 5)).toBe(200);
+  });
+
+  test('holds the last sample and is null past the end', () => {
+    expect(interpolateSample([100, 200], 1.5)).toBe(200);
+    expect(interpolateSample([100, 200], 2)).toBeNull();
+    expect(interpolateSample(undefined, 0)).toBeNull();
+  });
+});
+
+describe('calcCurrentDistance', () => {
+  test('reads distance data at the time index', () => {
+    expect(calcCurrentDistance({ distance: [0, 0.5, 1.2] }, 4, 2, 40)).toBe(1.2);
+  });
+
+  test('interpolates between samples', () => {
+    expect(calcCurrentDistance({ distance: [0, 0.5, 1.2] }, 3, 2, 40)).toBeCloseTo(0.85);
+  });
+
+  test('falls back to an even pace without distance data', () => {
+    expect(calcCurrentDistance({ duration: 100 }, 50, 1, 40)).toBe(20);
+    expect(calcCurrentDistance({ duration: 50, distance: [] }, 50, 2, 40)).toBe(20);
+  });
+});
+
+describe('calcRaceDistanceKm', () => {
+  test('rounds the furthest distance up to whole km', () => {
+    expect(calcRaceDistanceKm([{ distance: [0, 12.3] }, { distance: [0, 9] }, {}])).toBe(13);
+  });
+
+  test('falls back to the default without distance data', () => {
+    expect(calcRaceDistanceKm([{ duration: 10 }])).toBe(DEFAULT_RACE_DISTANCE_KM);
+    expect(calcRaceDistanceKm([])).toBe(DEFAULT_RACE_DISTANCE_KM);
+  });
+});
+
+describe('getStandingsAt', () => {
+  test('orders riders by distance with their current power', () => {
+    const riders = [
+      { zwiftId: 'a', distance: [0, 1, 2], power: [100, 200, 300] },
+      { zwiftId: 'b', distance: [0, 2, 3], power: [150, 250, 350] },
+    ];
+    const standings = getStandingsAt(riders, 1, 1, 10);
+    expect(standings.map(r => r.zwiftId)).toEqual(['b', 'a']);
+    expect(standings[0].currentDistance).toBe(2);
+    expect(standings[0].currentPower).toBe(250);
+  });
+
+  test('interpolates between samples like the replay', () => {
+    const standings = getStandingsAt([{ zwiftId: 'a', distance: [0, 1, 2], power: [100, 200, 300] }], 3, 2, 10);
+    expect(standings[0].currentDistance).toBeCloseTo(1.5);
+    expect(standings[0].currentPower).toBeCloseTo(250);
+  });
+
+  test('estimates distance for riders without distance data', () => {
+    const riders = [
+      { zwiftId: 'a', distance: [0, 1, 2] },
+      { zwiftId: 'b', duration: 4 }, // 10 km in 4 samples: 5 km after 2s
+    ];
+    const standings = getStandingsAt(riders, 2, 1, 10);
+    expect(standings.map(r => r.zwiftId)).toEqual(['b', 'a']);
+    expect(standings[0].currentDistance).toBe(5);
+    expect(standings[0].currentPower).toBe(0);
+  });
+
+  test('keeps finished riders ahead once their data ends', () => {
+    const riders = [
+      { zwiftId: 'done', duration: 3, distance: [0, 5, 10] },
+      { zwiftId: 'riding', duration: 6, distance: [0, 2, 4, 6, 8, 9.9] },
+    ];
+    expect(getStandingsAt(riders, 4, 1, 10).map(r => r.zwiftId)).toEqual(['done', 'riding']);
+  });
+});
+
+describe('findSampleIndexAtDistance', () => {
+  const distance = [0, 0.1, 0.25, 0.25, 0.4];
+
+  test('finds the first sample at or past the distance', () => {
+    expect(findSampleIndexAtDistance(distance, 0)).toBe(0);
+    expect(findSampleIndexAtDistance(distance, 0.2)).toBe(2);
+    expect(findSampleIndexAtDistance(distance, 0.25)).toBe(2);
+    expect(findSampleIndexAtDistance(distance, 0.4)).toBe(4);
+  });
+
+  test('returns null beyond the last sample or without distance data', () => {
+    expect(findSampleIndexAtDistance(distance, 0.5)).toBeNull();
+    expect(findSampleIndexAtDistance([], 0)).toBeNull();
+    expect(findSampleIndexAtDistance(undefined, 0)).toBeNull();
+  });
+});
+
 describe('detectGroups', () => {
   test('returns empty array for empty standings', () => {
     expect(detectGroups([], 60, 1)).toEqual([]);
@@ -186,7 +304,7 @@ describe('detectGroups', () => {
     const groups = detectGroups(standings, 60, 1);
     expect(groups.length).toBe(1);
     expect(groups[0].riders.length).toBe(3);
-    expect(groups[0].name).toBe('Lead Group');
+    expect(groups[0].name).toBe('Peloton');
   });
 
   test('separates riders into groups based on gap', () => {
@@ -222,6 +340,165 @@ describe('detectGroups', () => {
     const groups = detectGroups(standings, 60, 1);
     expect(groups[0].avgPower).toBe(250);
   });
+
+  test('averages W/kg over riders with known weight', () => {
+    const standings = [
+      { position: 1, currentDistance: 10.0, currentPower: 300, currentWkg: 4 },
+      { position: 2, currentDistance: 9.99, currentPower: 200, currentWkg: 3 },
+      { position: 3, currentDistance: 9.98, currentPower: 250, currentWkg: null },
+    ];
+    const groups = detectGroups(standings, 60, 1);
+    expect(groups[0].avgWkg).toBe(3.5);
+  });
+
+  test('leaves group W/kg empty when no weights are known', () => {
+    const standings = [{ position: 1, currentDistance: 10.0, currentPower: 300 }];
+    expect(detectGroups(standings, 60, 1)[0].avgWkg).toBeNull();
+  });
+});
+
+describe('normalizeGroupingOptions', () => {
+  test('defaults to the time gap threshold', () => {
+    expect(normalizeGroupingOptions()).toEqual({ mode: GROUPING_MODES.TIME, threshold: 5 });
+    expect(normalizeGroupingOptions({ mode: 'bogus', threshold: 8 })).toEqual({ mode: GROUPING_MODES.TIME, threshold: 8 });
+  });
+
+  test('uses the metre default in distance mode', () => {
+    expect(normalizeGroupingOptions({ mode: GROUPING_MODES.DISTANCE }))
+      .toEqual({ mode: GROUPING_MODES.DISTANCE, threshold: DEFAULT_GROUP_GAP_METERS });
+  });
+
+  test('keeps the threshold in range', () => {
+    expect(normalizeGroupingOptions({ threshold: 0 }).threshold).toBe(1);
+    expect(normalizeGroupingOptions({ mode: GROUPING_MODES.DISTANCE, threshold: 1000 }).threshold).toBe(200);
+  });
+});
+
+describe('calcGroupGap', () => {
+  const ahead = { currentDistance: 10.0 };
+  const behind = { currentDistance: 9.92 };
+
+  test('measures in the grouping mode, whichever rider is ahead', () => {
+    const distance = { mode: GROUPING_MODES.DISTANCE, threshold: 25 };
+    expect(calcGroupGap(ahead, behind, 60, 1, distance)).toBeCloseTo(80);
+    expect(calcGroupGap(behind, ahead, 60, 1, distance)).toBeCloseTo(80);
+  });
+
+  test('measures seconds by default', () => {
+    expect(calcGroupGap(behind, ahead, 60)).toBeCloseTo(calcTimeGapFromDistance(0.08, behind, 60));
+  });
+});
+
+// Riders without distance data ride at DEFAULT_SPEED_KMH (40 km/h, about 11 m/s)
+describe('detectGroups options', () => {
+  const standings = [
+    { zwiftId: 'a', position: 1, currentDistance: 10.0, currentPower: 300 },
+    { zwiftId: 'b', position: 2, currentDistance: 9.92, currentPower: 280 }, // 80 m, ~7s behind
+  ];
+
+  test('splits at a custom time threshold', () => {
+    expect(detectGroups(standings, 60, 1)).toHaveLength(2);
+    expect(detectGroups(standings, 60, 1, 1, { threshold: 10 })).toHaveLength(1);
+  });
+
+  test('groups by distance in metres', () => {
+    expect(detectGroups(standings, 60, 1, 1, { mode: GROUPING_MODES.DISTANCE })).toHaveLength(2);
+    expect(detectGroups(standings, 60, 1, 1, { mode: GROUPING_MODES.DISTANCE, threshold: 100 })).toHaveLength(1);
+  });
+
+  test('keeps riders who were together grouped within the hysteresis margin', () => {
+    const previous = [{ riders: [{ zwiftId: 'a' }, { zwiftId: 'b' }] }];
+    expect(detectGroups(standings, 60, 1, 1, { previous })).toHaveLength(1);
+
+    const apart = [{ riders: [{ zwiftId: 'a' }] }, { riders: [{ zwiftId: 'b' }] }];
+    expect(detectGroups(standings, 60, 1, 1, { previous: apart })).toHaveLength(2);
+  });
+
+  test('still splits once the gap passes the hysteresis margin', () => {
+    const previous = [{ riders: [{ zwiftId: 'a' }, { zwiftId: 'b' }] }];
+    const dropped = [standings[0], { ...standings[1], currentDistance: 9.8 }];
+    expect(detectGroups(dropped, 60, 1, 1, { previous })).toHaveLength(2);
+  });
+});
+
+describe('labelGroups', () => {
+  const group = (size) => ({ riders: new Array(size).fill({}) });
+
+  test('names the largest group the peloton and a small group ahead the breakaway', () => {
+    const groups = labelGroups([group(3), group(2), group(40), group(5), group(1)]);
+    expect(groups.map(g => g.name)).toEqual(['Breakaway', 'Chase', 'Peloton', 'Dropped 1', 'Dropped 2']);
+    expect(groups.map(g => g.role)).toEqual([
+      GROUP_ROLES.BREAKAWAY, GROUP_ROLES.CHASE, GROUP_ROLES.PELOTON, GROUP_ROLES.DROPPED, GROUP_ROLES.DROPPED,
+    ]);
+  });
+
+  test('calls a large front group the lead group', () => {
+    const groups = labelGroups([group(BREAKAWAY_MAX_RIDERS + 1), group(30)]);
+    expect(groups.map(g => g.name)).toEqual(['Lead Group', 'Peloton']);
+  });
+
+  test('picks the front group as the peloton on a tie', () => {
+    expect(labelGroups([group(4), group(4)]).map(g => g.name)).toEqual(['Peloton', 'Dropped']);
+    expect(labelGroups([])).toEqual([]);
+  });
+});
+
+describe('assignGroupIds', () => {
+  const rider = (zwiftId) => ({ zwiftId });
+
+  test('keeps IDs for groups that share the most riders', () => {
+    const previous = [
+      { id: 1, riders: [rider('a'), rider('b'), rider('c')] },
+      { id: 2, riders: [rider('d')] },
+    ];
+    const groups = [
+      { riders: [rider('a')] },
+      { riders: [rider('b'), rider('c')] },
+      { riders: [rider('d')] },
+    ];
+    const result = assignGroupIds(groups, previous, 3);
+    expect(result.groups.map(g => g.id)).toEqual([3, 1, 2]);
+    expect(result.nextId).toBe(4);
+  });
+
+  test('numbers groups from nextId without a previous frame', () => {
+    const result = assignGroupIds([{ riders: [rider('a')] }, { riders: [rider('b')] }], [], 1);
+    expect(result.groups.map(g => g.id)).toEqual([1, 2]);
+  });
+});
+
+describe('createGroupTracker', () => {
+  const at = (distances) => Object.entries(distances).map(([zwiftId, currentDistance], idx) => ({
+    zwiftId, position: idx + 1, currentDistance, currentPower: 200,
+  }));
+
+  test('keeps a group\'s ID when a split happens ahead of it', () => {
+    const tracker = createGroupTracker();
+    const first = tracker.detect(at({ a: 10, b: 10, c: 10, d: 9 }), 60, 1);
+    expect(first.map(g => g.name)).toEqual(['Peloton', 'Dropped']);
+
+    const second = tracker.detect(at({ a: 11.5, b: 11, c: 11, d: 10 }), 70, 1);
+    expect(second.map(g => g.id)).toEqual([3, 1, 2]);
+    expect(second.map(g => g.name)).toEqual(['Breakaway', 'Peloton', 'Dropped']);
+  });
+
+  test('applies hysteresis between consecutive frames only', () => {
+    const tracker = createGroupTracker();
+    tracker.detect(at({ a: 10, b: 10 }), 60, 1);
+    expect(tracker.detect(at({ a: 10, b: 9.92 }), 61, 1)).toHaveLength(1);
+
+    tracker.reset();
+    tracker.detect(at({ a: 10, b: 10 }), 60, 1);
+    expect(tracker.detect(at({ a: 10, b: 9.92 }), 600, 1)).toHaveLength(2);
+  });
+
+  test('starts over when the settings change', () => {
+    const tracker = createGroupTracker();
+    tracker.detect(at({ a: 10, b: 9 }), 60, 1);
+    tracker.setOptions({ mode: GROUPING_MODES.DISTANCE, threshold: 50 });
+    expect(tracker.getOptions()).toEqual({ mode: GROUPING_MODES.DISTANCE, threshold: 50 });
+    expect(tracker.detect(at({ a: 10, b: 9 }), 61, 1).map(g => g.id)).toEqual([1, 2]);
+  });
 });
 
 describe('selectRidersToSync', () => {
@@ -270,6 +547,86 @@ describe('selectRidersToSync', () => {
   });
 });
 
+describe('normalizeSyncSelection', () => {
+  test('returns defaults for missing settings', () => {
+    const selection = normalizeSyncSelection(null);
+    expect(selection.mode).toBe(SYNC_SELECTION_MODES.TOP);
+    expect(selection.topCount).toBe(DEFAULT_SYNC_TOP_COUNT);
+    expect(selection.pickedZwiftIds).toEqual([]);
+  });
+
+  test('falls back to top mode for unknown modes', () => {
+    expect(normalizeSyncSelection({ mode: 'bogus' }).mode).toBe(SYNC_SELECTION_MODES.TOP);
+  });
+
+  test('normalizes picked IDs to strings', () => {
+    expect(normalizeSyncSelection({ pickedZwiftIds: [1, '2'] }).pickedZwiftIds).toEqual(['1', '2']);
+  });
+});
+
+describe('selectRidersBySettings', () => {
+  const riders = [
+    { position: 1, zwiftId: 'a', team: 'Red' },
+    { position: 2, zwiftId: 'b', team: 'Blue' },
+    { position: 3, zwiftId: 'c', team: 'Red' },
+    { position: 4, zwiftId: 'd', team: 'Blue', isCurrentUser: true },
+    { position: 5, zwiftId: 'e', team: null },
+    { position: 6, zwiftId: 'f', team: 'Blue' },
+  ];
+  const positions = selected => selected.map(r => r.position);
+
+  test('defaults to top N', () => {
+    expect(positions(selectRidersBySettings(riders, { topCount: 2 }))).toEqual([4, 1, 2]);
+  });
+
+  test('selects full field', () => {
+    expect(selectRidersBySettings(riders, { mode: 'all' }).length).toBe(6);
+  });
+
+  test('selects a position range plus current user', () => {
+    expect(positions(selectRidersBySettings(riders, { mode: 'range', rangeStart: 5, rangeEnd: 6 })))
+      .toEqual([4, 5, 6]);
+  });
+
+  test('accepts a reversed range', () => {
+    expect(positions(selectRidersBySettings(riders, { mode: 'range', rangeStart: 2, rangeEnd: 1 })))
+      .toEqual([4, 1, 2]);
+  });
+
+  test('selects riders around current user', () => {
+    expect(positions(selectRidersBySettings(riders, { mode: 'around', aroundPlaces: 1 })))
+      .toEqual([4, 3, 5]);
+  });
+
+  test('returns nothing around a user who did not race', () => {
+    const others = riders.map(r => ({ ...r, isCurrentUser: false }));
+    expect(selectRidersBySettings(others, { mode: 'around', aroundPlaces: 1 })).toEqual([]);
+  });
+
+  test('selects current user team by default', () => {
+    expect(positions(selectRidersBySettings(riders, { mode: 'team' }))).toEqual([4, 2, 6]);
+  });
+
+  test('selects a named team plus current user', () => {
+    expect(positions(selectRidersBySettings(riders, { mode: 'team', team: 'Red' }))).toEqual([4, 1, 3]);
+  });
+
+  test('selects hand-picked riders', () => {
+    expect(positions(selectRidersBySettings(riders, { mode: 'picked', pickedZwiftIds: ['e', 'a'] })))
+      .toEqual([4, 1, 5]);
+  });
+});
+
+describe('estimateSyncSeconds', () => {
+  test('returns 0 for no riders', () => {
+    expect(estimateSyncSeconds(0, 1500, 1000)).toBe(0);
+  });
+
+  test('multiplies per-rider cost', () => {
+    expect(estimateSyncSeconds(10, 1500, 1000)).toBe(25);
+  });
+});
+
 describe('isValidPosition', () => {
   test('returns true for valid positions', () => {
     expect(isValidPosition(1)).toBe(true);
@@ -396,6 +753,18 @@ describe('calcGroupAverageHR', () => {
   });
 });
 
+describe('escapeHtml', () => {
+  test('escapes markup and quotes', () => {
+    expect(escapeHtml('<b>"Tom" & Jerry\'s</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;');
+  });
+
+  test('handles missing and non-string values', () => {
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+    expect(escapeHtml(42)).toBe('42');
+  });
+});
+
 describe('filterRidersByName', () => {
   const riders = [
     { name: 'John Smith' },
@@ -610,3 +979,30 @@ describe('parsePosition', () => {
     expect(parsePosition(undefined)).toBe(null);
   });
 });
+
+describe('sortCategoryIds', () => {
+  test('sorts, uppercases and deduplicates categories', () => {
+    expect(sortCategoryIds(['c', 'A', 'B', 'a'])).toEqual(['A', 'B', 'C']);
+  });
+
+  test('drops invalid categories', () => {
+    expect(sortCategoryIds(['A', 'X', '', null])).toEqual(['A']);
+  });
+});
+
+describe('parseEventIdList', () => {
+  test('parses IDs separated by lines, commas and spaces', () => {
+    expect(parseEventIdList('123\n456, 789 1011')).toEqual(['123', '456', '789', '1011']);
+  });
+
+  test('extracts IDs from event URLs', () => {
+    const text = 'https://zwiftpower.com/events.php?zid=4567890\nhttps://zwiftpower.com/events.php?zid=123#_B';
+    expect(parseEventIdList(text)).toEqual(['4567890', '123']);
+  });
+
+  test('removes duplicates and ignores junk', () => {
+    expect(parseEventIdList('123 abc 123 zid')).toEqual(['123']);
+    expect(parseEventIdList('')).toEqual([]);
+    expect(parseEventIdList(null)).toEqual([]);
+  });
+});